@@ -0,0 +1,22 @@
+-- CreateTable: WorksheetRevision for immutable content history
+CREATE TABLE "WorksheetRevision" (
+    "id" TEXT NOT NULL,
+    "worksheetId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "content" JSONB NOT NULL,
+    "action" TEXT NOT NULL,
+    "restoredFrom" INTEGER,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WorksheetRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WorksheetRevision_worksheetId_idx" ON "WorksheetRevision"("worksheetId");
+CREATE UNIQUE INDEX "WorksheetRevision_worksheetId_version_key" ON "WorksheetRevision"("worksheetId", "version");
+
+-- AddForeignKey
+ALTER TABLE "WorksheetRevision" ADD CONSTRAINT "WorksheetRevision_worksheetId_fkey" FOREIGN KEY ("worksheetId") REFERENCES "Worksheet"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "WorksheetRevision" ADD CONSTRAINT "WorksheetRevision_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Worksheet" ADD COLUMN "seed" INTEGER;
+
+-- AlterTable
+ALTER TABLE "WorksheetRevision" ADD COLUMN "seed" INTEGER;
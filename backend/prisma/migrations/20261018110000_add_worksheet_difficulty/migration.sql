@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Worksheet" ADD COLUMN "difficulty" TEXT,
+ADD COLUMN "generatorOptions" JSONB;
@@ -0,0 +1,22 @@
+-- CreateTable: ThemeItem for theme pictures (bundled clipart and school uploads)
+CREATE TABLE "ThemeItem" (
+    "id" TEXT NOT NULL,
+    "themeId" TEXT NOT NULL,
+    "schoolId" TEXT,
+    "name" TEXT NOT NULL,
+    "imageUrl" TEXT NOT NULL,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ThemeItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ThemeItem_themeId_idx" ON "ThemeItem"("themeId");
+CREATE INDEX "ThemeItem_schoolId_idx" ON "ThemeItem"("schoolId");
+
+-- AddForeignKey
+ALTER TABLE "ThemeItem" ADD CONSTRAINT "ThemeItem_themeId_fkey" FOREIGN KEY ("themeId") REFERENCES "Theme"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ThemeItem" ADD CONSTRAINT "ThemeItem_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
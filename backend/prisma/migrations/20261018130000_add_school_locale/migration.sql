@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "School" ADD COLUMN "locale" TEXT NOT NULL DEFAULT 'en-IN';
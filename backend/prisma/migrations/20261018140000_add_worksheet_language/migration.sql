@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Worksheet" ADD COLUMN "language" TEXT NOT NULL DEFAULT 'en';
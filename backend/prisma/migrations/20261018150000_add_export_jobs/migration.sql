@@ -0,0 +1,29 @@
+-- CreateTable: ExportJob for batch PDF downloads
+CREATE TABLE "ExportJob" (
+    "id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'QUEUED',
+    "format" TEXT NOT NULL,
+    "worksheetIds" TEXT[],
+    "options" JSONB NOT NULL,
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "fileName" TEXT,
+    "filePath" TEXT,
+    "expiresAt" TIMESTAMP(3),
+    "schoolId" TEXT NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ExportJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ExportJob_schoolId_idx" ON "ExportJob"("schoolId");
+CREATE INDEX "ExportJob_createdById_idx" ON "ExportJob"("createdById");
+CREATE INDEX "ExportJob_status_idx" ON "ExportJob"("status");
+
+-- AddForeignKey
+ALTER TABLE "ExportJob" ADD CONSTRAINT "ExportJob_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ExportJob" ADD CONSTRAINT "ExportJob_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "School" ADD COLUMN "printSettings" JSONB;
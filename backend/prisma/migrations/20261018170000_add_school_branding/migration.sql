@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "School" ADD COLUMN "branding" JSONB;
+
+-- AlterTable
+ALTER TABLE "SubscriptionPlan" ADD COLUMN "hasCustomBranding" BOOLEAN NOT NULL DEFAULT false;
+
+-- Paid plans (the ones with custom themes) include branding
+UPDATE "SubscriptionPlan" SET "hasCustomBranding" = true WHERE "hasCustomThemes" = true;
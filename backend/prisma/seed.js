@@ -54,6 +54,7 @@ async function main() {
       hasTextbookAccess: false,
       hasMicrosoftForms: false,
       hasCustomThemes: false,
+      hasCustomBranding: false,
       isDefault: true,
       sortOrder: 1
     },
@@ -69,6 +70,7 @@ async function main() {
       hasTextbookAccess: true,
       hasMicrosoftForms: true,
       hasCustomThemes: true,
+      hasCustomBranding: true,
       isDefault: false,
       sortOrder: 2
     },
@@ -84,6 +86,7 @@ async function main() {
       hasTextbookAccess: true,
       hasMicrosoftForms: true,
       hasCustomThemes: true,
+      hasCustomBranding: true,
       isDefault: false,
       sortOrder: 3
     }
@@ -70,6 +70,7 @@ const createPlan = async (req, res) => {
       maxWorksheets,
       maxStudents,
       features,
+      hasCustomBranding,
       isDefault
     } = req.body;
     
@@ -101,6 +102,7 @@ const createPlan = async (req, res) => {
         maxWorksheets: maxWorksheets || 10,
         maxStudents: maxStudents || 100,
         features: features || [],
+        hasCustomBranding: hasCustomBranding || false,
         isDefault: isDefault || false
       }
     });
@@ -131,6 +133,7 @@ const updatePlan = async (req, res) => {
       maxWorksheets,
       maxStudents,
       features,
+      hasCustomBranding,
       isActive
     } = req.body;
     
@@ -153,6 +156,7 @@ const updatePlan = async (req, res) => {
         maxWorksheets,
         maxStudents,
         features,
+        hasCustomBranding,
         isActive
       }
     });
@@ -2,6 +2,12 @@ const prisma = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
 const { hashPassword, generateRandomPassword } = require('../utils/password');
 const { sendWelcomeEmail } = require('../utils/email');
+const { listLocales } = require('../utils/locale');
+const { parsePageLayout, validatePageLayout } = require('../utils/pageLayout');
+const { HEADER_LAYOUTS, STUDENT_FIELDS, DEFAULT_BRANDING, parseBranding, validateBranding } = require('../utils/branding');
+const pdfCacheService = require('../services/pdfCacheService');
+const brandingService = require('../services/brandingService');
+const thumbnailService = require('../services/thumbnailService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -65,7 +71,7 @@ const getSchool = async (req, res, next) => {
       return next(new AppError('School not found', 404));
     }
 
-    res.json({ school });
+    res.json({ school, locales: listLocales() });
   } catch (error) {
     next(error);
   }
@@ -74,19 +80,94 @@ const getSchool = async (req, res, next) => {
 // Update school details
 const updateSchool = async (req, res, next) => {
   try {
-    const { name, phone, address } = req.body;
+    const { name, phone, address, locale } = req.body;
+
+    // The locale sets names and currency in generated word problems
+    if (locale !== undefined && !listLocales().some(option => option.code === locale)) {
+      return next(new AppError('Unsupported locale', 400));
+    }
+
+    // Default PDF page layout; downloads can still override each field
+    let printSettings;
+    if (req.body.printSettings !== undefined) {
+      const input = req.body.printSettings;
+      if (input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+        return next(new AppError('Print settings must be an object', 400));
+      }
+      printSettings = parsePageLayout(input || {});
+      const layoutErrors = validatePageLayout(printSettings);
+      if (layoutErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid print settings', errors: layoutErrors });
+      }
+    }
 
     const school = await prisma.school.update({
       where: { id: req.user.schoolId },
-      data: { name, phone, address }
+      data: { name, phone, address, locale, printSettings }
     });
 
+    // The school name is printed on every worksheet, and the locale sets the
+    // names and currency of class test variants
+    if (name !== undefined || locale !== undefined) {
+      await pdfCacheService.invalidateSchool(req.user.schoolId);
+    }
+    if (name !== undefined) {
+      await thumbnailService.queueSchoolThumbnails(req.user.schoolId);
+    }
+
     res.json({ message: 'School updated successfully', school });
   } catch (error) {
     next(error);
   }
 };
 
+// Get the school's PDF branding kit and whether its plan lets it be used
+const getBranding = async (req, res, next) => {
+  try {
+    const school = await prisma.school.findUnique({
+      where: { id: req.user.schoolId },
+      select: { branding: true }
+    });
+
+    if (!school) {
+      return next(new AppError('School not found', 404));
+    }
+
+    res.json({
+      branding: { ...DEFAULT_BRANDING, ...parseBranding(school.branding || {}) },
+      canCustomize: await brandingService.canCustomizeBranding(req.user.schoolId),
+      headerLayouts: HEADER_LAYOUTS,
+      studentFields: STUDENT_FIELDS
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update the school's PDF branding kit (plans with custom branding only)
+const updateBranding = async (req, res, next) => {
+  try {
+    const branding = { ...DEFAULT_BRANDING, ...parseBranding(req.body) };
+    const errors = validateBranding(branding);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid branding', errors });
+    }
+
+    await prisma.school.update({
+      where: { id: req.user.schoolId },
+      data: { branding }
+    });
+
+    // Branding is printed on every worksheet
+    await pdfCacheService.invalidateSchool(req.user.schoolId);
+    await thumbnailService.queueSchoolThumbnails(req.user.schoolId);
+
+    res.json({ message: 'Branding updated successfully', branding });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Upload school logo
 const uploadLogo = async (req, res, next) => {
   try {
@@ -101,6 +182,9 @@ const uploadLogo = async (req, res, next) => {
       data: { logo: logoUrl }
     });
 
+    await pdfCacheService.invalidateSchool(req.user.schoolId);
+    await thumbnailService.queueSchoolThumbnails(req.user.schoolId);
+
     res.json({
       message: 'Logo uploaded successfully',
       logo: logoUrl,
@@ -295,6 +379,8 @@ const deleteTeacher = async (req, res, next) => {
 module.exports = {
   getSchool,
   updateSchool,
+  getBranding,
+  updateBranding,
   uploadLogo,
   upload,
   createTeacher,
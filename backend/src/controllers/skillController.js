@@ -1,5 +1,8 @@
 const prisma = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
+const templateRegistry = require('../templates');
+
+const CURRICULA = ['INDIAN', 'IB', 'MONTESSORI'];
 
 // Get all skills
 const getSkills = async (req, res, next) => {
@@ -16,7 +19,10 @@ const getSkills = async (req, res, next) => {
       orderBy: [{ curriculum: 'asc' }, { grade: 'asc' }, { name: 'asc' }]
     });
 
-    res.json({ skills });
+    // Skills without a template can only be generated by the AI service
+    res.json({
+      skills: skills.map(skill => ({ ...skill, template: templateRegistry.getTemplate(skill.name)?.key || null }))
+    });
   } catch (error) {
     next(error);
   }
@@ -69,7 +75,24 @@ const seedDefaultSkills = async (req, res, next) => {
       { name: 'Subtraction', curriculum: 'INDIAN', grade: 'Grade 1', description: 'Subtraction within 100' },
       { name: 'Patterns', curriculum: 'INDIAN', grade: 'Grade 1', description: 'Identify and complete patterns' },
       { name: 'Multiplication', curriculum: 'INDIAN', grade: 'Grade 2', description: 'Basic multiplication tables' },
+      { name: 'Patterns', curriculum: 'INDIAN', grade: 'Grade 2', description: 'Skip counting and growing patterns' },
       { name: 'Division', curriculum: 'INDIAN', grade: 'Grade 2', description: 'Basic division concepts' },
+      { name: 'Telling Time', curriculum: 'INDIAN', grade: 'Grade 1', description: 'Read clocks to the hour and half hour' },
+      { name: 'Measurement', curriculum: 'INDIAN', grade: 'Grade 1', description: 'Compare lengths, longer and shorter' },
+      { name: 'Telling Time', curriculum: 'INDIAN', grade: 'Grade 2', description: 'Read and draw clocks to the quarter hour' },
+      { name: 'Calendar', curriculum: 'INDIAN', grade: 'Grade 2', description: 'Days of the week and months of the year' },
+      { name: 'Measurement', curriculum: 'INDIAN', grade: 'Grade 2', description: 'Measure length with a ruler in cm' },
+      { name: 'Telling Time', curriculum: 'INDIAN', grade: 'Grade 3', description: 'Quarter past and quarter to' },
+      { name: 'Calendar', curriculum: 'INDIAN', grade: 'Grade 3', description: 'Read dates and count days on a calendar' },
+      { name: 'Measurement', curriculum: 'INDIAN', grade: 'Grade 3', description: 'Measure and compare lengths' },
+      { name: 'Place Value', curriculum: 'INDIAN', grade: 'Grade 2', description: 'Tens and ones with base-ten blocks' },
+      { name: 'Number Line', curriculum: 'INDIAN', grade: 'Grade 2', description: 'Add and subtract with jumps on a number line' },
+      { name: 'Comparing Numbers', curriculum: 'INDIAN', grade: 'Grade 2', description: 'Compare numbers using <, > and =' },
+      { name: 'Place Value', curriculum: 'INDIAN', grade: 'Grade 3', description: 'Hundreds, tens and ones' },
+      { name: 'Fractions', curriculum: 'INDIAN', grade: 'Grade 3', description: 'Halves, thirds and quarters of shapes' },
+      { name: 'Comparing Numbers', curriculum: 'INDIAN', grade: 'Grade 3', description: 'Compare 3-digit numbers and fractions' },
+      { name: 'Fractions', curriculum: 'INDIAN', grade: 'Grade 4', description: 'Name and shade fractions' },
+      { name: 'Fractions', curriculum: 'INDIAN', grade: 'Grade 5', description: 'Fractions of pies and bars' },
 
       // IB Curriculum
       { name: 'Counting', curriculum: 'IB', grade: 'Early Years (3-4)', description: 'Count and recognize numbers' },
@@ -81,6 +104,15 @@ const seedDefaultSkills = async (req, res, next) => {
       { name: 'Addition', curriculum: 'IB', grade: 'PYP Grade 1', description: 'Addition strategies' },
       { name: 'Subtraction', curriculum: 'IB', grade: 'PYP Grade 1', description: 'Subtraction strategies' },
       { name: 'Patterns', curriculum: 'IB', grade: 'PYP Grade 1', description: 'Number patterns' },
+      { name: 'Telling Time', curriculum: 'IB', grade: 'PYP Grade 1', description: 'Time to the hour and half hour' },
+      { name: 'Measurement', curriculum: 'IB', grade: 'PYP Grade 1', description: 'Compare and order lengths' },
+      { name: 'Telling Time', curriculum: 'IB', grade: 'PYP Grade 2', description: 'Time to the quarter hour' },
+      { name: 'Calendar', curriculum: 'IB', grade: 'PYP Grade 2', description: 'Days, weeks and months' },
+      { name: 'Measurement', curriculum: 'IB', grade: 'PYP Grade 2', description: 'Measure with standard units' },
+      { name: 'Place Value', curriculum: 'IB', grade: 'PYP Grade 2', description: 'Base-ten place value' },
+      { name: 'Number Line', curriculum: 'IB', grade: 'PYP Grade 2', description: 'Number line strategies' },
+      { name: 'Fractions', curriculum: 'IB', grade: 'PYP Grade 3', description: 'Fractions as equal parts' },
+      { name: 'Comparing Numbers', curriculum: 'IB', grade: 'PYP Grade 3', description: 'Compare and order numbers' },
 
       // Montessori
       { name: 'Tracing', curriculum: 'MONTESSORI', grade: 'Primary (2.5-3)', description: 'Trace shapes and lines' },
@@ -90,7 +122,12 @@ const seedDefaultSkills = async (req, res, next) => {
       { name: 'Addition', curriculum: 'MONTESSORI', grade: 'Primary (4-5)', description: 'Golden bead addition' },
       { name: 'Subtraction', curriculum: 'MONTESSORI', grade: 'Primary (4-5)', description: 'Golden bead subtraction' },
       { name: 'Patterns', curriculum: 'MONTESSORI', grade: 'Primary (5-6)', description: 'Pattern recognition' },
-      { name: 'Multiplication', curriculum: 'MONTESSORI', grade: 'Elementary (6-9)', description: 'Bead frame multiplication' }
+      { name: 'Multiplication', curriculum: 'MONTESSORI', grade: 'Elementary (6-9)', description: 'Bead frame multiplication' },
+      { name: 'Telling Time', curriculum: 'MONTESSORI', grade: 'Elementary (6-9)', description: 'Clock work to the quarter hour' },
+      { name: 'Calendar', curriculum: 'MONTESSORI', grade: 'Elementary (6-9)', description: 'Calendar and days of the week' },
+      { name: 'Measurement', curriculum: 'MONTESSORI', grade: 'Elementary (6-9)', description: 'Measuring length with a ruler' },
+      { name: 'Place Value', curriculum: 'MONTESSORI', grade: 'Elementary (6-9)', description: 'Golden bead place value' },
+      { name: 'Fractions', curriculum: 'MONTESSORI', grade: 'Elementary (6-9)', description: 'Fraction circles' }
     ];
 
     let created = 0;
@@ -114,8 +151,77 @@ const seedDefaultSkills = async (req, res, next) => {
   }
 };
 
+// Get registered worksheet templates and the Skill rows that enable them (Super Admin)
+const getTemplates = async (req, res, next) => {
+  try {
+    const skills = await prisma.skill.findMany({
+      orderBy: [{ curriculum: 'asc' }, { grade: 'asc' }, { name: 'asc' }]
+    });
+
+    const templates = templateRegistry.listTemplates().map(template => ({
+      ...templateRegistry.describeTemplate(template),
+      skills: skills.filter(skill => templateRegistry.getTemplate(skill.name) === template)
+    }));
+
+    res.json({
+      templates,
+      // Skill rows no template can generate (AI generation only)
+      unmatchedSkills: skills.filter(skill => !templateRegistry.getTemplate(skill.name))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Enable or disable a template for a curriculum and grade (Super Admin)
+const setTemplateAvailability = async (req, res, next) => {
+  try {
+    const { curriculum, grade, enabled, description } = req.body;
+
+    const template = templateRegistry.getTemplate(req.params.key);
+    if (!template) {
+      return next(new AppError('Template not found', 404));
+    }
+    if (!CURRICULA.includes(curriculum) || !grade) {
+      return next(new AppError('A valid curriculum and grade are required', 400));
+    }
+    if (typeof enabled !== 'boolean') {
+      return next(new AppError('enabled must be true or false', 400));
+    }
+
+    // Every Skill row that uses this template for the grade is switched together
+    const rows = await prisma.skill.findMany({ where: { curriculum, grade } });
+    const matching = rows.filter(row => templateRegistry.getTemplate(row.name) === template);
+
+    if (matching.length > 0) {
+      await prisma.skill.updateMany({
+        where: { id: { in: matching.map(row => row.id) } },
+        data: { isActive: enabled }
+      });
+    } else {
+      await prisma.skill.create({
+        data: { name: template.name, curriculum, grade, description, isActive: enabled }
+      });
+    }
+
+    const skills = await prisma.skill.findMany({
+      where: { curriculum, grade },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      message: `${template.name} ${enabled ? 'enabled' : 'disabled'} for ${curriculum} ${grade}`,
+      skills: skills.filter(skill => templateRegistry.getTemplate(skill.name) === template)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getSkills,
   getSkillsByCurriculum,
-  seedDefaultSkills
+  seedDefaultSkills,
+  getTemplates,
+  setTemplateAvailability
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const pdfRendererService = require('../services/pdfRendererService');
 
 /**
  * Get all schools with subscription info
@@ -432,6 +433,14 @@ const getDashboardStats = async (req, res) => {
   }
 };
 
+/**
+ * Get PDF renderer metrics
+ * GET /api/admin/pdf-renderer
+ */
+const getPdfRendererMetrics = (req, res) => {
+  res.json({ metrics: pdfRendererService.getMetrics() });
+};
+
 // Helper functions
 const getUsageStats = async (schoolId) => {
   const thisMonth = new Date();
@@ -487,5 +496,6 @@ module.exports = {
   extendTrial,
   getUsageDashboard,
   getAuditLogs,
-  getDashboardStats
+  getDashboardStats,
+  getPdfRendererMetrics
 };
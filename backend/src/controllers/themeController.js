@@ -1,5 +1,49 @@
 const prisma = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
+const { schoolHasPlanFeature } = require('../middleware/auth');
+const themeItemService = require('../services/themeItemService');
+const pdfCacheService = require('../services/pdfCacheService');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Allowed picture types and the extension each is stored with; the
+// extension never comes from the uploaded file name
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+// Configure multer for theme item pictures
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '../../uploads/theme-items');
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `item-${req.user.schoolId}-${uniqueSuffix}${IMAGE_EXTENSIONS[file.mimetype]}`);
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  if (Object.prototype.hasOwnProperty.call(IMAGE_EXTENSIONS, file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image files are allowed'), false);
+  }
+};
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB
+});
 
 // Get all themes
 const getThemes = async (req, res, next) => {
@@ -48,8 +92,20 @@ const seedDefaultThemes = async (req, res, next) => {
       }
     }
 
+    // Give themes with a bundled clipart set their icon and pictures
+    let items = 0;
+    const themes = await prisma.theme.findMany();
+    for (const theme of themes) {
+      items += await themeItemService.seedThemeClipart(theme);
+    }
+
+    // Class test variants of every school draw theme pictures
+    if (items > 0) {
+      await pdfCacheService.invalidateAll();
+    }
+
     res.json({
-      message: `Seeded ${created} themes`,
+      message: `Seeded ${created} themes and ${items} theme items`,
       total: defaultThemes.length
     });
   } catch (error) {
@@ -57,7 +113,111 @@ const seedDefaultThemes = async (req, res, next) => {
   }
 };
 
+// Get a theme's pictures: bundled clipart plus this school's uploads
+const getThemeItems = async (req, res, next) => {
+  try {
+    const theme = await prisma.theme.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!theme) {
+      return next(new AppError('Theme not found', 404));
+    }
+
+    const items = await prisma.themeItem.findMany({
+      where: {
+        themeId: theme.id,
+        isActive: true,
+        OR: [{ schoolId: null }, { schoolId: req.user.schoolId }]
+      },
+      orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    res.json({
+      theme,
+      items: items.map(item => ({ ...item, isCustom: item.schoolId !== null })),
+      canUpload: await schoolHasPlanFeature(req.user.schoolId, 'hasCustomThemes')
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Upload a picture to a theme (Admin only, plans with custom themes)
+const uploadThemeItem = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new AppError('Please upload an image file', 400));
+    }
+
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      fs.unlink(req.file.path, () => {});
+      return next(new AppError('Item name is required', 400));
+    }
+
+    const theme = await prisma.theme.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!theme) {
+      fs.unlink(req.file.path, () => {});
+      return next(new AppError('Theme not found', 404));
+    }
+
+    const item = await prisma.themeItem.create({
+      data: {
+        themeId: theme.id,
+        schoolId: req.user.schoolId,
+        name,
+        imageUrl: `/uploads/theme-items/${req.file.filename}`
+      }
+    });
+
+    // Class test variants draw the school's theme pictures
+    await pdfCacheService.invalidateSchool(req.user.schoolId);
+
+    res.status(201).json({
+      message: 'Theme item uploaded successfully',
+      item: { ...item, isCustom: true }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete one of the school's own theme pictures (Admin only)
+const deleteThemeItem = async (req, res, next) => {
+  try {
+    const item = await prisma.themeItem.findFirst({
+      where: {
+        id: req.params.itemId,
+        themeId: req.params.id,
+        schoolId: req.user.schoolId
+      }
+    });
+
+    if (!item) {
+      return next(new AppError('Theme item not found', 404));
+    }
+
+    await prisma.themeItem.delete({
+      where: { id: item.id }
+    });
+    fs.unlink(path.join(__dirname, '../..', item.imageUrl), () => {});
+    await pdfCacheService.invalidateSchool(req.user.schoolId);
+
+    res.json({ message: 'Theme item deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getThemes,
-  seedDefaultThemes
+  seedDefaultThemes,
+  getThemeItems,
+  uploadThemeItem,
+  deleteThemeItem,
+  upload
 };
\ No newline at end of file
@@ -23,6 +23,10 @@ const aiUsageRoutes = require('./routes/aiUsage');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
+const { CLIPART_DIR } = require('./utils/clipart');
+const { startExportWorker } = require('./services/exportJobService');
+const { startCachePruning } = require('./services/pdfCacheService');
+const { queueMissingThumbnails } = require('./services/thumbnailService');
 
 const app = express();
 
@@ -57,9 +61,13 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Static files for uploads
+// Static files for uploads (cached worksheet PDFs are only sent by the PDF route)
+app.use('/uploads/pdf-cache', (req, res) => res.status(404).json({ message: 'Route not found' }));
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
+// Bundled theme clipart
+app.use('/clipart', express.static(CLIPART_DIR));
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/school', schoolRoutes);
@@ -93,4 +101,13 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Resume batch PDF exports and purge expired ones
+  startExportWorker().catch(error => console.error('Failed to start export worker:', error.message));
+
+  // Keep the PDF cache within its age and size limits
+  startCachePruning();
+
+  // Render library previews for worksheets that have none yet
+  queueMissingThumbnails().catch(error => console.error('Failed to queue thumbnails:', error.message));
 });
\ No newline at end of file
@@ -76,6 +76,36 @@ const requirePasswordChange = (req, res, next) => {
   next();
 };
 
+// Subscription statuses that still get their plan's features
+const ENTITLED_STATUSES = ['TRIAL', 'ACTIVE'];
+
+// Check if a school's current plan includes a feature, e.g. "hasCustomThemes"
+const schoolHasPlanFeature = async (schoolId, feature) => {
+  const subscription = await prisma.subscription.findUnique({
+    where: { schoolId },
+    include: { plan: true }
+  });
+
+  return Boolean(subscription && ENTITLED_STATUSES.includes(subscription.status) && subscription.plan[feature]);
+};
+
+// Middleware for routes that need a plan feature
+const requirePlanFeature = (feature) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await schoolHasPlanFeature(req.user.schoolId, feature))) {
+        return res.status(403).json({
+          message: 'Your plan does not include this feature. Please upgrade your plan.',
+          feature
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 /**
  * Internal API Key Authentication Middleware
  * Used for authenticating requests from internal services like n8n
@@ -144,6 +174,8 @@ module.exports = {
   requirePasswordChange, 
   isSuperAdmin, 
   superAdminOnly,
+  schoolHasPlanFeature,
+  requirePlanFeature,
   internalAuth,
   flexibleAuth,
   requireAuth,
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, param, query } = require('express-validator');
 const planController = require('../controllers/planController');
 const superAdminController = require('../controllers/superAdminController');
+const skillController = require('../controllers/skillController');
 const { protect, authorize, superAdminOnly } = require('../middleware/auth');
 
 // All routes require SUPER_ADMIN role
@@ -117,6 +118,28 @@ router.put('/schools/:id/extend-trial', [
   body('days').isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
 ], superAdminController.extendTrial);
 
+// ============================================
+// Worksheet Templates
+// ============================================
+
+/**
+ * @route GET /api/admin/templates
+ * @desc Get registered worksheet templates and where they are enabled
+ * @access Private (Super Admin)
+ */
+router.get('/templates', skillController.getTemplates);
+
+/**
+ * @route PUT /api/admin/templates/:key/availability
+ * @desc Enable or disable a template for a curriculum and grade
+ * @access Private (Super Admin)
+ */
+router.put('/templates/:key/availability', [
+  body('curriculum').isIn(['INDIAN', 'IB', 'MONTESSORI']).withMessage('Invalid curriculum'),
+  body('grade').notEmpty().withMessage('Grade is required'),
+  body('enabled').isBoolean().withMessage('enabled must be true or false')
+], skillController.setTemplateAvailability);
+
 // ============================================
 // Usage & Analytics
 // ============================================
@@ -135,4 +158,11 @@ router.get('/usage', superAdminController.getUsageDashboard);
  */
 router.get('/audit-logs', superAdminController.getAuditLogs);
 
+/**
+ * @route GET /api/admin/pdf-renderer
+ * @desc PDF renderer queue depth, active pages and render times
+ * @access Private (Super Admin)
+ */
+router.get('/pdf-renderer', superAdminController.getPdfRendererMetrics);
+
 module.exports = router;
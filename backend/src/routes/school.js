@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const schoolController = require('../controllers/schoolController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePlanFeature } = require('../middleware/auth');
 
 // All routes require authentication
 router.use(protect);
@@ -14,9 +14,15 @@ router.get('/', schoolController.getSchool);
 router.put('/', authorize('ADMIN'), [
   body('name').optional().trim().notEmpty().withMessage('School name cannot be empty'),
   body('phone').optional().trim(),
-  body('address').optional().trim()
+  body('address').optional().trim(),
+  body('locale').optional().isString(),
+  body('printSettings').optional({ nullable: true }).isObject()
 ], schoolController.updateSchool);
 
+// PDF branding kit (Admin only; saving needs a plan with custom branding)
+router.get('/branding', schoolController.getBranding);
+router.put('/branding', authorize('ADMIN'), requirePlanFeature('hasCustomBranding'), schoolController.updateBranding);
+
 // Upload school logo (Admin only)
 router.post('/logo', authorize('ADMIN'), schoolController.upload.single('logo'), schoolController.uploadLogo);
 
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const themeController = require('../controllers/themeController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePlanFeature } = require('../middleware/auth');
 
 // Get all themes
 router.get('/', protect, themeController.getThemes);
@@ -9,4 +9,13 @@ router.get('/', protect, themeController.getThemes);
 // Seed default themes (Admin only, for setup)
 router.post('/seed', protect, authorize('ADMIN'), themeController.seedDefaultThemes);
 
+// Pictures for a theme (bundled clipart plus the school's uploads)
+router.get('/:id/items', protect, themeController.getThemeItems);
+
+// Upload a theme picture (Admin only, plans with custom themes)
+router.post('/:id/items', protect, authorize('ADMIN'), requirePlanFeature('hasCustomThemes'), themeController.upload.single('image'), themeController.uploadThemeItem);
+
+// Delete one of the school's theme pictures (Admin only)
+router.delete('/:id/items/:itemId', protect, authorize('ADMIN'), themeController.deleteThemeItem);
+
 module.exports = router;
\ No newline at end of file
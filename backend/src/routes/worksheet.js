@@ -3,6 +3,9 @@ const router = express.Router();
 const { body, query } = require('express-validator');
 const worksheetController = require('../controllers/worksheetController');
 const { protect } = require('../middleware/auth');
+const { listLanguages } = require('../utils/languages');
+const { BILINGUAL_LAYOUTS } = require('../utils/worksheetContent');
+const { PAPER_SIZES, ORIENTATIONS, FONT_SCALES, COLUMN_COUNTS, IMPOSITIONS } = require('../utils/pageLayout');
 
 // All routes require authentication
 router.use(protect);
@@ -21,25 +24,101 @@ router.post('/', [
   body('curriculum').isIn(['INDIAN', 'IB', 'MONTESSORI']).withMessage('Invalid curriculum'),
   body('grade').notEmpty().withMessage('Grade is required'),
   body('ageGroup').notEmpty().withMessage('Age group is required'),
-  body('skill').notEmpty().withMessage('Skill is required')
+  body('skill').if(body('sections').not().exists()).notEmpty().withMessage('Skill is required'),
+  body('questionCount').optional().isInt({ min: 1, max: 30 }).withMessage('Question count must be between 1 and 30'),
+  body('sections').optional().isArray({ min: 1, max: 6 }).withMessage('Sections must be a list of 1 to 6 skills'),
+  body('seed').optional().isInt({ min: 1 }).withMessage('Seed must be a positive whole number'),
+  body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty'),
+  body('language').optional().isIn(listLanguages().map(language => language.code)).withMessage('Invalid language'),
+  body('generatorOptions').optional().isObject()
 ], worksheetController.createWorksheet);
 
 // Get all worksheets
 router.get('/', worksheetController.getWorksheets);
 
+// Batch PDF export: queue a job, poll it, then download a ZIP or one merged PDF
+router.post('/exports', [
+  body('worksheetIds').isArray({ min: 1 }).withMessage('Select at least one worksheet'),
+  body('format').optional().isIn(['zip', 'pdf']).withMessage('Format must be zip or pdf'),
+  body('options').optional().isObject()
+], worksheetController.createExportJob);
+router.get('/exports/:jobId', worksheetController.getExportJob);
+router.get('/exports/:jobId/download', worksheetController.downloadExportJob);
+
 // Get single worksheet
 router.get('/:id', worksheetController.getWorksheet);
 
+// Update worksheet (edited title/content)
+router.put('/:id', [
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+  body('content').optional().isObject().withMessage('Content must be an object')
+], worksheetController.updateWorksheet);
+
+// Revision history
+router.get('/:id/revisions', worksheetController.getRevisions);
+
+// Compare two revisions (?from=<version>&to=<version>)
+router.get('/:id/revisions/diff', [
+  query('from').isInt({ min: 1 }).withMessage('from must be a version number'),
+  query('to').isInt({ min: 1 }).withMessage('to must be a version number')
+], worksheetController.diffRevisions);
+
+// Get a single revision
+router.get('/:id/revisions/:version', worksheetController.getRevision);
+
+// Restore an earlier revision
+router.post('/:id/revisions/:version/restore', worksheetController.restoreRevision);
+
+// Regenerate a template worksheet from its seed, or as a new variant
+router.post('/:id/regenerate', [
+  body('newSeed').optional().isBoolean()
+], worksheetController.regenerateWorksheet);
+
+// Regenerate selected unlocked items (returns a draft unless save is true)
+router.post('/:id/items/regenerate', [
+  body('indices').isArray({ min: 1 }).withMessage('At least one item index is required'),
+  body('save').optional().isBoolean()
+], worksheetController.regenerateItems);
+
 // Delete worksheet
 router.delete('/:id', worksheetController.deleteWorksheet);
 
-// Generate PDF
-router.get('/:id/pdf', worksheetController.generatePDF);
+// Get class test variants (Set A, Set B, ...)
+router.get('/:id/variants', [
+  query('count').optional().isInt({ min: 1, max: 6 })
+], worksheetController.getVariants);
+
+// Texts to translate for a bilingual worksheet
+router.get('/:id/translation', worksheetController.getTranslation);
+
+// Make a worksheet bilingual (teacher translations, AI for the rest)
+router.put('/:id/translation', [
+  body('language').isIn(listLanguages().map(language => language.code)).withMessage('Invalid language'),
+  body('layout').optional().isIn(BILINGUAL_LAYOUTS).withMessage('Invalid layout'),
+  body('translations').optional().isObject()
+], worksheetController.updateTranslation);
+
+// Remove the second language
+router.delete('/:id/translation', worksheetController.removeTranslation);
+
+// Generate PDF (?document=student|key|bundle; ?variants=N prints N sets, each with its
+// answer key; ?bilingual=off|columns|interleaved; page layout overrides of the school's
+// print settings: ?paperSize, ?orientation, ?fontScale, ?columns, ?imposition=none|2up|booklet)
+router.get('/:id/pdf', [
+  query('document').optional().isIn(['student', 'key', 'bundle']),
+  query('variants').optional().isInt({ min: 1, max: 6 }),
+  query('bilingual').optional().isIn(['off', ...BILINGUAL_LAYOUTS]),
+  query('paperSize').optional().isIn(Object.keys(PAPER_SIZES)),
+  query('orientation').optional().isIn(ORIENTATIONS),
+  query('fontScale').optional().isIn(FONT_SCALES.map(String)),
+  query('columns').optional().isIn(COLUMN_COUNTS.map(String)),
+  query('imposition').optional().isIn(IMPOSITIONS)
+], worksheetController.generatePDF);
 
-// Export to Microsoft Forms
+// Export to Microsoft Forms (?language=<code> uses a bilingual worksheet's translation)
 router.get('/:id/microsoft-forms', worksheetController.exportToMicrosoftForms);
 
-// Download CSV for Microsoft Forms
+// Download CSV for Microsoft Forms (same ?language=<code>)
 router.get('/:id/microsoft-forms/csv', worksheetController.downloadFormsCSV);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Answer Key Service
+ * Compact answers, worked explanations and marks for every item of a
+ * worksheet, printed on answer-key pages after (or instead of) the sheet.
+ */
+
+const { getTemplateForType } = require('../templates');
+
+// Curriculum questions by type; written answers earn more than a choice
+const QUESTION_MARKS = {
+  'multiple-choice': { marks: 1 },
+  'true-false': { marks: 1 },
+  'fill-blank': { marks: 1 },
+  'short-answer': { marks: 2, scheme: '2 for a complete answer, 1 for a partial one' }
+};
+
+// Template items with a worked solution score the working as well as the answer
+const WORKED_MARKS = { marks: 2, scheme: '1 for the working, 1 for the answer' };
+const ITEM_MARKS = { marks: 1 };
+
+// Correct answer of a curriculum question as printed on the key
+function curriculumAnswer(question) {
+  if (question.type === 'multiple-choice') {
+    const option = (question.options || [])[question.correctAnswer];
+    return option === undefined ? null : `${String.fromCharCode(65 + question.correctAnswer)}. ${option}`;
+  }
+  if (question.type === 'true-false') {
+    return typeof question.correctAnswer === 'boolean' ? (question.correctAnswer ? 'True' : 'False') : null;
+  }
+  return question.answer ?? null;
+}
+
+// Template items print their own answer; items without one (matching, word
+// banks) fall back to the answer their Forms mapping expects
+function templateAnswer(item, items, template) {
+  const answer = item.answer ?? (template?.toFormsQuestion ? template.toFormsQuestion(item, items).answer : undefined);
+  return answer === undefined || answer === null || answer === '' ? null : String(answer);
+}
+
+/**
+ * Answer-key entries for one block of items
+ * @param {Object[]} items - Items of the block
+ * @param {string} type - Content type of the block (undefined for curriculum and AI items)
+ * @returns {Object[]} - [{ number, answer, working, marks, scheme }]; answer is null
+ *   for open tasks (tracing, coloring) that the teacher checks by eye
+ */
+function answerEntries(items, type) {
+  const template = getTemplateForType(type);
+
+  return items.map((item, i) => {
+    const working = Array.isArray(item.solution) ? item.solution : (item.explanation ? [item.explanation] : []);
+    const questionMarks = !type && QUESTION_MARKS[item.type];
+    const marking = questionMarks || (Array.isArray(item.solution) ? WORKED_MARKS : ITEM_MARKS);
+
+    return {
+      number: i + 1,
+      answer: questionMarks ? curriculumAnswer(item) : templateAnswer(item, items, template),
+      working,
+      marks: marking.marks,
+      scheme: marking.scheme || null
+    };
+  });
+}
+
+/**
+ * Answer key of a worksheet, one block per section
+ * @param {Object} content - Worksheet content
+ * @returns {Object} - { sections: [{ title, entries, marks }], totalMarks }; title is
+ *   null for sheets without sections
+ */
+function getAnswerKey(content) {
+  const blocks = Array.isArray(content.sections)
+    ? content.sections.map(section => ({ title: section.title, items: section.items || [], type: section.type }))
+    : [{ title: null, items: content.questions || content.items || [], type: content.questions ? undefined : content.type }];
+
+  const sections = blocks.map(block => {
+    const entries = answerEntries(block.items, block.type);
+    return { title: block.title, entries, marks: entries.reduce((sum, entry) => sum + entry.marks, 0) };
+  });
+
+  return { sections, totalMarks: sections.reduce((sum, section) => sum + section.marks, 0) };
+}
+
+module.exports = {
+  getAnswerKey
+};
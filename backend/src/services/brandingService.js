@@ -0,0 +1,48 @@
+/**
+ * Branding Service
+ * Decides which branding a school's PDFs print with: its saved branding while
+ * its plan includes custom branding, the defaults otherwise (so a school that
+ * downgrades keeps its settings but stops printing them).
+ */
+
+const { schoolHasPlanFeature } = require('../middleware/auth');
+const { DEFAULT_BRANDING, parseBranding } = require('../utils/branding');
+
+const BRANDING_FEATURE = 'hasCustomBranding';
+
+/**
+ * Whether a school's plan lets it brand its PDFs
+ * @param {string} schoolId - School ID
+ * @returns {Promise<boolean>}
+ */
+function canCustomizeBranding(schoolId) {
+  return schoolHasPlanFeature(schoolId, BRANDING_FEATURE);
+}
+
+/**
+ * Branding a school's PDFs print with
+ * @param {Object} school - School with its saved branding
+ * @returns {Promise<Object>} - Complete branding (DEFAULT_BRANDING fields)
+ */
+async function getPdfBranding(school) {
+  if (!school.branding || !(await canCustomizeBranding(school.id))) {
+    return DEFAULT_BRANDING;
+  }
+  return { ...DEFAULT_BRANDING, ...parseBranding(school.branding) };
+}
+
+/**
+ * A worksheet ready to print: the worksheet with `branding` set from its school
+ * @param {Object} worksheet - Worksheet with its school
+ * @returns {Promise<Object>} - New worksheet object
+ */
+async function withPdfBranding(worksheet) {
+  return { ...worksheet, branding: await getPdfBranding(worksheet.school) };
+}
+
+module.exports = {
+  BRANDING_FEATURE,
+  canCustomizeBranding,
+  getPdfBranding,
+  withPdfBranding
+};
@@ -0,0 +1,324 @@
+/**
+ * Export Job Service
+ * Batch PDF downloads. A job renders many worksheets in the background on a
+ * local worker queue and leaves one ZIP (a PDF per worksheet) or one merged
+ * PDF on disk. Finished files are kept for EXPORT_RETENTION_HOURS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { PDFDocument } = require('pdf-lib');
+const prisma = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const worksheetPdfService = require('./worksheetPdfService');
+const pdfCacheService = require('./pdfCacheService');
+const brandingService = require('./brandingService');
+
+// A relative EXPORT_DIR is inside the backend folder, wherever the server is started from
+const EXPORT_DIR = path.resolve(__dirname, '../..', process.env.EXPORT_DIR || 'exports');
+const RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS) || 24;
+const CONCURRENCY = parseInt(process.env.EXPORT_CONCURRENCY) || 1;
+const MAX_WORKSHEETS = parseInt(process.env.EXPORT_MAX_WORKSHEETS) || 50;
+const CLEANUP_INTERVAL = 15 * 60 * 1000;
+
+const EXPORT_FORMATS = ['zip', 'pdf'];
+
+const STATUS = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  EXPIRED: 'EXPIRED'
+};
+
+const queue = [];
+let running = 0;
+let cleanupTimer = null;
+
+/**
+ * Check and queue a batch export
+ * @param {Object} params - { worksheetIds, format, options, user }
+ * @returns {Promise<Object>} - The queued job
+ * @throws {AppError} - 400 for a bad request, 404 when a worksheet is not in the user's school
+ */
+async function createExportJob({ worksheetIds, format = 'zip', options = {}, user }) {
+  if (!Array.isArray(worksheetIds) || worksheetIds.length === 0 || !worksheetIds.every(id => typeof id === 'string')) {
+    throw new AppError('Select at least one worksheet', 400);
+  }
+  const ids = [...new Set(worksheetIds)];
+  if (ids.length > MAX_WORKSHEETS) {
+    throw new AppError(`You can export up to ${MAX_WORKSHEETS} worksheets at a time`, 400);
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new AppError(`Format must be one of ${EXPORT_FORMATS.join(', ')}`, 400);
+  }
+  const school = await prisma.school.findUnique({
+    where: { id: user.schoolId },
+    select: { printSettings: true }
+  });
+  const pdfOptions = worksheetPdfService.resolvePdfOptions(options, school?.printSettings);
+
+  const found = await prisma.worksheet.count({
+    where: { id: { in: ids }, schoolId: user.schoolId }
+  });
+  if (found !== ids.length) {
+    throw new AppError('Some of the selected worksheets were not found', 404);
+  }
+
+  const job = await prisma.exportJob.create({
+    data: {
+      format,
+      worksheetIds: ids,
+      options: pdfOptions,
+      schoolId: user.schoolId,
+      createdById: user.id
+    }
+  });
+
+  enqueue(job.id);
+  return job;
+}
+
+/**
+ * A user's export job
+ * @param {string} id - Job ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} - Job
+ * @throws {AppError} - 404 when the job is not the user's
+ */
+async function getExportJob(id, user) {
+  const job = await prisma.exportJob.findFirst({
+    where: { id, schoolId: user.schoolId, createdById: user.id }
+  });
+  if (!job) {
+    throw new AppError('Export not found', 404);
+  }
+  return job;
+}
+
+/**
+ * Job fields the client sees (no paths on disk)
+ * @param {Object} job - Job from the database
+ * @returns {Object}
+ */
+function describeExportJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    format: job.format,
+    options: job.options,
+    progress: job.progress,
+    total: job.worksheetIds.length,
+    error: job.error,
+    fileName: job.fileName,
+    expiresAt: job.expiresAt,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt
+  };
+}
+
+/**
+ * Finished file of a job, ready to send
+ * @param {Object} job - Job from the database
+ * @returns {Object} - { filePath, fileName }
+ * @throws {AppError} - 409 while the job is not finished, 410 once it has expired
+ */
+function getExportFile(job) {
+  if (job.status === STATUS.EXPIRED || (job.expiresAt && job.expiresAt < new Date())) {
+    throw new AppError('This export has expired. Please export the worksheets again.', 410);
+  }
+  if (job.status === STATUS.FAILED) {
+    throw new AppError(job.error || 'This export failed', 409);
+  }
+  if (job.status !== STATUS.COMPLETED) {
+    throw new AppError('This export is not ready yet', 409);
+  }
+
+  const filePath = path.join(EXPORT_DIR, job.filePath);
+  if (!fs.existsSync(filePath)) {
+    throw new AppError('This export has expired. Please export the worksheets again.', 410);
+  }
+  return { filePath, fileName: job.fileName };
+}
+
+function enqueue(jobId) {
+  queue.push(jobId);
+  processQueue();
+}
+
+// Start queued jobs while there are free workers
+function processQueue() {
+  while (running < CONCURRENCY && queue.length > 0) {
+    const jobId = queue.shift();
+    running++;
+    runJob(jobId)
+      .catch(error => console.error(`[export] Job ${jobId} could not be updated:`, error.message))
+      .finally(() => {
+        running--;
+        processQueue();
+      });
+  }
+}
+
+async function runJob(jobId) {
+  const job = await prisma.exportJob.findUnique({ where: { id: jobId } });
+  if (!job || job.status !== STATUS.QUEUED) return;
+
+  await prisma.exportJob.update({
+    where: { id: jobId },
+    data: { status: STATUS.RUNNING, startedAt: new Date() }
+  });
+
+  try {
+    const worksheets = await prisma.worksheet.findMany({
+      where: { id: { in: job.worksheetIds }, schoolId: job.schoolId },
+      include: { school: true }
+    });
+    if (worksheets.length === 0) {
+      throw new AppError('The selected worksheets have been deleted', 404);
+    }
+    // Keep the order the teacher selected them in
+    worksheets.sort((a, b) => job.worksheetIds.indexOf(a.id) - job.worksheetIds.indexOf(b.id));
+
+    const files = [];
+    for (const worksheet of worksheets) {
+      const pdf = await pdfCacheService.getWorksheetPDF(await brandingService.withPdfBranding(worksheet), job.options);
+      files.push({ name: worksheetPdfService.pdfFileName(worksheet, job.options), pdf });
+      await prisma.exportJob.update({ where: { id: jobId }, data: { progress: files.length } });
+    }
+
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+    const stamp = new Date().toISOString().slice(0, 10);
+    const fileName = `worksheets_${stamp}.${job.format}`;
+    const filePath = `${jobId}.${job.format}`;
+
+    if (job.format === 'zip') {
+      await writeZip(path.join(EXPORT_DIR, filePath), files);
+    } else {
+      fs.writeFileSync(path.join(EXPORT_DIR, filePath), await mergePDFs(files.map(file => file.pdf)));
+    }
+
+    const completedAt = new Date();
+    await prisma.exportJob.update({
+      where: { id: jobId },
+      data: {
+        status: STATUS.COMPLETED,
+        fileName,
+        filePath,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + RETENTION_HOURS * 60 * 60 * 1000)
+      }
+    });
+  } catch (error) {
+    console.error(`[export] Job ${jobId} failed:`, error);
+    await prisma.exportJob.update({
+      where: { id: jobId },
+      data: {
+        status: STATUS.FAILED,
+        error: error.isOperational ? error.message : 'Some worksheets could not be rendered. Please try again.',
+        completedAt: new Date()
+      }
+    });
+  }
+}
+
+// One PDF per worksheet; worksheets with the same title get "(2)", "(3)"...
+function writeZip(filePath, files) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const used = new Map();
+
+    // A failed write (e.g. a full disk) fails the job and leaves no partial file
+    const fail = error => {
+      reject(error);
+      archive.abort();
+      output.destroy();
+      fs.rm(filePath, { force: true }, () => {});
+    };
+
+    output.on('close', resolve);
+    output.on('error', fail);
+    archive.on('error', fail);
+    archive.pipe(output);
+
+    files.forEach(({ name, pdf }) => {
+      const count = (used.get(name) || 0) + 1;
+      used.set(name, count);
+      archive.append(pdf, { name: count > 1 ? name.replace(/\.pdf$/, ` (${count}).pdf`) : name });
+    });
+    archive.finalize();
+  });
+}
+
+async function mergePDFs(pdfs) {
+  const merged = await PDFDocument.create();
+  for (const bytes of pdfs) {
+    const source = await PDFDocument.load(bytes);
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+  return Buffer.from(await merged.save());
+}
+
+/**
+ * Delete finished files past their retention and mark their jobs expired
+ * @returns {Promise<number>} - Number of jobs expired
+ */
+async function purgeExpiredExports() {
+  const expired = await prisma.exportJob.findMany({
+    where: { status: STATUS.COMPLETED, expiresAt: { lt: new Date() } },
+    select: { id: true, filePath: true }
+  });
+
+  for (const job of expired) {
+    if (job.filePath) {
+      fs.rmSync(path.join(EXPORT_DIR, job.filePath), { force: true });
+    }
+    await prisma.exportJob.update({
+      where: { id: job.id },
+      data: { status: STATUS.EXPIRED, filePath: null }
+    });
+  }
+  return expired.length;
+}
+
+/**
+ * Start the worker: re-queue jobs cut off by a restart and purge expired
+ * files now and every 15 minutes
+ * @returns {Promise<void>}
+ */
+async function startExportWorker() {
+  if (cleanupTimer) return;
+
+  const cleanup = () => purgeExpiredExports()
+    .catch(error => console.error('[export] Cleanup failed:', error.message));
+  cleanupTimer = setInterval(cleanup, CLEANUP_INTERVAL);
+  cleanupTimer.unref();
+
+  // Jobs that were rendering when the server stopped start again from the top
+  await prisma.exportJob.updateMany({
+    where: { status: STATUS.RUNNING },
+    data: { status: STATUS.QUEUED, progress: 0, startedAt: null }
+  });
+  const pending = await prisma.exportJob.findMany({
+    where: { status: STATUS.QUEUED },
+    orderBy: { createdAt: 'asc' },
+    select: { id: true }
+  });
+  pending.forEach(job => enqueue(job.id));
+
+  await cleanup();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_WORKSHEETS,
+  createExportJob,
+  getExportJob,
+  describeExportJob,
+  getExportFile,
+  purgeExpiredExports,
+  startExportWorker
+};
@@ -10,12 +10,16 @@
  * 3. Copy-paste formatted text for quick manual entry
  */
 
+const { getTemplateForType } = require('../templates');
+
 /**
  * Convert worksheet content to Microsoft Forms format
  * @param {Object} worksheet - Worksheet data from database
+ * @param {Object} options - { language }: a bilingual worksheet's second
+ *   language exports its translations instead of the original text
  * @returns {Object} - Microsoft Forms compatible data
  */
-function convertToMicrosoftForms(worksheet) {
+function convertToMicrosoftForms(worksheet, options = {}) {
   const { title, content, skill, grade, curriculum } = worksheet;
   
   // Parse content if it's a string
@@ -29,12 +33,13 @@ function convertToMicrosoftForms(worksheet) {
     }
   }
   
-  const questions = parsedContent.items || parsedContent.questions || [];
+  const translated = !!options.language && options.language === parsedContent.bilingual?.language;
+  const translation = (translated && parsedContent.translation) || {};
 
   const formsData = {
-    title: title || `${skill} - ${grade}`,
-    description: parsedContent.instructions || `Worksheet for ${curriculum} curriculum`,
-    questions: questions.map((q, index) => convertQuestionToForms(q, index)),
+    title: translation.title || title || `${skill} - ${grade}`,
+    description: translation.instructions || parsedContent.instructions || `Worksheet for ${curriculum} curriculum`,
+    questions: [],
     settings: {
       isQuiz: true,
       showResultsAutomatically: true,
@@ -43,9 +48,48 @@ function convertToMicrosoftForms(worksheet) {
     }
   };
 
+  // Mixed worksheets map each section to a Forms section (question group)
+  if (Array.isArray(parsedContent.sections)) {
+    formsData.sections = parsedContent.sections.map((section, sectionIndex) => {
+      const sectionQuestions = (section.items || []).map((q, i, items) => {
+        const converted = convertQuestionToForms(toFormsQuestion(q, section.type, items, translated), formsData.questions.length);
+        converted.section = `section_${sectionIndex + 1}`;
+        formsData.questions.push(converted);
+        return converted;
+      });
+
+      const sectionTranslation = (translated && section.translation) || {};
+      return {
+        id: `section_${sectionIndex + 1}`,
+        title: sectionTranslation.title || section.title,
+        description: sectionTranslation.instructions || section.instructions || '',
+        questionIds: sectionQuestions.map(q => q.id)
+      };
+    });
+    return formsData;
+  }
+
+  const questions = parsedContent.items || parsedContent.questions || [];
+  formsData.questions = questions.map((q, index) => convertQuestionToForms(toFormsQuestion(q, parsedContent.type, questions, translated), index));
+
   return formsData;
 }
 
+/**
+ * Map a template item to a plain question using its template's Forms mapping.
+ * Items from templates without a mapping (and AI content) are used as they are.
+ * @param {Object} item - Worksheet item
+ * @param {string} type - Content type the item belongs to
+ * @param {Object[]} items - All items of that block, for questions built from the whole set (e.g. matching)
+ * @param {boolean} translated - Ask the item's translation instead of its own text
+ * @returns {Object} - Question object
+ */
+function toFormsQuestion(item, type, items, translated = false) {
+  const template = getTemplateForType(type);
+  const question = template?.toFormsQuestion ? template.toFormsQuestion(item, items) : item;
+  return translated && item.translation ? { ...question, question: item.translation } : question;
+}
+
 /**
  * Convert a single question to Microsoft Forms format
  * @param {Object} question - Question object
@@ -113,14 +157,18 @@ function generateFormsCreationUrl(worksheet) {
 /**
  * Generate Excel-compatible data for Microsoft Forms import
  * @param {Object} worksheet - Worksheet data
+ * @param {Object} options - { language }, see convertToMicrosoftForms
  * @returns {string} - CSV formatted string
  */
-function generateExcelImportData(worksheet) {
-  const formsData = convertToMicrosoftForms(worksheet);
+function generateExcelImportData(worksheet, options = {}) {
+  const formsData = convertToMicrosoftForms(worksheet, options);
   
   // CSV format for Excel
   // Headers
   const headers = ['Question Number', 'Question Text', 'Question Type', 'Option 1', 'Option 2', 'Option 3', 'Option 4', 'Correct Answer', 'Points'];
+  const sectionTitles = {};
+  (formsData.sections || []).forEach(section => { sectionTitles[section.id] = section.title; });
+  if (formsData.sections) headers.unshift('Section');
   
   // Rows
   const rows = formsData.questions.map((q, index) => {
@@ -129,6 +177,7 @@ function generateExcelImportData(worksheet) {
       (options.find(c => c.isCorrect)?.text) || '';
     
     return [
+      ...(formsData.sections ? [`"${(sectionTitles[q.section] || '').replace(/"/g, '""')}"`] : []),
       index + 1,
       `"${q.title.replace(/"/g, '""')}"`, // Escape quotes
       q.type,
@@ -153,17 +202,30 @@ function generateExcelImportData(worksheet) {
 /**
  * Generate copy-paste friendly format for manual entry
  * @param {Object} worksheet - Worksheet data
+ * @param {Object} options - { language }, see convertToMicrosoftForms
  * @returns {string} - Formatted text for copy-paste
  */
-function generateCopyPasteFormat(worksheet) {
-  const formsData = convertToMicrosoftForms(worksheet);
+function generateCopyPasteFormat(worksheet, options = {}) {
+  const formsData = convertToMicrosoftForms(worksheet, options);
   
   let text = `📋 ${formsData.title}\n`;
   text += `${'─'.repeat(50)}\n\n`;
   text += `📝 ${formsData.description}\n\n`;
   text += `${'─'.repeat(50)}\n\n`;
 
+  const sectionStarts = {};
+  (formsData.sections || []).forEach(section => {
+    if (section.questionIds.length > 0) sectionStarts[section.questionIds[0]] = section;
+  });
+
   formsData.questions.forEach((q, index) => {
+    const section = sectionStarts[q.id];
+    if (section) {
+      text += `📂 ${section.title}\n`;
+      if (section.description) text += `${section.description}\n`;
+      text += '\n';
+    }
+
     text += `Question ${index + 1}: ${q.title}\n`;
     
     if (q.type === 'choice' && q.choices.length > 0) {
@@ -190,14 +252,15 @@ function generateCopyPasteFormat(worksheet) {
  * Generate Microsoft Forms deep link for quiz creation
  * This creates a link that opens Microsoft Forms quiz editor
  * @param {Object} worksheet - Worksheet data
+ * @param {Object} options - { language }, see convertToMicrosoftForms
  * @returns {Object} - Object containing various export formats
  */
-function generateExportFormats(worksheet) {
+function generateExportFormats(worksheet, options = {}) {
   return {
-    formsData: convertToMicrosoftForms(worksheet),
+    formsData: convertToMicrosoftForms(worksheet, options),
     formsUrl: generateFormsCreationUrl(worksheet),
-    csvData: generateExcelImportData(worksheet),
-    copyPasteText: generateCopyPasteFormat(worksheet),
+    csvData: generateExcelImportData(worksheet, options),
+    copyPasteText: generateCopyPasteFormat(worksheet, options),
     instructions: {
       method1: {
         title: 'Create Manually in Microsoft Forms',
@@ -233,10 +296,11 @@ function generateExportFormats(worksheet) {
  * Generate Microsoft Forms JSON for API integration
  * This format can be used with Microsoft Graph API if configured
  * @param {Object} worksheet - Worksheet data
+ * @param {Object} options - { language }, see convertToMicrosoftForms
  * @returns {Object} - Microsoft Graph API compatible format
  */
-function generateGraphApiFormat(worksheet) {
-  const formsData = convertToMicrosoftForms(worksheet);
+function generateGraphApiFormat(worksheet, options = {}) {
+  const formsData = convertToMicrosoftForms(worksheet, options);
   
   return {
     displayName: formsData.title,
@@ -246,8 +310,17 @@ function generateGraphApiFormat(worksheet) {
       calculationMode: 'manual',
       isAcceptingResponses: true
     },
+    ...(formsData.sections ? {
+      sections: formsData.sections.map(section => ({
+        id: section.id,
+        title: section.title,
+        description: section.description,
+        questionIds: section.questionIds
+      }))
+    } : {}),
     questions: formsData.questions.map((q, index) => ({
       id: q.id,
+      section: q.section,
       title: q.title,
       type: q.type === 'choice' ? 'multipleChoice' : 'text',
       required: q.required,
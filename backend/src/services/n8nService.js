@@ -2,6 +2,10 @@
 const N8N_WEBHOOK_URL = process.env.N8N_WEBHOOK_URL || 'https://your-n8n-instance.com/webhook/worksheet-generate';
 const N8N_API_KEY = process.env.N8N_API_KEY || 'your-api-key';
 
+// Translation runs on its own workflow (n8n/worksheet-translation-workflow.json)
+const N8N_TRANSLATION_WEBHOOK_URL = process.env.N8N_TRANSLATION_WEBHOOK_URL ||
+  N8N_WEBHOOK_URL.replace('/worksheet-generate', '/worksheet-translate');
+
 // Retry configuration
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
@@ -9,6 +13,36 @@ const RETRY_DELAY = 1000; // 1 second
 // Import AI usage service for quota checking and logging
 const aiUsageService = require('./aiUsageService');
 
+/**
+ * Stop before calling AI when the school has used up its quota
+ * @param {string} schoolId - School ID (no check without one)
+ * @throws {Error} - AI_QUOTA_EXCEEDED when the quota is used up
+ */
+async function enforceAiQuota(schoolId) {
+  if (!schoolId) return;
+
+  try {
+    const quota = await aiUsageService.checkQuota(schoolId);
+    
+    if (quota.exceeded) {
+      console.error(`[n8n] AI quota exceeded for school ${schoolId}`);
+      throw new Error('AI_QUOTA_EXCEEDED: Your AI usage quota has been exceeded for this billing period. Please upgrade your plan or wait for the next billing cycle.');
+    }
+
+    // Log warning if approaching limit
+    if (quota.warning) {
+      console.warn(`[n8n] Quota warning for school ${schoolId}: ${quota.percentage}% used`);
+    }
+  } catch (error) {
+    // If it's our quota error, re-throw it
+    if (error.message.startsWith('AI_QUOTA_EXCEEDED')) {
+      throw error;
+    }
+    // For other errors, log but continue (don't block on quota check failure)
+    console.error('[n8n] Quota check failed:', error.message);
+  }
+}
+
 /**
  * Generate worksheet content using n8n AI service
  * @param {Object} params - Worksheet parameters
@@ -21,6 +55,9 @@ const aiUsageService = require('./aiUsageService');
  * @param {string} params.schoolId - School ID for quota tracking
  * @param {string} params.userId - User ID for quota tracking
  * @param {string} params.requestId - Optional request ID for correlation
+ * @param {string} params.difficulty - Optional difficulty (easy, medium, hard)
+ * @param {string} params.feature - Feature name for usage logging (default "worksheet_generation")
+ * @param {string[]} params.avoidQuestions - Questions already on the sheet that should not be repeated
  * @returns {Promise<Object>} - Generated worksheet content
  */
 async function generateWorksheetContent(params) {
@@ -31,36 +68,18 @@ async function generateWorksheetContent(params) {
     skill, 
     theme, 
     questionCount = 8,
+    difficulty,
     schoolId,
     userId,
-    requestId
+    requestId,
+    feature = 'worksheet_generation',
+    avoidQuestions = []
   } = params;
 
   // ============================================
   // QUOTA ENFORCEMENT - Check before calling AI
   // ============================================
-  if (schoolId) {
-    try {
-      const quota = await aiUsageService.checkQuota(schoolId);
-      
-      if (quota.exceeded) {
-        console.error(`[n8n] AI quota exceeded for school ${schoolId}`);
-        throw new Error('AI_QUOTA_EXCEEDED: Your AI usage quota has been exceeded for this billing period. Please upgrade your plan or wait for the next billing cycle.');
-      }
-
-      // Log warning if approaching limit
-      if (quota.warning) {
-        console.warn(`[n8n] Quota warning for school ${schoolId}: ${quota.percentage}% used`);
-      }
-    } catch (error) {
-      // If it's our quota error, re-throw it
-      if (error.message.startsWith('AI_QUOTA_EXCEEDED')) {
-        throw error;
-      }
-      // For other errors, log but continue (don't block on quota check failure)
-      console.error('[n8n] Quota check failed:', error.message);
-    }
-  }
+  await enforceAiQuota(schoolId);
 
   // Generate unique request ID if not provided
   const trackingId = requestId || `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -72,9 +91,12 @@ async function generateWorksheetContent(params) {
     skill,
     theme: theme || 'general',
     questionCount,
+    difficulty,
+    avoidQuestions,
     // Include tracking data for usage logging
     schoolId,
     userId,
+    feature,
     requestId: trackingId,
     timestamp: new Date().toISOString()
   };
@@ -143,7 +165,7 @@ async function generateWorksheetContent(params) {
     await aiUsageService.logAiUsage({
       schoolId,
       userId,
-      feature: 'worksheet_generation',
+      feature,
       model: 'fallback',
       inputTokens: 0,
       outputTokens: 0,
@@ -395,6 +417,77 @@ function getWordsForLetter(letter, count) {
   return (wordLists[letter] || ['Word1', 'Word2', 'Word3', 'Word4']).slice(0, count);
 }
 
+/**
+ * Translate worksheet texts (title, instructions, questions) using n8n AI service
+ * @param {Object} params - Translation parameters
+ * @param {string[]} params.texts - Texts to translate
+ * @param {string} params.sourceLanguage - Language code of the texts, e.g. "en"
+ * @param {string} params.targetLanguage - Language code to translate into, e.g. "hi"
+ * @param {string} params.schoolId - School ID for quota tracking
+ * @param {string} params.userId - User ID for quota tracking
+ * @returns {Promise<string[]>} - Translations, in the same order as the texts
+ * @throws {Error} - AI_QUOTA_EXCEEDED, or TRANSLATION_UNAVAILABLE when n8n can't be reached
+ */
+async function translateTexts(params) {
+  const { texts, sourceLanguage, targetLanguage, schoolId, userId } = params;
+
+  await enforceAiQuota(schoolId);
+
+  const payload = {
+    texts,
+    sourceLanguage,
+    targetLanguage,
+    schoolId,
+    userId,
+    feature: 'worksheet_translation',
+    requestId: `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    timestamp: new Date().toISOString()
+  };
+
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    try {
+      console.log(`[n8n] Attempt ${attempt}: Translating ${texts.length} texts into ${targetLanguage}`);
+
+      const response = await fetch(N8N_TRANSLATION_WEBHOOK_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Key': N8N_API_KEY
+        },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(30000) // 30 second timeout
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+      }
+
+      const { translations } = await response.json();
+
+      // One non-empty translation per text, in order
+      if (!Array.isArray(translations) || translations.length !== texts.length ||
+        translations.some(text => typeof text !== 'string' || !text.trim())) {
+        throw new Error('Invalid translations received from n8n');
+      }
+
+      return translations.map(text => text.trim());
+    } catch (error) {
+      lastError = error;
+      console.error(`[n8n] Attempt ${attempt} failed:`, error.message);
+
+      if (attempt < MAX_RETRIES) {
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * attempt));
+      }
+    }
+  }
+
+  // No fallback: a wrong translation is worse than none
+  throw new Error(`TRANSLATION_UNAVAILABLE: ${lastError?.message}`);
+}
+
 /**
  * Test n8n connection
  * @returns {Promise<boolean>} - Whether connection is successful
@@ -418,6 +511,7 @@ async function testConnection() {
 module.exports = {
   generateWorksheetContent,
   generateCurriculumWorksheet,
+  translateTexts,
   validateWorksheetContent,
   normalizeContent,
   testConnection
@@ -0,0 +1,209 @@
+/**
+ * PDF Cache Service
+ * Rendered worksheet PDFs kept on disk under uploads/pdf-cache, keyed by a
+ * hash of everything that shows on the page: the worksheet content, the
+ * school's branding (name, logo, plan watermark, branding kit) and the render options.
+ * The hash doubles as the download's ETag. Files not downloaded for
+ * PDF_CACHE_MAX_AGE_HOURS are pruned, oldest first once the cache grows past
+ * PDF_CACHE_MAX_MB.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const worksheetPdfService = require('./worksheetPdfService');
+
+const CACHE_DIR = path.join(__dirname, '../../uploads/pdf-cache');
+const MAX_AGE_HOURS = parseInt(process.env.PDF_CACHE_MAX_AGE_HOURS) || 72;
+const MAX_MB = parseInt(process.env.PDF_CACHE_MAX_MB) || 500;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// Bump when the PDF layout or templates change so older renders are not served
+const CACHE_VERSION = 2;
+
+let pruneTimer = null;
+
+// Renders in progress by key, so simultaneous downloads of one PDF render it once
+const pending = new Map();
+
+/**
+ * Cache key of a worksheet PDF
+ * @param {Object} worksheet - Worksheet with its school and branding (brandingService.withPdfBranding)
+ * @param {Object} options - Options from resolvePdfOptions
+ * @returns {string} - Hex SHA-256
+ */
+function pdfCacheKey(worksheet, options) {
+  const { school } = worksheet;
+  const inputs = {
+    version: CACHE_VERSION,
+    worksheet: {
+      title: worksheet.title,
+      content: worksheet.content,
+      language: worksheet.language,
+      // Variants are rebuilt from the seed and generator settings
+      seed: worksheet.seed,
+      skill: worksheet.skill,
+      curriculum: worksheet.curriculum,
+      grade: worksheet.grade,
+      theme: worksheet.theme,
+      difficulty: worksheet.difficulty,
+      generatorOptions: worksheet.generatorOptions
+    },
+    branding: { name: school.name, logo: school.logo, plan: school.plan, kit: worksheet.branding },
+    options
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
+function cachePath(worksheet, key) {
+  return path.join(CACHE_DIR, worksheet.schoolId, worksheet.id, `${key}.pdf`);
+}
+
+/**
+ * A worksheet PDF from the cache, rendered and stored on a miss
+ * @param {Object} worksheet - Worksheet with its school
+ * @param {Object} options - Options from resolvePdfOptions
+ * @param {string} key - pdfCacheKey, when the caller already has it
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+async function getWorksheetPDF(worksheet, options, key = pdfCacheKey(worksheet, options)) {
+  const filePath = cachePath(worksheet, key);
+  try {
+    const pdf = await fs.promises.readFile(filePath);
+    // Mark it as used so pruning removes the least recently downloaded PDFs
+    const now = new Date();
+    fs.promises.utimes(filePath, now, now).catch(() => {});
+    return pdf;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  if (!pending.has(key)) {
+    const rendering = renderAndStore(worksheet, options, filePath)
+      .finally(() => pending.delete(key));
+    pending.set(key, rendering);
+  }
+  return pending.get(key);
+}
+
+async function renderAndStore(worksheet, options, filePath) {
+  const pdf = await worksheetPdfService.renderWorksheetPDF(worksheet, options);
+
+  // Write beside the final name and rename, so a reader never sees half a file
+  try {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, pdf);
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    console.error('[pdf-cache] Could not store a rendered PDF:', error.message);
+  }
+  return pdf;
+}
+
+/**
+ * Drop a worksheet's cached PDFs (after it is edited or deleted)
+ * @param {Object} worksheet - Worksheet with id and schoolId
+ * @returns {Promise<void>}
+ */
+function invalidateWorksheet(worksheet) {
+  return removeDir(path.join(CACHE_DIR, worksheet.schoolId, worksheet.id));
+}
+
+/**
+ * Drop every cached PDF of a school (after its name or logo changes)
+ * @param {string} schoolId - School ID
+ * @returns {Promise<void>}
+ */
+function invalidateSchool(schoolId) {
+  return removeDir(path.join(CACHE_DIR, schoolId));
+}
+
+/**
+ * Drop every cached PDF (after bundled theme pictures change)
+ * @returns {Promise<void>}
+ */
+function invalidateAll() {
+  return removeDir(CACHE_DIR);
+}
+
+// A stale cache is never served (keys change with the content), so failing to
+// clean up is logged rather than failing the request
+function removeDir(dir) {
+  return fs.promises.rm(dir, { recursive: true, force: true })
+    .catch(error => console.error('[pdf-cache] Could not clear cached PDFs:', error.message));
+}
+
+// Every file under a directory, with its size and last use
+async function listFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath));
+    } else {
+      const stats = await fs.promises.stat(entryPath).catch(() => null);
+      if (stats) files.push({ path: entryPath, size: stats.size, usedAt: stats.mtimeMs });
+    }
+  }
+  return files;
+}
+
+/**
+ * Delete cached PDFs not used for PDF_CACHE_MAX_AGE_HOURS, then the least
+ * recently used ones until the cache fits in PDF_CACHE_MAX_MB
+ * @returns {Promise<number>} - Number of files deleted
+ */
+async function pruneCache() {
+  const files = (await listFiles(CACHE_DIR)).sort((a, b) => a.usedAt - b.usedAt);
+  const cutoff = Date.now() - MAX_AGE_HOURS * 60 * 60 * 1000;
+  let total = files.reduce((sum, file) => sum + file.size, 0);
+  let removed = 0;
+
+  for (const file of files) {
+    if (file.usedAt >= cutoff && total <= MAX_MB * 1024 * 1024) break;
+    await fs.promises.rm(file.path, { force: true });
+    total -= file.size;
+    removed += 1;
+
+    // Leave no empty worksheet or school directories behind
+    const worksheetDir = path.dirname(file.path);
+    for (const dir of [worksheetDir, path.dirname(worksheetDir)]) {
+      if (dir === CACHE_DIR) break;
+      await fs.promises.rmdir(dir).catch(() => {});
+    }
+  }
+  return removed;
+}
+
+/**
+ * Prune the cache now and every hour
+ */
+function startCachePruning() {
+  if (pruneTimer) return;
+
+  const prune = () => pruneCache()
+    .catch(error => console.error('[pdf-cache] Pruning failed:', error.message));
+  pruneTimer = setInterval(prune, PRUNE_INTERVAL);
+  pruneTimer.unref();
+  prune();
+}
+
+module.exports = {
+  CACHE_DIR,
+  pdfCacheKey,
+  getWorksheetPDF,
+  invalidateWorksheet,
+  invalidateSchool,
+  invalidateAll,
+  pruneCache,
+  startCachePruning
+};
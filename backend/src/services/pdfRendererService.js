@@ -0,0 +1,193 @@
+/**
+ * PDF Renderer Service
+ * One shared headless browser renders every HTML-to-PDF request. Renders run
+ * on at most PDF_MAX_PAGES pages at once; the rest wait in a queue (bounded
+ * by PDF_MAX_QUEUE) and give up after PDF_QUEUE_TIMEOUT_MS. A crashed browser
+ * is relaunched and the render retried once.
+ */
+
+const puppeteer = require('puppeteer');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES) || 4;
+const MAX_QUEUE = parseInt(process.env.PDF_MAX_QUEUE) || 50;
+const QUEUE_TIMEOUT = parseInt(process.env.PDF_QUEUE_TIMEOUT_MS) || 30000;
+const RENDER_TIMEOUT = parseInt(process.env.PDF_RENDER_TIMEOUT_MS) || 60000;
+
+const LAUNCH_OPTIONS = {
+  headless: 'new',
+  args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+};
+
+const PDF_OPTIONS = {
+  format: 'A4',
+  printBackground: true,
+  margin: { top: '20px', bottom: '20px', left: '20px', right: '20px' }
+};
+
+let browserPromise = null;
+let activePages = 0;
+const queue = [];
+
+const stats = {
+  rendered: 0,
+  failed: 0,
+  queueTimeouts: 0,
+  queueRejections: 0,
+  browserLaunches: 0,
+  browserCrashes: 0,
+  totalRenderMs: 0,
+  maxRenderMs: 0,
+  totalWaitMs: 0,
+  maxQueueDepth: 0
+};
+
+// The shared browser, launched on first use and again after a crash
+function getBrowser() {
+  if (!browserPromise) {
+    stats.browserLaunches++;
+    const launching = puppeteer.launch(LAUNCH_OPTIONS).then(browser => {
+      browser.on('disconnected', () => {
+        if (browserPromise !== launching) return;
+        console.error('[pdf] Browser disconnected; it will be relaunched for the next render');
+        stats.browserCrashes++;
+        browserPromise = null;
+      });
+      return browser;
+    });
+    browserPromise = launching;
+    launching.catch(() => {
+      if (browserPromise === launching) browserPromise = null;
+    });
+  }
+  return browserPromise;
+}
+
+// Wait for a free page slot, or fail when the queue is full or the wait too long
+function acquireSlot() {
+  if (activePages < MAX_PAGES) {
+    activePages++;
+    return Promise.resolve();
+  }
+
+  if (queue.length >= MAX_QUEUE) {
+    stats.queueRejections++;
+    return Promise.reject(new AppError('PDF downloads are busy right now. Please try again in a minute.', 503));
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve };
+    waiter.timer = setTimeout(() => {
+      queue.splice(queue.indexOf(waiter), 1);
+      stats.queueTimeouts++;
+      reject(new AppError('PDF downloads are busy right now. Please try again in a minute.', 503));
+    }, QUEUE_TIMEOUT);
+    queue.push(waiter);
+    stats.maxQueueDepth = Math.max(stats.maxQueueDepth, queue.length);
+  });
+}
+
+// Hand the slot to the next waiting render, or free it
+function releaseSlot() {
+  const next = queue.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    activePages--;
+  }
+}
+
+/**
+ * Run a render on a fresh page of the shared browser
+ * @param {Function} render - async (page) => result; the page is closed afterwards
+ * @returns {Promise<*>} - What render returned
+ * @throws {AppError} - 503 when the queue is full or the wait times out
+ */
+async function withPage(render) {
+  const queuedAt = Date.now();
+  await acquireSlot();
+  const startedAt = Date.now();
+  stats.totalWaitMs += startedAt - queuedAt;
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      const browser = await getBrowser();
+      let page;
+      try {
+        page = await browser.newPage();
+        page.setDefaultTimeout(RENDER_TIMEOUT);
+        const result = await render(page);
+
+        const renderMs = Date.now() - startedAt;
+        stats.rendered++;
+        stats.totalRenderMs += renderMs;
+        stats.maxRenderMs = Math.max(stats.maxRenderMs, renderMs);
+        return result;
+      } catch (error) {
+        // Retry once on a relaunched browser when this one died mid-render
+        if (attempt === 1 && !browser.isConnected()) {
+          console.error('[pdf] Render failed on a crashed browser, retrying:', error.message);
+          continue;
+        }
+        throw error;
+      } finally {
+        if (page && browser.isConnected()) await page.close().catch(() => {});
+      }
+    }
+  } catch (error) {
+    stats.failed++;
+    throw error;
+  } finally {
+    releaseSlot();
+  }
+}
+
+/**
+ * Render an HTML document to a PDF
+ * @param {string} html - Complete HTML document (fonts and images inlined)
+ * @param {Object} options - Puppeteer page.pdf options, merged over A4 with 20px margins
+ *   (a width and height replace the A4 format)
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+function renderPDF(html, options = {}) {
+  const pdfOptions = { ...PDF_OPTIONS, timeout: RENDER_TIMEOUT, ...options };
+  // Puppeteer ignores width and height while a format is set
+  if (options.width && options.height && !options.format) delete pdfOptions.format;
+
+  return withPage(async page => {
+    await page.setContent(html, { waitUntil: 'networkidle0' });
+    await page.evaluateHandle('document.fonts.ready');
+    return page.pdf(pdfOptions);
+  });
+}
+
+/**
+ * Renderer load and timings, for the admin dashboard
+ * @returns {Object}
+ */
+function getMetrics() {
+  return {
+    browserRunning: !!browserPromise,
+    activePages,
+    maxPages: MAX_PAGES,
+    queueDepth: queue.length,
+    maxQueue: MAX_QUEUE,
+    maxQueueDepth: stats.maxQueueDepth,
+    rendered: stats.rendered,
+    failed: stats.failed,
+    queueTimeouts: stats.queueTimeouts,
+    queueRejections: stats.queueRejections,
+    browserLaunches: stats.browserLaunches,
+    browserCrashes: stats.browserCrashes,
+    averageRenderMs: stats.rendered > 0 ? Math.round(stats.totalRenderMs / stats.rendered) : 0,
+    maxRenderMs: stats.maxRenderMs,
+    averageWaitMs: stats.rendered + stats.failed > 0 ? Math.round(stats.totalWaitMs / (stats.rendered + stats.failed)) : 0
+  };
+}
+
+module.exports = {
+  withPage,
+  renderPDF,
+  getMetrics
+};
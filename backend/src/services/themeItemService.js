@@ -0,0 +1,68 @@
+/**
+ * Theme Item Service
+ * Pictures that templates place on a themed worksheet: the bundled clipart
+ * seeded for each theme, plus pictures a school has uploaded
+ */
+
+const prisma = require('../config/database');
+const { getClipartSet } = require('../utils/clipart');
+
+/**
+ * Pictures for a theme as seen by one school, in a stable order so the same
+ * seed keeps picking the same items. A school's picture replaces a bundled
+ * one with the same name.
+ * @param {string} theme - Theme name as stored on the worksheet
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Object[]>} - [{ name, imageUrl }]; empty for no or unknown themes
+ */
+async function findThemeItems(theme, schoolId) {
+  if (!theme) return [];
+
+  const rows = await prisma.themeItem.findMany({
+    where: {
+      isActive: true,
+      theme: { name: { equals: theme, mode: 'insensitive' }, isActive: true },
+      OR: [{ schoolId: null }, { schoolId }]
+    },
+    orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }, { id: 'asc' }]
+  });
+
+  const byName = new Map();
+  rows.filter(row => !row.schoolId).forEach(row => byName.set(row.name.toLowerCase(), row));
+  rows.filter(row => row.schoolId).forEach(row => byName.set(row.name.toLowerCase(), row));
+
+  return [...byName.values()].map(row => ({ name: row.name, imageUrl: row.imageUrl }));
+}
+
+/**
+ * Give a theme its bundled icon and clipart items, if it has a clipart set
+ * and hasn't been given items yet
+ * @param {Object} theme - Theme row
+ * @returns {Promise<number>} - Number of items created
+ */
+async function seedThemeClipart(theme) {
+  const set = getClipartSet(theme.name);
+  if (!set) return 0;
+
+  if (!theme.iconUrl) {
+    await prisma.theme.update({ where: { id: theme.id }, data: { iconUrl: set.iconUrl } });
+  }
+
+  const existing = await prisma.themeItem.count({ where: { themeId: theme.id, schoolId: null } });
+  if (existing > 0) return 0;
+
+  const { count } = await prisma.themeItem.createMany({
+    data: set.items.map((item, i) => ({
+      themeId: theme.id,
+      name: item.name,
+      imageUrl: item.imageUrl,
+      sortOrder: i
+    }))
+  });
+  return count;
+}
+
+module.exports = {
+  findThemeItems,
+  seedThemeClipart
+};
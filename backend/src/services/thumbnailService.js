@@ -0,0 +1,155 @@
+/**
+ * Thumbnail Service
+ * First-page PNG previews of worksheets for the library, rendered in the
+ * background from the same HTML as the PDF and stored under
+ * uploads/thumbnails/<worksheetId>/<hash>.png. The hash changes with the
+ * content, so an edited worksheet gets a new URL and browsers never show a
+ * stale preview.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const prisma = require('../config/database');
+const worksheetPdfService = require('./worksheetPdfService');
+const pdfRendererService = require('./pdfRendererService');
+const pdfCacheService = require('./pdfCacheService');
+const brandingService = require('./brandingService');
+
+const THUMBNAIL_DIR = path.join(__dirname, '../../uploads/thumbnails');
+
+// An A4 page at 96 DPI, captured at 40% (about 318 x 449 pixels)
+const VIEWPORT = { width: 794, height: 1123, deviceScaleFactor: 0.4 };
+
+// Thumbnails render one at a time so downloads keep most of the browser pool
+let chain = Promise.resolve();
+const scheduled = new Set();
+
+/**
+ * Render the first page of a worksheet as a PNG
+ * @param {Object} worksheet - Worksheet with its school and branding
+ * @returns {Promise<Buffer>} - PNG bytes
+ */
+function renderThumbnail(worksheet) {
+  const html = worksheetPdfService.generateWorksheetHTML(worksheet, false);
+  return pdfRendererService.withPage(async page => {
+    await page.setViewport(VIEWPORT);
+    await page.setContent(html, { waitUntil: 'networkidle0' });
+    await page.evaluateHandle('document.fonts.ready');
+    return page.screenshot({ type: 'png' });
+  });
+}
+
+/**
+ * Render and store a worksheet's thumbnail unless it is already current
+ * @param {string} worksheetId - Worksheet ID
+ * @returns {Promise<string|null>} - Thumbnail URL, or null when the worksheet
+ *   was deleted or changed while rendering (a newer render is queued then)
+ */
+async function updateThumbnail(worksheetId) {
+  const worksheet = await prisma.worksheet.findUnique({
+    where: { id: worksheetId },
+    include: { school: true }
+  });
+  if (!worksheet) return null;
+
+  const printable = await brandingService.withPdfBranding(worksheet);
+  const hash = pdfCacheService.pdfCacheKey(printable, { thumbnail: true }).slice(0, 16);
+  const url = `/uploads/thumbnails/${worksheet.id}/${hash}.png`;
+  if (worksheet.thumbnail === url) return url;
+
+  const png = await renderThumbnail(printable);
+  const dir = path.join(THUMBNAIL_DIR, worksheet.id);
+  const filePath = path.join(dir, `${hash}.png`);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(filePath, png);
+
+  // Only record it if the worksheet is unchanged, and keep its updatedAt so a
+  // new preview does not move the worksheet up the "recent" lists
+  const { count } = await prisma.worksheet.updateMany({
+    where: { id: worksheet.id, updatedAt: worksheet.updatedAt },
+    data: { thumbnail: url, updatedAt: worksheet.updatedAt }
+  });
+  if (count === 0) {
+    await fs.promises.rm(filePath, { force: true });
+    return null;
+  }
+
+  const files = await fs.promises.readdir(dir);
+  await Promise.all(files
+    .filter(file => file !== `${hash}.png`)
+    .map(file => fs.promises.rm(path.join(dir, file), { force: true })));
+  return url;
+}
+
+/**
+ * Queue a worksheet's thumbnail to be rendered in the background (after it is
+ * created or its content changes). Failures are logged, never thrown.
+ * @param {string} worksheetId - Worksheet ID
+ */
+function scheduleThumbnail(worksheetId) {
+  if (scheduled.has(worksheetId)) return;
+  scheduled.add(worksheetId);
+
+  chain = chain
+    .then(() => {
+      // Changes made from here on queue another render
+      scheduled.delete(worksheetId);
+      return updateThumbnail(worksheetId);
+    })
+    .catch(error => console.error(`[thumbnail] Could not render worksheet ${worksheetId}:`, error.message));
+}
+
+/**
+ * Queue thumbnails for worksheets that have none (e.g. created before
+ * thumbnails existed), most recently updated first
+ * @returns {Promise<number>} - Number of worksheets queued
+ */
+async function queueMissingThumbnails() {
+  const worksheets = await prisma.worksheet.findMany({
+    where: { thumbnail: null },
+    select: { id: true },
+    orderBy: { updatedAt: 'desc' }
+  });
+  worksheets.forEach(worksheet => scheduleThumbnail(worksheet.id));
+  return worksheets.length;
+}
+
+/**
+ * Queue new thumbnails for every worksheet of a school (after its name, logo
+ * or branding changes, which show in the header). Failures are logged, never thrown.
+ * @param {string} schoolId - School ID
+ * @returns {Promise<number>} - Number of worksheets queued
+ */
+async function queueSchoolThumbnails(schoolId) {
+  try {
+    const worksheets = await prisma.worksheet.findMany({
+      where: { schoolId },
+      select: { id: true },
+      orderBy: { updatedAt: 'desc' }
+    });
+    worksheets.forEach(worksheet => scheduleThumbnail(worksheet.id));
+    return worksheets.length;
+  } catch (error) {
+    console.error(`[thumbnail] Could not queue thumbnails of school ${schoolId}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Delete a worksheet's thumbnails (after it is deleted)
+ * @param {string} worksheetId - Worksheet ID
+ * @returns {Promise<void>}
+ */
+function removeThumbnails(worksheetId) {
+  return fs.promises.rm(path.join(THUMBNAIL_DIR, worksheetId), { recursive: true, force: true })
+    .catch(error => console.error('[thumbnail] Could not remove thumbnails:', error.message));
+}
+
+module.exports = {
+  THUMBNAIL_DIR,
+  updateThumbnail,
+  scheduleThumbnail,
+  queueMissingThumbnails,
+  queueSchoolThumbnails,
+  removeThumbnails
+};
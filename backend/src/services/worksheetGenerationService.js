@@ -0,0 +1,181 @@
+/**
+ * Worksheet Generation Service
+ * Builds template worksheet content from a seed, and class test variants of a
+ * saved worksheet. Shared by the worksheet routes and the PDF export worker.
+ */
+
+const prisma = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const themeItemService = require('./themeItemService');
+const templateRegistry = require('../templates');
+const { DEFAULT_LANGUAGE } = require('../utils/languages');
+const { shuffleContent } = require('../utils/worksheetContent');
+const { generateSeed, deriveSeed, seedFromString, createRandom } = require('../utils/random');
+
+// Class test variants are labelled Set A, Set B, ...
+const MAX_VARIANTS = 6;
+
+/**
+ * Generate template worksheet content. The same seed and options always
+ * produce the same items for a given skill, grade and theme.
+ * @param {string} skill - Skill name
+ * @param {string} curriculum - INDIAN, IB or MONTESSORI
+ * @param {string} grade - Grade
+ * @param {string} theme - Theme name
+ * @param {number} seed - Seed for the generator
+ * @param {Object} options - Generator options (difficulty, language, questionCount, sections, template params)
+ * @param {Object} schoolContext - { themeItems, locale } from loadSchoolContext
+ * @returns {Object} - Worksheet content
+ */
+function generateWorksheetContent(skill, curriculum, grade, theme, seed = generateSeed(), options = {}, schoolContext = {}) {
+  if (options.sections) {
+    return generateMixedWorksheet({ curriculum, grade, theme, seed, options, schoolContext });
+  }
+
+  const template = templateRegistry.getTemplate(skill);
+  if (!template) {
+    throw new AppError(`There is no worksheet template for "${skill}"`, 400);
+  }
+
+  const { themeItems = [], locale } = schoolContext;
+  return template.generate({
+    curriculum,
+    grade,
+    theme,
+    themeItems,
+    locale,
+    language: options.language || DEFAULT_LANGUAGE,
+    random: createRandom(seed),
+    options,
+    count: options.questionCount
+  });
+}
+
+// Generate a worksheet made of several skill sections, e.g. 5 counting + 5 addition.
+// Each section gets its own seed so adding a section doesn't change the others.
+function generateMixedWorksheet({ curriculum, grade, theme, seed, options, schoolContext }) {
+  const { sections, questionCount, ...sectionOptions } = options;
+
+  return {
+    title: 'Mixed Practice',
+    instructions: 'Complete each section below.',
+    sections: sections.map((spec, i) => {
+      const generated = generateWorksheetContent(spec.skill, curriculum, grade, theme, seedFromString(`${seed}:${i}`), {
+        ...sectionOptions,
+        questionCount: spec.questionCount
+      }, schoolContext);
+      return {
+        skill: spec.skill,
+        title: generated.title,
+        instructions: spec.instructions || generated.instructions,
+        type: generated.type,
+        items: generated.items
+      };
+    }),
+    type: 'mixed'
+  };
+}
+
+/**
+ * Options a worksheet was generated with, for regenerating it the same way
+ * @param {Object} worksheet - Worksheet from the database
+ * @returns {Object} - Generator options
+ */
+function getGeneratorOptions(worksheet) {
+  return {
+    ...(worksheet.generatorOptions || {}),
+    difficulty: worksheet.difficulty || undefined,
+    language: worksheet.language || undefined
+  };
+}
+
+/**
+ * What templates need to know about the school: its pictures for the theme,
+ * and its locale for names and currency in word problems
+ * @param {string} theme - Theme name
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Object>} - { themeItems, locale }
+ */
+async function loadSchoolContext(theme, schoolId) {
+  const [themeItems, school] = await Promise.all([
+    themeItemService.findThemeItems(theme, schoolId),
+    prisma.school.findUnique({ where: { id: schoolId }, select: { locale: true } })
+  ]);
+  return { themeItems, locale: school?.locale };
+}
+
+/**
+ * Template content can be rebuilt locally; AI-generated items have no type
+ * @param {Object} content - Worksheet content
+ * @returns {boolean}
+ */
+function isTemplateContent(content) {
+  if (Array.isArray(content.sections)) return content.sections.every(section => !!section.type);
+  return !!content.type && !Array.isArray(content.questions);
+}
+
+/**
+ * Build class test variants of a worksheet. Set A is the worksheet as saved.
+ * Template worksheets whose items are still exactly what their seed generates
+ * get new numbers from derived seeds; anything the teacher edited, added or
+ * locked is kept, and the other sets reshuffle the saved items instead.
+ * @param {Object} worksheet - Worksheet from the database
+ * @param {number} count - Number of variants (1 to MAX_VARIANTS)
+ * @param {Object} schoolContext - { themeItems, locale } from loadSchoolContext
+ * @returns {Object[]} - [{ label, seed, content }]
+ */
+function buildVariants(worksheet, count, schoolContext = {}) {
+  const { content } = worksheet;
+  const baseSeed = worksheet.seed || seedFromString(worksheet.id);
+  const regenerate = seed => generateWorksheetContent(
+    worksheet.skill, worksheet.curriculum, worksheet.grade, worksheet.theme, seed, getGeneratorOptions(worksheet), schoolContext
+  );
+
+  let regenerable = false;
+  if (worksheet.seed && isTemplateContent(content)) {
+    const original = regenerate(worksheet.seed);
+    regenerable = matchVariantContent(content, original) !== null && isSameItems(content, original);
+  }
+
+  return Array.from({ length: count }, (_, i) => {
+    const label = `Set ${String.fromCharCode(65 + i)}`;
+    if (i === 0) return { label, content };
+
+    const seed = deriveSeed(baseSeed, i);
+    if (regenerable) {
+      const variant = matchVariantContent(content, regenerate(seed));
+      if (variant) return { label, seed, content: variant };
+    }
+
+    return { label, seed, content: shuffleContent(content, createRandom(seed)) };
+  });
+}
+
+// Whether two contents hold the same items, section by section
+function isSameItems(content, generated) {
+  if (Array.isArray(content.sections)) {
+    return content.sections.every((section, i) => isSameItems(section, generated.sections[i]));
+  }
+  return JSON.stringify(content.items) === JSON.stringify(generated.items);
+}
+
+// Fit freshly generated items into the saved layout; null when the layouts differ
+function matchVariantContent(content, fresh) {
+  if (Array.isArray(content.sections)) {
+    if (!Array.isArray(fresh.sections) || fresh.sections.length !== content.sections.length) return null;
+    const sections = content.sections.map((section, i) => matchVariantContent(section, fresh.sections[i]));
+    return sections.every(Boolean) ? { ...content, sections } : null;
+  }
+
+  if (fresh.type !== content.type || fresh.items.length !== content.items.length) return null;
+  return { ...content, items: fresh.items };
+}
+
+module.exports = {
+  MAX_VARIANTS,
+  generateWorksheetContent,
+  getGeneratorOptions,
+  loadSchoolContext,
+  isTemplateContent,
+  buildVariants
+};
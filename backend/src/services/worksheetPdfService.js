@@ -0,0 +1,1061 @@
+/**
+ * Worksheet PDF Service
+ * Lays out worksheets, answer keys and class test sets as HTML and renders
+ * them to PDF on the shared renderer. Used by the download route and the
+ * export job worker.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+const answerKeyService = require('./answerKeyService');
+const pdfRendererService = require('./pdfRendererService');
+const { MAX_VARIANTS, buildVariants, loadSchoolContext } = require('./worksheetGenerationService');
+const templateRegistry = require('../templates');
+const { renderGenericItems } = require('../templates/renderers');
+const { FONTS, fontFaceCSS } = require('../utils/fonts');
+const { getLanguage } = require('../utils/languages');
+const { BILINGUAL_LAYOUTS, getItemText } = require('../utils/worksheetContent');
+const { DEFAULT_PAGE_LAYOUT, parsePageLayout, validatePageLayout, pageGeometry } = require('../utils/pageLayout');
+const { imposePages } = require('../utils/pdfImposition');
+const { DEFAULT_BRANDING, STUDENT_FIELDS } = require('../utils/branding');
+const { escapeHTML, trustedHTML } = require('../utils/html');
+
+// PDF downloads: the student copy, the answer key alone, or the copy followed by its key
+const PDF_DOCUMENTS = ['student', 'key', 'bundle'];
+const PDF_FILE_SUFFIXES = { student: '', key: '_answer_key', bundle: '_with_answer_key' };
+const IMPOSITION_SUFFIXES = { none: '', '2up': '_2up', booklet: '_booklet' };
+
+// Render the question items of one worksheet page
+function renderItemsHTML(content, showAnswers) {
+  // Mixed worksheets: each section under its own heading and instructions
+  if (Array.isArray(content.sections)) {
+    return content.sections.map((section, i) => `
+      <div class="worksheet-section">
+        <h2 class="section-heading">Section ${String.fromCharCode(65 + i)}: ${escapeHTML(section.title)}</h2>
+        <div class="section-instructions">${escapeHTML(section.instructions)}</div>
+        ${renderItemsHTML(section, showAnswers)}
+      </div>
+    `).join('');
+  }
+
+  let itemsHTML = '';
+
+  // Check if this is a curriculum worksheet (has questions array instead of type)
+  const isCurriculumWorksheet = content.questions && Array.isArray(content.questions);
+
+  if (isCurriculumWorksheet) {
+    // Handle curriculum worksheets with questions array
+    itemsHTML = content.questions.map((item, i) => {
+      let questionHTML = `
+        <div class="curriculum-question">
+          <div class="question-number">${i + 1}.</div>
+          <div class="question-content">
+            <div class="question-text">${escapeHTML(item.question)}</div>`;
+      
+      // Handle different question types
+      if (item.type === 'multiple-choice' && item.options) {
+        questionHTML += `
+            <div class="options-list">
+              ${item.options.map((opt, oi) => `
+                <div class="option${showAnswers && oi === item.correctAnswer ? ' correct' : ''}">
+                  <span class="option-letter">${String.fromCharCode(65 + oi)}.</span>
+                  <span class="option-text">${escapeHTML(opt)}</span>
+                </div>
+              `).join('')}
+            </div>`;
+      } else if (item.type === 'true-false') {
+        questionHTML += `
+            <div class="options-list">
+              <div class="option${showAnswers && item.correctAnswer === true ? ' correct' : ''}"><span class="option-letter">A.</span> <span class="option-text">True</span></div>
+              <div class="option${showAnswers && item.correctAnswer === false ? ' correct' : ''}"><span class="option-letter">B.</span> <span class="option-text">False</span></div>
+            </div>`;
+      } else if (item.type === 'fill-blank') {
+        questionHTML += `
+            <div class="answer-line">Answer: ${showAnswers ? escapeHTML(item.answer) : '________________________'}</div>`;
+      } else if (item.type === 'short-answer' && showAnswers && item.answer) {
+        questionHTML += `
+            <div class="answer-line">Answer: ${escapeHTML(item.answer)}</div>`;
+      } else if (item.type === 'short-answer') {
+        questionHTML += `
+            <div class="answer-lines">
+              <div class="answer-line"></div>
+              <div class="answer-line"></div>
+              <div class="answer-line"></div>
+            </div>`;
+      }
+      
+      questionHTML += `
+          </div>
+        </div>`;
+      return questionHTML;
+    }).join('');
+  } else {
+    // Template worksheets render through their template; anything else gets the generic layout
+    const template = templateRegistry.getTemplateForType(content.type);
+    itemsHTML = template
+      ? template.renderHTML(content.items, showAnswers)
+      : renderGenericItems(content.items, showAnswers);
+  }
+
+
+  return itemsHTML;
+}
+
+// Original text with its translation in a column beside it, or on a line under
+// it. Both are escaped (translations come from teacher overrides and the AI
+// service), and the markup is trusted so templates print it as is.
+function bilingualText(text, translation, bilingual) {
+  if (!translation) return text;
+  const original = escapeHTML(text);
+  const translated = escapeHTML(translation);
+  const lang = escapeHTML(bilingual.language);
+  return trustedHTML(bilingual.layout === 'columns'
+    ? `<span class="bilingual-columns"><span>${original}</span><span class="translation" lang="${lang}">${translated}</span></span>`
+    : `${original}<span class="translation-line" lang="${lang}">${translated}</span>`);
+}
+
+// Content whose instructions, section headings and item texts carry their
+// translations, so templates print both languages without knowing about them
+function bilingualContent(content, bilingual) {
+  const withItems = items => (items || []).map(item => {
+    const itemText = getItemText(item);
+    return itemText && item.translation
+      ? { ...item, [itemText.field]: bilingualText(itemText.text, item.translation, bilingual) }
+      : item;
+  });
+  const withInstructions = source => ({
+    ...source,
+    instructions: bilingualText(source.instructions, source.translation?.instructions, bilingual)
+  });
+
+  if (Array.isArray(content.questions)) return { ...withInstructions(content), questions: withItems(content.questions) };
+  if (Array.isArray(content.sections)) {
+    return {
+      ...withInstructions(content),
+      sections: content.sections.map(section => ({
+        ...withInstructions(section),
+        title: bilingualText(section.title, section.translation?.title, bilingual),
+        items: withItems(section.items)
+      }))
+    };
+  }
+  return { ...withInstructions(content), items: withItems(content.items) };
+}
+
+// Bilingual setting for a printout: the saved layout unless the request picks
+// another one or turns it off; null for single-language worksheets
+function resolveBilingual(content, layout) {
+  if (!content?.bilingual || layout === 'off') return null;
+  return { ...content.bilingual, layout: layout || content.bilingual.layout };
+}
+
+// School header in the branding's layout; `aside` sits on the right (a variant label)
+function renderHeaderHTML(worksheet, aside) {
+  const { school } = worksheet;
+  const branding = worksheet.branding || DEFAULT_BRANDING;
+  const logoUrl = school.logo ? `${process.env.BACKEND_URL}${school.logo}` : null;
+  const layoutClass = branding.headerLayout === 'classic' ? '' : ` header-${branding.headerLayout}`;
+  const details = [
+    branding.motto && `<div class="school-motto">${escapeHTML(branding.motto)}</div>`,
+    branding.addressLine && `<div class="school-address">${escapeHTML(branding.addressLine)}</div>`
+  ].filter(Boolean);
+  const nameHTML = `<div class="school-name">${escapeHTML(school.name)}</div>`;
+
+  return `
+        <div class="header${layoutClass}">
+          <div class="school-info">
+            ${logoUrl ? `<img src="${logoUrl}" class="school-logo" alt="School Logo">` : ''}
+            ${details.length > 0 ? `<div class="school-details">${nameHTML}${details.join('')}</div>` : nameHTML}
+          </div>
+          ${aside}
+        </div>`;
+}
+
+// Name, date and roll-number lines for the student to fill in
+function renderStudentFieldsHTML(branding) {
+  const fields = Object.keys(STUDENT_FIELDS).filter(field => branding.studentFields.includes(field));
+  if (fields.length === 0) return '';
+  return `
+        <div class="student-fields">
+          ${fields.map(field => `<div class="student-field">${STUDENT_FIELDS[field]}: <span class="student-field-line"></span></div>`).join('')}
+        </div>`;
+}
+
+// Render one printed page (header, info, instructions and items)
+function renderPageHTML(worksheet, page) {
+  const { showAnswers, variantLabel, pageBreak, bilingual } = page;
+  const content = bilingual ? bilingualContent(page.content, bilingual) : page.content;
+  const title = bilingual ? bilingualText(worksheet.title, page.content.translation?.title, bilingual) : worksheet.title;
+  const branding = worksheet.branding || DEFAULT_BRANDING;
+  const isFreePlan = worksheet.school.plan === 'FREE';
+
+  return `
+      <div class="page-container${showAnswers ? ' answer-key' : ''}${pageBreak ? ' page-break' : ''}">
+        ${renderHeaderHTML(worksheet, variantLabel ? `<div class="variant-label">${variantLabel}</div>` : '<div class="header-aside">Miss Laura Worksheets</div>')}
+        
+        <h1 class="worksheet-title">${escapeHTML(title)}${showAnswers ? ' — Answer Key' : ''}</h1>
+        ${showAnswers ? '' : renderStudentFieldsHTML(branding)}
+        
+        <div class="worksheet-info">
+          <span>📚 Curriculum: ${escapeHTML(worksheet.curriculum)}</span>
+          <span>🎓 Grade: ${escapeHTML(worksheet.grade)}</span>
+          <span>✏️ Skill: ${escapeHTML(worksheet.skill)}</span>
+          ${worksheet.theme ? `<span>🎨 Theme: ${escapeHTML(worksheet.theme)}</span>` : ''}
+        </div>
+        
+        <div class="instructions">
+          <strong>📝 Instructions:</strong> ${escapeHTML(content.instructions)}
+        </div>
+        
+        <div class="content">
+          ${renderItemsHTML(content, showAnswers)}
+        </div>
+        
+        ${branding.watermark ? `<div class="custom-watermark">${escapeHTML(branding.watermark)}</div>` : ''}
+        ${isFreePlan ? '<div class="watermark">Created with Miss Laura - Free Plan</div>' : ''}
+        
+        <div class="footer">
+          ${branding.footerText ? escapeHTML(branding.footerText) : 'Generated by Miss Laura Worksheet Platform'}
+        </div>
+      </div>
+  `;
+}
+
+// Render an answer-key page: compact answers with working and marks. The
+// teacher-copy banner sits in a table header, which Chrome repeats at the top
+// of every printed page of the key.
+function renderAnswerKeyPageHTML(worksheet, page) {
+  const { content, variantLabel, pageBreak } = page;
+  const key = answerKeyService.getAnswerKey(content);
+
+  const sectionsHTML = key.sections.map((section, i) => `
+          <div class="key-section">
+            ${section.title ? `<h2 class="section-heading">Section ${String.fromCharCode(65 + i)}: ${escapeHTML(section.title)} (${section.marks} marks)</h2>` : ''}
+            <table class="key-answers">
+              <tr><th>#</th><th>Answer</th><th>Marks</th></tr>
+              ${section.entries.map(entry => `
+              <tr>
+                <td class="key-number">${entry.number}</td>
+                <td>
+                  ${entry.answer !== null ? `<strong>${escapeHTML(entry.answer)}</strong>` : '<em>Teacher check</em>'}
+                  ${entry.working.length > 0 ? `<div class="key-working">${entry.working.map(escapeHTML).join('<br>')}</div>` : ''}
+                </td>
+                <td class="key-marks">${entry.marks}${entry.scheme ? `<div class="key-scheme">${entry.scheme}</div>` : ''}</td>
+              </tr>`).join('')}
+            </table>
+          </div>`).join('');
+
+  return `
+      <div class="page-container answer-key-page${pageBreak ? ' page-break' : ''}">
+        <table class="key-layout">
+          <thead><tr><td>
+            <div class="key-banner">🔑 ANSWER KEY · Teacher copy · Do not photocopy for students${variantLabel ? ` · ${variantLabel}` : ''}</div>
+          </td></tr></thead>
+          <tbody><tr><td>
+            ${renderHeaderHTML(worksheet, variantLabel ? `<div class="variant-label">${variantLabel}</div>` : '')}
+
+            <h1 class="worksheet-title">${escapeHTML(worksheet.title)} — Answer Key</h1>
+
+            <div class="marking-scheme">
+              <strong>Marking scheme:</strong> ${key.totalMarks} marks in total.
+              ${key.sections.length > 1 ? key.sections.map((section, i) => `Section ${String.fromCharCode(65 + i)}: ${section.marks}.`).join(' ') : ''}
+              Answers marked <em>Teacher check</em> are open tasks; award the mark for a neat, complete attempt.
+            </div>
+
+            ${sectionsHTML}
+          </td></tr></tbody>
+        </table>
+
+        <div class="footer">
+          Answer key · ${escapeHTML(worksheet.title)}
+        </div>
+      </div>
+  `;
+}
+
+// Registered templates used by a worksheet's content (one per section for mixed sheets)
+function contentTemplates(content = {}) {
+  const types = Array.isArray(content.sections) ? content.sections.map(section => section.type) : [content.type];
+  return types.map(type => templateRegistry.getTemplateForType(type)).filter(Boolean);
+}
+
+// Generate HTML for worksheet PDF.
+// options.document picks the student copy ('student'), the answer key alone
+// ('key') or both ('bundle'); with options.variants, every variant is printed
+// followed by its own answer key. options.bilingual picks the layout of a
+// bilingual sheet ('off' prints one language). options.columns: 2 flows the
+// questions of student pages into two columns.
+function generateWorksheetHTML(worksheet, showAnswers, options = {}) {
+  const { document = 'student', variantLabel, columns = 1 } = options;
+  const pages = options.variants
+    ? options.variants.flatMap(variant => [
+      { content: variant.content, showAnswers: false, variantLabel: variant.label },
+      { content: variant.content, answerKey: true, variantLabel: variant.label }
+    ])
+    : [
+      ...(document !== 'key' ? [{ content: worksheet.content, showAnswers, variantLabel }] : []),
+      ...(document !== 'student' ? [{ content: worksheet.content, answerKey: true, variantLabel }] : [])
+    ];
+  const bilingual = resolveBilingual(worksheet.content, options.bilingual);
+  const branding = worksheet.branding || DEFAULT_BRANDING;
+
+  // Templates on the sheet bring their own CSS and bundled fonts; the
+  // worksheet language (and a bilingual sheet's second language) adds its
+  // script's font, so conjuncts shape offline
+  const templates = [...new Set(pages.flatMap(page => contentTemplates(page.content)))];
+  const language = getLanguage(worksheet.language);
+  const scriptFonts = [language.font, bilingual && getLanguage(bilingual.language).font].filter(Boolean);
+  const templateCSS = fontFaceCSS([...templates.flatMap(template => template.fonts || []), ...scriptFonts]) +
+    [...new Set(templates.map(template => template.css || ''))].join('') +
+    (scriptFonts.length > 0 ? `
+        body { font-family: 'Comic Sans MS', 'Chalkboard', ${scriptFonts.map(font => `'${FONTS[font].family}'`).join(', ')}, cursive, sans-serif; }` : '') +
+    (bilingual ? `
+        .bilingual-columns { display: inline-grid; grid-template-columns: 1fr 1fr; column-gap: 24px; vertical-align: top; }
+        .translation, .translation-line { color: #6b21a8; }
+        .translation-line { display: block; font-size: 0.9em; }` : '');
+
+  return `
+    <!DOCTYPE html>
+    <html lang="${language.code}">
+    <head>
+      <meta charset="utf-8">
+      <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+
+        /* School branding colors */
+        :root {
+          --brand-primary: ${branding.primaryColor};
+          --brand-secondary: ${branding.secondaryColor};
+        }
+        
+        /* Ruled Paper Stationery Style */
+        body {
+          font-family: 'Comic Sans MS', 'Chalkboard', cursive, sans-serif;
+          font-size: 16px;
+          line-height: 32px;
+          color: #333;
+          background: #fff;
+          position: relative;
+        }
+        
+        /* Red margin line */
+        body::before {
+          content: '';
+          position: fixed;
+          left: 60px;
+          top: 0;
+          bottom: 0;
+          width: 2px;
+          background: #e53935;
+          z-index: 100;
+        }
+        
+        /* Blue horizontal ruled lines */
+        body::after {
+          content: '';
+          position: fixed;
+          left: 0;
+          right: 0;
+          top: 0;
+          bottom: 0;
+          background: repeating-linear-gradient(
+            transparent,
+            transparent 31px,
+            #9ecef5 31px,
+            #9ecef5 32px
+          );
+          z-index: -1;
+          pointer-events: none;
+        }
+        
+        .page-container {
+          padding: 20px 20px 20px 80px;
+          min-height: 100vh;
+        }
+        
+        .header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 15px 20px;
+          margin-left: -60px;
+          margin-bottom: 20px;
+          background: linear-gradient(135deg, #fff 0%, #f8f9fa 100%);
+          border-bottom: 3px solid var(--brand-primary);
+          border-radius: 0;
+        }
+        .school-info {
+          display: flex;
+          align-items: center;
+          gap: 15px;
+        }
+        .school-logo {
+          width: 60px;
+          height: 60px;
+          object-fit: contain;
+        }
+        .school-name {
+          font-size: 18px;
+          font-weight: bold;
+          color: var(--brand-primary);
+        }
+        .school-motto {
+          font-size: 12px;
+          font-style: italic;
+          line-height: 16px;
+          color: #6b7280;
+        }
+        .school-address {
+          font-size: 11px;
+          line-height: 14px;
+          color: #6b7280;
+        }
+        .header-aside {
+          font-size: 12px;
+          color: #666;
+        }
+        .header-centered {
+          flex-direction: column;
+          gap: 8px;
+          text-align: center;
+        }
+        .header-centered .school-info {
+          flex-direction: column;
+          gap: 6px;
+        }
+        .header-banner {
+          background: var(--brand-primary);
+          border-bottom-color: var(--brand-secondary);
+        }
+        .header-banner .school-name,
+        .header-banner .school-motto,
+        .header-banner .school-address,
+        .header-banner .header-aside {
+          color: #fff;
+        }
+        .worksheet-title {
+          font-size: 28px;
+          color: var(--brand-secondary);
+          text-align: center;
+          margin: 20px 0 15px 0;
+          margin-left: -60px;
+          padding: 10px;
+          background: linear-gradient(135deg, #f5f3ff 0%, #ede9fe 100%);
+          border-radius: 8px;
+        }
+        .worksheet-info {
+          display: flex;
+          justify-content: space-between;
+          flex-wrap: wrap;
+          gap: 10px;
+          padding: 12px 15px;
+          margin-left: -60px;
+          margin-bottom: 25px;
+          font-size: 14px;
+          background: linear-gradient(135deg, #fef3c7 0%, #fde68a 100%);
+          border-radius: 8px;
+          border: 2px dashed #f59e0b;
+        }
+        .worksheet-info span {
+          background: white;
+          padding: 4px 12px;
+          border-radius: 20px;
+          font-weight: 500;
+        }
+        .instructions {
+          background: linear-gradient(135deg, #ecfdf5 0%, #d1fae5 100%);
+          padding: 15px 20px;
+          margin-left: -60px;
+          margin-bottom: 30px;
+          border-radius: 8px;
+          border-left: 4px solid #10b981;
+          line-height: 1.8;
+        }
+        .instructions strong {
+          color: #059669;
+        }
+        
+        /* Content area with proper line spacing for ruled paper */
+        .content {
+          margin-top: 20px;
+        }
+        
+        .item {
+          display: flex;
+          align-items: center;
+          padding: 12px 15px;
+          margin-bottom: 16px;
+          margin-left: -60px;
+          padding-left: 75px;
+          background: rgba(255, 255, 255, 0.9);
+          border-radius: 8px;
+          border: 1px solid #e5e7eb;
+          min-height: 48px;
+        }
+        .item-number {
+          font-weight: bold;
+          margin-right: 15px;
+          color: #6366f1;
+          min-width: 30px;
+        }
+        .item-display {
+          flex: 1;
+          font-size: 24px;
+          letter-spacing: 5px;
+        }
+        .answer-box {
+          width: 60px;
+          height: 36px;
+          border: 2px solid #6366f1;
+          border-radius: 5px;
+          margin-left: auto;
+          background: white;
+        }
+        .math-grid {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 20px;
+          margin-left: -60px;
+        }
+        .math-problem {
+          background: rgba(255, 255, 255, 0.95);
+          padding: 20px;
+          border-radius: 8px;
+          text-align: center;
+          font-size: 20px;
+          border: 2px solid #10b981;
+          min-height: 64px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 8px;
+        }
+        .problem-number {
+          color: #6366f1;
+          font-weight: bold;
+        }
+        .answer {
+          font-weight: bold;
+          color: #ccc;
+          min-width: 40px;
+          display: inline-block;
+          border-bottom: 2px solid #ccc;
+        }
+        .letter-section {
+          background: rgba(255, 255, 255, 0.95);
+          padding: 20px;
+          margin-bottom: 20px;
+          margin-left: -60px;
+          padding-left: 75px;
+          border-radius: 8px;
+          border: 2px solid #d946ef;
+        }
+        .letter-header {
+          font-size: 22px;
+          margin-bottom: 15px;
+          color: #a855f7;
+        }
+        .words-list {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+        }
+        .word {
+          background: white;
+          padding: 8px 18px;
+          border-radius: 20px;
+          border: 2px solid #d946ef;
+          font-size: 16px;
+        }
+        .word-box {
+          background: white;
+          padding: 10px 18px;
+          border-radius: 8px;
+          border: 2px solid #6366f1;
+          margin: 5px;
+          display: inline-block;
+          font-size: 16px;
+        }
+        .matching-container {
+          display: flex;
+          justify-content: space-between;
+          padding: 25px;
+          margin-left: -60px;
+          background: rgba(255, 255, 255, 0.9);
+          border-radius: 8px;
+        }
+        .matching-column {
+          display: flex;
+          flex-direction: column;
+          gap: 20px;
+        }
+        .matching-item {
+          background: white;
+          padding: 12px 25px;
+          border-radius: 8px;
+          border: 2px solid #10b981;
+          font-size: 22px;
+          text-align: center;
+        }
+        .pattern-item {
+          display: flex;
+          align-items: center;
+          padding: 15px 20px;
+          margin-bottom: 16px;
+          margin-left: -60px;
+          padding-left: 75px;
+          background: rgba(255, 255, 255, 0.95);
+          border-radius: 8px;
+          border: 2px solid #ef4444;
+          min-height: 48px;
+        }
+        .pattern-sequence {
+          display: flex;
+          gap: 12px;
+          margin-left: 15px;
+        }
+        .pattern-element {
+          background: white;
+          padding: 8px 18px;
+          border-radius: 5px;
+          border: 2px solid #ef4444;
+          font-size: 22px;
+        }
+        .shapes-grid {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 25px;
+          margin-left: -60px;
+        }
+        .shape-item {
+          text-align: center;
+          padding: 25px;
+          background: rgba(255, 255, 255, 0.95);
+          border-radius: 10px;
+          border: 2px solid #0369a1;
+        }
+        .shape-emoji {
+          font-size: 56px;
+          margin-bottom: 12px;
+        }
+        .shape-name {
+          font-weight: bold;
+          color: #0369a1;
+          font-size: 18px;
+        }
+        .cvc-grid {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 25px;
+          margin-left: -60px;
+        }
+        .cvc-item {
+          text-align: center;
+          padding: 20px;
+          background: rgba(255, 255, 255, 0.95);
+          border-radius: 10px;
+          border: 2px solid #d946ef;
+        }
+        .cvc-picture {
+          font-size: 56px;
+          margin-bottom: 12px;
+        }
+        .cvc-boxes {
+          display: flex;
+          justify-content: center;
+          gap: 8px;
+        }
+        .cvc-box {
+          width: 45px;
+          height: 45px;
+          border: 2px solid #d946ef;
+          border-radius: 8px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-weight: bold;
+          font-size: 22px;
+          background: white;
+        }
+        .word-problem {
+          padding: 20px;
+          margin-bottom: 20px;
+          margin-left: -60px;
+          padding-left: 75px;
+          background: rgba(255, 255, 255, 0.95);
+          border-radius: 8px;
+          border: 2px solid #10b981;
+        }
+        .problem-text {
+          margin: 12px 0;
+          font-size: 16px;
+          line-height: 1.8;
+        }
+        .answer-line {
+          margin-top: 15px;
+          font-weight: bold;
+          color: #059669;
+        }
+        
+        /* Curriculum worksheet styles */
+        .curriculum-question {
+          padding: 20px;
+          margin-bottom: 24px;
+          margin-left: -60px;
+          padding-left: 75px;
+          background: rgba(255, 255, 255, 0.95);
+          border-radius: 8px;
+          border: 2px solid #6366f1;
+          min-height: 64px;
+        }
+        .question-content {
+          flex: 1;
+        }
+        .question-text {
+          font-size: 16px;
+          line-height: 1.8;
+          margin-bottom: 12px;
+        }
+        .options-list {
+          margin-top: 12px;
+          padding-left: 20px;
+        }
+        .option {
+          padding: 8px 12px;
+          margin-bottom: 8px;
+          background: white;
+          border-radius: 5px;
+          border: 1px solid #e5e7eb;
+          display: flex;
+          align-items: center;
+          gap: 10px;
+        }
+        .option-letter {
+          font-weight: bold;
+          color: #6366f1;
+          min-width: 25px;
+        }
+        .option-text {
+          flex: 1;
+        }
+        .answer-lines {
+          margin-top: 15px;
+        }
+        .answer-lines .answer-line {
+          height: 32px;
+          border-bottom: 1px solid #9ecef5;
+          margin-bottom: 8px;
+        }
+        
+        .sentence-item {
+          padding: 20px;
+          margin-bottom: 20px;
+          margin-left: -60px;
+          padding-left: 75px;
+          background: rgba(255, 255, 255, 0.95);
+          border-radius: 8px;
+          border: 2px solid #f59e0b;
+        }
+        .sentence-words {
+          margin: 12px 0;
+        }
+        .footer {
+          position: fixed;
+          bottom: 0;
+          left: 0;
+          right: 0;
+          text-align: center;
+          font-size: 11px;
+          color: #666;
+          background: rgba(255, 255, 255, 0.95);
+          padding: 10px;
+          border-top: 1px solid #ddd;
+        }
+        .custom-watermark {
+          position: fixed;
+          top: 45%;
+          left: 0;
+          right: 0;
+          text-align: center;
+          transform: rotate(-30deg);
+          font-size: 72px;
+          font-weight: bold;
+          white-space: nowrap;
+          color: var(--brand-primary);
+          opacity: 0.08;
+          pointer-events: none;
+        }
+        .student-fields {
+          display: flex;
+          gap: 24px;
+          margin: 0 0 20px -60px;
+          padding: 0 15px;
+          font-size: 15px;
+        }
+        .student-field {
+          flex: 1;
+          display: flex;
+          align-items: baseline;
+          gap: 8px;
+          white-space: nowrap;
+        }
+        .student-field-line {
+          flex: 1;
+          border-bottom: 2px solid #333;
+        }
+        .watermark {
+          position: fixed;
+          bottom: 40px;
+          right: 20px;
+          font-size: 10px;
+          color: #999;
+          background: rgba(255, 255, 255, 0.9);
+          padding: 5px 12px;
+          border-radius: 5px;
+          border: 1px solid #e5e7eb;
+        }
+        
+        /* Writing lines for answer spaces */
+        .writing-line {
+          display: inline-block;
+          min-width: 100px;
+          border-bottom: 2px dotted #9ecef5;
+          height: 24px;
+          vertical-align: bottom;
+        }
+        
+        /* Question container for ruled paper */
+        .question-row {
+          margin-left: -60px;
+          padding-left: 75px;
+          padding: 16px 15px 16px 75px;
+          background: rgba(255, 255, 255, 0.85);
+          margin-bottom: 8px;
+          min-height: 64px;
+          display: flex;
+          align-items: center;
+        }
+        
+        @media print {
+          body::before, body::after {
+            -webkit-print-color-adjust: exact;
+            print-color-adjust: exact;
+          }
+        }
+        .answer-key .answer {
+          color: #059669;
+          border-bottom-color: transparent;
+        }
+        .option.correct {
+          color: #059669;
+          font-weight: bold;
+        }
+        .worksheet-section {
+          margin-bottom: 30px;
+          page-break-inside: avoid;
+        }
+        .section-heading {
+          font-size: 20px;
+          color: var(--brand-primary);
+          margin-left: -60px;
+          padding: 6px 15px;
+          border-bottom: 2px solid #c7d2fe;
+        }
+        .section-instructions {
+          font-size: 14px;
+          color: #555;
+          margin: 8px 0 15px -60px;
+          padding-left: 15px;
+        }
+        .variant-label {
+          font-size: 14px;
+          font-weight: bold;
+          color: #fff;
+          background: var(--brand-secondary);
+          padding: 4px 14px;
+          border-radius: 20px;
+        }
+        .page-break {
+          page-break-before: always;
+        }
+
+        /* Answer keys: a banner repeated on every page so they stay with the teacher */
+        .key-layout {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        .key-layout > thead td {
+          padding-bottom: 10px;
+        }
+        .key-banner {
+          margin-left: -60px;
+          padding: 4px 15px;
+          background: #b91c1c;
+          color: #fff;
+          font-size: 13px;
+          font-weight: bold;
+          letter-spacing: 1px;
+          text-align: center;
+        }
+        .marking-scheme {
+          margin: 0 0 20px -60px;
+          padding: 10px 15px;
+          background: #fef2f2;
+          border-left: 4px solid #b91c1c;
+          font-size: 14px;
+          line-height: 22px;
+        }
+        .key-section {
+          margin-bottom: 20px;
+        }
+        .key-answers {
+          width: 100%;
+          border-collapse: collapse;
+          background: #fff;
+          font-size: 14px;
+          line-height: 20px;
+        }
+        .key-answers th, .key-answers td {
+          border: 1px solid #d1d5db;
+          padding: 6px 10px;
+          text-align: left;
+          vertical-align: top;
+        }
+        .key-answers th {
+          background: #f3f4f6;
+        }
+        .key-answers tr {
+          page-break-inside: avoid;
+        }
+        .key-number, .key-marks {
+          width: 60px;
+          text-align: center;
+        }
+        .key-working {
+          margin-top: 4px;
+          color: #166534;
+          font-size: 13px;
+        }
+        .key-scheme {
+          color: #6b7280;
+          font-size: 11px;
+        }
+
+        /* Two columns: questions run down the first column, then the second */
+        .columns-2 .content {
+          column-count: 2;
+          column-gap: 30px;
+          column-rule: 1px dashed #c7d2fe;
+        }
+        .columns-2 .content .item,
+        .columns-2 .content .question-row,
+        .columns-2 .content .curriculum-question,
+        .columns-2 .content .section-heading,
+        .columns-2 .content .section-instructions,
+        .columns-2 .content .trace-rows {
+          margin-left: 0;
+        }
+        .columns-2 .content > * > * {
+          break-inside: avoid;
+        }
+        
+        ${templateCSS}
+      </style>
+    </head>
+    <body${columns > 1 ? ` class="columns-${columns}"` : ''}>
+      ${pages.map((page, i) => (page.answerKey
+        ? renderAnswerKeyPageHTML(worksheet, { ...page, pageBreak: i > 0 })
+        : renderPageHTML(worksheet, { ...page, bilingual, pageBreak: i > 0 }))).join('')}
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Check and default the print options of a download or export job. Page
+ * layout fields left out fall back to the school's saved defaults.
+ * @param {Object} options - { document, variants, bilingual, showAnswers, paperSize, orientation,
+ *   fontScale, columns, imposition } (query strings allowed)
+ * @param {Object} layoutDefaults - The school's printSettings
+ * @returns {Object} - Options with defaults
+ * @throws {AppError} - 400 for an unknown document, layout or page setting, or too many variants
+ */
+function resolvePdfOptions(options = {}, layoutDefaults = {}) {
+  const { document = 'student', bilingual } = options;
+  const variants = options.variants === undefined ? 1 : Number(options.variants);
+
+  if (!PDF_DOCUMENTS.includes(document)) {
+    throw new AppError(`Document must be one of ${PDF_DOCUMENTS.join(', ')}`, 400);
+  }
+  if (!Number.isInteger(variants) || variants < 1 || variants > MAX_VARIANTS) {
+    throw new AppError(`Variants must be between 1 and ${MAX_VARIANTS}`, 400);
+  }
+  if (bilingual !== undefined && !['off', ...BILINGUAL_LAYOUTS].includes(bilingual)) {
+    throw new AppError(`Bilingual layout must be one of off, ${BILINGUAL_LAYOUTS.join(', ')}`, 400);
+  }
+
+  const layout = { ...DEFAULT_PAGE_LAYOUT, ...parsePageLayout(layoutDefaults || {}), ...parsePageLayout(options) };
+  const layoutErrors = validatePageLayout(layout);
+  if (layoutErrors.length > 0) {
+    throw new AppError(layoutErrors[0], 400);
+  }
+
+  return {
+    document,
+    variants,
+    bilingual,
+    showAnswers: options.showAnswers === true || options.showAnswers === 'true',
+    ...layout
+  };
+}
+
+// Points to a length Puppeteer understands
+const toInches = points => `${(points / 72).toFixed(3)}in`;
+
+/**
+ * Render a worksheet to PDF
+ * @param {Object} worksheet - Worksheet with its school
+ * @param {Object} options - Options from resolvePdfOptions
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+async function renderWorksheetPDF(worksheet, options) {
+  const { document, variants, bilingual, showAnswers, columns, fontScale, imposition } = options;
+
+  // Several variants are printed together, each followed by its answer key
+  let html;
+  if (variants > 1) {
+    const schoolContext = await loadSchoolContext(worksheet.theme, worksheet.schoolId);
+    html = generateWorksheetHTML(worksheet, false, { variants: buildVariants(worksheet, variants, schoolContext), bilingual, columns });
+  } else {
+    html = generateWorksheetHTML(worksheet, showAnswers, { bilingual, document, columns });
+  }
+
+  // Pages are rendered at their printed size (half a sheet when imposed); the
+  // font scale zooms the content, which reflows to fit
+  const geometry = pageGeometry(options);
+  const pdf = await pdfRendererService.renderPDF(html, {
+    width: toInches(geometry.page.width),
+    height: toInches(geometry.page.height),
+    scale: fontScale
+  });
+
+  return imposition === 'none' ? pdf : imposePages(pdf, geometry, imposition);
+}
+
+/**
+ * File name of a worksheet PDF, e.g. "Counting_Fun_answer_key.pdf"
+ * @param {Object} worksheet - Worksheet
+ * @param {Object} options - Options from resolvePdfOptions
+ * @returns {string}
+ */
+function pdfFileName(worksheet, options) {
+  const suffix = options.variants > 1 ? `_${options.variants}_sets` : PDF_FILE_SUFFIXES[options.document];
+  return `${worksheet.title.replace(/\s+/g, '_')}${suffix}${IMPOSITION_SUFFIXES[options.imposition] || ''}.pdf`;
+}
+
+module.exports = {
+  PDF_DOCUMENTS,
+  resolvePdfOptions,
+  renderWorksheetPDF,
+  pdfFileName,
+  generateWorksheetHTML
+};
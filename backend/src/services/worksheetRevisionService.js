@@ -0,0 +1,260 @@
+/**
+ * Worksheet Revision Service
+ * Keeps an immutable history of worksheet content and compares revisions
+ */
+
+const prisma = require('../config/database');
+const pdfCacheService = require('./pdfCacheService');
+const thumbnailService = require('./thumbnailService');
+const { getContentItems } = require('../utils/worksheetContent');
+
+const REVISION_ACTIONS = {
+  CREATED: 'CREATED',
+  EDITED: 'EDITED',
+  RESTORED: 'RESTORED',
+  REGENERATED: 'REGENERATED',
+  TRANSLATED: 'TRANSLATED'
+};
+
+/**
+ * Record a new revision for a worksheet. The next version number is read from
+ * the latest revision, so concurrent callers must hold the worksheet row lock
+ * (see lockWorksheet) or they can pick the same number.
+ * @param {Object} params - Revision parameters
+ * @param {string} params.worksheetId - Worksheet ID
+ * @param {string} params.title - Worksheet title at this revision
+ * @param {Object} params.content - Worksheet content at this revision
+ * @param {number} params.seed - Generator seed at this revision (template worksheets only)
+ * @param {string} params.action - One of REVISION_ACTIONS
+ * @param {string} params.userId - Author of the change (nullable for system jobs)
+ * @param {number} params.restoredFrom - Version restored from (RESTORED only)
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<Object>} - Created revision
+ */
+async function recordRevision(params, client = prisma) {
+  const { worksheetId, title, content, seed, action, userId, restoredFrom } = params;
+
+  const latest = await client.worksheetRevision.findFirst({
+    where: { worksheetId },
+    orderBy: { version: 'desc' },
+    select: { version: true }
+  });
+
+  return client.worksheetRevision.create({
+    data: {
+      worksheetId,
+      version: latest ? latest.version + 1 : 1,
+      title,
+      content,
+      seed,
+      action,
+      restoredFrom,
+      createdById: userId || null
+    }
+  });
+}
+
+/**
+ * Lock a worksheet row until the surrounding transaction ends, so concurrent
+ * saves record their revisions one after the other
+ * @param {string} worksheetId - Worksheet ID
+ * @param {Object} tx - Prisma transaction client
+ */
+async function lockWorksheet(worksheetId, tx) {
+  await tx.$queryRaw`SELECT id FROM "Worksheet" WHERE id = ${worksheetId} FOR UPDATE`;
+}
+
+/**
+ * Make sure a worksheet created before revisions existed has a baseline
+ * revision holding its current state, so the first edit can be undone.
+ * @param {Object} worksheet - Worksheet record
+ * @param {Object} client - Prisma client or transaction client
+ */
+async function ensureBaselineRevision(worksheet, client = prisma) {
+  const count = await client.worksheetRevision.count({
+    where: { worksheetId: worksheet.id }
+  });
+
+  if (count === 0) {
+    await recordRevision({
+      worksheetId: worksheet.id,
+      title: worksheet.title,
+      content: worksheet.content,
+      seed: worksheet.seed,
+      action: REVISION_ACTIONS.CREATED,
+      userId: worksheet.createdById
+    }, client);
+  }
+}
+
+/**
+ * Apply a change to a worksheet and record it as a revision in one transaction.
+ * PDFs cached for the old version are dropped.
+ * @param {Object} worksheet - Current worksheet record
+ * @param {Object} data - Fields to update (title, content and/or seed)
+ * @param {Object} options - { action, userId, restoredFrom, include }
+ * @returns {Promise<Object>} - Updated worksheet
+ */
+async function updateWithRevision(worksheet, data, options) {
+  const { action, userId, restoredFrom, include } = options;
+
+  const updated = await prisma.$transaction(async (tx) => {
+    await lockWorksheet(worksheet.id, tx);
+    await ensureBaselineRevision(worksheet, tx);
+
+    const updated = await tx.worksheet.update({
+      where: { id: worksheet.id },
+      data,
+      include
+    });
+
+    await recordRevision({
+      worksheetId: worksheet.id,
+      title: updated.title,
+      content: updated.content,
+      seed: updated.seed,
+      action,
+      userId,
+      restoredFrom
+    }, tx);
+
+    return updated;
+  });
+
+  await pdfCacheService.invalidateWorksheet(worksheet);
+  thumbnailService.scheduleThumbnail(worksheet.id);
+  return updated;
+}
+
+/**
+ * List revisions for a worksheet, newest first (without content)
+ * @param {string} worksheetId - Worksheet ID
+ */
+async function listRevisions(worksheetId) {
+  const revisions = await prisma.worksheetRevision.findMany({
+    where: { worksheetId },
+    orderBy: { version: 'desc' },
+    include: {
+      createdBy: { select: { id: true, name: true } }
+    }
+  });
+
+  return revisions.map(({ content, ...revision }) => ({
+    ...revision,
+    itemCount: getContentItems(content).length
+  }));
+}
+
+/**
+ * Get a single revision by version number
+ * @param {string} worksheetId - Worksheet ID
+ * @param {number} version - Version number
+ */
+async function getRevision(worksheetId, version) {
+  return prisma.worksheetRevision.findUnique({
+    where: { worksheetId_version: { worksheetId, version } },
+    include: {
+      createdBy: { select: { id: true, name: true } }
+    }
+  });
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Pair the items of two revisions. Identical items are matched wherever they
+ * moved to; the rest are matched when they share a position, so an item
+ * edited in place shows as changed rather than removed and added.
+ * @param {Array} fromItems - Items of the older revision
+ * @param {Array} toItems - Items of the newer revision
+ * @returns {Array<number|null>} - Older index matched to each newer item
+ */
+function matchItems(fromItems, toItems) {
+  const unmatched = new Map();
+  fromItems.forEach((item, index) => {
+    const key = JSON.stringify(item);
+    if (!unmatched.has(key)) unmatched.set(key, []);
+    unmatched.get(key).push(index);
+  });
+
+  const matches = toItems.map(item => {
+    const indices = unmatched.get(JSON.stringify(item));
+    return indices && indices.length > 0 ? indices.shift() : null;
+  });
+
+  const used = new Set(matches.filter(index => index !== null));
+  return matches.map((match, index) => {
+    if (match !== null || index >= fromItems.length || used.has(index)) return match;
+    used.add(index);
+    return index;
+  });
+}
+
+/**
+ * Compare two revisions item by item. Items are listed in the newer
+ * revision's order, followed by the removed ones.
+ * @param {Object} from - Older revision
+ * @param {Object} to - Newer revision
+ * @returns {Object} - { title, instructions, items: [{ index, fromIndex, toIndex, status, moved, from, to, changedFields }], summary }
+ */
+function diffRevisions(from, to) {
+  const fromItems = getContentItems(from.content);
+  const toItems = getContentItems(to.content);
+  const matches = matchItems(fromItems, toItems);
+  const items = [];
+  const summary = { unchanged: 0, changed: 0, added: 0, removed: 0, moved: 0 };
+
+  toItems.forEach((after, toIndex) => {
+    const fromIndex = matches[toIndex];
+    const before = fromIndex === null ? undefined : fromItems[fromIndex];
+    let status;
+    let changedFields = [];
+
+    if (before === undefined) {
+      status = 'added';
+    } else if (isSameValue(before, after)) {
+      status = 'unchanged';
+    } else {
+      status = 'changed';
+      const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+      changedFields = [...fields].filter(field => !isSameValue(before?.[field], after?.[field]));
+    }
+
+    const moved = fromIndex !== null && fromIndex !== toIndex;
+    summary[status] += 1;
+    if (moved) summary.moved += 1;
+    items.push({ index: toIndex, fromIndex, toIndex, status, moved, from: before ?? null, to: after, changedFields });
+  });
+
+  const matched = new Set(matches);
+  fromItems.forEach((before, fromIndex) => {
+    if (matched.has(fromIndex)) return;
+    summary.removed += 1;
+    items.push({
+      index: fromIndex, fromIndex, toIndex: null, status: 'removed', moved: false, from: before, to: null, changedFields: []
+    });
+  });
+
+  return {
+    from: from.version,
+    to: to.version,
+    title: from.title === to.title ? null : { from: from.title, to: to.title },
+    instructions: from.content?.instructions === to.content?.instructions
+      ? null
+      : { from: from.content?.instructions ?? null, to: to.content?.instructions ?? null },
+    items,
+    summary
+  };
+}
+
+module.exports = {
+  REVISION_ACTIONS,
+  recordRevision,
+  ensureBaselineRevision,
+  updateWithRevision,
+  listRevisions,
+  getRevision,
+  diffRevisions
+};
@@ -0,0 +1,182 @@
+/**
+ * Worksheet Translation Service
+ * Second-language text for bilingual worksheets. Teachers can type their own
+ * translations; anything they leave out is translated by n8n when it is enabled.
+ */
+
+const n8nService = require('./n8nService');
+const { AppError } = require('../middleware/errorHandler');
+const { getItemText } = require('../utils/worksheetContent');
+const { getLanguage } = require('../utils/languages');
+
+/**
+ * Texts of a worksheet that get a translation, keyed by where they appear:
+ * "title", "instructions", "sections.0.title", "items.3" (items are numbered
+ * across the whole sheet, in the order getContentItems lists them)
+ * @param {Object} worksheet - Worksheet with title and content
+ * @returns {Object[]} - [{ key, text, translation }], translation null until there is one
+ */
+function collectTexts(worksheet) {
+  const { content } = worksheet;
+  const texts = [];
+  const add = (key, text, translation) => {
+    if (text) texts.push({ key, text, translation: translation || null });
+  };
+
+  add('title', worksheet.title, content.translation?.title);
+  add('instructions', content.instructions, content.translation?.instructions);
+
+  (content.sections || []).forEach((section, i) => {
+    add(`sections.${i}.title`, section.title, section.translation?.title);
+    add(`sections.${i}.instructions`, section.instructions, section.translation?.instructions);
+  });
+
+  contentItemLists(content).flat().forEach((item, i) => {
+    add(`items.${i}`, getItemText(item)?.text, item.translation);
+  });
+
+  return texts;
+}
+
+const withoutTranslation = ({ translation, ...rest }) => rest;
+
+// Item arrays of the content, one per section (or one for the whole sheet)
+function contentItemLists(content) {
+  if (Array.isArray(content.questions)) return [content.questions];
+  if (Array.isArray(content.sections)) return content.sections.map(section => section.items || []);
+  return [content.items || []];
+}
+
+// Teacher overrides ({ title, instructions, sections: [{ title, instructions }], items: [] })
+// flattened to the keys used by collectTexts; blank entries are dropped
+function flattenOverrides(overrides = {}) {
+  const flat = {};
+  const add = (key, value) => {
+    if (typeof value === 'string' && value.trim()) flat[key] = value.trim();
+  };
+
+  add('title', overrides.title);
+  add('instructions', overrides.instructions);
+  (Array.isArray(overrides.sections) ? overrides.sections : []).forEach((section, i) => {
+    add(`sections.${i}.title`, section?.title);
+    add(`sections.${i}.instructions`, section?.instructions);
+  });
+  (Array.isArray(overrides.items) ? overrides.items : []).forEach((text, i) => add(`items.${i}`, text));
+
+  return flat;
+}
+
+/**
+ * Content with translations stored beside the original text. Items keep
+ * their text field and gain `translation`; the sheet and its sections gain
+ * `translation: { title, instructions }`.
+ * @param {Object} content - Worksheet content
+ * @param {Object} bilingual - { language, layout }
+ * @param {Object} translations - Translated text by collectTexts key
+ * @returns {Object} - New content
+ */
+function applyTranslations(content, bilingual, translations) {
+  let index = 0;
+  const translateItems = items => items.map(item => {
+    const text = translations[`items.${index++}`];
+    return text ? { ...item, translation: text } : withoutTranslation(item);
+  });
+  const blockTranslation = prefix => ({
+    ...(translations[`${prefix}title`] ? { title: translations[`${prefix}title`] } : {}),
+    ...(translations[`${prefix}instructions`] ? { instructions: translations[`${prefix}instructions`] } : {})
+  });
+
+  const translated = { ...content, bilingual, translation: blockTranslation('') };
+  if (Array.isArray(content.questions)) {
+    translated.questions = translateItems(content.questions);
+  } else if (Array.isArray(content.sections)) {
+    translated.sections = content.sections.map((section, i) => ({
+      ...section,
+      translation: blockTranslation(`sections.${i}.`),
+      items: translateItems(section.items || [])
+    }));
+  } else {
+    translated.items = translateItems(content.items || []);
+  }
+  return translated;
+}
+
+/**
+ * Make a worksheet bilingual: teacher translations first, then n8n for the rest
+ * @param {Object} worksheet - Worksheet from the database
+ * @param {Object} params - { language, layout, overrides, useAi, user }
+ * @returns {Promise<Object>} - New content
+ */
+async function translateWorksheet(worksheet, { language, layout, overrides, useAi, user }) {
+  const translations = flattenOverrides(overrides);
+  const missing = collectTexts(worksheet).filter(({ key }) => !translations[key]);
+
+  if (missing.length > 0) {
+    if (!useAi) {
+      const count = missing.length === 1 ? '1 text has' : `${missing.length} texts have`;
+      throw new AppError(`${count} no ${getLanguage(language).name} translation. Enter them, or turn on AI translation.`, 400);
+    }
+
+    let translated;
+    try {
+      translated = await n8nService.translateTexts({
+        texts: missing.map(({ text }) => text),
+        sourceLanguage: worksheet.language,
+        targetLanguage: language,
+        schoolId: user.schoolId,
+        userId: user.id
+      });
+    } catch (error) {
+      if (error.message.startsWith('AI_QUOTA_EXCEEDED')) {
+        throw new AppError(error.message.replace('AI_QUOTA_EXCEEDED: ', ''), 403);
+      }
+      throw new AppError('AI translation is currently unavailable. Please try again later.', 503);
+    }
+    missing.forEach(({ key }, i) => { translations[key] = translated[i]; });
+  }
+
+  return applyTranslations(worksheet.content, { language, layout }, translations);
+}
+
+/**
+ * Content without any translations (back to a single-language worksheet)
+ * @param {Object} content - Worksheet content
+ * @returns {Object} - New content
+ */
+function removeTranslations(content) {
+  const { bilingual, ...single } = withoutTranslation(content);
+  if (Array.isArray(single.questions)) single.questions = single.questions.map(withoutTranslation);
+  if (Array.isArray(single.sections)) {
+    single.sections = single.sections.map(section => ({
+      ...withoutTranslation(section),
+      items: (section.items || []).map(withoutTranslation)
+    }));
+  }
+  if (Array.isArray(single.items)) single.items = single.items.map(withoutTranslation);
+  return single;
+}
+
+/**
+ * Keep a sheet's bilingual setting and title and instruction translations
+ * when its items are generated again (new items have no translation yet)
+ * @param {Object} previous - Content before regenerating
+ * @param {Object} content - Regenerated content
+ * @returns {Object} - Regenerated content, bilingual when the previous one was
+ */
+function carryTranslations(previous, content) {
+  if (!previous.bilingual) return content;
+  const carried = { ...content, bilingual: previous.bilingual, translation: previous.translation };
+  if (Array.isArray(content.sections) && Array.isArray(previous.sections)) {
+    carried.sections = content.sections.map((section, i) => (
+      previous.sections[i]?.translation ? { ...section, translation: previous.sections[i].translation } : section
+    ));
+  }
+  return carried;
+}
+
+module.exports = {
+  collectTexts,
+  translateWorksheet,
+  removeTranslations,
+  carryTranslations
+};
@@ -0,0 +1,53 @@
+/**
+ * Addition template
+ */
+
+const { randomInt, sampleProblem, needsCarrying } = require('./helpers');
+const { renderMathProblems } = require('./renderers');
+const { OPERAND_PARAMS, resolveGeneratorOptions } = require('../utils/generatorOptions');
+
+// Generate addition worksheet
+function generateAdditionWorksheet({ curriculum, grade, theme, random, options, count = 12 }) {
+  const { min, max, carrying } = resolveGeneratorOptions(addition, grade, options);
+  const problems = [];
+  
+  for (let i = 0; i < count; i++) {
+    const { a, b } = sampleProblem(
+      () => ({ a: randomInt(random, min, max), b: randomInt(random, min, max) }),
+      ({ a, b }) => carrying === undefined || needsCarrying(a, b) === carrying
+    );
+    problems.push({ a, b, answer: a + b });
+  }
+  
+  return {
+    title: 'Addition Practice',
+    instructions: 'Solve the addition problems.',
+    items: problems,
+    type: 'addition'
+  };
+}
+
+const addition = {
+  key: 'addition',
+  name: 'Addition',
+  type: 'addition',
+  params: {
+    ...OPERAND_PARAMS,
+    carrying: { type: 'boolean' }
+  },
+  presets: {
+    easy: { min: 0, max: 5 },
+    medium: { min: 0, max: 10 },
+    hard: { min: 10, max: 50 }
+  },
+  gradePresets: {
+    easy: { min: 0, max: 5 },
+    medium: { min: 0, max: 10 },
+    hard: { min: 0, max: 50 }
+  },
+  generate: generateAdditionWorksheet,
+  renderHTML: (items, showAnswers) => renderMathProblems(items, '+', showAnswers),
+  toFormsQuestion: (item) => ({ question: `${item.a} + ${item.b} = ?`, answer: String(item.answer) })
+};
+
+module.exports = addition;
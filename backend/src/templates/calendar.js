@@ -0,0 +1,159 @@
+/**
+ * Calendar template
+ * A printed month with questions that are answered by reading it.
+ */
+
+const { randomInt } = require('./helpers');
+const { resolveGeneratorOptions } = require('../utils/generatorOptions');
+const { shuffle } = require('../utils/random');
+const { escapeHTML } = require('../utils/html');
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = ['first', 'second', 'third', 'fourth'];
+
+// Years the printed month is drawn from
+const FIRST_YEAR = 2025;
+const LAST_YEAR = 2030;
+
+// Month facts the questions are built from (month is 1-12)
+function monthFacts(month, year) {
+  return {
+    month,
+    year,
+    name: MONTHS[month - 1],
+    days: new Date(Date.UTC(year, month, 0)).getUTCDate(),
+    firstDay: new Date(Date.UTC(year, month - 1, 1)).getUTCDay()
+  };
+}
+
+const weekdayOf = (facts, date) => WEEKDAYS[(facts.firstDay + date - 1) % 7];
+
+// Question builders by kind; each returns { question, answer }
+const QUESTIONS = {
+  dayOfDate: (facts, random) => {
+    const date = randomInt(random, 1, facts.days);
+    return { question: `What day of the week is ${date} ${facts.name}?`, answer: weekdayOf(facts, date) };
+  },
+  daysInMonth: facts => ({ question: `How many days are there in ${facts.name}?`, answer: facts.days }),
+  nextMonth: facts => ({ question: `Which month comes after ${facts.name}?`, answer: MONTHS[facts.month % 12] }),
+  dateOfDay: (facts, random) => {
+    const day = randomInt(random, 0, 6);
+    const nth = randomInt(random, 0, ORDINALS.length - 1);
+    const date = ((day - facts.firstDay + 7) % 7) + 1 + nth * 7;
+    return { question: `What is the date of the ${ORDINALS[nth]} ${WEEKDAYS[day]} in ${facts.name}?`, answer: `${date} ${facts.name}` };
+  },
+  countDays: (facts, random) => {
+    const day = randomInt(random, 0, 6);
+    const first = ((day - facts.firstDay + 7) % 7) + 1;
+    return { question: `How many ${WEEKDAYS[day]}s are there in ${facts.name}?`, answer: Math.floor((facts.days - first) / 7) + 1 };
+  },
+  weekAfter: (facts, random) => {
+    const date = randomInt(random, 1, facts.days - 7);
+    return { question: `What is the date one week after ${date} ${facts.name}?`, answer: `${date + 7} ${facts.name}` };
+  }
+};
+
+// A question not yet on the sheet, trying the kinds in order. Fixed questions
+// (days in the month, next month) can only be asked once.
+function askNewQuestion(kinds, facts, random, asked) {
+  for (const kind of kinds) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const made = QUESTIONS[kind](facts, random);
+      if (!asked.has(made.question)) return { ...made, kind };
+    }
+  }
+  return null;
+}
+
+// Generate calendar worksheet: one month, a mix of the chosen question kinds
+function generateCalendarWorksheet({ grade, random, options, count = 6 }) {
+  const { questions } = resolveGeneratorOptions(calendar, grade, options);
+  const facts = monthFacts(randomInt(random, 1, 12), randomInt(random, FIRST_YEAR, LAST_YEAR));
+  const asked = new Set();
+
+  const items = Array.from({ length: count }, (_, i) => {
+    const kind = questions[i % questions.length];
+    const made = askNewQuestion([kind, ...questions], facts, random, asked) || { ...QUESTIONS[kind](facts, random), kind };
+    asked.add(made.question);
+    return { ...made, month: facts.month, year: facts.year };
+  });
+
+  return {
+    title: 'Reading a Calendar',
+    instructions: `Use the calendar for ${facts.name} ${facts.year} to answer the questions.`,
+    items: shuffle(items, random),
+    type: 'calendar'
+  };
+}
+
+// Month grid with weeks starting on Sunday
+function renderMonth(month, year) {
+  const facts = monthFacts(month, year);
+  const cells = [
+    ...Array.from({ length: facts.firstDay }, () => '<td></td>'),
+    ...Array.from({ length: facts.days }, (_, i) => `<td>${i + 1}</td>`)
+  ];
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(`<tr>${cells.slice(i, i + 7).join('')}</tr>`);
+
+  return `<table class="calendar-month">
+      <caption>${escapeHTML(facts.name)} ${escapeHTML(facts.year)}</caption>
+      <tr>${WEEKDAYS.map(day => `<th>${day.slice(0, 3)}</th>`).join('')}</tr>
+      ${weeks.join('')}
+    </table>`;
+}
+
+// The calendar above its questions; edited sheets that mix months get one calendar per month
+function renderCalendarItems(items, showAnswers) {
+  const groups = [];
+  items.forEach((item, i) => {
+    const last = groups[groups.length - 1];
+    if (last && last.month === item.month && last.year === item.year) last.rows.push({ item, i });
+    else groups.push({ month: item.month, year: item.year, rows: [{ item, i }] });
+  });
+
+  return groups.map(group => `
+    <div class="calendar-block">
+      ${group.month && group.year ? renderMonth(group.month, group.year) : ''}
+      ${group.rows.map(({ item, i }) => `
+      <div class="item">
+        <div class="item-number">${i + 1}.</div>
+        <div class="item-content">
+          ${escapeHTML(item.question)}
+          <div class="answer-line">Answer: ${showAnswers ? escapeHTML(item.answer) : '______'}</div>
+        </div>
+      </div>`).join('')}
+    </div>
+  `).join('');
+}
+
+const calendar = {
+  key: 'calendar',
+  name: 'Calendar',
+  type: 'calendar',
+  aliases: ['Calendar Reading', 'Days and Months'],
+  params: {
+    questions: { type: 'enumList', values: Object.keys(QUESTIONS), label: 'Calendar questions' }
+  },
+  presets: {
+    easy: { questions: ['dayOfDate', 'daysInMonth', 'nextMonth'] },
+    medium: { questions: ['dayOfDate', 'daysInMonth', 'nextMonth', 'dateOfDay', 'countDays'] },
+    hard: { questions: ['dayOfDate', 'dateOfDay', 'countDays', 'weekAfter', 'daysInMonth'] }
+  },
+  generate: generateCalendarWorksheet,
+  renderHTML: renderCalendarItems,
+  toFormsQuestion: (item) => ({
+    question: item.month && item.year ? `${item.question} (${MONTHS[item.month - 1]} ${item.year})` : item.question,
+    answer: String(item.answer)
+  }),
+  css: `
+        .calendar-block { page-break-inside: avoid; }
+        .calendar-month { border-collapse: collapse; margin: 10px auto 20px; }
+        .calendar-month caption { font-size: 20px; font-weight: bold; color: #7c3aed; margin-bottom: 8px; }
+        .calendar-month th, .calendar-month td { border: 1px solid #333; width: 56px; height: 36px; text-align: center; font-size: 16px; }
+        .calendar-month th { background: #f3e8ff; }
+`
+};
+
+module.exports = calendar;
@@ -0,0 +1,164 @@
+/**
+ * Telling time template
+ * Analog clock faces drawn as SVG, either to read or with the hands left
+ * for the child to draw.
+ */
+
+const { resolveGeneratorOptions } = require('../utils/generatorOptions');
+const { shuffle } = require('../utils/random');
+const { escapeHTML } = require('../utils/html');
+
+// Minutes a time can fall on, by granularity
+const MINUTES = {
+  hour: [0],
+  halfHour: [0, 30],
+  quarterHour: [0, 15, 30, 45]
+};
+
+// Clock face size in SVG units and hand lengths from the centre
+const FACE_SIZE = 200;
+const HOUR_HAND = 45;
+const MINUTE_HAND = 70;
+
+// Read the time from the hands, or draw the hands for a time
+const ACTIVITIES = ['readTime', 'drawHands'];
+
+// "3:00" -> "3 o'clock", "3:45" -> "quarter to 4"
+function timeInWords(hour, minute) {
+  const next = hour === 12 ? 1 : hour + 1;
+  if (minute === 0) return `${hour} o'clock`;
+  if (minute === 15) return `quarter past ${hour}`;
+  if (minute === 30) return `half past ${hour}`;
+  if (minute === 45) return `quarter to ${next}`;
+  return `${hour}:${String(minute).padStart(2, '0')}`;
+}
+
+// Generate clock worksheet with distinct times at the chosen granularity
+function generateClockWorksheet({ grade, random, options, count = 6 }) {
+  const { activity: mode, granularity } = resolveGeneratorOptions(clock, grade, options);
+  const times = shuffle(
+    Array.from({ length: 12 }, (_, i) => i + 1).flatMap(hour => MINUTES[granularity].map(minute => ({ hour, minute }))),
+    random
+  );
+
+  const items = Array.from({ length: count }, (_, i) => {
+    const { hour, minute } = times[i % times.length];
+    return {
+      hour,
+      minute,
+      mode,
+      question: mode === 'drawHands' ? `Draw the hands to show ${timeInWords(hour, minute)}.` : 'What time is it?',
+      answer: `${hour}:${String(minute).padStart(2, '0')}`
+    };
+  });
+
+  return {
+    title: 'Telling Time',
+    instructions: mode === 'drawHands'
+      ? 'Draw the short hour hand and the long minute hand on each clock.'
+      : 'Look at the hands and write the time under each clock.',
+    items,
+    type: 'clock'
+  };
+}
+
+// Point at a distance from the centre, at an angle clockwise from 12
+function pointAt(angle, length) {
+  const radians = (angle - 90) * Math.PI / 180;
+  const centre = FACE_SIZE / 2;
+  return [(centre + length * Math.cos(radians)).toFixed(1), (centre + length * Math.sin(radians)).toFixed(1)];
+}
+
+// Clock face with numbers and minute ticks; hands only when asked for
+function renderClockFace(hour, minute, showHands) {
+  const centre = FACE_SIZE / 2;
+  const ticks = Array.from({ length: 60 }, (_, i) => {
+    const [x1, y1] = pointAt(i * 6, i % 5 === 0 ? 80 : 85);
+    const [x2, y2] = pointAt(i * 6, 90);
+    return `<line class="clock-tick${i % 5 === 0 ? ' clock-tick-hour' : ''}" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+  }).join('');
+  const numbers = Array.from({ length: 12 }, (_, i) => {
+    const [x, y] = pointAt((i + 1) * 30, 66);
+    return `<text class="clock-number" x="${x}" y="${y}">${i + 1}</text>`;
+  }).join('');
+
+  let hands = '';
+  if (showHands) {
+    const [hx, hy] = pointAt(((hour % 12) + minute / 60) * 30, HOUR_HAND);
+    const [mx, my] = pointAt(minute * 6, MINUTE_HAND);
+    hands = `<line class="clock-hand clock-hand-hour" x1="${centre}" y1="${centre}" x2="${hx}" y2="${hy}"/>` +
+      `<line class="clock-hand clock-hand-minute" x1="${centre}" y1="${centre}" x2="${mx}" y2="${my}"/>`;
+  }
+
+  return `<svg class="clock-face" viewBox="0 0 ${FACE_SIZE} ${FACE_SIZE}" xmlns="http://www.w3.org/2000/svg">
+      <circle class="clock-rim" cx="${centre}" cy="${centre}" r="94"/>${ticks}${numbers}${hands}
+      <circle class="clock-centre" cx="${centre}" cy="${centre}" r="5"/>
+    </svg>`;
+}
+
+// Reading clocks show the hands and a line for the time; drawing clocks show
+// the time and leave the hands to the child (drawn in answer keys)
+function renderClockItems(items, showAnswers) {
+  return `<div class="clock-grid">` + items.map((item, i) => {
+    const drawing = item.mode === 'drawHands';
+    return `
+    <div class="clock-item">
+      <div class="clock-number-label">${i + 1}.</div>
+      ${renderClockFace(item.hour, item.minute, !drawing || showAnswers)}
+      <div class="clock-time">${escapeHTML(drawing ? timeInWords(item.hour, item.minute) : (showAnswers ? item.answer : '____ : ____'))}</div>
+    </div>
+  `;
+  }).join('') + `</div>`;
+}
+
+// Forms can't show the clock, so the question describes the hands (or asks
+// where the minute hand goes)
+function toFormsQuestion(item) {
+  const minuteNumber = item.minute === 0 ? 12 : item.minute / 5;
+  if (item.mode === 'drawHands') {
+    return { question: `To show ${timeInWords(item.hour, item.minute)}, which number does the long hand point to?`, answer: String(minuteNumber) };
+  }
+
+  const next = item.hour === 12 ? 1 : item.hour + 1;
+  const hourHand = item.minute === 0 ? `points to ${item.hour}` : `is between ${item.hour} and ${next}`;
+  return {
+    question: `The short hand ${hourHand} and the long hand points to ${minuteNumber}. What time is it?`,
+    answer: item.answer
+  };
+}
+
+const clock = {
+  key: 'clock',
+  name: 'Telling Time',
+  type: 'clock',
+  aliases: ['Clock', 'Time'],
+  params: {
+    activity: { type: 'enum', values: ACTIVITIES, label: 'Clock activity' },
+    granularity: { type: 'enum', values: Object.keys(MINUTES), label: 'Times to the' }
+  },
+  presets: {
+    easy: { activity: 'readTime', granularity: 'hour' },
+    medium: { activity: 'readTime', granularity: 'halfHour' },
+    hard: { activity: 'readTime', granularity: 'quarterHour' }
+  },
+  generate: generateClockWorksheet,
+  renderHTML: renderClockItems,
+  toFormsQuestion,
+  css: `
+        .clock-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 24px; margin: 20px 0; }
+        .clock-item { text-align: center; page-break-inside: avoid; }
+        .clock-number-label { text-align: left; font-weight: bold; color: #7c3aed; }
+        .clock-face { width: 160px; height: 160px; }
+        .clock-rim { fill: #fff; stroke: #111; stroke-width: 4; }
+        .clock-tick { stroke: #111; stroke-width: 1; }
+        .clock-tick-hour { stroke-width: 3; }
+        .clock-number { font-size: 18px; font-weight: bold; text-anchor: middle; dominant-baseline: central; fill: #111; }
+        .clock-hand { stroke-linecap: round; }
+        .clock-hand-hour { stroke: #dc2626; stroke-width: 7; }
+        .clock-hand-minute { stroke: #2563eb; stroke-width: 4; }
+        .clock-centre { fill: #111; }
+        .clock-time { margin-top: 8px; font-size: 20px; font-weight: bold; }
+`
+};
+
+module.exports = clock;
@@ -0,0 +1,126 @@
+/**
+ * Coloring template
+ */
+
+const { randomInt, getThemePictures, getColorCode } = require('./helpers');
+const { renderPicture, PICTURE_CSS } = require('./renderers');
+const { colorLegendFor, renderLineArt, COLORING_CSS } = require('./lineArt');
+const { pickTemplateOptions } = require('../utils/generatorOptions');
+const { escapeHTML } = require('../utils/html');
+
+// Swatch colours go into a style attribute, so only plain hex colours are used
+const swatchColor = code => (/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(code) ? code : 'transparent');
+
+const COLORING_DEFAULTS = {
+  mode: 'color',
+  labels: 'numbers'
+};
+
+// Generate coloring worksheet: one colour per picture, or color-by-number
+// pictures whose regions are labelled from a key
+function generateColoringWorksheet({ curriculum, grade, theme, themeItems, random, options, count }) {
+  const { mode, labels } = { ...COLORING_DEFAULTS, ...pickTemplateOptions(coloring, options) };
+  const pictures = getThemePictures(theme || 'animals', themeItems);
+
+  if (mode === 'colorByNumber') {
+    // Only bundled clipart can be split into regions; uploads stay plain pages
+    const candidates = pictures
+      .map(picture => ({ ...picture, legend: colorLegendFor(picture.image, labels) }))
+      .filter(picture => picture.legend.length > 0);
+    // Pictures with a single colour make a dull page, so use them only as a last resort
+    const colourful = candidates.filter(picture => picture.legend.length > 1);
+    const labelled = colourful.length > 0 ? colourful : candidates;
+
+    if (labelled.length > 0) {
+      const start = randomInt(random, 0, labelled.length - 1);
+      return {
+        title: 'Color by Number',
+        instructions: `Color each part using the key. Match the ${labels === 'letters' ? 'letter' : 'number'} to its color.`,
+        items: Array.from({ length: count || 2 }, (_, i) => {
+          const picture = labelled[(start + i) % labelled.length];
+          return {
+            item: picture.name,
+            image: picture.image,
+            mode,
+            legend: picture.legend,
+            instruction: `Color the ${picture.name} using the key`
+          };
+        }),
+        type: 'coloring'
+      };
+    }
+  }
+
+  const colors = ['Red', 'Blue', 'Green', 'Yellow', 'Orange', 'Purple'];
+  const items = colors.slice(0, count || 6).map((color, i) => ({
+    color,
+    colorCode: getColorCode(color),
+    item: pictures[i % pictures.length].name,
+    image: pictures[i % pictures.length].image,
+    instruction: `Color the ${pictures[i % pictures.length].name} ${color.toLowerCase()}`
+  }));
+
+  return {
+    title: 'Coloring Fun',
+    instructions: 'Color each picture with the correct color.',
+    items,
+    type: 'coloring'
+  };
+}
+
+// Bundled clipart becomes vector line art; uploaded pictures print in grayscale
+function renderColoringArt(item, options) {
+  return renderLineArt(item.image, options) || renderPicture(item.image, '', { lineArt: true, alt: item.item });
+}
+
+// The key prints each colour's name next to its swatch, so it still reads on a
+// black-and-white photocopy
+function renderLegend(legend) {
+  return `<div class="color-legend">` + legend.map(entry => `
+    <div class="legend-row">
+      <span class="legend-label">${escapeHTML(entry.label)}</span>
+      <span class="legend-swatch" style="background: ${swatchColor(entry.colorCode)}"></span>
+      <span class="legend-name">${escapeHTML(entry.color)}</span>
+    </div>
+  `).join('') + `</div>`;
+}
+
+// Answer keys show color-by-number pictures coloured in
+function renderColoringItems(items, showAnswers) {
+  return `<div class="coloring-grid">` + items.map((item, i) => {
+    if (Array.isArray(item.legend) && item.legend.length > 0) {
+      return `
+      <div class="coloring-page by-number">
+        ${renderColoringArt(item, { legend: item.legend, filled: showAnswers })}
+        <div>
+          <div class="coloring-caption"><span class="item-number">${i + 1}.</span>${escapeHTML(item.instruction)}</div>
+          ${renderLegend(item.legend)}
+        </div>
+      </div>`;
+    }
+
+    return `
+      <div class="coloring-page">
+        ${renderColoringArt(item, {})}
+        <div class="coloring-caption">
+          <span class="item-number">${i + 1}.</span>${escapeHTML(item.instruction)}
+          ${item.colorCode ? `<span class="color-swatch" style="background: ${swatchColor(item.colorCode)}"></span>` : ''}
+        </div>
+      </div>`;
+  }).join('') + `</div>`;
+}
+
+const coloring = {
+  key: 'coloring',
+  name: 'Coloring',
+  type: 'coloring',
+  params: {
+    mode: { type: 'enum', values: ['color', 'colorByNumber'], label: 'Coloring style' },
+    labels: { type: 'enum', values: ['numbers', 'letters'], label: 'Region labels' }
+  },
+  generate: generateColoringWorksheet,
+  renderHTML: renderColoringItems,
+  css: PICTURE_CSS + COLORING_CSS
+};
+
+module.exports = coloring;
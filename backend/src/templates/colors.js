@@ -0,0 +1,35 @@
+/**
+ * Colors template
+ */
+
+const { renderEmojiGrid } = require('./renderers');
+
+// Generate colors worksheet
+function generateColorsWorksheet({ curriculum, grade, theme, count = 6 }) {
+  const colors = [
+    { name: 'Red', emoji: '🔴' },
+    { name: 'Blue', emoji: '🔵' },
+    { name: 'Green', emoji: '🟢' },
+    { name: 'Yellow', emoji: '🟡' },
+    { name: 'Orange', emoji: '🟠' },
+    { name: 'Purple', emoji: '🟣' }
+  ];
+  
+  return {
+    title: 'Color Recognition',
+    instructions: 'Say the name of each color.',
+    items: colors.slice(0, count),
+    type: 'colors'
+  };
+}
+
+const colors = {
+  key: 'colors',
+  name: 'Colors',
+  type: 'colors',
+  generate: generateColorsWorksheet,
+  renderHTML: renderEmojiGrid,
+  toFormsQuestion: (item) => ({ question: `Which color is this? ${item.emoji}`, answer: item.name })
+};
+
+module.exports = colors;
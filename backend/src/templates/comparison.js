@@ -0,0 +1,113 @@
+/**
+ * Comparison template
+ * Pairs of numbers or fractions to compare with <, > or =.
+ */
+
+const { randomInt } = require('./helpers');
+const { renderFraction, FRACTION_CSS } = require('./renderers');
+const { OPERAND_PARAMS, resolveGeneratorOptions } = require('../utils/generatorOptions');
+const { shuffle } = require('../utils/random');
+const { escapeHTML } = require('../utils/html');
+
+const KINDS = ['numbers', 'fractions'];
+const SIGNS = ['<', '>', '='];
+
+// About one pair in six is equal, so "=" is not always the odd one out
+const EQUAL_CHANCE = 1 / 6;
+
+const signFor = (left, right) => (left < right ? '<' : left > right ? '>' : '=');
+
+// Two whole numbers; harder ranges often share their leading digits
+function numberPair({ min, max }, random) {
+  const left = randomInt(random, min, max);
+  if (random() < EQUAL_CHANCE) return { left, right: left, answer: '=' };
+
+  let right = left;
+  while (right === left && max > min) {
+    right = random() < 0.5 && max - min > 20
+      ? Math.min(max, Math.max(min, left + randomInt(random, -9, 9)))
+      : randomInt(random, min, max);
+  }
+  return { left, right, answer: signFor(left, right) };
+}
+
+// Two fractions sharing a denominator or a numerator, so they can be compared
+// without common denominators
+function fractionPair(random) {
+  const denominator = randomInt(random, 3, 10);
+  if (random() < 0.5) {
+    const [a, b] = shuffle(Array.from({ length: denominator - 1 }, (_, i) => i + 1), random);
+    const equal = random() < EQUAL_CHANCE;
+    return { left: `${a}/${denominator}`, right: `${equal ? a : b}/${denominator}`, answer: equal ? '=' : signFor(a, b) };
+  }
+
+  const numerator = randomInt(random, 1, 3);
+  const [d1, d2] = shuffle(Array.from({ length: 8 }, (_, i) => i + numerator + 1), random);
+  // Same numerator: the bigger denominator makes smaller parts
+  return { left: `${numerator}/${d1}`, right: `${numerator}/${d2}`, answer: signFor(d2, d1) };
+}
+
+// Generate comparison worksheet
+function generateComparisonWorksheet({ grade, random, options, count = 8 }) {
+  const settings = resolveGeneratorOptions(comparison, grade, options);
+  const items = Array.from({ length: count }, (_, i) => {
+    const kind = settings.kinds[i % settings.kinds.length];
+    const pair = kind === 'fractions' ? fractionPair(random) : numberPair(settings, random);
+    return { ...pair, kind, question: `${pair.left} ○ ${pair.right}` };
+  });
+
+  return {
+    title: 'Compare the Numbers',
+    instructions: 'Write <, > or = in each circle.',
+    items: shuffle(items, random),
+    type: 'comparison'
+  };
+}
+
+// A fraction written as "3/4" shown stacked
+function renderSide(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value));
+  if (!match) return `<span class="compare-value">${escapeHTML(value)}</span>`;
+  return renderFraction(match[1], match[2]);
+}
+
+function renderComparisonItems(items, showAnswers) {
+  return `<div class="compare-grid">` + items.map((item, i) => `
+    <div class="compare-item">
+      <span class="problem-number">${i + 1}.</span>
+      ${renderSide(item.left)}
+      <span class="compare-circle">${showAnswers ? escapeHTML(item.answer) : ''}</span>
+      ${renderSide(item.right)}
+    </div>
+  `).join('') + `</div>`;
+}
+
+const comparison = {
+  key: 'comparison',
+  name: 'Comparing Numbers',
+  type: 'comparison',
+  aliases: ['Comparison', 'Compare Numbers', 'Greater Than Less Than'],
+  params: {
+    ...OPERAND_PARAMS,
+    kinds: { type: 'enumList', values: KINDS, label: 'Compare' }
+  },
+  presets: {
+    easy: { min: 0, max: 20, kinds: ['numbers'] },
+    medium: { min: 0, max: 100, kinds: ['numbers'] },
+    hard: { min: 100, max: 999, kinds: ['numbers', 'fractions'] }
+  },
+  generate: generateComparisonWorksheet,
+  renderHTML: renderComparisonItems,
+  toFormsQuestion: (item) => ({
+    question: `Which sign makes this true? ${item.left} __ ${item.right}`,
+    answer: item.answer,
+    options: SIGNS
+  }),
+  css: FRACTION_CSS + `
+        .compare-grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 20px 40px; margin: 20px 0; }
+        .compare-item { display: flex; align-items: center; gap: 14px; font-size: 24px; page-break-inside: avoid; }
+        .compare-circle { display: inline-flex; align-items: center; justify-content: center; width: 44px; height: 44px; border: 2px solid #111; border-radius: 50%; font-weight: bold; color: #16a34a; }
+`
+};
+
+module.exports = comparison;
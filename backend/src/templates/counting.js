@@ -0,0 +1,70 @@
+/**
+ * Counting template
+ */
+
+const { randomInt, getThemePictures, getItemEmoji } = require('./helpers');
+const { renderPicture, PICTURE_CSS } = require('./renderers');
+const { OPERAND_PARAMS, resolveGeneratorOptions } = require('../utils/generatorOptions');
+const { escapeHTML } = require('../utils/html');
+
+// Generate counting worksheet
+function generateCountingWorksheet({ curriculum, grade, theme, themeItems, random, options, count = 8 }) {
+  const { min, max } = resolveGeneratorOptions(counting, grade, options);
+  const items = [];
+  const pictures = getThemePictures(theme || 'animals', themeItems);
+  
+  for (let i = 0; i < count; i++) {
+    const objects = randomInt(random, Math.max(min, 1), Math.max(max, 1));
+    const { name: item, image } = pictures[Math.floor(random() * pictures.length)];
+    items.push({ 
+      count: objects, 
+      item, 
+      image,
+      display: Array(objects).fill(getItemEmoji(item)).join('  '),
+      answer: objects
+    });
+  }
+  
+  return {
+    title: 'Count the Objects',
+    instructions: 'Count the objects and write the number in the box.',
+    items,
+    type: 'counting'
+  };
+}
+
+// The item's picture repeated once per object, or its emoji row
+function renderObjects(item) {
+  const picture = renderPicture(item.image, null);
+  return picture ? Array(item.count || 0).fill(picture).join('') : escapeHTML(item.display);
+}
+
+const counting = {
+  key: 'counting',
+  name: 'Counting',
+  type: 'counting',
+  aliases: ['Counting 1-20'],
+  params: { ...OPERAND_PARAMS },
+  presets: {
+    easy: { min: 1, max: 10 },
+    medium: { min: 1, max: 20 },
+    hard: { min: 10, max: 50 }
+  },
+  gradePresets: {
+    easy: { min: 1, max: 10 },
+    medium: { min: 1, max: 20 },
+    hard: { min: 1, max: 50 }
+  },
+  generate: generateCountingWorksheet,
+  renderHTML: (items) => items.map((item, i) => `
+    <div class="item">
+      <div class="item-number">${i + 1}.</div>
+      <div class="item-display">${renderObjects(item)}</div>
+      <div class="answer-box"></div>
+    </div>
+  `).join(''),
+  toFormsQuestion: (item) => ({ question: `How many? ${item.display}`, answer: String(item.answer) }),
+  css: PICTURE_CSS
+};
+
+module.exports = counting;
@@ -0,0 +1,42 @@
+/**
+ * CVC Words template
+ */
+
+const { escapeHTML } = require('../utils/html');
+
+// Generate CVC words worksheet
+function generateCVCWordsWorksheet({ curriculum, grade, theme, count = 6 }) {
+  const cvcWords = [
+    { word: 'cat', letters: ['c', 'a', 't'], picture: '🐱' },
+    { word: 'dog', letters: ['d', 'o', 'g'], picture: '🐕' },
+    { word: 'pig', letters: ['p', 'i', 'g'], picture: '🐷' },
+    { word: 'hen', letters: ['h', 'e', 'n'], picture: '🐔' },
+    { word: 'fox', letters: ['f', 'o', 'x'], picture: '🦊' },
+    { word: 'bug', letters: ['b', 'u', 'g'], picture: '🐛' }
+  ];
+  
+  return {
+    title: 'CVC Words',
+    instructions: 'Sound out and write the word for each picture.',
+    items: cvcWords.slice(0, count),
+    type: 'cvcWords'
+  };
+}
+
+const cvcWords = {
+  key: 'cvcwords',
+  name: 'CVC Words',
+  type: 'cvcWords',
+  generate: generateCVCWordsWorksheet,
+  renderHTML: (items, showAnswers) => `<div class="cvc-grid">` + items.map(item => `
+    <div class="cvc-item">
+      <div class="cvc-picture">${escapeHTML(item.picture)}</div>
+      <div class="cvc-boxes">
+        ${item.letters.map(l => `<div class="cvc-box">${showAnswers ? escapeHTML(l) : ''}</div>`).join('')}
+      </div>
+    </div>
+  `).join('') + `</div>`,
+  toFormsQuestion: (item) => ({ question: `Write the word for ${item.picture}`, answer: item.word })
+};
+
+module.exports = cvcWords;
@@ -0,0 +1,153 @@
+/**
+ * Fractions template
+ * Pies and bars cut into equal parts, either shaded for the child to name the
+ * fraction or blank for the child to shade it.
+ */
+
+const { randomInt, sampleProblem } = require('./helpers');
+const { renderFraction, FRACTION_CSS } = require('./renderers');
+const { resolveGeneratorOptions } = require('../utils/generatorOptions');
+const { shuffle } = require('../utils/random');
+const { escapeHTML } = require('../utils/html');
+
+const SHAPES = ['pie', 'bar'];
+const TASKS = ['name', 'shade', 'mixed'];
+
+// Drawing sizes in px
+const PIE_RADIUS = 50;
+const BAR_WIDTH = 200;
+const BAR_HEIGHT = 40;
+
+// Generate fractions worksheet with distinct fractions of the chosen denominators
+function generateFractionsWorksheet({ grade, random, options, count = 6 }) {
+  const { denominators, shapes, task, unitOnly } = resolveGeneratorOptions(fractions, grade, options);
+  const used = new Set();
+
+  const items = Array.from({ length: count }, (_, i) => {
+    const shape = shapes[i % shapes.length];
+    const mode = task === 'mixed' ? (i % 2 === 0 ? 'name' : 'shade') : task;
+    const { numerator, denominator } = sampleProblem(
+      () => {
+        const d = denominators[randomInt(random, 0, denominators.length - 1)];
+        return { numerator: unitOnly ? 1 : randomInt(random, 1, d - 1), denominator: d };
+      },
+      // Repeats are allowed once every fraction has been used
+      ({ numerator, denominator }) => !used.has(`${numerator}/${denominator}`) || used.size >= possibleCount(denominators, unitOnly)
+    );
+    used.add(`${numerator}/${denominator}`);
+
+    return {
+      numerator,
+      denominator,
+      shape,
+      mode,
+      question: mode === 'shade' ? `Shade ${numerator}/${denominator} of the ${shape}.` : 'What fraction is shaded?',
+      answer: `${numerator}/${denominator}`
+    };
+  });
+
+  return {
+    title: 'Fractions',
+    instructions: task === 'shade'
+      ? 'Shade the fraction of each shape.'
+      : 'Each shape is cut into equal parts. Name or shade the fraction.',
+    items: shuffle(items, random),
+    type: 'fractions'
+  };
+}
+
+// Number of different proper fractions the settings allow
+function possibleCount(denominators, unitOnly) {
+  return unitOnly ? denominators.length : denominators.reduce((sum, d) => sum + d - 1, 0);
+}
+
+// Circle cut into equal wedges; the first `shaded` wedges are filled
+function renderPie(denominator, shaded) {
+  const c = PIE_RADIUS + 2;
+  if (denominator === 1) {
+    return `<circle class="fraction-part${shaded ? ' fraction-shaded' : ''}" cx="${c}" cy="${c}" r="${PIE_RADIUS}"/>`;
+  }
+  const point = i => {
+    const angle = (i / denominator) * 2 * Math.PI - Math.PI / 2;
+    return `${(c + PIE_RADIUS * Math.cos(angle)).toFixed(1)} ${(c + PIE_RADIUS * Math.sin(angle)).toFixed(1)}`;
+  };
+  return Array.from({ length: denominator }, (_, i) => (
+    `<path class="fraction-part${i < shaded ? ' fraction-shaded' : ''}" d="M${c} ${c}L${point(i)}A${PIE_RADIUS} ${PIE_RADIUS} 0 0 1 ${point(i + 1)}Z"/>`
+  )).join('');
+}
+
+// Bar cut into equal columns; the first `shaded` columns are filled
+function renderBar(denominator, shaded) {
+  const width = BAR_WIDTH / denominator;
+  return Array.from({ length: denominator }, (_, i) => (
+    `<rect class="fraction-part${i < shaded ? ' fraction-shaded' : ''}" x="${(2 + i * width).toFixed(1)}" y="2" width="${width.toFixed(1)}" height="${BAR_HEIGHT}"/>`
+  )).join('');
+}
+
+function renderFractionShape(item, showAnswers) {
+  const shaded = item.mode === 'shade' && !showAnswers ? 0 : item.numerator;
+  const [width, height] = item.shape === 'bar' ? [BAR_WIDTH + 4, BAR_HEIGHT + 4] : [PIE_RADIUS * 2 + 4, PIE_RADIUS * 2 + 4];
+  const parts = item.shape === 'bar' ? renderBar(item.denominator, shaded) : renderPie(item.denominator, shaded);
+  return `<svg class="fraction-shape" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">${parts}</svg>`;
+}
+
+function renderFractionItems(items, showAnswers) {
+  return `<div class="fraction-grid">` + items.map((item, i) => {
+    const naming = item.mode !== 'shade';
+    return `
+    <div class="fraction-item">
+      <div class="item-number">${i + 1}.</div>
+      <div>${naming ? escapeHTML(item.question) : `Shade ${renderFraction(item.numerator, item.denominator)}`}</div>
+      ${renderFractionShape(item, showAnswers)}
+      ${naming ? `<div class="answer-line">${showAnswers ? renderFraction(item.numerator, item.denominator) : '<span class="fraction-blank"></span>'}</div>` : ''}
+    </div>
+  `;
+  }).join('') + `</div>`;
+}
+
+// Forms can't show the shape, so it is described. Naming is a choice between
+// the fraction, its complement, its flip and a near miss.
+function toFormsQuestion(item) {
+  const { numerator: n, denominator: d } = item;
+  if (item.mode === 'shade') {
+    return { question: `To shade ${n}/${d} of a ${item.shape} cut into ${d} equal parts, how many parts do you shade?`, answer: String(n) };
+  }
+
+  const choices = [`${n}/${d}`, `${d - n}/${d}`, `${d}/${n}`, `${n}/${d + 1}`];
+  return {
+    question: `A ${item.shape} is cut into ${d} equal parts and ${n} ${n === 1 ? 'part is' : 'parts are'} shaded. What fraction is shaded?`,
+    answer: item.answer,
+    options: [...new Set(choices)]
+  };
+}
+
+const fractions = {
+  key: 'fractions',
+  name: 'Fractions',
+  type: 'fractions',
+  aliases: ['Fraction', 'Fraction Shading', 'Halves and Quarters'],
+  params: {
+    denominators: { type: 'integerList', min: 2, max: 12, label: 'Denominators' },
+    shapes: { type: 'enumList', values: SHAPES, label: 'Fraction shapes' },
+    task: { type: 'enum', values: TASKS, label: 'Fraction activity' }
+  },
+  presets: {
+    easy: { denominators: [2, 4], shapes: ['pie', 'bar'], task: 'name', unitOnly: true },
+    medium: { denominators: [2, 3, 4], shapes: ['pie', 'bar'], task: 'mixed', unitOnly: false },
+    hard: { denominators: [3, 4, 5, 6, 8, 10], shapes: ['pie', 'bar'], task: 'mixed', unitOnly: false }
+  },
+  generate: generateFractionsWorksheet,
+  renderHTML: renderFractionItems,
+  toFormsQuestion,
+  css: FRACTION_CSS + `
+        .fraction-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 24px; margin: 20px 0; }
+        .fraction-item { text-align: center; page-break-inside: avoid; }
+        .fraction-item .item-number { text-align: left; }
+        .fraction-shape { margin: 10px auto; display: block; }
+        .fraction-part { fill: #fff; stroke: #111; stroke-width: 2; }
+        .fraction-shaded { fill: #c4b5fd; }
+        .fraction-blank { display: inline-block; width: 40px; height: 48px; border: 2px dashed #999; border-radius: 6px; }
+`
+};
+
+module.exports = fractions;
@@ -0,0 +1,33 @@
+/**
+ * Grammar template
+ */
+
+const { renderGenericItems } = require('./renderers');
+
+// Generate grammar worksheet
+function generateGrammarWorksheet({ curriculum, grade, theme, count = 4 }) {
+  const items = [
+    { sentence: 'The ___ is running.', options: ['dog', 'dogs'], answer: 'dog', type: 'noun' },
+    { sentence: 'She ___ to school.', options: ['walk', 'walks'], answer: 'walks', type: 'verb' },
+    { sentence: 'The ___ ball is red.', options: ['big', 'bigs'], answer: 'big', type: 'adjective' },
+    { sentence: 'They ___ playing.', options: ['is', 'are'], answer: 'are', type: 'verb' }
+  ];
+  
+  return {
+    title: 'Grammar Practice',
+    instructions: 'Choose the correct word.',
+    items: items.slice(0, count),
+    type: 'grammar'
+  };
+}
+
+const grammar = {
+  key: 'grammar',
+  name: 'Grammar',
+  type: 'grammar',
+  generate: generateGrammarWorksheet,
+  renderHTML: renderGenericItems,
+  toFormsQuestion: (item) => ({ question: item.sentence, answer: item.answer, options: item.options })
+};
+
+module.exports = grammar;
@@ -0,0 +1,231 @@
+/**
+ * Handwriting guides
+ * SVG tracing rows on four-line guides: a solid model, dotted-outline copies,
+ * a start arrow and, for single print letters, numbered stroke starts.
+ * Indic scripts sit their letter body in the middle band with vowel signs
+ * above and below it; Devanagari draws the waist line solid as the headline.
+ */
+
+const { FONTS } = require('../utils/fonts');
+const { escapeHTML } = require('../utils/html');
+
+// Row geometry in SVG units. The four guide lines are one band apart:
+// head line, waist line (x-height), base line and tail line (descenders).
+const ROW = { width: 600, height: 92, band: 22, top: 14, margin: 10, gap: 18 };
+
+const HEAD = ROW.top;
+const WAIST = ROW.top + ROW.band;
+const BASE = ROW.top + ROW.band * 2;
+const TAIL = ROW.top + ROW.band * 3;
+
+// Heights in em, from the print font, used by the stroke tables below
+const C = FONTS.print.metrics.capHeight;
+const X = FONTS.print.metrics.xHeight;
+const A = 0.75; // ascender
+
+// Where each stroke starts, in em from the glyph's centre and baseline, and
+// which way it goes. Directions: r, dr, d, dl, l, ul, u, ur, or dot.
+const STROKES = {
+  A: [[0, C, 'dl'], [0, C, 'dr'], [-0.15, 0.3, 'r']],
+  B: [[-0.22, C, 'd'], [-0.22, C, 'r']],
+  C: [[0.22, 0.6, 'l']],
+  D: [[-0.22, C, 'd'], [-0.22, C, 'r']],
+  E: [[-0.2, C, 'd'], [-0.2, C, 'r'], [-0.2, 0.36, 'r'], [-0.2, 0, 'r']],
+  F: [[-0.2, C, 'd'], [-0.2, C, 'r'], [-0.2, 0.36, 'r']],
+  G: [[0.24, 0.6, 'l'], [0.05, 0.3, 'r']],
+  H: [[-0.24, C, 'd'], [0.24, C, 'd'], [-0.24, 0.36, 'r']],
+  I: [[0, C, 'd'], [-0.15, C, 'r'], [-0.15, 0, 'r']],
+  J: [[0.12, C, 'd']],
+  K: [[-0.22, C, 'd'], [0.22, C, 'dl'], [-0.05, 0.38, 'dr']],
+  L: [[-0.2, C, 'd'], [-0.2, 0, 'r']],
+  M: [[-0.3, C, 'd'], [-0.3, C, 'dr'], [0.3, C, 'd']],
+  N: [[-0.24, C, 'd'], [-0.24, C, 'dr'], [0.24, 0, 'u']],
+  O: [[0, C, 'l']],
+  P: [[-0.2, C, 'd'], [-0.2, C, 'r']],
+  Q: [[0, C, 'l'], [0.05, 0.15, 'dr']],
+  R: [[-0.2, C, 'd'], [-0.2, C, 'r'], [0, 0.36, 'dr']],
+  S: [[0.2, 0.62, 'l']],
+  T: [[0, C, 'd'], [-0.25, C, 'r']],
+  U: [[-0.24, C, 'd']],
+  V: [[-0.26, C, 'dr']],
+  W: [[-0.38, C, 'dr']],
+  X: [[-0.24, C, 'dr'], [0.24, C, 'dl']],
+  Y: [[-0.24, C, 'dr'], [0.24, C, 'dl'], [0, 0.36, 'd']],
+  Z: [[-0.22, C, 'r']],
+  a: [[0.18, 0.42, 'l'], [0.2, X, 'd']],
+  b: [[-0.2, A, 'd'], [-0.2, 0.3, 'r']],
+  c: [[0.18, 0.42, 'l']],
+  d: [[0.18, 0.42, 'l'], [0.2, A, 'd']],
+  e: [[-0.2, 0.25, 'r']],
+  f: [[0.15, 0.68, 'l'], [-0.2, X, 'r']],
+  g: [[0.18, 0.42, 'l'], [0.2, X, 'd']],
+  h: [[-0.2, A, 'd'], [-0.2, 0.35, 'r']],
+  i: [[0, X, 'd'], [0, 0.68, 'dot']],
+  j: [[0.05, X, 'd'], [0.05, 0.68, 'dot']],
+  k: [[-0.2, A, 'd'], [0.18, X, 'dl'], [-0.05, 0.22, 'dr']],
+  l: [[0, A, 'd']],
+  m: [[-0.3, X, 'd'], [-0.3, 0.38, 'r'], [0, 0.38, 'r']],
+  n: [[-0.2, X, 'd'], [-0.2, 0.38, 'r']],
+  o: [[0, X, 'l']],
+  p: [[-0.2, X, 'd'], [-0.2, 0.3, 'r']],
+  q: [[0.18, 0.42, 'l'], [0.2, X, 'd']],
+  r: [[-0.15, X, 'd'], [-0.15, 0.35, 'r']],
+  s: [[0.16, 0.43, 'l']],
+  t: [[0, 0.68, 'd'], [-0.15, X, 'r']],
+  u: [[-0.2, X, 'd'], [0.2, X, 'd']],
+  v: [[-0.22, X, 'dr']],
+  w: [[-0.32, X, 'dr']],
+  x: [[-0.2, X, 'dr'], [0.2, X, 'dl']],
+  y: [[-0.2, X, 'dr'], [0.2, X, 'dl']],
+  z: [[-0.18, X, 'r']]
+};
+
+const DIRECTIONS = { r: 0, dr: 45, d: 90, dl: 135, l: 180, ul: 225, u: 270, ur: 315 };
+
+const graphemes = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+// Rough advance widths in em; good enough to space copies along a row
+function charWidth(ch, style) {
+  let width = 0.55;
+  if (/[mwMW]/.test(ch)) width = 0.85;
+  else if (/[ijlI1.,']/.test(ch)) width = 0.3;
+  else if (/[ftr ]/.test(ch)) width = 0.4;
+  else if (/[A-Z]/.test(ch)) width = 0.65;
+  return style === 'cursive' ? width * 1.25 : width;
+}
+
+// Indic fonts give one average width per syllable (a letter with its signs)
+function textWidth(text, style) {
+  const { advance } = FONTS[style].metrics;
+  if (advance) return [...graphemes.segment(text)].length * advance;
+  return [...text].reduce((sum, ch) => sum + charWidth(ch, style), 0);
+}
+
+// Text without lowercase letters fills head to base line; anything else sits
+// its x-height in the middle band
+function fontSizeFor(text, font) {
+  return /[a-z]/.test(text) || !/[A-Z]/.test(text)
+    ? ROW.band / font.metrics.xHeight
+    : (ROW.band * 2) / font.metrics.capHeight;
+}
+
+function renderGuides(font) {
+  return `
+      <line class="guide guide-head" x1="0" y1="${HEAD}" x2="${ROW.width}" y2="${HEAD}" />
+      <line class="guide ${FONTS[font].headline ? 'guide-headline' : 'guide-waist'}" x1="0" y1="${WAIST}" x2="${ROW.width}" y2="${WAIST}" />
+      <line class="guide guide-base" x1="0" y1="${BASE}" x2="${ROW.width}" y2="${BASE}" />
+      <line class="guide guide-tail" x1="0" y1="${TAIL}" x2="${ROW.width}" y2="${TAIL}" />`;
+}
+
+// Start dot with a short arrow, and optionally a stroke number beside it
+function renderStrokeStart(x, y, direction, number) {
+  const marks = [`<circle class="stroke-start" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="2.5" />`];
+
+  if (direction !== 'dot') {
+    const angle = (DIRECTIONS[direction] * Math.PI) / 180;
+    const x2 = x + Math.cos(angle) * 12;
+    const y2 = y + Math.sin(angle) * 12;
+    const head = [-2.6, 2.6].map(turn => [
+      x2 - Math.cos(angle + turn) * 4,
+      y2 - Math.sin(angle + turn) * 4
+    ]);
+    marks.push(`<line class="stroke-arrow" x1="${x.toFixed(1)}" y1="${y.toFixed(1)}" x2="${x2.toFixed(1)}" y2="${y2.toFixed(1)}" />`);
+    marks.push(`<polygon class="stroke-arrowhead" points="${[[x2, y2], ...head].map(p => p.map(v => v.toFixed(1)).join(',')).join(' ')}" />`);
+  }
+
+  if (number !== undefined) {
+    marks.push(`<text class="stroke-number" x="${(x - 7).toFixed(1)}" y="${(y - 4).toFixed(1)}">${number}</text>`);
+  }
+
+  return marks.join('');
+}
+
+/**
+ * Stroke start marks for the model at the start of a row
+ * @param {string} text - Row text
+ * @param {Object} layout - { x, size, style, strokeOrder }
+ * @returns {string} - SVG
+ */
+function renderModelMarks(text, { x, size, style, strokeOrder }) {
+  const first = [...text][0];
+
+  // Joined cursive starts with a lead-in stroke from the base line
+  if (style === 'cursive') {
+    return renderStrokeStart(x, BASE, 'ur');
+  }
+
+  const strokes = STROKES[first] || [];
+  const centre = x + (charWidth(first, style) * size) / 2;
+  const numbered = strokeOrder && [...text].length === 1;
+
+  return strokes
+    .filter((stroke, i) => numbered || i === 0)
+    .map(([dx, dy, direction], i) => renderStrokeStart(
+      centre + dx * size,
+      BASE - dy * size,
+      direction,
+      numbered ? i + 1 : undefined
+    ))
+    .join('');
+}
+
+/**
+ * One tracing row: solid model, then dotted copies to the end of the line
+ * @param {string} text - Letter or word to trace
+ * @param {Object} options - { style: 'print'|'cursive'|Indic font key, strokeOrder: boolean }
+ * @returns {string} - SVG markup
+ */
+function renderTracingRow(text, { style = 'print', strokeOrder = false } = {}) {
+  const font = FONTS[style] ? style : 'print';
+  const size = fontSizeFor(text, FONTS[font]);
+  const pitch = textWidth(text, font) * size + ROW.gap;
+  const copies = Math.max(1, Math.floor((ROW.width - ROW.margin) / pitch));
+
+  const glyphs = Array.from({ length: copies }, (_, i) => {
+    const x = ROW.margin + i * pitch;
+    const className = i === 0 ? 'trace-model' : 'trace-dotted';
+    return `<text class="${className} trace-${font}" x="${x.toFixed(1)}" y="${BASE}" font-size="${size.toFixed(1)}">${escapeHTML(text)}</text>`;
+  }).join('');
+
+  return `
+    <svg class="trace-row" viewBox="0 0 ${ROW.width} ${ROW.height}" preserveAspectRatio="xMinYMid meet" xmlns="http://www.w3.org/2000/svg">
+      ${renderGuides(font)}
+      ${glyphs}
+      ${renderModelMarks(text, { x: ROW.margin, size, style: font, strokeOrder })}
+    </svg>`;
+}
+
+// Styles for tracing rows; dotted copies are the glyph outline drawn as dots
+const HANDWRITING_CSS = `
+        .trace-rows { margin-left: -60px; }
+        .trace-item { margin-bottom: 12px; page-break-inside: avoid; break-inside: avoid; }
+        .trace-row { display: block; width: 100%; height: auto; background: rgba(255, 255, 255, 0.95); }
+        .trace-print { font-family: '${FONTS.print.family}', sans-serif; }
+        .trace-cursive { font-family: '${FONTS.cursive.family}', cursive; }
+        .trace-devanagari { font-family: '${FONTS.devanagari.family}', sans-serif; }
+        .trace-tamil { font-family: '${FONTS.tamil.family}', sans-serif; }
+        .trace-kannada { font-family: '${FONTS.kannada.family}', sans-serif; }
+        .trace-model { fill: #1f2937; }
+        .trace-dotted {
+          fill: none;
+          stroke: #64748b;
+          stroke-width: 1.2;
+          stroke-dasharray: 0.1 2.6;
+          stroke-linecap: round;
+        }
+        .guide { stroke-width: 0.8; }
+        .guide-head, .guide-tail { stroke: #93c5fd; }
+        .guide-waist { stroke: #93c5fd; stroke-dasharray: 4 3; }
+        .guide-headline { stroke: #2563eb; stroke-width: 1.2; }
+        .guide-base { stroke: #ef4444; }
+        .stroke-start { fill: #16a34a; }
+        .stroke-arrow { stroke: #16a34a; stroke-width: 1.4; }
+        .stroke-arrowhead { fill: #16a34a; }
+        .stroke-number { font-family: Arial, sans-serif; font-size: 8px; font-weight: bold; fill: #2563eb; text-anchor: middle; }
+`;
+
+module.exports = {
+  STROKES,
+  renderTracingRow,
+  HANDWRITING_CSS
+};
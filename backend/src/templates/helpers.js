@@ -0,0 +1,153 @@
+/**
+ * Template helpers
+ * Random draws, theme word lists, pictures and emoji shared by the worksheet templates.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+const { getClipart } = require('../utils/clipart');
+const { DEFAULT_LANGUAGE, getLanguageWords } = require('../utils/languages');
+
+// Whole number between min and max, inclusive
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+// Draw problems until one meets the teacher's constraints
+function sampleProblem(make, accept, attempts = 500) {
+  for (let i = 0; i < attempts; i++) {
+    const problem = make();
+    if (accept(problem)) return problem;
+  }
+  throw new AppError('Could not create problems with these settings. Try a wider number range.', 400);
+}
+
+// True when adding the numbers carries in any column
+function needsCarrying(a, b) {
+  for (; a > 0 || b > 0; a = Math.floor(a / 10), b = Math.floor(b / 10)) {
+    if ((a % 10) + (b % 10) >= 10) return true;
+  }
+  return false;
+}
+
+// True when subtracting b from a (a >= b) borrows in any column
+function needsBorrowing(a, b) {
+  for (; b > 0; a = Math.floor(a / 10), b = Math.floor(b / 10)) {
+    if (a % 10 < b % 10) return true;
+  }
+  return false;
+}
+
+function getThemeItems(theme) {
+  const themes = {
+    animals: ['Dog', 'Cat', 'Bird', 'Fish', 'Bear', 'Lion', 'Elephant', 'Rabbit'],
+    fruits: ['Apple', 'Banana', 'Orange', 'Grape', 'Mango', 'Strawberry', 'Watermelon', 'Cherry'],
+    shapes: ['Circle', 'Square', 'Triangle', 'Rectangle', 'Star', 'Heart', 'Oval', 'Diamond'],
+    nature: ['Tree', 'Flower', 'Sun', 'Moon', 'Cloud', 'Rainbow', 'Mountain', 'River'],
+    transport: ['Car', 'Bus', 'Train', 'Airplane', 'Boat', 'Bicycle', 'Truck', 'Motorcycle'],
+    space: ['Star', 'Planet', 'Rocket', 'Moon', 'Astronaut', 'Comet', 'Galaxy', 'Satellite'],
+    ocean: ['Fish', 'Dolphin', 'Whale', 'Shark', 'Octopus', 'Crab', 'Seahorse', 'Jellyfish'],
+    sports: ['Ball', 'Bat', 'Goal', 'Net', 'Racket', 'Hoop', 'Helmet', 'Glove'],
+    food: ['Pizza', 'Burger', 'Sandwich', 'Salad', 'Soup', 'Rice', 'Bread', 'Cake'],
+    festivals: ['Lamp', 'Gift', 'Balloon', 'Cake', 'Candle', 'Star', 'Bell', 'Tree']
+  };
+  
+  return themes[theme.toLowerCase()] || themes.animals;
+}
+
+/**
+ * Theme items with pictures. A theme's stored items (bundled clipart and the
+ * school's uploads) are used when there are any; otherwise the built-in word
+ * list, each with its bundled picture where one exists.
+ * @param {string} theme - Theme name
+ * @param {Object[]} themeItems - [{ name, imageUrl }] from themeItemService
+ * @returns {Object[]} - [{ name, image }]
+ */
+function getThemePictures(theme, themeItems = []) {
+  if (themeItems.length > 0) {
+    return themeItems.map(item => ({ name: item.name, image: item.imageUrl }));
+  }
+  return getThemeItems(theme).map(name => ({ name, image: getClipart(theme, name) }));
+}
+
+function getItemEmoji(item) {
+  const emojiMap = {
+    'Dog': '🐕', 'Cat': '🐱', 'Bird': '🐦', 'Fish': '🐟', 'Bear': '🐻', 'Lion': '🦁',
+    'Elephant': '🐘', 'Rabbit': '🐰', 'Apple': '🍎', 'Banana': '🍌', 'Orange': '🍊',
+    'Grape': '🍇', 'Mango': '🥭', 'Strawberry': '🍓', 'Watermelon': '🍉', 'Cherry': '🍒',
+    'Circle': '⭕', 'Square': '⬜', 'Triangle': '🔺', 'Rectangle': '🟦', 'Star': '⭐',
+    'Heart': '❤️', 'Oval': '🔵', 'Diamond': '💎', 'Tree': '🌳', 'Flower': '🌸',
+    'Sun': '☀️', 'Moon': '🌙', 'Cloud': '☁️', 'Rainbow': '🌈', 'Mountain': '⛰️',
+    'River': '🏞️', 'Car': '🚗', 'Bus': '🚌', 'Train': '🚂', 'Airplane': '✈️',
+    'Boat': '⛵', 'Bicycle': '🚲', 'Truck': '🚛', 'Motorcycle': '🏍️', 'Planet': '🪐',
+    'Rocket': '🚀', 'Astronaut': '👨‍🚀', 'Comet': '☄️', 'Galaxy': '🌌', 'Satellite': '🛰️',
+    'Dolphin': '🐬', 'Whale': '🐋', 'Shark': '🦈', 'Octopus': '🐙', 'Crab': '🦀',
+    'Seahorse': ' Seahorse', 'Jellyfish': '🪼', 'Ball': '⚽', 'Bat': '🏏', 'Goal': '🥅',
+    'Pizza': '🍕', 'Burger': '🍔', 'Sandwich': '🥪', 'Salad': '🥗', 'Soup': '🍲',
+    'Rice': '🍚', 'Bread': '🍞', 'Cake': '🎂', 'Lamp': '🪔', 'Gift': '🎁',
+    'Balloon': '🎈', 'Candle': '🕯️', 'Bell': '🔔'
+  };
+  return emojiMap[item] || '⭐';
+}
+
+// Words for a letter; languages other than English use their own word bank
+function getWordsStartingWith(letter, count, language = DEFAULT_LANGUAGE) {
+  if (language !== DEFAULT_LANGUAGE) {
+    return getLanguageWords(letter, count, language);
+  }
+
+  const wordLists = {
+    A: ['Apple', 'Ant', 'Airplane', 'Alligator', 'Angel', 'Arrow'],
+    B: ['Ball', 'Bat', 'Bear', 'Boat', 'Book', 'Bird'],
+    C: ['Cat', 'Car', 'Cake', 'Cup', 'Cow', 'Cloud'],
+    D: ['Dog', 'Duck', 'Door', 'Drum', 'Doll', 'Dolphin'],
+    E: ['Elephant', 'Egg', 'Eye', 'Ear', 'Eagle', 'Eight'],
+    F: ['Fish', 'Fan', 'Frog', 'Flower', 'Fox', 'Four'],
+    G: ['Goat', 'Grapes', 'Girl', 'Gate', 'Guitar', 'Gift'],
+    H: ['Hat', 'Horse', 'House', 'Hand', 'Heart', 'Hen'],
+    I: ['Ice cream', 'Igloo', 'Insect', 'Island', 'Iron', 'Ivy'],
+    J: ['Jam', 'Jug', 'Jet', 'Jellyfish', 'Jacket', 'Jungle'],
+    K: ['Kite', 'Key', 'King', 'Kangaroo', 'Kitchen', 'Kitten'],
+    L: ['Lion', 'Leaf', 'Lamp', 'Lemon', 'Leg', 'Lake'],
+    M: ['Moon', 'Man', 'Mango', 'Mouse', 'Milk', 'Monkey'],
+    N: ['Nest', 'Nose', 'Nut', 'Nail', 'Night', 'Nine'],
+    O: ['Orange', 'Owl', 'Ocean', 'One', 'Ostrich', 'Onion'],
+    P: ['Pen', 'Pig', 'Pot', 'Pan', 'Parrot', 'Penguin'],
+    Q: ['Queen', 'Question', 'Quilt', 'Quail', 'Quarter', 'Quiet'],
+    R: ['Rat', 'Rose', 'Ring', 'Rabbit', 'Rain', 'Rainbow'],
+    S: ['Sun', 'Star', 'Ship', 'Snake', 'Swan', 'Shoe'],
+    T: ['Tree', 'Tiger', 'Toy', 'Train', 'Table', 'Turtle'],
+    U: ['Umbrella', 'Up', 'Uncle', 'Under', 'Unicorn', 'Uniform'],
+    V: ['Van', 'Violin', 'Vase', 'Vegetable', 'Village', 'Violet'],
+    W: ['Watch', 'Water', 'Whale', 'Window', 'Wolf', 'Wheel'],
+    X: ['Xylophone', 'X-ray', 'Fox', 'Box', 'Six', 'Mix'],
+    Y: ['Yak', 'Yarn', 'Yellow', 'Yogurt', 'Yacht', 'Year'],
+    Z: ['Zebra', 'Zoo', 'Zip', 'Zero', 'Zucchini', 'Zone']
+  };
+  
+  const words = wordLists[letter] || ['Word1', 'Word2', 'Word3', 'Word4'];
+  return words.slice(0, count);
+}
+
+function getColorCode(color) {
+  const colors = {
+    'Red': '#FF0000',
+    'Blue': '#0000FF',
+    'Green': '#00FF00',
+    'Yellow': '#FFFF00',
+    'Orange': '#FFA500',
+    'Purple': '#800080'
+  };
+  return colors[color] || '#000000';
+}
+
+module.exports = {
+  randomInt,
+  sampleProblem,
+  needsCarrying,
+  needsBorrowing,
+  getThemeItems,
+  getThemePictures,
+  getItemEmoji,
+  getWordsStartingWith,
+  getColorCode
+};
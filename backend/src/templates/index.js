@@ -0,0 +1,37 @@
+/**
+ * Worksheet templates
+ * Registers the built-in templates and exposes the registry.
+ */
+
+const registry = require('./registry');
+
+[
+  require('./counting'),
+  require('./numberRecognition'),
+  require('./letterRecognition'),
+  require('./phonics'),
+  require('./addition'),
+  require('./subtraction'),
+  require('./multiplication'),
+  require('./coloring'),
+  require('./tracing'),
+  require('./matching'),
+  require('./patterns'),
+  require('./shapes'),
+  require('./colors'),
+  require('./sentences'),
+  require('./sightWords'),
+  require('./cvcWords'),
+  require('./wordProblems'),
+  require('./money'),
+  require('./grammar'),
+  require('./clock'),
+  require('./calendar'),
+  require('./measurement'),
+  require('./placeValue'),
+  require('./numberLine'),
+  require('./fractions'),
+  require('./comparison')
+].forEach(registry.registerTemplate);
+
+module.exports = registry;
@@ -0,0 +1,39 @@
+/**
+ * Letter Recognition template
+ */
+
+const { getWordsStartingWith } = require('./helpers');
+const { renderLetterWords } = require('./renderers');
+const { DEFAULT_LANGUAGE, getAlphabet, getLettersWithWords } = require('../utils/languages');
+
+// Generate letter recognition worksheet; other languages only ask about
+// letters that have words in their word bank
+function generateLetterWorksheet({ curriculum, grade, theme, language = DEFAULT_LANGUAGE, random, count = 6 }) {
+  const letters = language === DEFAULT_LANGUAGE ? getAlphabet(language) : getLettersWithWords(language);
+  const selectedLetters = [];
+  
+  for (let i = 0; i < count; i++) {
+    const letter = letters[Math.floor(random() * letters.length)];
+    const words = getWordsStartingWith(letter, 4, language);
+    selectedLetters.push({ letter, words });
+  }
+  
+  return {
+    title: 'Letter Recognition',
+    instructions: 'Circle all the words that start with the given letter.',
+    items: selectedLetters,
+    type: 'letterRecognition'
+  };
+}
+
+const letterRecognition = {
+  key: 'letterrecognition',
+  name: 'Letter Recognition',
+  type: 'letterRecognition',
+  aliases: ['Alphabet Recognition'],
+  generate: generateLetterWorksheet,
+  renderHTML: renderLetterWords,
+  toFormsQuestion: (item) => ({ question: `Name a word that starts with ${item.letter}`, answer: item.words.join(', ') })
+};
+
+module.exports = letterRecognition;
@@ -0,0 +1,541 @@
+/**
+ * Line art
+ * Coloring pages from the bundled clipart. Each colour SVG is split into its
+ * filled regions and its black outline, so a page can print the outline alone,
+ * label the regions for color-by-number, or fill them in for the answer key.
+ * Everything is inline SVG, so it prints at full resolution.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CLIPART_DIR } = require('../utils/clipart');
+const { escapeHTML } = require('../utils/html');
+
+// Crayon colours used in legends. Printed legends always spell out the
+// colour name, so they still work on a grayscale photocopy.
+const CRAYONS = [
+  { name: 'Red', code: '#E53935' },
+  { name: 'Orange', code: '#FB8C00' },
+  { name: 'Yellow', code: '#FDD835' },
+  { name: 'Light Green', code: '#9CCC65' },
+  { name: 'Green', code: '#2E7D32' },
+  { name: 'Light Blue', code: '#81D4FA' },
+  { name: 'Blue', code: '#1E63C5' },
+  { name: 'Purple', code: '#8E5BB5' },
+  { name: 'Pink', code: '#F48FB1' },
+  { name: 'Peach', code: '#F8D1AE' },
+  { name: 'Brown', code: '#8D5A3B' },
+  { name: 'Gray', code: '#9E9E9E' },
+  { name: 'Black', code: '#222222' }
+];
+
+// The OpenMoji palette by crayon; white regions are left uncoloured.
+// Colours outside the palette go to the nearest crayon.
+const PALETTE_CRAYONS = {
+  '#92d3f5': 'Light Blue', '#61b2e4': 'Blue', '#1e50a0': 'Blue',
+  '#ea5a47': 'Red', '#d22f27': 'Red', '#781e32': 'Red',
+  '#b1cc33': 'Light Green', '#5c9e31': 'Green', '#186648': 'Green',
+  '#fcea2b': 'Yellow', '#f1b31c': 'Yellow',
+  '#f4aa41': 'Orange', '#e27022': 'Orange',
+  '#ffa7c0': 'Pink', '#e67a94': 'Pink',
+  '#b399c8': 'Purple', '#8967aa': 'Purple',
+  '#fadcbc': 'Peach', '#debb90': 'Peach',
+  '#c19a65': 'Brown', '#a57939': 'Brown', '#6a462f': 'Brown', '#352318': 'Brown',
+  '#d0cfce': 'Gray', '#9b9b9a': 'Gray',
+  '#3f3f3f': 'Black', '#000000': 'Black',
+  '#ffffff': null
+};
+
+const SHAPES = ['path', 'polygon', 'polyline', 'rect', 'circle', 'ellipse', 'line'];
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Label placement, in the clipart's 72-unit viewBox
+const LABEL_GRID = 14;
+const MIN_LABEL_ROOM = 1.8;
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const lineArtCache = new Map();
+
+function parseAttributes(text) {
+  const attrs = {};
+  for (const match of text.matchAll(/([\w:-]+)="([^"]*)"/g)) attrs[match[1]] = match[2];
+  return attrs;
+}
+
+// 2D affine matrices as [a, b, c, d, e, f]; multiply(m, n) applies n first
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+function parseTransform(text = '') {
+  let matrix = IDENTITY;
+  for (const [, name, args] of text.matchAll(/(\w+)\(([^)]*)\)/g)) {
+    const v = args.trim().split(/[\s,]+/).map(Number);
+    let step = IDENTITY;
+    if (name === 'matrix') step = v;
+    if (name === 'translate') step = [1, 0, 0, 1, v[0], v[1] || 0];
+    if (name === 'scale') step = [v[0], 0, 0, v[1] ?? v[0], 0, 0];
+    if (name === 'rotate') {
+      const a = (v[0] * Math.PI) / 180;
+      const [cx = 0, cy = 0] = v.slice(1);
+      step = multiply(multiply([1, 0, 0, 1, cx, cy], [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0]), [1, 0, 0, 1, -cx, -cy]);
+    }
+    matrix = multiply(matrix, step);
+  }
+  return matrix;
+}
+
+function applyMatrix(m, [x, y]) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+// Reads path arguments one at a time; arc flags may be written without separators
+function argumentReader(text) {
+  let pos = 0;
+  const skip = () => {
+    while (pos < text.length && /[\s,]/.test(text[pos])) pos++;
+  };
+
+  return {
+    more() {
+      skip();
+      return pos < text.length;
+    },
+    number() {
+      skip();
+      const match = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(text.slice(pos));
+      if (!match) throw new Error(`Bad path data near "${text.slice(pos, pos + 10)}"`);
+      pos += match[0].length;
+      return parseFloat(match[0]);
+    },
+    flag() {
+      skip();
+      return text[pos++] === '1';
+    }
+  };
+}
+
+function sampleCubic(p0, p1, p2, p3, steps = 8) {
+  return Array.from({ length: steps }, (_, i) => {
+    const t = (i + 1) / steps;
+    const u = 1 - t;
+    return [0, 1].map(k => u * u * u * p0[k] + 3 * u * u * t * p1[k] + 3 * u * t * t * p2[k] + t * t * t * p3[k]);
+  });
+}
+
+function sampleQuadratic(p0, p1, p2, steps = 6) {
+  return Array.from({ length: steps }, (_, i) => {
+    const t = (i + 1) / steps;
+    const u = 1 - t;
+    return [0, 1].map(k => u * u * p0[k] + 2 * u * t * p1[k] + t * t * p2[k]);
+  });
+}
+
+// Points along an SVG elliptical arc (endpoint parameterisation, SVG spec F.6.5)
+function sampleArc([x1, y1], rx, ry, rotation, largeArc, sweep, [x2, y2], steps = 12) {
+  if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) return [[x2, y2]];
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coef = Math.sqrt(Math.max(0, numerator / denominator)) * (largeArc === sweep ? -1 : 1);
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  return Array.from({ length: steps }, (_, i) => {
+    const t = start + (delta * (i + 1)) / steps;
+    return [
+      cos * rx * Math.cos(t) - sin * ry * Math.sin(t) + cx,
+      sin * rx * Math.cos(t) + cos * ry * Math.sin(t) + cy
+    ];
+  });
+}
+
+/**
+ * Flatten SVG path data into rings of points (one per subpath)
+ * @param {string} d - Path data
+ * @returns {number[][][]}
+ */
+function samplePath(d = '') {
+  const rings = [];
+  let ring = null;
+  let current = [0, 0];
+  let start = [0, 0];
+  let control = null;
+  let previous = '';
+
+  const lineTo = point => {
+    if (!ring) {
+      ring = [current];
+      rings.push(ring);
+    }
+    ring.push(point);
+    current = point;
+  };
+
+  try {
+    for (const [, command, args] of d.matchAll(/([MmLlHhVvCcSsQqTtAaZz])([^MmLlHhVvCcSsQqTtAaZz]*)/g)) {
+      const type = command.toUpperCase();
+      const relative = command !== type;
+      const point = (x, y) => (relative ? [current[0] + x, current[1] + y] : [x, y]);
+
+      if (type === 'Z') {
+        if (ring) ring.push(start);
+        current = start;
+        ring = null;
+        previous = type;
+        continue;
+      }
+
+      const read = argumentReader(args);
+      let first = true;
+      while (read.more()) {
+        if (type === 'M') {
+          const target = point(read.number(), read.number());
+          if (first) {
+            ring = [target];
+            rings.push(ring);
+            start = target;
+            current = target;
+          } else {
+            lineTo(target);
+          }
+        } else if (type === 'L') {
+          lineTo(point(read.number(), read.number()));
+        } else if (type === 'H') {
+          const x = read.number();
+          lineTo([relative ? current[0] + x : x, current[1]]);
+        } else if (type === 'V') {
+          const y = read.number();
+          lineTo([current[0], relative ? current[1] + y : y]);
+        } else if (type === 'C' || type === 'S') {
+          const c1 = type === 'C'
+            ? point(read.number(), read.number())
+            : (control && 'CS'.includes(previous) ? [2 * current[0] - control[0], 2 * current[1] - control[1]] : current);
+          const c2 = point(read.number(), read.number());
+          const end = point(read.number(), read.number());
+          sampleCubic(current, c1, c2, end).forEach(lineTo);
+          control = c2;
+        } else if (type === 'Q' || type === 'T') {
+          const c1 = type === 'Q'
+            ? point(read.number(), read.number())
+            : (control && 'QT'.includes(previous) ? [2 * current[0] - control[0], 2 * current[1] - control[1]] : current);
+          const end = point(read.number(), read.number());
+          sampleQuadratic(current, c1, end).forEach(lineTo);
+          control = c1;
+        } else if (type === 'A') {
+          const rx = read.number();
+          const ry = read.number();
+          const rotation = read.number();
+          const largeArc = read.flag();
+          const sweep = read.flag();
+          const end = point(read.number(), read.number());
+          sampleArc(current, rx, ry, rotation, largeArc, sweep, end).forEach(lineTo);
+        }
+        first = false;
+        previous = type;
+      }
+    }
+  } catch (error) {
+    // Keep what was read; a label in a slightly wrong place beats no page
+  }
+
+  return rings;
+}
+
+function parsePoints(text = '') {
+  const v = text.trim().split(/[\s,]+/).map(Number);
+  const points = [];
+  for (let i = 0; i + 1 < v.length; i += 2) points.push([v[i], v[i + 1]]);
+  return points;
+}
+
+function sampleEllipse(cx, cy, rx, ry, steps = 24) {
+  return Array.from({ length: steps + 1 }, (_, i) => {
+    const t = (2 * Math.PI * i) / steps;
+    return [cx + rx * Math.cos(t), cy + ry * Math.sin(t)];
+  });
+}
+
+// Outline rings of a shape, in viewBox coordinates
+function shapeRings({ tag, attrs, matrix }) {
+  const n = name => parseFloat(attrs[name]) || 0;
+  let rings = [];
+
+  if (tag === 'path') rings = samplePath(attrs.d);
+  if (tag === 'polygon') rings = [[...parsePoints(attrs.points), parsePoints(attrs.points)[0]].filter(Boolean)];
+  if (tag === 'polyline') rings = [parsePoints(attrs.points)];
+  if (tag === 'line') rings = [[[n('x1'), n('y1')], [n('x2'), n('y2')]]];
+  if (tag === 'circle') rings = [sampleEllipse(n('cx'), n('cy'), n('r'), n('r'))];
+  if (tag === 'ellipse') rings = [sampleEllipse(n('cx'), n('cy'), n('rx'), n('ry'))];
+  if (tag === 'rect') {
+    const [x, y, w, h] = [n('x'), n('y'), n('width'), n('height')];
+    rings = [[[x, y], [x + w, y], [x + w, y + h], [x, y + h], [x, y]]];
+  }
+
+  const m = multiply(matrix, parseTransform(attrs.transform));
+  return rings.map(points => points.map(point => applyMatrix(m, point)));
+}
+
+// Every drawable shape with its group id and the transform of its parent groups
+function readShapes(svg) {
+  const shapes = [];
+  const stack = [{ group: '', matrix: IDENTITY }];
+
+  for (const [, closing, tag, rest, selfClosing] of svg.matchAll(/<(\/?)([a-zA-Z]+)([^>]*?)(\/?)>/g)) {
+    const frame = stack[stack.length - 1];
+    if (tag === 'g') {
+      if (closing) {
+        if (stack.length > 1) stack.pop();
+      } else if (!selfClosing) {
+        const attrs = parseAttributes(rest);
+        stack.push({ group: attrs.id || frame.group, matrix: multiply(frame.matrix, parseTransform(attrs.transform)) });
+      }
+    } else if (!closing && SHAPES.includes(tag)) {
+      shapes.push({ tag, attrs: parseAttributes(rest), group: frame.group, matrix: frame.matrix });
+    }
+  }
+
+  return shapes;
+}
+
+function hexToRGB(hex) {
+  const value = hex.replace('#', '');
+  const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+}
+
+/**
+ * Crayon for a fill colour
+ * @param {string} fill - Hex colour from the SVG
+ * @returns {Object|null} - Entry of CRAYONS, or null for white (leave uncoloured)
+ */
+function crayonFor(fill) {
+  const hex = fill.toLowerCase();
+  if (hex in PALETTE_CRAYONS) {
+    return PALETTE_CRAYONS[hex] ? CRAYONS.find(crayon => crayon.name === PALETTE_CRAYONS[hex]) : null;
+  }
+  if (!/^#[0-9a-f]{3}([0-9a-f]{3})?$/.test(hex)) return null;
+
+  const rgb = hexToRGB(hex);
+  if (rgb.every(v => v > 240)) return null;
+  const distance = crayon => hexToRGB(crayon.code).reduce((sum, v, i) => sum + (v - rgb[i]) ** 2, 0);
+  return CRAYONS.reduce((best, crayon) => (distance(crayon) < distance(best) ? crayon : best));
+}
+
+function insideRings(rings, x, y) {
+  let inside = false;
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  });
+  return inside;
+}
+
+function distanceToRings(rings, x, y) {
+  let best = Infinity;
+  rings.forEach(ring => {
+    for (let i = 1; i < ring.length; i++) {
+      const [x1, y1] = ring[i - 1];
+      const [x2, y2] = ring[i];
+      const dx = x2 - x1;
+      const dy = y2 - y1;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+      best = Math.min(best, Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy)));
+    }
+  });
+  return best;
+}
+
+function boundingBox(rings) {
+  const points = rings.flat();
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * Where to print a region's label: the point inside the visible part of the
+ * region that is furthest from any edge or outline stroke
+ * @param {Object} region - { rings }
+ * @param {Object[]} above - Regions painted over this one
+ * @param {number[][][]} strokes - Outline rings
+ * @returns {Object|null} - { x, y, size }, or null when the region is too small
+ */
+function placeLabel(region, above, strokes) {
+  if (region.rings.length === 0) return null;
+  const box = boundingBox(region.rings);
+  let best = null;
+
+  for (let i = 0; i < LABEL_GRID; i++) {
+    for (let j = 0; j < LABEL_GRID; j++) {
+      const x = box.minX + ((i + 0.5) * (box.maxX - box.minX)) / LABEL_GRID;
+      const y = box.minY + ((j + 0.5) * (box.maxY - box.minY)) / LABEL_GRID;
+      if (!insideRings(region.rings, x, y) || above.some(other => insideRings(other.rings, x, y))) continue;
+
+      const room = Math.min(
+        distanceToRings(region.rings, x, y),
+        ...above.map(other => distanceToRings(other.rings, x, y)),
+        distanceToRings(strokes, x, y)
+      );
+      if (!best || room > best.room) best = { x, y, room };
+    }
+  }
+
+  if (!best || best.room < MIN_LABEL_ROOM) return null;
+  return { x: best.x, y: best.y, size: Math.min(5, Math.max(2.6, best.room * 1.3)) };
+}
+
+function serializeShape({ tag, attrs, matrix }, overrides = {}) {
+  const merged = { ...attrs, ...overrides };
+  delete merged.id;
+  const attributes = Object.entries(merged).map(([name, value]) => `${name}="${value}"`).join(' ');
+  const element = `<${tag} ${attributes}/>`;
+  return matrix === IDENTITY ? element : `<g transform="matrix(${matrix.join(' ')})">${element}</g>`;
+}
+
+/**
+ * Line art for a bundled clipart picture
+ * @param {string} imageUrl - /clipart/<hexcode>.svg
+ * @returns {Object|null} - { viewBox, regions: [{ crayon, label, blank, filled }], outline }
+ *   or null for pictures that aren't bundled clipart
+ */
+function getLineArt(imageUrl = '') {
+  const match = /^\/clipart\/([0-9A-F-]+)\.svg$/.exec(imageUrl);
+  if (!match) return null;
+  if (lineArtCache.has(match[1])) return lineArtCache.get(match[1]);
+
+  const file = path.join(CLIPART_DIR, `${match[1]}.svg`);
+  if (!fs.existsSync(file)) return null;
+
+  const svg = fs.readFileSync(file, 'utf8');
+  const viewBox = (/viewBox="([^"]+)"/.exec(svg) || [])[1] || '0 0 72 72';
+  const shapes = readShapes(svg);
+
+  const isOutline = shape => shape.group.startsWith('line');
+  const outlineShapes = shapes.filter(isOutline);
+  const fillShapes = shapes.filter(shape => !isOutline(shape) && shape.attrs.fill && shape.attrs.fill !== 'none');
+  const strokes = outlineShapes.flatMap(shapeRings);
+
+  const regions = fillShapes.map(shape => ({ shape, crayon: crayonFor(shape.attrs.fill), rings: shapeRings(shape) }));
+  regions.forEach((region, i) => {
+    region.label = region.crayon ? placeLabel(region, regions.slice(i + 1), strokes) : null;
+  });
+
+  const lineArt = {
+    viewBox,
+    regions: regions.map(({ shape, crayon, label }) => ({
+      crayon: crayon ? crayon.name : null,
+      label,
+      blank: serializeShape(shape, { fill: '#ffffff', stroke: 'none' }),
+      filled: serializeShape(shape, { fill: crayon ? crayon.code : '#ffffff', stroke: 'none' })
+    })),
+    outline: outlineShapes.map(shape => serializeShape(shape)).join('')
+  };
+
+  lineArtCache.set(match[1], lineArt);
+  return lineArt;
+}
+
+/**
+ * Color-by-number key for a picture: one entry per crayon with a labelled region
+ * @param {string} imageUrl - /clipart/<hexcode>.svg
+ * @param {string} labels - 'numbers' or 'letters'
+ * @returns {Object[]} - [{ label, color, colorCode }]; empty if the picture can't be labelled
+ */
+function colorLegendFor(imageUrl, labels = 'numbers') {
+  const lineArt = getLineArt(imageUrl);
+  if (!lineArt) return [];
+
+  const used = new Set(lineArt.regions.filter(region => region.label).map(region => region.crayon));
+  return CRAYONS.filter(crayon => used.has(crayon.name)).map((crayon, i) => ({
+    label: labels === 'letters' ? LETTERS[i] : String(i + 1),
+    color: crayon.name,
+    colorCode: crayon.code
+  }));
+}
+
+/**
+ * A coloring picture as inline SVG
+ * @param {string} imageUrl - /clipart/<hexcode>.svg
+ * @param {Object} options - { legend: label regions from this key, filled: colour the labelled regions in (answer key) }
+ * @returns {string|null} - SVG markup, or null for pictures that aren't bundled clipart
+ */
+function renderLineArt(imageUrl, { legend = [], filled = false } = {}) {
+  const lineArt = getLineArt(imageUrl);
+  if (!lineArt) return null;
+
+  const labelFor = new Map(legend.map(entry => [entry.color, entry.label]));
+  const labelled = region => region.label && labelFor.has(region.crayon);
+  const regions = lineArt.regions.map(region => (filled && labelled(region) ? region.filled : region.blank)).join('');
+
+  const labels = lineArt.regions
+    .filter(labelled)
+    .map(({ label, crayon }) => `<text class="region-label" x="${label.x.toFixed(2)}" y="${label.y.toFixed(2)}" font-size="${label.size.toFixed(2)}">${escapeHTML(labelFor.get(crayon))}</text>`)
+    .join('');
+
+  return `<svg class="coloring-art" viewBox="${lineArt.viewBox}" xmlns="http://www.w3.org/2000/svg">${regions}${lineArt.outline}${labels}</svg>`;
+}
+
+// Styles for coloring pages; outlines stay black and legends name every colour
+const COLORING_CSS = `
+        .coloring-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+        .coloring-page { border: 2px solid #111; border-radius: 8px; padding: 12px; background: #fff; page-break-inside: avoid; break-inside: avoid; }
+        .coloring-page.by-number { grid-column: 1 / -1; display: flex; gap: 20px; align-items: center; }
+        .coloring-page .coloring-art { display: block; width: 100%; height: auto; }
+        .coloring-page.by-number .coloring-art { width: 380px; flex-shrink: 0; }
+        .coloring-page .picture { width: 100%; height: auto; }
+        .coloring-caption { font-size: 16px; font-weight: 600; margin-top: 8px; }
+        .coloring-caption .item-number { display: inline; margin-right: 6px; }
+        .region-label { font-family: Arial, sans-serif; font-weight: bold; fill: #111; text-anchor: middle; dominant-baseline: central; }
+        .color-legend { display: flex; flex-direction: column; gap: 8px; }
+        .legend-row { display: flex; align-items: center; gap: 10px; font-size: 18px; }
+        .legend-label { width: 28px; height: 28px; border: 2px solid #111; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-weight: bold; }
+        .legend-swatch { width: 36px; height: 22px; border: 2px solid #111; border-radius: 4px; }
+        .color-swatch { display: inline-block; width: 22px; height: 14px; border: 2px solid #111; border-radius: 3px; vertical-align: middle; margin-left: 6px; }
+`;
+
+module.exports = {
+  CRAYONS,
+  crayonFor,
+  samplePath,
+  getLineArt,
+  colorLegendFor,
+  renderLineArt,
+  COLORING_CSS
+};
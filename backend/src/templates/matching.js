@@ -0,0 +1,109 @@
+/**
+ * Matching template
+ */
+
+const { getThemePictures, getItemEmoji } = require('./helpers');
+const { renderPicture, PICTURE_CSS } = require('./renderers');
+const { shuffle } = require('../utils/random');
+const { getMatchingAnswer } = require('../utils/worksheetContent');
+const { escapeHTML } = require('../utils/html');
+
+// Row height and width of the strip between the columns, in px
+const ROW_HEIGHT = 72;
+const LINE_AREA_WIDTH = 220;
+const DOT_INSET = 12;
+
+// Generate matching worksheet. Each row keeps its own match in `answer`;
+// `right` is the shuffled right column as printed.
+function generateMatchingWorksheet({ curriculum, grade, theme, themeItems, random, count = 6 }) {
+  const pictures = getThemePictures(theme || 'animals', themeItems);
+  const pairs = [];
+
+  for (let i = 0; i < count; i++) {
+    const { name: item, image } = pictures[i % pictures.length];
+    pairs.push({
+      left: getItemEmoji(item),
+      image,
+      right: item,
+      answer: item,
+      hint: `Match: ${item}`
+    });
+  }
+
+  const shuffledRight = shuffle(pairs.map(p => p.right), random);
+  pairs.forEach((p, i) => p.right = shuffledRight[i]);
+
+  return {
+    title: 'Matching Game',
+    instructions: 'Draw a line to match the items.',
+    items: pairs,
+    type: 'matching'
+  };
+}
+
+// Right-column row each left row joins, using each row once. Rows whose
+// match isn't in the right column map to -1.
+function findMatchRows(items) {
+  const taken = new Set();
+  return items.map(item => {
+    const answer = getMatchingAnswer(item);
+    const row = items.findIndex((other, i) => !taken.has(i) && other.right === answer);
+    if (row !== -1) taken.add(row);
+    return row;
+  });
+}
+
+// Two columns with a dot beside every entry; the answer key joins the dots
+function renderMatchingItems(items, showAnswers) {
+  const height = items.length * ROW_HEIGHT;
+  const y = row => (row + 0.5) * ROW_HEIGHT;
+  const right = LINE_AREA_WIDTH - DOT_INSET;
+
+  const lines = showAnswers
+    ? findMatchRows(items).map((row, i) => (row === -1 ? '' : `<line class="match-line" x1="${DOT_INSET}" y1="${y(i)}" x2="${right}" y2="${y(row)}"/>`)).join('')
+    : '';
+  const dots = items.map((_, i) => `<circle class="match-dot" cx="${DOT_INSET}" cy="${y(i)}" r="6"/><circle class="match-dot" cx="${right}" cy="${y(i)}" r="6"/>`).join('');
+
+  return `<div class="matching-container">
+    <div class="matching-column">
+      ${items.map(item => `<div class="matching-item">${renderPicture(item.image, escapeHTML(item.left))}</div>`).join('')}
+    </div>
+    <svg class="matching-lines" width="${LINE_AREA_WIDTH}" height="${height}" viewBox="0 0 ${LINE_AREA_WIDTH} ${height}" xmlns="http://www.w3.org/2000/svg">${lines}${dots}</svg>
+    <div class="matching-column">
+      ${items.map(item => `<div class="matching-item">${escapeHTML(item.right)}</div>`).join('')}
+    </div>
+  </div>`;
+}
+
+// Forms has no matching question, so each left entry becomes a choice
+// between its match and the next few right-column entries
+function toFormsQuestion(item, items = [item]) {
+  const answer = getMatchingAnswer(item) || item.right;
+  const column = [...new Set(items.map(other => other.right))];
+  const start = Math.max(0, column.indexOf(answer));
+  const choices = Array.from({ length: Math.min(4, column.length) }, (_, i) => column[(start + i) % column.length]);
+
+  return {
+    question: `Which one matches ${item.left}?`,
+    answer,
+    options: column.filter(word => choices.includes(word))
+  };
+}
+
+const matching = {
+  key: 'matching',
+  name: 'Matching',
+  type: 'matching',
+  generate: generateMatchingWorksheet,
+  renderHTML: renderMatchingItems,
+  toFormsQuestion,
+  css: PICTURE_CSS + `
+        .matching-container .matching-column { gap: 0; }
+        .matching-container .matching-item { height: ${ROW_HEIGHT - 12}px; margin: 6px 0; box-sizing: border-box; display: flex; align-items: center; justify-content: center; }
+        .matching-lines { flex-shrink: 0; }
+        .match-dot { fill: #111; }
+        .match-line { stroke: #15803d; stroke-width: 3; stroke-linecap: round; }
+`
+};
+
+module.exports = matching;
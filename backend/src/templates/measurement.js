@@ -0,0 +1,177 @@
+/**
+ * Measurement template
+ * Objects drawn against a ruler to measure, and objects side by side to
+ * compare by length.
+ */
+
+const { randomInt } = require('./helpers');
+const { resolveGeneratorOptions } = require('../utils/generatorOptions');
+const { shuffle } = require('../utils/random');
+const { escapeHTML } = require('../utils/html');
+
+// Things to measure, with the bar colour they are drawn in
+const OBJECTS = [
+  { name: 'pencil', color: '#facc15' },
+  { name: 'crayon', color: '#ef4444' },
+  { name: 'ribbon', color: '#ec4899' },
+  { name: 'straw', color: '#22c55e' },
+  { name: 'paintbrush', color: '#a16207' },
+  { name: 'rope', color: '#f97316' },
+  { name: 'stick', color: '#78350f' },
+  { name: 'caterpillar', color: '#84cc16' },
+  { name: 'feather', color: '#60a5fa' },
+  { name: 'chalk', color: '#d4d4d8' }
+];
+
+const PROBLEMS = ['ruler', 'compare'];
+
+const UNIT_NAMES = { cm: 'centimetres', in: 'inches' };
+
+// Drawing sizes in px: the widest ruler, one unit at most, bar height
+const RULER_WIDTH = 600;
+const MAX_UNIT_WIDTH = 40;
+const BAR_HEIGHT = 18;
+
+const objectColor = name => (OBJECTS.find(object => object.name === name) || OBJECTS[0]).color;
+
+// Object laid on a ruler; harder sheets don't start it at zero
+function rulerProblem(settings, random) {
+  const { name } = OBJECTS[randomInt(random, 0, OBJECTS.length - 1)];
+  const length = randomInt(random, 2, settings.maxLength - (settings.offset ? 2 : 0));
+  const start = settings.offset ? randomInt(random, 1, settings.maxLength - length) : 0;
+  return {
+    kind: 'ruler',
+    objects: [{ name, length, start }],
+    unit: settings.unit,
+    rulerLength: settings.maxLength,
+    question: `How long is the ${name}?`,
+    answer: `${length} ${settings.unit}`
+  };
+}
+
+// Two objects (longer or shorter) or three (longest or shortest) of different lengths
+function compareProblem(settings, random) {
+  const count = settings.compareCount;
+  const names = shuffle(OBJECTS, random).slice(0, count).map(object => object.name);
+  const lengths = shuffle(Array.from({ length: settings.maxLength - 1 }, (_, i) => i + 2), random).slice(0, count);
+  const objects = names.map((name, i) => ({ name, length: lengths[i], start: 0 }));
+
+  const longer = random() < 0.5;
+  const sorted = [...objects].sort((a, b) => b.length - a.length);
+  const answer = (longer ? sorted[0] : sorted[sorted.length - 1]).name;
+  const question = count === 2
+    ? `Which is ${longer ? 'longer' : 'shorter'}, the ${names[0]} or the ${names[1]}?`
+    : `Which is the ${longer ? 'longest' : 'shortest'}: the ${names.slice(0, -1).join(', the ')} or the ${names[names.length - 1]}?`;
+
+  return { kind: 'compare', objects, unit: settings.unit, question, answer };
+}
+
+// Generate measurement worksheet with the chosen kinds of problem
+function generateMeasurementWorksheet({ grade, random, options, count = 4 }) {
+  const settings = resolveGeneratorOptions(measurement, grade, options);
+  const items = Array.from({ length: count }, (_, i) => (
+    settings.problems[i % settings.problems.length] === 'ruler'
+      ? rulerProblem(settings, random)
+      : compareProblem(settings, random)
+  ));
+
+  return {
+    title: 'Measuring Length',
+    instructions: [
+      settings.problems.includes('ruler') && `Use the ruler to measure each object in ${UNIT_NAMES[settings.unit]}.`,
+      settings.problems.includes('compare') && 'Look at the objects and compare their lengths.'
+    ].filter(Boolean).join(' '),
+    items: shuffle(items, random),
+    type: 'measurement'
+  };
+}
+
+// Bars for the objects and, for ruler problems, a ruler underneath marked in whole units
+function renderMeasurementDrawing(item) {
+  const objects = Array.isArray(item.objects) ? item.objects : [];
+  const units = item.rulerLength || Math.max(...objects.map(object => object.start + object.length), 1);
+  const unitWidth = Math.min(MAX_UNIT_WIDTH, RULER_WIDTH / units);
+  const left = 10;
+  const rowHeight = BAR_HEIGHT + 14;
+
+  const bars = objects.map((object, i) => {
+    const y = 6 + i * rowHeight;
+    const x = left + object.start * unitWidth;
+    return `<rect class="measure-bar" x="${x}" y="${y}" width="${object.length * unitWidth}" height="${BAR_HEIGHT}" rx="6" fill="${objectColor(object.name)}"/>` +
+      (item.kind === 'compare' ? `<text class="measure-label" x="${x + object.length * unitWidth + 8}" y="${y + BAR_HEIGHT / 2}">${escapeHTML(object.name)}</text>` : '');
+  }).join('');
+
+  let ruler = '';
+  let height = 6 + objects.length * rowHeight;
+  if (item.kind === 'ruler') {
+    const top = height + 4;
+    ruler = `<rect class="measure-ruler" x="${left}" y="${top}" width="${units * unitWidth}" height="40"/>` +
+      Array.from({ length: units + 1 }, (_, i) => {
+        const x = left + i * unitWidth;
+        return `<line class="measure-tick" x1="${x}" y1="${top}" x2="${x}" y2="${top + 14}"/><text class="measure-tick-label" x="${x}" y="${top + 28}">${i}</text>`;
+      }).join('') +
+      `<text class="measure-unit" x="${left + units * unitWidth - 4}" y="${top + 36}">${escapeHTML(item.unit)}</text>`;
+    height = top + 44;
+  }
+
+  const width = left + units * unitWidth + (item.kind === 'compare' ? 120 : 10);
+  return `<svg class="measure-drawing" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">${bars}${ruler}</svg>`;
+}
+
+function renderMeasurementItems(items, showAnswers) {
+  return items.map((item, i) => `
+    <div class="item measure-item">
+      <div class="item-number">${i + 1}.</div>
+      <div class="item-content">
+        ${escapeHTML(item.question)}
+        ${renderMeasurementDrawing(item)}
+        <div class="answer-line">Answer: ${showAnswers ? escapeHTML(item.answer) : '______'}</div>
+      </div>
+    </div>
+  `).join('');
+}
+
+// Forms can't show the drawing, so ruler problems give the marks the object spans
+function toFormsQuestion(item) {
+  const objects = Array.isArray(item.objects) ? item.objects : [];
+  if (item.kind === 'ruler' && objects[0]) {
+    const { name, start, length } = objects[0];
+    return {
+      question: `A ${name} starts at ${start} and ends at ${start + length} on the ruler. How long is the ${name} in ${UNIT_NAMES[item.unit] || item.unit}?`,
+      answer: item.answer
+    };
+  }
+  return { question: item.question, answer: item.answer, options: objects.map(object => object.name) };
+}
+
+const measurement = {
+  key: 'measurement',
+  name: 'Measurement',
+  type: 'measurement',
+  aliases: ['Length', 'Measuring Length', 'Ruler'],
+  params: {
+    problems: { type: 'enumList', values: PROBLEMS, label: 'Measurement problems' },
+    unit: { type: 'enum', values: ['cm', 'in'], label: 'Unit' },
+    maxLength: { type: 'integer', min: 5, max: 20, label: 'Longest object' }
+  },
+  presets: {
+    easy: { problems: ['compare'], unit: 'cm', maxLength: 10, offset: false, compareCount: 2 },
+    medium: { problems: ['ruler', 'compare'], unit: 'cm', maxLength: 12, offset: false, compareCount: 2 },
+    hard: { problems: ['ruler', 'compare'], unit: 'cm', maxLength: 15, offset: true, compareCount: 3 }
+  },
+  generate: generateMeasurementWorksheet,
+  renderHTML: renderMeasurementItems,
+  toFormsQuestion,
+  css: `
+        .measure-item { page-break-inside: avoid; }
+        .measure-drawing { display: block; margin: 10px 0; }
+        .measure-bar { stroke: #111; stroke-width: 1.5; }
+        .measure-label { font-size: 14px; dominant-baseline: central; fill: #111; }
+        .measure-ruler { fill: #fef9c3; stroke: #111; stroke-width: 1.5; }
+        .measure-tick { stroke: #111; stroke-width: 1.5; }
+        .measure-tick-label { font-size: 12px; text-anchor: middle; fill: #111; }
+        .measure-unit { font-size: 11px; text-anchor: end; fill: #555; }
+`
+};
+
+module.exports = measurement;
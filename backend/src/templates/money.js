@@ -0,0 +1,44 @@
+/**
+ * Money template
+ */
+
+const { renderWordProblems, WORD_PROBLEM_CSS } = require('./renderers');
+const { MONEY_PROBLEMS, storySettings, buildMoneyProblem } = require('./wordProblemEngine');
+const { OPERAND_PARAMS, resolveGeneratorOptions } = require('../utils/generatorOptions');
+const { shuffle } = require('../utils/random');
+
+// Generate money worksheet in the school's currency (rupees for the Indian curriculum)
+function generateMoneyWorksheet({ curriculum, grade, theme, themeItems, locale, random, options, count = 4 }) {
+  const { min, max, problems } = resolveGeneratorOptions(money, grade, options);
+  const context = { ...storySettings({ curriculum, theme, themeItems, locale }), random, min, max };
+
+  const items = Array.from({ length: count }, (_, i) => buildMoneyProblem(problems[i % problems.length], context));
+
+  return {
+    title: 'Money Math',
+    instructions: 'Count the money and write the total.',
+    items: shuffle(items, random),
+    type: 'money'
+  };
+}
+
+const money = {
+  key: 'money',
+  name: 'Money',
+  type: 'money',
+  params: {
+    ...OPERAND_PARAMS,
+    problems: { type: 'enumList', values: MONEY_PROBLEMS, label: 'Money problems' }
+  },
+  presets: {
+    easy: { min: 1, max: 10, problems: ['coins', 'total'] },
+    medium: { min: 1, max: 20, problems: ['coins', 'total', 'change'] },
+    hard: { min: 5, max: 100, problems: ['coins', 'total', 'change'] }
+  },
+  generate: generateMoneyWorksheet,
+  renderHTML: (items, showAnswers) => renderWordProblems(items, showAnswers, item => item.coins),
+  toFormsQuestion: (item) => ({ question: item.coins, answer: item.answer }),
+  css: WORD_PROBLEM_CSS
+};
+
+module.exports = money;
@@ -0,0 +1,48 @@
+/**
+ * Multiplication template
+ */
+
+const { randomInt } = require('./helpers');
+const { renderMathProblems } = require('./renderers');
+const { OPERAND_PARAMS, resolveGeneratorOptions } = require('../utils/generatorOptions');
+
+// Generate multiplication worksheet
+function generateMultiplicationWorksheet({ curriculum, grade, theme, random, options, count = 12 }) {
+  const { min, max, tables } = resolveGeneratorOptions(multiplication, grade, options);
+  const problems = [];
+  
+  for (let i = 0; i < count; i++) {
+    const a = tables[Math.floor(random() * tables.length)];
+    const b = randomInt(random, min, max);
+    problems.push({ a, b, answer: a * b });
+  }
+  
+  return {
+    title: 'Multiplication Practice',
+    instructions: 'Solve the multiplication problems.',
+    items: problems,
+    type: 'multiplication'
+  };
+}
+
+const multiplication = {
+  key: 'multiplication',
+  name: 'Multiplication',
+  type: 'multiplication',
+  aliases: ['Multiplication Tables'],
+  params: {
+    ...OPERAND_PARAMS,
+    tables: { type: 'integerList', min: 1, max: 12, label: 'Times tables' }
+  },
+  presets: {
+    easy: { min: 1, max: 10, tables: [2, 5, 10] },
+    medium: { min: 1, max: 12, tables: [2, 3, 4, 5, 10] },
+    hard: { min: 1, max: 12, tables: [6, 7, 8, 9, 11, 12] }
+  },
+  defaultDifficulty: 'medium',
+  generate: generateMultiplicationWorksheet,
+  renderHTML: (items, showAnswers) => renderMathProblems(items, '×', showAnswers),
+  toFormsQuestion: (item) => ({ question: `${item.a} × ${item.b} = ?`, answer: String(item.answer) })
+};
+
+module.exports = multiplication;
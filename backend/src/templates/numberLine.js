@@ -0,0 +1,155 @@
+/**
+ * Number line template
+ * Addition and subtraction as jumps along a number line drawn in SVG.
+ */
+
+const { randomInt, sampleProblem } = require('./helpers');
+const { OPERAND_PARAMS, resolveGeneratorOptions } = require('../utils/generatorOptions');
+const { shuffle } = require('../utils/random');
+const { escapeHTML } = require('../utils/html');
+
+const DIRECTIONS = ['forward', 'back'];
+
+// A line shows at most this many steps, so bigger numbers get a window of the line
+const WINDOW = 20;
+
+// Drawing sizes in px
+const LINE_WIDTH = 640;
+const MARGIN = 20;
+const AXIS_Y = 70;
+
+// Line window for a problem: from 0, or from a multiple of ten so both ends fit
+function lineWindow(start, end, max) {
+  const low = Math.min(start, end);
+  const high = Math.max(start, end);
+  if (max <= WINDOW) return { lineMin: 0, lineMax: Math.max(max, 10) };
+  const lineMin = Math.max(0, Math.min(Math.floor(low / 10) * 10, Math.ceil(high / 10) * 10 - WINDOW));
+  return { lineMin, lineMax: lineMin + WINDOW };
+}
+
+// Generate number line worksheet: start, jump and landing point all on the line
+function generateNumberLineWorksheet({ grade, random, options, count = 6 }) {
+  const { min, max, maxJump, jumps, showJumps } = resolveGeneratorOptions(numberLine, grade, options);
+
+  const items = Array.from({ length: count }, (_, i) => {
+    const direction = jumps[i % jumps.length];
+    const { start, jump } = sampleProblem(
+      () => ({ start: randomInt(random, min, max), jump: randomInt(random, 1, Math.max(1, Math.min(maxJump, max - min))) }),
+      ({ start, jump }) => (direction === 'forward' ? start + jump <= max : start - jump >= min)
+    );
+    const answer = direction === 'forward' ? start + jump : start - jump;
+    const operator = direction === 'forward' ? '+' : '−';
+
+    return {
+      start,
+      jump,
+      direction,
+      ...lineWindow(start, answer, max),
+      showJumps,
+      question: `${start} ${operator} ${jump} = ?`,
+      answer
+    };
+  });
+
+  return {
+    title: 'Number Line Jumps',
+    instructions: showJumps
+      ? 'Follow the jumps from the starting dot. Write where you land.'
+      : 'Start at the dot. Draw the jumps on the number line and write where you land.',
+    items: shuffle(items, random),
+    type: 'numberLine'
+  };
+}
+
+// Line with a tick per step, a dot at the start and one hop arc per step of
+// the jump; answer keys ring the landing point
+function renderNumberLine(item, showAnswers) {
+  const lineMin = Number.isInteger(item.lineMin) ? item.lineMin : 0;
+  const lineMax = Number.isInteger(item.lineMax) ? item.lineMax : Math.max(item.start, item.answer, 10);
+  const step = (LINE_WIDTH - MARGIN * 2) / (lineMax - lineMin);
+  const x = n => (MARGIN + (n - lineMin) * step).toFixed(1);
+  const sign = item.direction === 'back' ? -1 : 1;
+
+  const ticks = Array.from({ length: lineMax - lineMin + 1 }, (_, i) => {
+    const n = lineMin + i;
+    return `<line class="number-line-tick" x1="${x(n)}" y1="${AXIS_Y - 8}" x2="${x(n)}" y2="${AXIS_Y + 8}"/>` +
+      `<text class="number-line-label" x="${x(n)}" y="${AXIS_Y + 26}">${n}</text>`;
+  }).join('');
+
+  let hops = '';
+  if (item.showJumps !== false || showAnswers) {
+    hops = Array.from({ length: item.jump }, (_, i) => {
+      const from = item.start + sign * i;
+      const to = from + sign;
+      const mid = ((Number(x(from)) + Number(x(to))) / 2).toFixed(1);
+      return `<path class="number-line-hop" d="M${x(from)} ${AXIS_Y - 4}Q${mid} ${AXIS_Y - 40} ${x(to)} ${AXIS_Y - 4}"/>`;
+    }).join('');
+  }
+
+  const landing = showAnswers ? `<circle class="number-line-landing" cx="${x(item.answer)}" cy="${AXIS_Y}" r="9"/>` : '';
+
+  return `<svg class="number-line" width="${LINE_WIDTH}" height="${AXIS_Y + 36}" viewBox="0 0 ${LINE_WIDTH} ${AXIS_Y + 36}" xmlns="http://www.w3.org/2000/svg">
+      <line class="number-line-axis" x1="${MARGIN - 10}" y1="${AXIS_Y}" x2="${LINE_WIDTH - MARGIN + 10}" y2="${AXIS_Y}"/>
+      ${ticks}${hops}${landing}
+      <circle class="number-line-start" cx="${x(item.start)}" cy="${AXIS_Y}" r="6"/>
+    </svg>`;
+}
+
+function renderNumberLineItems(items, showAnswers) {
+  return items.map((item, i) => `
+    <div class="item number-line-item">
+      <div class="item-number">${i + 1}.</div>
+      <div class="item-content">
+        <span class="problem">${escapeHTML(item.question).replace('?', showAnswers ? escapeHTML(item.answer) : '____')}</span>
+        ${renderNumberLine(item, showAnswers)}
+      </div>
+    </div>
+  `).join('');
+}
+
+// Choice question: where the jumps land, against the neighbouring numbers
+// (numbers above the answer stand in for negative ones)
+function toFormsQuestion(item) {
+  const verb = item.direction === 'back' ? 'back' : 'forward';
+  const choices = [item.answer - 2, item.answer - 1, item.answer, item.answer + 1]
+    .map(n => (n < 0 ? n + 4 : n))
+    .sort((a, b) => a - b);
+
+  return {
+    question: `Start at ${item.start} on a number line and jump ${item.jump} ${verb}. Where do you land?`,
+    answer: String(item.answer),
+    options: [...new Set(choices)].map(String)
+  };
+}
+
+const numberLine = {
+  key: 'numberline',
+  name: 'Number Line',
+  type: 'numberLine',
+  aliases: ['Number Lines', 'Number Line Jumps'],
+  params: {
+    ...OPERAND_PARAMS,
+    jumps: { type: 'enumList', values: DIRECTIONS, label: 'Jump direction' },
+    showJumps: { type: 'boolean', label: 'Draw the jumps on the sheet' }
+  },
+  presets: {
+    easy: { min: 0, max: 10, maxJump: 5, jumps: ['forward'], showJumps: true },
+    medium: { min: 0, max: 20, maxJump: 8, jumps: ['forward', 'back'], showJumps: true },
+    hard: { min: 0, max: 100, maxJump: 10, jumps: ['forward', 'back'], showJumps: false }
+  },
+  generate: generateNumberLineWorksheet,
+  renderHTML: renderNumberLineItems,
+  toFormsQuestion,
+  css: `
+        .number-line-item { page-break-inside: avoid; }
+        .number-line { display: block; margin: 6px 0 10px; }
+        .number-line-axis { stroke: #111; stroke-width: 2; }
+        .number-line-tick { stroke: #111; stroke-width: 1.5; }
+        .number-line-label { font-size: 13px; text-anchor: middle; fill: #111; }
+        .number-line-hop { fill: none; stroke: #7c3aed; stroke-width: 2; }
+        .number-line-start { fill: #7c3aed; }
+        .number-line-landing { fill: none; stroke: #16a34a; stroke-width: 3; }
+`
+};
+
+module.exports = numberLine;
@@ -0,0 +1,44 @@
+/**
+ * Number Recognition template
+ */
+
+const { renderGenericItems } = require('./renderers');
+const { shuffle } = require('../utils/random');
+
+// Generate number recognition worksheet
+function generateNumberRecognitionWorksheet({ curriculum, grade, theme, random, count = 8 }) {
+  const items = [];
+  const numbers = grade.includes('Preschool') ? 10 : grade.includes('KG') ? 20 : 50;
+  
+  for (let i = 0; i < count; i++) {
+    const targetNumber = Math.floor(random() * numbers) + 1;
+    const options = [targetNumber];
+    while (options.length < 4) {
+      const opt = Math.floor(random() * numbers) + 1;
+      if (!options.includes(opt)) options.push(opt);
+    }
+    items.push({
+      target: targetNumber,
+      options: shuffle(options, random),
+      display: Array(targetNumber).fill('⭐').join(' ')
+    });
+  }
+  
+  return {
+    title: 'Number Recognition',
+    instructions: 'Find and circle the correct number.',
+    items,
+    type: 'numberRecognition'
+  };
+}
+
+const numberRecognition = {
+  key: 'numberrecognition',
+  name: 'Number Recognition',
+  type: 'numberRecognition',
+  generate: generateNumberRecognitionWorksheet,
+  renderHTML: renderGenericItems,
+  toFormsQuestion: (item) => ({ question: `Which number is this? ${item.display}`, answer: String(item.target), options: item.options.map(String) })
+};
+
+module.exports = numberRecognition;
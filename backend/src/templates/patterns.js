@@ -0,0 +1,143 @@
+/**
+ * Patterns template
+ */
+
+const { randomInt, getThemeItems, getItemEmoji } = require('./helpers');
+const { resolveGeneratorOptions } = require('../utils/generatorOptions');
+const { shuffle } = require('../utils/random');
+const { escapeHTML } = require('../utils/html');
+
+// Repeating units by rule; each letter stands for one theme picture
+const REPEATING_RULES = {
+  AB: 'AB',
+  ABB: 'ABB',
+  ABC: 'ABC',
+  AABB: 'AABB'
+};
+
+const RULES = [...Object.keys(REPEATING_RULES), 'skipCount', 'growing'];
+
+// Growing patterns stop before a step gets too wide to print
+const GROWING_LENGTH = 5;
+
+const pick = (list, random) => list[randomInt(random, 0, list.length - 1)];
+
+// Position of the blank: the last element, one inside the sequence, or anywhere
+function blankIndex(blank, length, random) {
+  if (blank === 'middle') return randomInt(random, 1, length - 2);
+  if (blank === 'any') return randomInt(random, 0, length - 1);
+  return length - 1;
+}
+
+// AB, ABB, ABC or AABB repeated with theme pictures
+function repeatingPattern(rule, symbols, length) {
+  const unit = REPEATING_RULES[rule].split('').map(letter => symbols[letter.charCodeAt(0) - 65]);
+  return {
+    elements: Array.from({ length: Math.max(length, unit.length * 2) }, (_, i) => unit[i % unit.length]),
+    explanation: `The pattern repeats ${unit.join(' ')} (${rule}).`
+  };
+}
+
+// Numbers going up by the same step each time
+function skipCountPattern(settings, length, random) {
+  const step = pick(settings.steps, random);
+  const start = settings.alignStart
+    ? step * randomInt(random, 0, Math.floor(settings.maxStart / step))
+    : randomInt(random, 0, settings.maxStart);
+  return {
+    elements: Array.from({ length }, (_, i) => String(start + i * step)),
+    explanation: `Start at ${start} and count on by ${step} each time.`
+  };
+}
+
+// The same picture, a few more of it at every step
+function growingPattern(settings, symbols, random) {
+  const growBy = pick(settings.growBy, random);
+  const symbol = symbols[0];
+  return {
+    elements: Array.from({ length: GROWING_LENGTH }, (_, i) => symbol.repeat(1 + i * growBy)),
+    explanation: `Each step has ${growBy === 1 ? 'one more' : `${growBy} more`} ${symbol}.`
+  };
+}
+
+// Generate patterns worksheet: a mix of the chosen rules, each item recording
+// its rule and an explanation for the answer key
+function generatePatternsWorksheet({ curriculum, grade, theme, random, options, count = 6 }) {
+  const settings = resolveGeneratorOptions(patterns, grade, options);
+  const pictures = [...new Set(getThemeItems(theme || 'shapes').map(getItemEmoji))];
+  const items = [];
+
+  for (let i = 0; i < count; i++) {
+    // Cycle through the rules so every chosen rule appears
+    const rule = settings.rules[i % settings.rules.length];
+    const symbols = shuffle(pictures, random);
+
+    let made;
+    if (rule === 'skipCount') made = skipCountPattern(settings, settings.length, random);
+    else if (rule === 'growing') made = growingPattern(settings, symbols, random);
+    else made = repeatingPattern(rule, symbols, settings.length);
+
+    const blank = blankIndex(settings.blank, made.elements.length, random);
+    items.push({
+      sequence: made.elements.map((element, index) => (index === blank ? '?' : element)),
+      answer: made.elements[blank],
+      blank,
+      rule,
+      explanation: made.explanation
+    });
+  }
+
+  return {
+    title: 'Complete the Pattern',
+    instructions: settings.blank === 'next'
+      ? 'What comes next? Fill in the missing item.'
+      : 'Find the missing item in each pattern.',
+    items: shuffle(items, random),
+    type: 'patterns'
+  };
+}
+
+// Answer keys fill the blank and explain the rule
+function renderPatternItems(items, showAnswers) {
+  return items.map((item, i) => `
+    <div class="pattern-item">
+      <span class="pattern-number">${i + 1}.</span>
+      <div>
+        <div class="pattern-sequence">
+          ${item.sequence.map(s => (s === '?'
+            ? `<span class="pattern-element pattern-blank">${showAnswers ? escapeHTML(item.answer) : '?'}</span>`
+            : `<span class="pattern-element">${escapeHTML(s)}</span>`)).join('')}
+        </div>
+        ${showAnswers && item.explanation ? `<div class="pattern-rule">${escapeHTML(item.explanation)}</div>` : ''}
+      </div>
+    </div>
+  `).join('');
+}
+
+const patterns = {
+  key: 'patterns',
+  name: 'Patterns',
+  type: 'patterns',
+  aliases: ['Simple Patterns', 'Number Patterns'],
+  params: {
+    rules: { type: 'enumList', values: RULES, label: 'Pattern rules' },
+    blank: { type: 'enum', values: ['next', 'middle', 'any'], label: 'Missing item' }
+  },
+  presets: {
+    easy: { rules: ['AB', 'ABB', 'AABB'], blank: 'next', length: 6, steps: [1, 2], maxStart: 5, alignStart: true, growBy: [1] },
+    medium: { rules: ['AB', 'ABB', 'ABC', 'AABB', 'skipCount'], blank: 'next', length: 8, steps: [2, 5, 10], maxStart: 20, alignStart: true, growBy: [1] },
+    hard: { rules: ['ABB', 'ABC', 'AABB', 'skipCount', 'growing'], blank: 'any', length: 8, steps: [2, 3, 4, 5, 10], maxStart: 50, alignStart: false, growBy: [1, 2] }
+  },
+  generate: generatePatternsWorksheet,
+  renderHTML: renderPatternItems,
+  toFormsQuestion: (item) => ({
+    question: `${item.sequence.indexOf('?') === item.sequence.length - 1 ? 'What comes next?' : 'What is missing?'} ${item.sequence.join(' ')}`,
+    answer: item.answer
+  }),
+  css: `
+        .pattern-blank { border-style: dashed; min-width: 28px; text-align: center; }
+        .pattern-rule { margin: 8px 0 0 15px; font-size: 14px; color: #166534; }
+`
+};
+
+module.exports = patterns;
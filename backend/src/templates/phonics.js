@@ -0,0 +1,58 @@
+/**
+ * Phonics template
+ */
+
+const { renderLetterWords } = require('./renderers');
+const { shuffle } = require('../utils/random');
+const { DEFAULT_LANGUAGE, getVowelSigns } = require('../utils/languages');
+
+// Matra practice for Indic languages: words that use each vowel sign
+function generateVowelSignWorksheet({ language, random, count }) {
+  return {
+    title: 'Matra Practice',
+    instructions: 'Read each word and circle the matra (vowel sign) shown.',
+    items: shuffle(getVowelSigns(language), random).slice(0, count).map(vowelSign => ({
+      sound: vowelSign.display,
+      words: shuffle(vowelSign.words, random).slice(0, 4)
+    })),
+    type: 'phonics'
+  };
+}
+
+// Generate phonics worksheet
+function generatePhonicsWorksheet({ curriculum, grade, theme, language = DEFAULT_LANGUAGE, random, count = 5 }) {
+  if (language !== DEFAULT_LANGUAGE) {
+    return generateVowelSignWorksheet({ language, random, count });
+  }
+
+  const sounds = [
+    { sound: 'a', words: ['cat', 'bat', 'hat', 'rat', 'mat'] },
+    { sound: 'e', words: ['pen', 'hen', 'ten', 'men', 'den'] },
+    { sound: 'i', words: ['pig', 'dig', 'big', 'wig', 'fig'] },
+    { sound: 'o', words: ['dog', 'log', 'fog', 'hog', 'jog'] },
+    { sound: 'u', words: ['bug', 'hug', 'mug', 'rug', 'tug'] }
+  ];
+  
+  const items = sounds.slice(0, count).map(s => ({
+    sound: s.sound.toUpperCase(),
+    words: shuffle(s.words, random).slice(0, 4)
+  }));
+  
+  return {
+    title: 'Phonics Practice',
+    instructions: 'Say the sound and circle the pictures that start with that sound.',
+    items,
+    type: 'phonics'
+  };
+}
+
+const phonics = {
+  key: 'phonics',
+  name: 'Phonics',
+  type: 'phonics',
+  generate: generatePhonicsWorksheet,
+  renderHTML: renderLetterWords,
+  toFormsQuestion: (item) => ({ question: `Name a word with the ${item.sound} sound`, answer: item.words.join(', ') })
+};
+
+module.exports = phonics;
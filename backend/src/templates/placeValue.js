@@ -0,0 +1,217 @@
+/**
+ * Place value template
+ * Numbers shown as base-ten blocks (hundreds flats, tens rods, ones cubes)
+ * to read, and questions on the value of a digit.
+ */
+
+const { randomInt, sampleProblem } = require('./helpers');
+const { resolveGeneratorOptions } = require('../utils/generatorOptions');
+const { shuffle } = require('../utils/random');
+const { escapeHTML } = require('../utils/html');
+
+const FORMATS = ['blocks', 'digitValue'];
+const PLACE_NAMES = ['ones', 'tens', 'hundreds'];
+
+// Block unit size in px; sheets with hundreds use smaller blocks to fit nine flats
+const UNIT = 8;
+const SMALL_UNIT = 5;
+const ONES_PER_COLUMN = 5;
+
+// "1 ten", "3 tens"
+const placeCount = (count, place) => `${count} ${count === 1 ? place.slice(0, -1) : place}`;
+
+const splitDigits = number => ({
+  hundreds: Math.floor(number / 100),
+  tens: Math.floor(number / 10) % 10,
+  ones: number % 10
+});
+
+// A number shown as blocks, to be written in the place value table
+function blocksItem(number) {
+  const { hundreds, tens, ones } = splitDigits(number);
+  const parts = [hundreds && placeCount(hundreds, 'hundreds'), placeCount(tens, 'tens'), placeCount(ones, 'ones')].filter(Boolean);
+  return {
+    number,
+    format: 'blocks',
+    hundreds,
+    tens,
+    ones,
+    question: 'What number do the blocks show?',
+    answer: number,
+    explanation: `${parts.join(' ')} = ${number}`
+  };
+}
+
+// Non-zero digits that appear once in the number, so a question about them is
+// unambiguous; place 0 is ones
+function uniqueDigits(number) {
+  const digits = String(number).split('');
+  return digits
+    .map((digit, i) => ({ digit: Number(digit), place: digits.length - 1 - i }))
+    .filter(({ digit }) => digit > 0 && digits.filter(d => Number(d) === digit).length === 1);
+}
+
+// The value of one digit, with the digit's other place values as choices
+function digitValueItem(number, random) {
+  const positions = uniqueDigits(number);
+  const { digit, place } = positions[randomInt(random, 0, positions.length - 1)];
+
+  return {
+    number,
+    format: 'digitValue',
+    digit,
+    question: `What is the value of the ${digit} in ${number}?`,
+    answer: digit * 10 ** place,
+    options: [digit, digit * 10, digit * 100],
+    explanation: `The ${digit} is in the ${PLACE_NAMES[place]} place, so it is worth ${digit * 10 ** place}.`
+  };
+}
+
+// Generate place value worksheet with distinct numbers
+function generatePlaceValueWorksheet({ grade, random, options, count = 6 }) {
+  const { formats, places } = resolveGeneratorOptions(placeValue, grade, options);
+  const [low, high] = places === 'hundreds' ? [100, 999] : [10, 99];
+  const used = new Set();
+
+  const items = Array.from({ length: count }, (_, i) => {
+    const format = formats[i % formats.length];
+    const number = sampleProblem(
+      () => randomInt(random, low, high),
+      n => !used.has(n) && (format === 'blocks' || uniqueDigits(n).length > 0)
+    );
+    used.add(number);
+    return format === 'digitValue' ? digitValueItem(number, random) : blocksItem(number);
+  });
+
+  return {
+    title: 'Place Value',
+    instructions: formats.includes('blocks')
+      ? `Count the ${places === 'hundreds' ? 'hundreds, tens' : 'tens'} and ones. Write the number.`
+      : 'Find the value of each digit.',
+    items: shuffle(items, random),
+    type: 'placeValue'
+  };
+}
+
+// Hundreds flats, tens rods and a stack of ones cubes
+function renderBlocks(hundreds, tens, ones) {
+  const unit = hundreds > 0 ? SMALL_UNIT : UNIT;
+  const side = unit * 10;
+  const gap = unit;
+  const shapes = [];
+  let x = 0;
+
+  const grid = (x0, width, height) => {
+    const lines = [];
+    for (let i = 1; i < width / unit; i++) lines.push(`M${x0 + i * unit} 0V${height}`);
+    for (let i = 1; i < height / unit; i++) lines.push(`M${x0} ${i * unit}H${x0 + width}`);
+    return lines.length > 0 ? `<path class="block-grid" d="${lines.join('')}"/>` : '';
+  };
+
+  for (let i = 0; i < hundreds; i++, x += side + gap) {
+    shapes.push(`<rect class="block block-hundred" x="${x}" y="0" width="${side}" height="${side}"/>${grid(x, side, side)}`);
+  }
+  for (let i = 0; i < tens; i++, x += unit + gap / 2) {
+    shapes.push(`<rect class="block block-ten" x="${x}" y="0" width="${unit}" height="${side}"/>${grid(x, unit, side)}`);
+  }
+  if (ones > 0) x += gap;
+  for (let i = 0; i < ones; i++) {
+    const column = Math.floor(i / ONES_PER_COLUMN);
+    const row = i % ONES_PER_COLUMN;
+    shapes.push(`<rect class="block block-one" x="${x + column * (unit + 3)}" y="${side - (row + 1) * (unit + 3)}" width="${unit}" height="${unit}"/>`);
+  }
+  const width = Math.max(x + Math.ceil(ones / ONES_PER_COLUMN) * (unit + 3), unit);
+
+  return `<svg class="place-value-blocks" width="${width + 2}" height="${side + 2}" viewBox="-1 -1 ${width + 2} ${side + 2}" xmlns="http://www.w3.org/2000/svg">${shapes.join('')}</svg>`;
+}
+
+// Place value table to fill in; answer keys fill every box
+function renderPlaceTable(item, showAnswers) {
+  const columns = item.hundreds > 0 ? ['hundreds', 'tens', 'ones'] : ['tens', 'ones'];
+  const value = place => (showAnswers ? item[place] : '');
+  return `<table class="place-value-table">
+        <tr>${columns.map(place => `<th>${place.charAt(0).toUpperCase() + place.slice(1)}</th>`).join('')}<th>Number</th></tr>
+        <tr>${columns.map(place => `<td>${escapeHTML(value(place))}</td>`).join('')}<td>${showAnswers ? escapeHTML(item.answer) : ''}</td></tr>
+      </table>`;
+}
+
+function renderPlaceValueItems(items, showAnswers) {
+  return items.map((item, i) => {
+    let body;
+    if (item.format === 'digitValue') {
+      body = `
+        <div class="options-list">
+          ${(item.options || []).map((option, oi) => `
+          <div class="option${showAnswers && option === item.answer ? ' correct' : ''}">
+            <span class="option-letter">${String.fromCharCode(65 + oi)}.</span>
+            <span class="option-text">${escapeHTML(option)}</span>
+          </div>`).join('')}
+        </div>`;
+    } else {
+      body = renderBlocks(item.hundreds || 0, item.tens || 0, item.ones || 0) + renderPlaceTable(item, showAnswers);
+    }
+
+    return `
+    <div class="item place-value-item">
+      <div class="item-number">${i + 1}.</div>
+      <div class="item-content">
+        ${escapeHTML(item.question)}
+        ${body}
+        ${showAnswers && item.explanation ? `<div class="answer-line">${escapeHTML(item.explanation)}</div>` : ''}
+      </div>
+    </div>
+  `;
+  }).join('');
+}
+
+// Choice questions: the value of the digit, or which number the blocks make
+// (Forms can't show the blocks, so they are described)
+function toFormsQuestion(item) {
+  if (item.format === 'digitValue') {
+    return { question: item.question, answer: String(item.answer), options: (item.options || []).map(String) };
+  }
+
+  const { hundreds, tens, ones } = splitDigits(item.answer);
+  const described = [hundreds && placeCount(hundreds, 'hundreds'), placeCount(tens, 'tens'), placeCount(ones, 'ones')].filter(Boolean);
+  const reversed = Number(String(item.answer).split('').reverse().join(''));
+  const choices = [...new Set([item.answer, reversed, item.answer + 10, item.answer - 10])].filter(n => n > 0).slice(0, 4);
+
+  return {
+    question: `Which number has ${described.slice(0, -1).join(', ')} and ${described[described.length - 1]}?`,
+    answer: String(item.answer),
+    options: choices.sort((a, b) => a - b).map(String)
+  };
+}
+
+const placeValue = {
+  key: 'placevalue',
+  name: 'Place Value',
+  type: 'placeValue',
+  aliases: ['Base Ten Blocks', 'Tens and Ones', 'Hundreds Tens and Ones'],
+  params: {
+    formats: { type: 'enumList', values: FORMATS, label: 'Place value questions' },
+    places: { type: 'enum', values: ['tens', 'hundreds'], label: 'Numbers up to' }
+  },
+  presets: {
+    easy: { formats: ['blocks'], places: 'tens' },
+    medium: { formats: ['blocks', 'digitValue'], places: 'tens' },
+    hard: { formats: ['blocks', 'digitValue'], places: 'hundreds' }
+  },
+  generate: generatePlaceValueWorksheet,
+  renderHTML: renderPlaceValueItems,
+  toFormsQuestion,
+  css: `
+        .place-value-item { page-break-inside: avoid; }
+        .place-value-blocks { display: block; margin: 10px 0; }
+        .block { stroke: #1e3a8a; stroke-width: 1; }
+        .block-hundred { fill: #bfdbfe; }
+        .block-ten { fill: #93c5fd; }
+        .block-one { fill: #fde68a; stroke: #92400e; }
+        .block-grid { stroke: #1e3a8a; stroke-width: 0.4; fill: none; }
+        .place-value-table { border-collapse: collapse; margin: 6px 0; }
+        .place-value-table th, .place-value-table td { border: 1px solid #333; min-width: 70px; height: 32px; text-align: center; font-size: 16px; }
+        .place-value-table th { background: #f3e8ff; font-size: 13px; }
+`
+};
+
+module.exports = placeValue;
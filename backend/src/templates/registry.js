@@ -0,0 +1,112 @@
+/**
+ * Worksheet template registry
+ *
+ * A template describes one kind of worksheet:
+ *   key             - Normalized skill name, e.g. "letterrecognition"
+ *   name            - Display name, also used for its Skill rows
+ *   type            - Content type stored on generated worksheets
+ *   aliases         - Other skill names that use this template
+ *   params          - Schema of the options a teacher can set (see utils/generatorOptions)
+ *   presets         - Param values per difficulty level
+ *   gradePresets    - Optional param values per grade tier (easy, medium, hard), used instead of
+ *                     presets when the teacher picks no difficulty
+ *   generate        - ({ curriculum, grade, theme, themeItems, locale, language, random, options, count }) => content
+ *   renderHTML      - (items, showAnswers) => HTML for the PDF
+ *   toFormsQuestion - Optional (item, items) => { question, answer, options } for Microsoft Forms
+ *   css             - Optional CSS added to PDFs that contain this template
+ *   fonts           - Optional bundled font keys (see utils/fonts) embedded in those PDFs
+ */
+
+const templates = new Map();
+const bySkill = new Map();
+const byType = new Map();
+
+const REQUIRED_FIELDS = ['key', 'name', 'type', 'generate', 'renderHTML'];
+
+/**
+ * Normalize a skill name for lookups ("Counting 1-20" -> "counting120")
+ * @param {string} name - Skill name
+ * @returns {string}
+ */
+function normalizeSkillName(name = '') {
+  return name.toLowerCase().replace(/[\s/_-]+/g, '');
+}
+
+/**
+ * Add a template to the registry
+ * @param {Object} template - Template definition
+ * @returns {Object} - The registered template
+ */
+function registerTemplate(template) {
+  const missing = REQUIRED_FIELDS.filter(field => !template[field]);
+  if (missing.length > 0) {
+    throw new Error(`Template ${template.key || template.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+
+  const names = [template.key, template.name, ...(template.aliases || [])].map(normalizeSkillName);
+  const taken = names.find(name => bySkill.has(name) && bySkill.get(name) !== template);
+  if (taken) {
+    throw new Error(`Skill "${taken}" is already registered by the ${bySkill.get(taken).key} template`);
+  }
+  if (byType.has(template.type)) {
+    throw new Error(`Content type "${template.type}" is already registered by the ${byType.get(template.type).key} template`);
+  }
+
+  const registered = { aliases: [], params: {}, presets: {}, ...template };
+  templates.set(registered.key, registered);
+  byType.set(registered.type, registered);
+  names.forEach(name => bySkill.set(name, registered));
+  return registered;
+}
+
+/**
+ * Find the template for a skill name or alias
+ * @param {string} skill - Skill name as shown to teachers
+ * @returns {Object|undefined}
+ */
+function getTemplate(skill) {
+  return bySkill.get(normalizeSkillName(skill));
+}
+
+/**
+ * Find the template that generated a piece of content
+ * @param {string} type - Content type, e.g. "wordProblems"
+ * @returns {Object|undefined}
+ */
+function getTemplateForType(type) {
+  return byType.get(type);
+}
+
+/**
+ * All registered templates, in registration order
+ * @returns {Object[]}
+ */
+function listTemplates() {
+  return [...templates.values()];
+}
+
+/**
+ * Public description of a template (no functions), for the admin API
+ * @param {Object} template - Registered template
+ * @returns {Object}
+ */
+function describeTemplate(template) {
+  return {
+    key: template.key,
+    name: template.name,
+    type: template.type,
+    aliases: template.aliases,
+    params: template.params,
+    difficulties: Object.keys(template.presets),
+    formsMapping: Boolean(template.toFormsQuestion)
+  };
+}
+
+module.exports = {
+  normalizeSkillName,
+  registerTemplate,
+  getTemplate,
+  getTemplateForType,
+  listTemplates,
+  describeTemplate
+};
@@ -0,0 +1,122 @@
+/**
+ * Template renderers
+ * HTML for item layouts shared by several worksheet templates.
+ */
+
+const { imageDataURI } = require('../utils/clipart');
+const { escapeHTML } = require('../utils/html');
+
+// A theme picture as an inline image. Items saved before pictures existed, or
+// whose picture file is gone, show the fallback HTML (usually an escaped emoji) instead.
+function renderPicture(image, fallback, { lineArt = false, alt = '' } = {}) {
+  const src = image ? imageDataURI(image, { lineArt }) : null;
+  if (!src) return fallback;
+  return `<img class="picture${lineArt ? ' picture-line-art' : ''}" src="${src}" alt="${escapeHTML(alt)}">`;
+}
+
+// Sizes for theme pictures; templates that use renderPicture add this as their css
+const PICTURE_CSS = `
+        .picture { width: 40px; height: 40px; object-fit: contain; vertical-align: middle; }
+        .item-display .picture { margin: 2px 4px; }
+        .matching-item .picture { width: 48px; height: 48px; }
+        .coloring-picture .picture { width: 120px; height: 120px; }
+        .picture-line-art { filter: grayscale(1); }
+`;
+
+// Arithmetic problems in a two-column grid
+function renderMathProblems(items, operator, showAnswers) {
+  return `<div class="math-grid">` + items.map((item, i) => `
+    <div class="math-problem">
+      <span class="problem-number">${i + 1}.</span>
+      <span class="problem">${escapeHTML(item.a)} ${operator} ${escapeHTML(item.b)} = </span>
+      <span class="answer">${showAnswers ? escapeHTML(item.answer) : '____'}</span>
+    </div>
+  `).join('') + `</div>`;
+}
+
+// A letter or sound with the words to circle
+function renderLetterWords(items) {
+  return items.map(item => `
+    <div class="letter-section">
+      <div class="letter-header">Letter: <strong>${escapeHTML(item.letter || item.sound)}</strong></div>
+      <div class="words-list">
+        ${item.words.map(word => `<span class="word">${escapeHTML(word)}</span>`).join('')}
+      </div>
+    </div>
+  `).join('');
+}
+
+// Emoji cards with a name underneath
+function renderEmojiGrid(items) {
+  return `<div class="shapes-grid">` + items.map(item => `
+    <div class="shape-item">
+      <div class="shape-emoji">${escapeHTML(item.emoji)}</div>
+      <div class="shape-name">${escapeHTML(item.name)}</div>
+    </div>
+  `).join('') + `</div>`;
+}
+
+// Word problems with a line for the answer; answer keys add the worked solution
+function renderWordProblems(items, showAnswers, getText = item => item.problem) {
+  return items.map((item, i) => `
+    <div class="word-problem">
+      <div class="problem-number">${i + 1}.</div>
+      <div class="problem-text">${escapeHTML(getText(item))}</div>
+      <div class="answer-line">Answer: ${showAnswers ? escapeHTML(item.answer) : '______'}</div>
+      ${showAnswers && Array.isArray(item.solution) ? `
+      <div class="worked-solution">
+        ${item.solution.map(step => `<div>${escapeHTML(step)}</div>`).join('')}
+      </div>` : ''}
+    </div>
+  `).join('');
+}
+
+// Worked solutions under word problems in answer keys
+const WORD_PROBLEM_CSS = `
+        .worked-solution { margin-top: 6px; padding: 8px 12px; border-left: 3px solid #16a34a; background: #f0fdf4; font-size: 14px; color: #166534; }
+`;
+
+// A fraction shown stacked, e.g. 3 over 4
+function renderFraction(numerator, denominator) {
+  return `<span class="fraction"><span class="fraction-top">${escapeHTML(numerator)}</span><span class="fraction-bottom">${escapeHTML(denominator)}</span></span>`;
+}
+
+const FRACTION_CSS = `
+        .fraction { display: inline-flex; flex-direction: column; align-items: center; vertical-align: middle; font-weight: bold; }
+        .fraction-top { border-bottom: 2px solid currentColor; padding: 0 4px; }
+`;
+
+// Question/answer items without a dedicated layout (also used for AI content)
+function renderGenericItems(items, showAnswers) {
+  return (items || []).map((item, i) => `
+    <div class="item">
+      <div class="item-number">${i + 1}.</div>
+      <div class="item-content">
+        ${escapeHTML(item.question || item.instruction || item.sentence || item.display || '')}
+        ${Array.isArray(item.options) && item.options.length > 0 ? `
+        <div class="options-list">
+          ${item.options.map((opt, oi) => `
+            <div class="option${showAnswers && opt === item.answer ? ' correct' : ''}">
+              <span class="option-letter">${String.fromCharCode(65 + oi)}.</span>
+              <span class="option-text">${escapeHTML(opt)}</span>
+            </div>
+          `).join('')}
+        </div>` : ''}
+        ${showAnswers && item.answer !== undefined && item.answer !== '' ? `<div class="answer-line">Answer: ${escapeHTML(item.answer)}</div>` : ''}
+      </div>
+    </div>
+  `).join('') || '<div class="item">No content available</div>';
+}
+
+module.exports = {
+  renderPicture,
+  PICTURE_CSS,
+  renderMathProblems,
+  renderLetterWords,
+  renderEmojiGrid,
+  renderWordProblems,
+  WORD_PROBLEM_CSS,
+  renderFraction,
+  FRACTION_CSS,
+  renderGenericItems
+};
@@ -0,0 +1,43 @@
+/**
+ * Sentences template
+ */
+
+const { shuffle } = require('../utils/random');
+const { escapeHTML } = require('../utils/html');
+
+// Generate sentences worksheet
+function generateSentencesWorksheet({ curriculum, grade, theme, random, count = 5 }) {
+  const sentences = [
+    { words: ['The', 'cat', 'sat', 'on', 'the', 'mat.'], sentence: 'The cat sat on the mat.' },
+    { words: ['I', 'like', 'to', 'play', 'games.'], sentence: 'I like to play games.' },
+    { words: ['She', 'has', 'a', 'red', 'ball.'], sentence: 'She has a red ball.' },
+    { words: ['We', 'go', 'to', 'school', 'today.'], sentence: 'We go to school today.' },
+    { words: ['The', 'dog', 'runs', 'fast.'], sentence: 'The dog runs fast.' }
+  ];
+  
+  return {
+    title: 'Build a Sentence',
+    instructions: 'Arrange the words to make a sentence.',
+    items: sentences.slice(0, count).map(s => ({ ...s, shuffled: shuffle(s.words, random) })),
+    type: 'sentences'
+  };
+}
+
+const sentences = {
+  key: 'sentences',
+  name: 'Sentences',
+  type: 'sentences',
+  generate: generateSentencesWorksheet,
+  renderHTML: (items, showAnswers) => items.map((item, i) => `
+    <div class="sentence-item">
+      <div class="sentence-number">${i + 1}.</div>
+      <div class="sentence-words">
+        ${item.shuffled.map(w => `<span class="word-box">${escapeHTML(w)}</span>`).join('')}
+      </div>
+      <div class="answer-line">Answer: ${showAnswers ? escapeHTML(item.sentence) : '____________________'}</div>
+    </div>
+  `).join(''),
+  toFormsQuestion: (item) => ({ question: `Put the words in order: ${item.shuffled.join(' / ')}`, answer: item.sentence })
+};
+
+module.exports = sentences;
@@ -0,0 +1,35 @@
+/**
+ * Shapes template
+ */
+
+const { renderEmojiGrid } = require('./renderers');
+
+// Generate shapes worksheet
+function generateShapesWorksheet({ curriculum, grade, theme, count = 6 }) {
+  const shapes = [
+    { name: 'Circle', emoji: '⭕' },
+    { name: 'Square', emoji: '⬜' },
+    { name: 'Triangle', emoji: '🔺' },
+    { name: 'Rectangle', emoji: '🟦' },
+    { name: 'Star', emoji: '⭐' },
+    { name: 'Heart', emoji: '❤️' }
+  ];
+  
+  return {
+    title: 'Shape Recognition',
+    instructions: 'Identify and color the shapes.',
+    items: shapes.slice(0, count),
+    type: 'shapes'
+  };
+}
+
+const shapes = {
+  key: 'shapes',
+  name: 'Shapes',
+  type: 'shapes',
+  generate: generateShapesWorksheet,
+  renderHTML: renderEmojiGrid,
+  toFormsQuestion: (item) => ({ question: `Which shape is this? ${item.emoji}`, answer: item.name })
+};
+
+module.exports = shapes;
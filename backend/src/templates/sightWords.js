@@ -0,0 +1,31 @@
+/**
+ * Sight Words template
+ */
+
+const { renderTracingRow, HANDWRITING_CSS } = require('./handwriting');
+
+// Generate sight words worksheet
+function generateSightWordsWorksheet({ curriculum, grade, theme, count = 8 }) {
+  const sightWords = ['the', 'and', 'is', 'it', 'you', 'that', 'was', 'for', 'on', 'are', 'with', 'as'];
+  
+  return {
+    title: 'Sight Words Practice',
+    instructions: 'Read and trace each sight word.',
+    items: sightWords.slice(0, count).map(word => ({ word, uppercase: word.toUpperCase() })),
+    type: 'sightWords'
+  };
+}
+
+const sightWords = {
+  key: 'sightwords',
+  name: 'Sight Words',
+  type: 'sightWords',
+  generate: generateSightWordsWorksheet,
+  renderHTML: (items) => `<div class="trace-rows">` + items.map(item => `
+    <div class="trace-item">${renderTracingRow(item.word)}</div>
+  `).join('') + `</div>`,
+  css: HANDWRITING_CSS,
+  fonts: ['print']
+};
+
+module.exports = sightWords;
@@ -0,0 +1,58 @@
+/**
+ * Subtraction template
+ */
+
+const { randomInt, sampleProblem, needsBorrowing } = require('./helpers');
+const { renderMathProblems } = require('./renderers');
+const { OPERAND_PARAMS, resolveGeneratorOptions } = require('../utils/generatorOptions');
+
+// Generate subtraction worksheet
+function generateSubtractionWorksheet({ curriculum, grade, theme, random, options, count = 12 }) {
+  const { min, max, borrowing, noNegatives } = resolveGeneratorOptions(subtraction, grade, options);
+  const problems = [];
+  
+  for (let i = 0; i < count; i++) {
+    const { a, b } = sampleProblem(
+      () => {
+        const x = randomInt(random, min, max);
+        const y = randomInt(random, min, max);
+        return noNegatives && y > x ? { a: y, b: x } : { a: x, b: y };
+      },
+      ({ a, b }) => borrowing === undefined || (a >= b && needsBorrowing(a, b) === borrowing)
+    );
+    problems.push({ a, b, answer: a - b });
+  }
+  
+  return {
+    title: 'Subtraction Practice',
+    instructions: 'Solve the subtraction problems.',
+    items: problems,
+    type: 'subtraction'
+  };
+}
+
+const subtraction = {
+  key: 'subtraction',
+  name: 'Subtraction',
+  type: 'subtraction',
+  params: {
+    ...OPERAND_PARAMS,
+    borrowing: { type: 'boolean' },
+    noNegatives: { type: 'boolean' }
+  },
+  presets: {
+    easy: { min: 0, max: 10 },
+    medium: { min: 0, max: 20 },
+    hard: { min: 10, max: 99 }
+  },
+  gradePresets: {
+    easy: { min: 0, max: 10 },
+    medium: { min: 0, max: 20 },
+    hard: { min: 0, max: 50 }
+  },
+  generate: generateSubtractionWorksheet,
+  renderHTML: (items, showAnswers) => renderMathProblems(items, '−', showAnswers),
+  toFormsQuestion: (item) => ({ question: `${item.a} − ${item.b} = ?`, answer: String(item.answer) })
+};
+
+module.exports = subtraction;
@@ -0,0 +1,110 @@
+/**
+ * Tracing template
+ */
+
+const { getThemeItems } = require('./helpers');
+const { renderTracingRow, HANDWRITING_CSS } = require('./handwriting');
+const { pickTemplateOptions } = require('../utils/generatorOptions');
+const { FONTS } = require('../utils/fonts');
+const { DEFAULT_LANGUAGE, getLanguage, getAlphabet, getLanguageWords } = require('../utils/languages');
+
+const TRACING_DEFAULTS = {
+  style: 'print',
+  letterCase: 'both',
+  words: false,
+  strokeOrder: true
+};
+
+// Indic letters or words in the script's own font. There is no case, and no
+// stroke table, so rows carry no stroke starts.
+function generateScriptTracing({ language, words, count }) {
+  const { font } = getLanguage(language);
+  const headlineNote = FONTS[font].headline ? ' Draw the headline along the blue line last.' : '';
+
+  if (words) {
+    return {
+      title: 'Word Tracing',
+      instructions: `Trace each word along the lines.${headlineNote}`,
+      items: getAlphabet(language)
+        .map(letter => getLanguageWords(letter, 1, language)[0])
+        .filter(Boolean)
+        .slice(0, count)
+        .map(word => ({ word, style: font })),
+      type: 'tracing'
+    };
+  }
+
+  return {
+    title: 'Letter Tracing',
+    instructions: `Trace the letters below along the lines.${headlineNote}`,
+    items: getAlphabet(language).slice(0, count).map(letter => ({ letter, style: font, strokeOrder: false })),
+    type: 'tracing'
+  };
+}
+
+// Generate tracing worksheet: letters (in the chosen case) or theme words
+function generateTracingWorksheet({ curriculum, grade, theme, language = DEFAULT_LANGUAGE, options, count = 6 }) {
+  const { style, letterCase, words, strokeOrder } = { ...TRACING_DEFAULTS, ...pickTemplateOptions(tracing, options) };
+
+  if (language !== DEFAULT_LANGUAGE) {
+    return generateScriptTracing({ language, words, count });
+  }
+
+  if (words) {
+    return {
+      title: 'Word Tracing',
+      instructions: 'Start at the green dot and trace each word.',
+      items: getThemeItems(theme || 'animals').slice(0, count).map(item => ({
+        word: letterCase === 'upper' ? item.toUpperCase() : item.toLowerCase(),
+        style
+      })),
+      type: 'tracing'
+    };
+  }
+
+  const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+  const selectedLetters = letters.slice(0, count);
+  
+  return {
+    title: 'Letter Tracing',
+    instructions: 'Start at the green dot and trace the letters below.',
+    items: selectedLetters.map(letter => ({
+      letter,
+      ...(letterCase !== 'lower' ? { uppercase: letter } : {}),
+      ...(letterCase !== 'upper' ? { lowercase: letter.toLowerCase() } : {}),
+      style,
+      strokeOrder
+    })),
+    type: 'tracing'
+  };
+}
+
+// One row per case for letters, one row per word
+function renderTracingItems(items) {
+  return `<div class="trace-rows">` + items.map(item => {
+    const rows = item.word ? [item.word] : [item.uppercase, item.lowercase].filter(Boolean);
+    return `
+      <div class="trace-item">
+        ${(rows.length > 0 ? rows : [item.letter]).map(text => renderTracingRow(text, item)).join('')}
+      </div>`;
+  }).join('') + `</div>`;
+}
+
+const tracing = {
+  key: 'tracing',
+  name: 'Tracing',
+  type: 'tracing',
+  aliases: ['Letter Tracing'],
+  params: {
+    style: { type: 'enum', values: ['print', 'cursive'], label: 'Handwriting style' },
+    letterCase: { type: 'enum', values: ['upper', 'lower', 'both'], label: 'Letter case' },
+    words: { type: 'boolean' },
+    strokeOrder: { type: 'boolean' }
+  },
+  generate: generateTracingWorksheet,
+  renderHTML: renderTracingItems,
+  css: HANDWRITING_CSS,
+  fonts: ['print', 'cursive']
+};
+
+module.exports = tracing;
@@ -0,0 +1,207 @@
+/**
+ * Word problem engine
+ * Short stories built from the school's name pool, objects that fit the
+ * worksheet theme and an operation. Every problem carries a worked solution
+ * for the answer key.
+ */
+
+const { randomInt, sampleProblem } = require('./helpers');
+const { getLocaleSettings, formatMoney } = require('../utils/locale');
+const { shuffle } = require('../utils/random');
+
+// Countable things to put in stories, by theme
+const THEME_OBJECTS = {
+  animals: ['puppy', 'kitten', 'duck', 'rabbit', 'goldfish', 'chick'],
+  fruits: ['apple', 'banana', 'orange', 'mango', 'strawberry', 'cherry'],
+  shapes: ['star sticker', 'circle card', 'triangle block', 'square tile', 'heart sticker'],
+  nature: ['flower', 'leaf', 'pebble', 'seed', 'pine cone'],
+  transport: ['toy car', 'toy bus', 'toy train', 'paper boat', 'toy truck'],
+  space: ['star sticker', 'toy rocket', 'planet card', 'moon sticker'],
+  ocean: ['shell', 'starfish', 'fish', 'pebble'],
+  sports: ['ball', 'cone', 'medal', 'shuttlecock'],
+  food: ['cookie', 'sandwich', 'muffin', 'cupcake', 'biscuit'],
+  festivals: ['diya', 'balloon', 'gift', 'candle', 'sweet'],
+  seasons: ['umbrella', 'leaf', 'kite', 'mitten'],
+  music: ['drum', 'bell', 'whistle', 'music card']
+};
+THEME_OBJECTS.vehicles = THEME_OBJECTS.transport;
+THEME_OBJECTS.holidays = THEME_OBJECTS.festivals;
+
+// Things with a price, for shop stories
+const SHOP_ITEMS = {
+  default: ['pencil', 'eraser', 'notebook', 'ball', 'balloon', 'toy car', 'sticker book', 'juice box'],
+  fruits: ['apple', 'banana', 'mango', 'orange', 'pineapple'],
+  food: ['sandwich', 'muffin', 'juice box', 'cookie', 'ice cream'],
+  festivals: ['diya', 'balloon', 'gift box', 'candle', 'kite'],
+  sports: ['ball', 'cap', 'whistle', 'skipping rope']
+};
+
+const IRREGULAR_PLURALS = {
+  fish: 'fish',
+  goldfish: 'goldfish',
+  starfish: 'starfish',
+  leaf: 'leaves',
+  mango: 'mangoes'
+};
+
+const OPERATIONS = ['add', 'subtract', 'compare', 'multiply'];
+const MONEY_PROBLEMS = ['coins', 'total', 'change'];
+
+// "3 apples", "1 apple", "2 toy buses"
+function plural(noun, count = 2) {
+  if (count === 1) return noun;
+  const words = noun.split(' ');
+  const last = words.pop();
+  let word;
+  if (IRREGULAR_PLURALS[last]) word = IRREGULAR_PLURALS[last];
+  else if (/(s|sh|ch|x|z)$/.test(last)) word = `${last}es`;
+  else if (/[^aeiou]y$/.test(last)) word = `${last.slice(0, -1)}ies`;
+  else word = `${last}s`;
+  return [...words, word].join(' ');
+}
+
+const quantity = (n, noun) => `${n} ${plural(noun, n)}`;
+const withArticle = noun => `${/^[aeiou]/i.test(noun) ? 'an' : 'a'} ${noun}`;
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+const pick = (list, random) => list[randomInt(random, 0, list.length - 1)];
+
+// Story templates per operation; numbers are chosen before the story
+const STORIES = {
+  add: [
+    ({ a, b, person, thing }) => ({
+      problem: `${person.name} has ${quantity(a, thing)}. ${capitalize(person.pronoun)} gets ${b} more. How many ${plural(thing)} does ${person.name} have now?`,
+      solution: [`${a} + ${b} = ${a + b}`, `${person.name} has ${quantity(a + b, thing)} now.`]
+    }),
+    ({ a, b, person, friend, thing }) => ({
+      problem: `${person.name} has ${quantity(a, thing)} and ${friend.name} has ${quantity(b, thing)}. How many ${plural(thing)} do they have altogether?`,
+      solution: [`${a} + ${b} = ${a + b}`, `They have ${quantity(a + b, thing)} altogether.`]
+    })
+  ],
+  subtract: [
+    ({ a, b, person, friend, thing }) => ({
+      problem: `${person.name} has ${quantity(a, thing)}. ${capitalize(person.pronoun)} gives ${b} to ${friend.name}. How many ${plural(thing)} does ${person.name} have left?`,
+      solution: [`${a} − ${b} = ${a - b}`, `${person.name} has ${quantity(a - b, thing)} left.`]
+    }),
+    ({ a, b, person, thing }) => ({
+      problem: `There are ${quantity(a, thing)} in a basket. ${person.name} takes ${b}. How many ${plural(thing)} are left in the basket?`,
+      solution: [`${a} − ${b} = ${a - b}`, `There are ${quantity(a - b, thing)} left.`]
+    })
+  ],
+  compare: [
+    ({ a, b, person, friend, thing }) => ({
+      problem: `${person.name} has ${quantity(a, thing)}. ${friend.name} has ${quantity(b, thing)}. How many more ${plural(thing)} does ${person.name} have than ${friend.name}?`,
+      solution: [`${a} − ${b} = ${a - b}`, `${person.name} has ${a - b} more.`]
+    })
+  ],
+  multiply: [
+    ({ a, b, person, thing }) => ({
+      problem: `${person.name} has ${a} boxes. Each box has ${quantity(b, thing)}. How many ${plural(thing)} are there in all?`,
+      solution: [`${a} groups of ${b}`, `${a} × ${b} = ${a * b}`, `There are ${quantity(a * b, thing)} in all.`]
+    }),
+    ({ a, b, person, thing }) => ({
+      problem: `${person.name} puts ${quantity(b, thing)} on each of ${a} plates. How many ${plural(thing)} are on the plates?`,
+      solution: [`${a} groups of ${b}`, `${a} × ${b} = ${a * b}`, `There are ${quantity(a * b, thing)} on the plates.`]
+    })
+  ]
+};
+
+// Numbers for an operation within the teacher's range; answers are never negative
+function pickNumbers(operation, { random, min, max }) {
+  if (operation === 'multiply') {
+    return { a: randomInt(random, 2, 5), b: randomInt(random, Math.max(2, min), Math.max(2, Math.min(10, max))) };
+  }
+
+  const { a, b } = sampleProblem(
+    () => ({ a: randomInt(random, min, max), b: randomInt(random, min, max) }),
+    ({ a, b }) => operation === 'add' || a > b
+  );
+  return { a, b, answer: operation === 'add' ? a + b : a - b };
+}
+
+/**
+ * What stories need to know about the school and theme
+ * @param {Object} context - { curriculum, theme, themeItems, locale }
+ * @returns {Object} - { names, things, shop, currency }
+ */
+function storySettings({ curriculum, theme, themeItems = [], locale }) {
+  const key = (theme || '').toLowerCase();
+  const { names, currency } = getLocaleSettings(locale, curriculum);
+
+  // Custom themes fall back to the names of the school's pictures
+  let things = THEME_OBJECTS[key];
+  if (!things) things = themeItems.length > 0 ? themeItems.map(item => item.name.toLowerCase()) : THEME_OBJECTS.fruits;
+
+  return { names, things, shop: SHOP_ITEMS[key] || SHOP_ITEMS.default, currency };
+}
+
+/**
+ * One word problem
+ * @param {string} operation - add, subtract, compare or multiply
+ * @param {Object} context - storySettings plus { random, min, max }
+ * @returns {Object} - { problem, answer, operation, solution: [steps] }
+ */
+function buildWordProblem(operation, context) {
+  const { random, names, things } = context;
+  const [person, friend] = shuffle(names, random);
+  const numbers = pickNumbers(operation, context);
+  const story = pick(STORIES[operation], random)({ ...numbers, person, friend, thing: pick(things, random) });
+
+  const answer = operation === 'multiply' ? numbers.a * numbers.b : numbers.answer;
+  return { problem: story.problem, answer, operation, solution: story.solution };
+}
+
+// Coins and notes adding up to no more than max
+function pickCoins(currency, max, random) {
+  const available = [...new Set([...currency.coins, ...currency.notes])].filter(value => value <= Math.max(max, 1));
+  const coins = Array.from({ length: randomInt(random, 2, 4) }, () => pick(available, random)).sort((a, b) => b - a);
+  while (coins.length > 2 && coins.reduce((sum, value) => sum + value, 0) > Math.max(max, 2)) coins.pop();
+  return coins;
+}
+
+/**
+ * One money problem in the school's currency
+ * @param {string} kind - coins (count the money), total (add two prices) or change (money left)
+ * @param {Object} context - storySettings plus { random, min, max }
+ * @returns {Object} - { coins: question text, answer, solution: [steps] }
+ */
+function buildMoneyProblem(kind, context) {
+  const { random, names, shop, currency, min, max } = context;
+  const money = amount => formatMoney(amount, currency);
+  const [person] = shuffle(names, random);
+  const [item, other] = shuffle(shop, random);
+
+  if (kind === 'coins') {
+    const coins = pickCoins(currency, max, random);
+    const total = coins.reduce((sum, value) => sum + value, 0);
+    const listed = coins.map(money);
+    return {
+      coins: `${person.name} has ${listed.slice(0, -1).join(', ')} and ${listed[listed.length - 1]}. How much money does ${person.pronoun} have?`,
+      answer: money(total),
+      solution: [`${listed.join(' + ')} = ${money(total)}`]
+    };
+  }
+
+  const { a, b } = pickNumbers(kind === 'total' ? 'add' : 'subtract', { random, min, max });
+
+  if (kind === 'total') {
+    return {
+      coins: `${capitalize(withArticle(item))} costs ${money(a)} and ${withArticle(other)} costs ${money(b)}. How much do they cost together?`,
+      answer: money(a + b),
+      solution: [`${money(a)} + ${money(b)} = ${money(a + b)}`, `Together they cost ${money(a + b)}.`]
+    };
+  }
+
+  return {
+    coins: `${person.name} has ${money(a)}. ${capitalize(person.pronoun)} buys ${withArticle(item)} for ${money(b)}. How much money does ${person.pronoun} have left?`,
+    answer: money(a - b),
+    solution: [`${money(a)} − ${money(b)} = ${money(a - b)}`, `${person.name} has ${money(a - b)} left.`]
+  };
+}
+
+module.exports = {
+  OPERATIONS,
+  MONEY_PROBLEMS,
+  storySettings,
+  buildWordProblem,
+  buildMoneyProblem
+};
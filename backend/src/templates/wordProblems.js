@@ -0,0 +1,45 @@
+/**
+ * Word Problems template
+ */
+
+const { renderWordProblems, WORD_PROBLEM_CSS } = require('./renderers');
+const { OPERATIONS, storySettings, buildWordProblem } = require('./wordProblemEngine');
+const { OPERAND_PARAMS, resolveGeneratorOptions } = require('../utils/generatorOptions');
+const { shuffle } = require('../utils/random');
+
+// Generate word problems worksheet: stories with the school's names and the
+// theme's objects, cycling through the operations that fit the grade
+function generateWordProblemsWorksheet({ curriculum, grade, theme, themeItems, locale, random, options, count = 4 }) {
+  const { min, max, operations } = resolveGeneratorOptions(wordProblems, grade, options);
+  const context = { ...storySettings({ curriculum, theme, themeItems, locale }), random, min, max };
+
+  const problems = Array.from({ length: count }, (_, i) => buildWordProblem(operations[i % operations.length], context));
+
+  return {
+    title: 'Word Problems',
+    instructions: 'Read and solve each problem.',
+    items: shuffle(problems, random),
+    type: 'wordProblems'
+  };
+}
+
+const wordProblems = {
+  key: 'wordproblems',
+  name: 'Word Problems',
+  type: 'wordProblems',
+  params: {
+    ...OPERAND_PARAMS,
+    operations: { type: 'enumList', values: OPERATIONS, label: 'Operations' }
+  },
+  presets: {
+    easy: { min: 1, max: 5, operations: ['add', 'subtract'] },
+    medium: { min: 1, max: 10, operations: ['add', 'subtract'] },
+    hard: { min: 1, max: 20, operations: ['add', 'subtract', 'compare', 'multiply'] }
+  },
+  generate: generateWordProblemsWorksheet,
+  renderHTML: renderWordProblems,
+  toFormsQuestion: (item) => ({ question: item.problem, answer: String(item.answer) }),
+  css: WORD_PROBLEM_CSS
+};
+
+module.exports = wordProblems;
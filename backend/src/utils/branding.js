@@ -0,0 +1,92 @@
+/**
+ * School branding
+ * Colors, header layout, motto, address, footer, student fields and watermark
+ * printed on a school's worksheet PDFs. Schools whose plan has custom
+ * branding save them in Settings; everyone else prints the defaults.
+ */
+
+// classic: logo and name on the left; centered: logo above the name;
+// banner: name in a band of the primary color
+const HEADER_LAYOUTS = ['classic', 'centered', 'banner'];
+
+// Write-in fields printed under the title
+const STUDENT_FIELDS = {
+  name: 'Name',
+  date: 'Date',
+  rollNumber: 'Roll No.'
+};
+
+const TEXT_LIMITS = {
+  motto: 120,
+  addressLine: 160,
+  footerText: 160,
+  watermark: 40
+};
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const DEFAULT_BRANDING = {
+  primaryColor: '#4f46e5',
+  secondaryColor: '#7c3aed',
+  headerLayout: 'classic',
+  motto: '',
+  addressLine: '',
+  footerText: '',
+  studentFields: [],
+  watermark: ''
+};
+
+/**
+ * Branding fields of a request or saved settings, with text trimmed
+ * @param {Object} input - Any object with branding fields
+ * @returns {Object} - Only the branding fields that are set
+ */
+function parseBranding(input = {}) {
+  return Object.keys(DEFAULT_BRANDING).reduce((branding, field) => {
+    const value = input[field];
+    if (value === undefined || value === null) return branding;
+    branding[field] = typeof value === 'string' ? value.trim() : value;
+    return branding;
+  }, {});
+}
+
+/**
+ * Validate branding settings
+ * @param {Object} branding - Fields from parseBranding
+ * @returns {string[]} - List of validation errors (empty when valid)
+ */
+function validateBranding(branding = {}) {
+  const errors = [];
+
+  ['primaryColor', 'secondaryColor'].forEach(field => {
+    if (branding[field] !== undefined && !COLOR_PATTERN.test(branding[field])) {
+      errors.push(`${field === 'primaryColor' ? 'Primary' : 'Secondary'} color must be a hex color such as #4f46e5`);
+    }
+  });
+
+  if (branding.headerLayout !== undefined && !HEADER_LAYOUTS.includes(branding.headerLayout)) {
+    errors.push(`Header layout must be one of ${HEADER_LAYOUTS.join(', ')}`);
+  }
+
+  Object.entries(TEXT_LIMITS).forEach(([field, limit]) => {
+    const value = branding[field];
+    if (value !== undefined && (typeof value !== 'string' || value.length > limit)) {
+      errors.push(`${field} must be text of at most ${limit} characters`);
+    }
+  });
+
+  const { studentFields } = branding;
+  if (studentFields !== undefined && (!Array.isArray(studentFields) || studentFields.some(field => !STUDENT_FIELDS[field]))) {
+    errors.push(`Student fields must be a list of ${Object.keys(STUDENT_FIELDS).join(', ')}`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  HEADER_LAYOUTS,
+  STUDENT_FIELDS,
+  DEFAULT_BRANDING,
+  parseBranding,
+  validateBranding
+};
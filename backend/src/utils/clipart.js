@@ -0,0 +1,165 @@
+/**
+ * Bundled clipart
+ * Theme pictures come from OpenMoji (CC BY-SA 4.0), which draws each picture as
+ * a colour SVG and a black line-art SVG. Only the pictures listed below are
+ * vendored, under assets/openmoji. Like the bundled fonts, pictures are
+ * inlined into PDF HTML as data URIs so Puppeteer needs no network access.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OPENMOJI_DIR = path.join(__dirname, '../../assets/openmoji');
+const CLIPART_DIR = path.join(OPENMOJI_DIR, 'color');
+const LINE_ART_DIR = path.join(OPENMOJI_DIR, 'black');
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// OpenMoji hexcodes by theme and item (add the SVGs to assets/openmoji too). The first theme list matches
+// getThemeItems; Seahorse has no OpenMoji picture yet.
+const CLIPART = {
+  animals: {
+    icon: '1F436',
+    items: { Dog: '1F415', Cat: '1F431', Bird: '1F426', Fish: '1F41F', Bear: '1F43B', Lion: '1F981', Elephant: '1F418', Rabbit: '1F430' }
+  },
+  fruits: {
+    icon: '1F34E',
+    items: { Apple: '1F34E', Banana: '1F34C', Orange: '1F34A', Grape: '1F347', Mango: '1F96D', Strawberry: '1F353', Watermelon: '1F349', Cherry: '1F352' }
+  },
+  shapes: {
+    icon: '1F537',
+    items: { Circle: '2B55', Square: '2B1C', Triangle: '1F53A', Rectangle: '1F7E6', Star: '2B50', Heart: '2764', Oval: '1F535', Diamond: '1F48E' }
+  },
+  nature: {
+    icon: '1F333',
+    items: { Tree: '1F333', Flower: '1F338', Sun: '2600', Moon: '1F319', Cloud: '2601', Rainbow: '1F308', Mountain: '26F0', River: '1F3DE' }
+  },
+  transport: {
+    icon: '1F697',
+    items: { Car: '1F697', Bus: '1F68C', Train: '1F682', Airplane: '2708', Boat: '26F5', Bicycle: '1F6B2', Truck: '1F69B', Motorcycle: '1F3CD' }
+  },
+  space: {
+    icon: '1F680',
+    items: { Star: '2B50', Planet: '1FA90', Rocket: '1F680', Moon: '1F319', Astronaut: '1F468-200D-1F680', Comet: '2604', Galaxy: '1F30C', Satellite: '1F6F0' }
+  },
+  ocean: {
+    icon: '1F420',
+    items: { Fish: '1F41F', Dolphin: '1F42C', Whale: '1F40B', Shark: '1F988', Octopus: '1F419', Crab: '1F980', Jellyfish: '1FABC' }
+  },
+  sports: {
+    icon: '26BD',
+    items: { Ball: '26BD', Bat: '1F3CF', Goal: '1F945', Net: '1F945', Racket: '1F3F8', Hoop: '1F3C0', Helmet: 'E14A', Glove: '1F94A' }
+  },
+  food: {
+    icon: '1F355',
+    items: { Pizza: '1F355', Burger: '1F354', Sandwich: '1F96A', Salad: '1F957', Soup: '1F372', Rice: '1F35A', Bread: '1F35E', Cake: '1F382' }
+  },
+  festivals: {
+    icon: '1F389',
+    items: { Lamp: '1FA94', Gift: '1F381', Balloon: '1F388', Cake: '1F382', Candle: '1F56F', Star: '2B50', Bell: '1F514', Tree: '1F333' }
+  },
+  seasons: {
+    icon: '1F342',
+    items: { Sun: '2600', Umbrella: '2602', Snowman: '26C4', Leaf: '1F342', Snowflake: '2744', Tulip: '1F337', Kite: '1FA81', Mitten: '1F9E4' }
+  },
+  music: {
+    icon: '1F3B5',
+    items: { Guitar: '1F3B8', Drum: '1F941', Piano: '1F3B9', Trumpet: '1F3BA', Violin: '1F3BB', Saxophone: '1F3B7', Flute: '1FA88', Microphone: '1F3A4' }
+  }
+};
+
+// Default theme names whose pictures are filed under another key
+const THEME_ALIASES = { vehicles: 'transport', holidays: 'festivals' };
+
+const imageCache = new Map();
+
+const MIME_TYPES = {
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * URL of a bundled picture, served from /clipart
+ * @param {string} hexcode - OpenMoji hexcode
+ * @returns {string}
+ */
+function clipartUrl(hexcode) {
+  return `/clipart/${hexcode}.svg`;
+}
+
+/**
+ * Bundled pictures for a theme name
+ * @param {string} theme - Theme name, e.g. "Vehicles"
+ * @returns {Object|undefined} - { iconUrl, items: [{ name, imageUrl }] }
+ */
+function getClipartSet(theme = '') {
+  const key = theme.toLowerCase();
+  const set = CLIPART[THEME_ALIASES[key] || key];
+  if (!set) return undefined;
+
+  return {
+    iconUrl: clipartUrl(set.icon),
+    items: Object.entries(set.items).map(([name, hexcode]) => ({ name, imageUrl: clipartUrl(hexcode) }))
+  };
+}
+
+/**
+ * Bundled picture for an item, preferring the theme's own set
+ * @param {string} theme - Theme name
+ * @param {string} item - Item name, e.g. "Dog"
+ * @returns {string|undefined} - Picture URL
+ */
+function getClipart(theme, item) {
+  const key = (theme || '').toLowerCase();
+  const own = CLIPART[THEME_ALIASES[key] || key];
+  if (own && own.items[item]) return clipartUrl(own.items[item]);
+
+  const other = Object.values(CLIPART).find(set => set.items[item]);
+  return other ? clipartUrl(other.items[item]) : undefined;
+}
+
+// Absolute path of a picture URL, or null if it is not one we serve
+function imagePath(imageUrl, lineArt) {
+  const clipart = /^\/clipart\/([0-9A-F-]+)\.svg$/.exec(imageUrl);
+  if (clipart) {
+    return path.join(lineArt ? LINE_ART_DIR : CLIPART_DIR, `${clipart[1]}.svg`);
+  }
+
+  if (imageUrl.startsWith('/uploads/')) {
+    const file = path.join(UPLOADS_DIR, imageUrl.slice('/uploads/'.length));
+    return file.startsWith(UPLOADS_DIR + path.sep) ? file : null;
+  }
+
+  return null;
+}
+
+/**
+ * Data URI for a picture, for use as an <img> src in PDF HTML
+ * @param {string} imageUrl - /clipart/... or /uploads/... URL
+ * @param {Object} options - { lineArt: use the black outline version of bundled clipart }
+ * @returns {string|null} - Data URI, or null if the picture is missing
+ */
+function imageDataURI(imageUrl = '', { lineArt = false } = {}) {
+  const cacheKey = `${lineArt ? 'line:' : ''}${imageUrl}`;
+  if (imageCache.has(cacheKey)) return imageCache.get(cacheKey);
+
+  const file = imagePath(imageUrl, lineArt);
+  const type = file && MIME_TYPES[path.extname(file).toLowerCase()];
+  const uri = type && fs.existsSync(file)
+    ? `data:${type};base64,${fs.readFileSync(file).toString('base64')}`
+    : null;
+
+  // Uploads can be replaced or deleted, so only bundled pictures are cached
+  if (imageUrl.startsWith('/clipart/')) imageCache.set(cacheKey, uri);
+  return uri;
+}
+
+module.exports = {
+  CLIPART_DIR,
+  getClipartSet,
+  getClipart,
+  imageDataURI
+};
@@ -0,0 +1,76 @@
+/**
+ * Bundled fonts
+ * Fonts ship as npm packages and are inlined into PDF HTML as data URIs, so
+ * Puppeteer can render them without network access.
+ */
+
+const fs = require('fs');
+
+// Metrics are fractions of the font size. Latin fonts use their OS/2 table;
+// Indic scripts have no x-height, so xHeight is the measured top of the
+// letter body (the headline in Devanagari), which tracing rows sit in the
+// middle band, and advance is the average width of one syllable.
+const FONTS = {
+  print: {
+    family: 'Andika',
+    file: '@fontsource/andika/files/andika-latin-400-normal.woff2',
+    metrics: { xHeight: 0.508, capHeight: 0.725 }
+  },
+  cursive: {
+    family: 'Playwrite IN',
+    file: '@fontsource/playwrite-in/files/playwrite-in-latin-400-normal.woff2',
+    metrics: { xHeight: 0.5, capHeight: 1.023 }
+  },
+  devanagari: {
+    family: 'Noto Sans Devanagari',
+    file: '@fontsource/noto-sans-devanagari/files/noto-sans-devanagari-devanagari-400-normal.woff2',
+    metrics: { xHeight: 0.622, capHeight: 0.622, advance: 0.75 },
+    headline: true
+  },
+  tamil: {
+    family: 'Noto Sans Tamil',
+    file: '@fontsource/noto-sans-tamil/files/noto-sans-tamil-tamil-400-normal.woff2',
+    metrics: { xHeight: 0.56, capHeight: 0.56, advance: 0.9 }
+  },
+  kannada: {
+    family: 'Noto Sans Kannada',
+    file: '@fontsource/noto-sans-kannada/files/noto-sans-kannada-kannada-400-normal.woff2',
+    metrics: { xHeight: 0.563, capHeight: 0.563, advance: 0.8 }
+  }
+};
+
+const fontFaceCache = new Map();
+
+/**
+ * @font-face rule for a bundled font, with the font file inlined
+ * @param {string} key - Key in FONTS
+ * @returns {string} - CSS
+ */
+function fontFace(key) {
+  if (!fontFaceCache.has(key)) {
+    const font = FONTS[key];
+    const data = fs.readFileSync(require.resolve(font.file)).toString('base64');
+    fontFaceCache.set(key, `
+        @font-face {
+          font-family: '${font.family}';
+          src: url(data:font/woff2;base64,${data}) format('woff2');
+          font-weight: normal;
+          font-style: normal;
+        }`);
+  }
+  return fontFaceCache.get(key);
+}
+
+/**
+ * @font-face rules for several bundled fonts
+ * @param {string[]} keys - Keys in FONTS; unknown keys are ignored
+ * @returns {string} - CSS
+ */
+function fontFaceCSS(keys = []) {
+  return [...new Set(keys)].filter(key => FONTS[key]).map(fontFace).join('\n');
+}
+
+module.exports = {
+  FONTS,
+  fontFaceCSS
+};
@@ -0,0 +1,156 @@
+/**
+ * Generator options
+ * Validation of teacher settings against template param schemas, and
+ * resolution of a template's difficulty presets.
+ */
+
+const { MAX_ITEMS, MAX_SECTIONS } = require('./worksheetContent');
+const { isSupportedLanguage, listLanguages } = require('./languages');
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+const MAX_OPERAND = 999;
+const MAX_QUESTIONS = 30;
+
+// Param schemas for the operand range shared by the arithmetic templates
+const OPERAND_PARAMS = {
+  min: { type: 'integer', min: 0, max: MAX_OPERAND, label: 'Operand min' },
+  max: { type: 'integer', min: 0, max: MAX_OPERAND, label: 'Operand max' }
+};
+
+/**
+ * Work out the difficulty from the grade name for worksheets that don't set one.
+ * Templates with gradePresets map these tiers to the ranges they had before
+ * difficulty levels existed.
+ * @param {string} grade - Grade name, e.g. "KG1" or "Grade 2"
+ * @returns {string} - easy, medium or hard
+ */
+function difficultyForGrade(grade = '') {
+  if (grade.includes('Preschool') || grade.includes('Primary 1')) return 'easy';
+  if (grade.includes('KG') || grade.includes('Early Years')) return 'medium';
+  return 'hard';
+}
+
+/**
+ * Validate generator options sent by the client
+ * @param {Object} options - { difficulty, questionCount, sections, language, ...template params }
+ * @param {Object} params - Param schema of the templates being generated
+ * @returns {string[]} - List of validation errors (empty when valid)
+ */
+function validateGeneratorOptions(options = {}, params = {}) {
+  const errors = [];
+  const { difficulty, questionCount, sections, language } = options;
+
+  if (questionCount !== undefined && (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > MAX_QUESTIONS)) {
+    errors.push(`Question count must be between 1 and ${MAX_QUESTIONS}`);
+  }
+
+  if (sections !== undefined) {
+    if (!Array.isArray(sections) || sections.length === 0 || sections.length > MAX_SECTIONS) {
+      errors.push(`Sections must be a list of 1 to ${MAX_SECTIONS} skills`);
+    } else {
+      sections.forEach((section, i) => {
+        if (!section || typeof section.skill !== 'string' || !section.skill.trim()) {
+          errors.push(`Section ${i + 1}: skill is required`);
+        }
+        if (!Number.isInteger(section?.questionCount) || section.questionCount < 1 || section.questionCount > MAX_QUESTIONS) {
+          errors.push(`Section ${i + 1}: question count must be between 1 and ${MAX_QUESTIONS}`);
+        }
+        if (section?.instructions !== undefined && typeof section.instructions !== 'string') {
+          errors.push(`Section ${i + 1}: instructions must be text`);
+        }
+      });
+      const total = sections.reduce((sum, section) => sum + (section?.questionCount || 0), 0);
+      if (total > MAX_ITEMS) {
+        errors.push(`A worksheet can have at most ${MAX_ITEMS} questions in total`);
+      }
+    }
+  }
+
+  if (difficulty !== undefined && !DIFFICULTY_LEVELS.includes(difficulty)) {
+    errors.push(`Difficulty must be one of ${DIFFICULTY_LEVELS.join(', ')}`);
+  }
+
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    errors.push(`Language must be one of ${listLanguages().map(option => option.code).join(', ')}`);
+  }
+
+  Object.entries(params).forEach(([name, schema]) => {
+    const value = options[name];
+    if (value === undefined) return;
+    const label = schema.label || `"${name}"`;
+
+    if (schema.type === 'integer' && (!Number.isInteger(value) || value < schema.min || value > schema.max)) {
+      errors.push(`${label} must be a whole number between ${schema.min} and ${schema.max}`);
+    }
+    if (schema.type === 'enum' && !schema.values.includes(value)) {
+      errors.push(`${label} must be one of ${schema.values.join(', ')}`);
+    }
+    if (schema.type === 'enumList' && (!Array.isArray(value) || value.length === 0 || value.some(v => !schema.values.includes(v)))) {
+      errors.push(`${label} must be a list of ${schema.values.join(', ')}`);
+    }
+    if (schema.type === 'boolean' && typeof value !== 'boolean') {
+      errors.push(`${label} must be true or false`);
+    }
+    if (schema.type === 'integerList' && (!Array.isArray(value) || value.length === 0 ||
+      value.some(v => !Number.isInteger(v) || v < schema.min || v > schema.max))) {
+      errors.push(`${label} must be a list of numbers from ${schema.min} to ${schema.max}`);
+    }
+  });
+
+  if (params.min && params.max && Number.isInteger(options.min) && Number.isInteger(options.max) && options.min > options.max) {
+    errors.push('Operand min cannot be greater than max');
+  }
+
+  return errors;
+}
+
+/**
+ * Keep only the options a template declares, dropping unset values
+ * @param {Object} template - Registered template
+ * @param {Object} options - Client options
+ * @returns {Object|null} - Options to store on the worksheet, or null when none apply
+ */
+function pickTemplateOptions(template, options = {}) {
+  const picked = {};
+  Object.keys(template.params || {}).forEach(key => {
+    if (options[key] !== undefined && options[key] !== null) picked[key] = options[key];
+  });
+  return Object.keys(picked).length > 0 ? picked : null;
+}
+
+/**
+ * Resolve the effective settings for a template: preset for the difficulty,
+ * overridden by any explicit teacher options
+ * @param {Object} template - Registered template
+ * @param {string} grade - Grade name (used when no difficulty is set)
+ * @param {Object} options - { difficulty, ...overrides }
+ * @returns {Object} - { difficulty, min, max, ... }
+ */
+function resolveGeneratorOptions(template, grade, options = {}) {
+  const difficulty = options.difficulty || template.defaultDifficulty || difficultyForGrade(grade);
+  const presets = options.difficulty ? template.presets : template.gradePresets || template.presets;
+  const preset = presets?.[difficulty] || {};
+
+  const overrides = pickTemplateOptions(template, options) || {};
+  const resolved = { noNegatives: true, ...preset, ...overrides, difficulty };
+
+  // A single explicit bound wins over the preset's other bound
+  if (resolved.min > resolved.max) {
+    if (overrides.min !== undefined) resolved.max = resolved.min;
+    else resolved.min = resolved.max;
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  DIFFICULTY_LEVELS,
+  MAX_OPERAND,
+  MAX_QUESTIONS,
+  OPERAND_PARAMS,
+  difficultyForGrade,
+  validateGeneratorOptions,
+  pickTemplateOptions,
+  resolveGeneratorOptions
+};
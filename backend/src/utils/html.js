@@ -0,0 +1,48 @@
+/**
+ * HTML escaping for worksheet PDFs
+ * Worksheet titles, instructions and items are edited by teachers and
+ * rendered by the server's headless browser, so they are always printed as
+ * text. Markup the PDF service wraps around such text itself (bilingual
+ * layouts) is marked trusted, so templates can escape every field without
+ * escaping it twice.
+ */
+
+class TrustedHTML {
+  constructor(html) {
+    this.html = html;
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+/**
+ * Mark markup built from already escaped text as safe to print
+ * @param {string} html - Markup
+ * @returns {TrustedHTML}
+ */
+function trustedHTML(html) {
+  return new TrustedHTML(html);
+}
+
+/**
+ * Text as HTML: markup characters become entities, trusted markup is kept
+ * @param {*} value - Text, number or trusted markup; null and undefined print nothing
+ * @returns {string}
+ */
+function escapeHTML(value) {
+  if (value instanceof TrustedHTML) return value.html;
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  trustedHTML,
+  escapeHTML
+};
@@ -0,0 +1,255 @@
+/**
+ * Worksheet languages
+ * Alphabets, word banks and vowel signs for the languages literacy
+ * worksheets can be generated in. English uses the template's own word
+ * lists; every other language names the bundled font (see utils/fonts) its
+ * script is printed with.
+ */
+
+const ENGLISH_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+// Words are picture words for young children. Letters without a word bank
+// (e.g. ङ, ञ) are still traced but never asked about.
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    nativeName: 'English',
+    script: 'latin'
+  },
+  hi: {
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    script: 'devanagari',
+    font: 'devanagari',
+    // Varnamala: swar, then vyanjan with the conjuncts taught alongside them
+    vowels: ['अ', 'आ', 'इ', 'ई', 'उ', 'ऊ', 'ऋ', 'ए', 'ऐ', 'ओ', 'औ', 'अं', 'अः'],
+    consonants: [
+      'क', 'ख', 'ग', 'घ', 'ङ', 'च', 'छ', 'ज', 'झ', 'ञ', 'ट', 'ठ', 'ड', 'ढ', 'ण',
+      'त', 'थ', 'द', 'ध', 'न', 'प', 'फ', 'ब', 'भ', 'म', 'य', 'र', 'ल', 'व',
+      'श', 'ष', 'स', 'ह', 'क्ष', 'त्र', 'ज्ञ'
+    ],
+    words: {
+      'अ': ['अनार', 'अंगूर', 'अमरूद', 'अदरक'],
+      'आ': ['आम', 'आलू', 'आग', 'आसमान'],
+      'इ': ['इमली', 'इमारत', 'इंजन', 'इनाम'],
+      'ई': ['ईख', 'ईंट', 'ईद'],
+      'उ': ['उल्लू', 'उँगली', 'उपहार'],
+      'ऊ': ['ऊन', 'ऊँट', 'ऊपर'],
+      'ए': ['एक', 'एड़ी', 'एकता'],
+      'ओ': ['ओखली', 'ओस', 'ओला'],
+      'क': ['कमल', 'कबूतर', 'केला', 'कलम'],
+      'ख': ['खरगोश', 'खिड़की', 'खाना', 'खिलौना'],
+      'ग': ['गमला', 'गाय', 'गाजर', 'गुब्बारा'],
+      'घ': ['घर', 'घड़ी', 'घोड़ा', 'घंटी'],
+      'च': ['चम्मच', 'चूहा', 'चश्मा', 'चाँद'],
+      'छ': ['छतरी', 'छत', 'छिपकली'],
+      'ज': ['जहाज़', 'जग', 'जूता', 'जलेबी'],
+      'झ': ['झंडा', 'झूला', 'झरना', 'झाड़ू'],
+      'ट': ['टमाटर', 'टोपी', 'टब'],
+      'ठ': ['ठेला', 'ठंड', 'ठोकर'],
+      'ड': ['डमरू', 'डलिया', 'डाकिया', 'डिब्बा'],
+      'ढ': ['ढोल', 'ढक्कन', 'ढोलक'],
+      'त': ['तरबूज़', 'तोता', 'तितली', 'तारा'],
+      'थ': ['थैला', 'थाली', 'थरमस'],
+      'द': ['दवात', 'दरवाज़ा', 'दाल', 'दूध'],
+      'ध': ['धनुष', 'धागा', 'धूप'],
+      'न': ['नल', 'नाव', 'नारियल', 'नाक'],
+      'प': ['पतंग', 'पंखा', 'पेड़', 'पानी'],
+      'फ': ['फल', 'फूल', 'फावड़ा'],
+      'ब': ['बतख', 'बंदर', 'बकरी', 'बस'],
+      'भ': ['भालू', 'भेड़', 'भवन'],
+      'म': ['मछली', 'मटर', 'मोर', 'मकान'],
+      'य': ['योग', 'याक', 'यान'],
+      'र': ['रथ', 'रस्सी', 'रोटी', 'रेल'],
+      'ल': ['लट्टू', 'लड्डू', 'लालटेन', 'लड़का'],
+      'व': ['वकील', 'वन', 'वर्षा'],
+      'श': ['शलगम', 'शेर', 'शहद'],
+      'स': ['सेब', 'सपेरा', 'सूरज', 'साँप'],
+      'ह': ['हाथी', 'हल', 'हिरन', 'हथौड़ा']
+    },
+    // Matras, shown on a dotted circle as in primers
+    vowelSigns: [
+      { sign: 'ा', words: ['माला', 'ताला', 'राजा', 'गाजर', 'नाक'] },
+      { sign: 'ि', words: ['दिल', 'किला', 'तितली', 'चिड़िया', 'खिलौना'] },
+      { sign: 'ी', words: ['मछली', 'तीर', 'खीर', 'घड़ी', 'इमली'] },
+      { sign: 'ु', words: ['गुलाब', 'कुत्ता', 'सुई', 'बुलबुल', 'गुब्बारा'] },
+      { sign: 'ू', words: ['फूल', 'चूहा', 'झूला', 'सूरज', 'भालू'] },
+      { sign: 'े', words: ['सेब', 'केला', 'पेड़', 'रेल', 'जलेबी'] },
+      { sign: 'ै', words: ['पैर', 'बैल', 'थैला', 'पैसा', 'मैना'] },
+      { sign: 'ो', words: ['मोर', 'तोता', 'घोड़ा', 'ढोल', 'रोटी'] },
+      { sign: 'ौ', words: ['कौआ', 'नौका', 'मौसम', 'हथौड़ा', 'खिलौना'] }
+    ]
+  },
+  ta: {
+    name: 'Tamil',
+    nativeName: 'தமிழ்',
+    script: 'tamil',
+    font: 'tamil',
+    // Uyir ezhuthukkal, then mei ezhuthukkal in their vowel-bearing form
+    vowels: ['அ', 'ஆ', 'இ', 'ஈ', 'உ', 'ஊ', 'எ', 'ஏ', 'ஐ', 'ஒ', 'ஓ', 'ஔ'],
+    consonants: ['க', 'ங', 'ச', 'ஞ', 'ட', 'ண', 'த', 'ந', 'ப', 'ம', 'ய', 'ர', 'ல', 'வ', 'ழ', 'ள', 'ற', 'ன'],
+    words: {
+      'அ': ['அம்மா', 'அணில்', 'அன்னம்', 'அப்பா'],
+      'ஆ': ['ஆடு', 'ஆமை', 'ஆந்தை', 'ஆப்பிள்'],
+      'இ': ['இலை', 'இட்லி', 'இறகு', 'இஞ்சி'],
+      'ஈ': ['ஈ', 'ஈசல்', 'ஈட்டி'],
+      'உ': ['உரல்', 'உப்பு', 'உடை', 'உலகம்'],
+      'ஊ': ['ஊஞ்சல்', 'ஊசி', 'ஊதல்'],
+      'எ': ['எலி', 'எறும்பு', 'எலுமிச்சை'],
+      'ஏ': ['ஏணி', 'ஏரி', 'ஏழு'],
+      'ஐ': ['ஐந்து', 'ஐஸ்கிரீம்'],
+      'ஒ': ['ஒட்டகம்', 'ஒன்று'],
+      'ஓ': ['ஓநாய்', 'ஓடம்', 'ஓவியம்'],
+      'க': ['கப்பல்', 'கரடி', 'கண்', 'கடிகாரம்'],
+      'ச': ['சட்டை', 'சக்கரம்', 'சங்கு'],
+      'த': ['தக்காளி', 'தவளை', 'தண்ணீர்', 'தட்டு'],
+      'ந': ['நண்டு', 'நரி', 'நட்சத்திரம்', 'நாய்'],
+      'ப': ['பந்து', 'பசு', 'பழம்', 'பட்டம்'],
+      'ம': ['மரம்', 'மயில்', 'மலர்', 'மீன்'],
+      'ய': ['யானை', 'யாழ்'],
+      'வ': ['வண்டி', 'வாத்து', 'வீடு', 'வாழைப்பழம்']
+    },
+    vowelSigns: [
+      { sign: 'ா', words: ['பாம்பு', 'நாய்', 'காகம்', 'வாத்து'] },
+      { sign: 'ி', words: ['கிளி', 'சிங்கம்', 'கிண்ணம்', 'எலி'] },
+      { sign: 'ீ', words: ['மீன்', 'வீடு', 'தீ', 'கீரை'] },
+      { sign: 'ு', words: ['குடை', 'முயல்', 'புலி', 'குதிரை'] },
+      { sign: 'ூ', words: ['பூனை', 'பூ', 'சூரியன்', 'கூடை'] },
+      { sign: 'ெ', words: ['பெட்டி', 'செருப்பு', 'தென்னை'] },
+      { sign: 'ே', words: ['தேன்', 'மேகம்', 'தேர்', 'சேவல்'] },
+      { sign: 'ை', words: ['யானை', 'தவளை', 'பூனை', 'கை'] }
+    ]
+  },
+  kn: {
+    name: 'Kannada',
+    nativeName: 'ಕನ್ನಡ',
+    script: 'kannada',
+    font: 'kannada',
+    // Swaragalu, then vyanjanagalu
+    vowels: ['ಅ', 'ಆ', 'ಇ', 'ಈ', 'ಉ', 'ಊ', 'ಋ', 'ಎ', 'ಏ', 'ಐ', 'ಒ', 'ಓ', 'ಔ'],
+    consonants: [
+      'ಕ', 'ಖ', 'ಗ', 'ಘ', 'ಙ', 'ಚ', 'ಛ', 'ಜ', 'ಝ', 'ಞ', 'ಟ', 'ಠ', 'ಡ', 'ಢ', 'ಣ',
+      'ತ', 'ಥ', 'ದ', 'ಧ', 'ನ', 'ಪ', 'ಫ', 'ಬ', 'ಭ', 'ಮ', 'ಯ', 'ರ', 'ಲ', 'ವ',
+      'ಶ', 'ಷ', 'ಸ', 'ಹ', 'ಳ'
+    ],
+    words: {
+      'ಅ': ['ಅಮ್ಮ', 'ಅರಸ', 'ಅಕ್ಕ', 'ಅನಾನಸ್'],
+      'ಆ': ['ಆನೆ', 'ಆಮೆ', 'ಆಕಾಶ', 'ಆಟ'],
+      'ಇ': ['ಇಲಿ', 'ಇರುವೆ', 'ಇಡ್ಲಿ'],
+      'ಈ': ['ಈಜು', 'ಈರುಳ್ಳಿ', 'ಈಚಲು'],
+      'ಉ': ['ಉಪ್ಪು', 'ಉಂಗುರ', 'ಉಡುಗೊರೆ'],
+      'ಊ': ['ಊಟ', 'ಊರು'],
+      'ಎ': ['ಎಲೆ', 'ಎತ್ತು', 'ಎರಡು'],
+      'ಏ': ['ಏಣಿ', 'ಏಳು'],
+      'ಒ': ['ಒಂದು', 'ಒಂಟೆ'],
+      'ಕ': ['ಕಮಲ', 'ಕರಡಿ', 'ಕತ್ತೆ', 'ಕಪ್ಪೆ'],
+      'ಗ': ['ಗಡಿಯಾರ', 'ಗಿಳಿ', 'ಗಾಳಿಪಟ', 'ಗುಲಾಬಿ'],
+      'ಚ': ['ಚಮಚ', 'ಚಂದ್ರ', 'ಚಿಟ್ಟೆ'],
+      'ಜ': ['ಜಿಂಕೆ', 'ಜೇನು', 'ಜಗ'],
+      'ತ': ['ತರಕಾರಿ', 'ತಟ್ಟೆ', 'ತೆಂಗಿನಕಾಯಿ'],
+      'ದ': ['ದನ', 'ದೋಣಿ', 'ದೀಪ'],
+      'ನ': ['ನವಿಲು', 'ನಾಯಿ', 'ನರಿ', 'ನೀರು'],
+      'ಪ': ['ಪುಸ್ತಕ', 'ಪಾರಿವಾಳ', 'ಪಕ್ಷಿ'],
+      'ಬ': ['ಬಸ್ಸು', 'ಬಾಳೆಹಣ್ಣು', 'ಬೆಕ್ಕು', 'ಬಾತುಕೋಳಿ'],
+      'ಮ': ['ಮರ', 'ಮನೆ', 'ಮೀನು', 'ಮಳೆ'],
+      'ಸ': ['ಸಿಂಹ', 'ಸೇಬು', 'ಸೂರ್ಯ'],
+      'ಹ': ['ಹಸು', 'ಹಣ್ಣು', 'ಹಾವು', 'ಹೂವು']
+    },
+    vowelSigns: [
+      { sign: 'ಾ', words: ['ಹಾವು', 'ನಾಯಿ', 'ಬಾಳೆಹಣ್ಣು', 'ಗಾಳಿಪಟ'] },
+      { sign: 'ಿ', words: ['ಗಿಳಿ', 'ಇಲಿ', 'ಕಿವಿ', 'ಸಿಂಹ'] },
+      { sign: 'ೀ', words: ['ಮೀನು', 'ದೀಪ', 'ನೀರು', 'ಬೀಗ'] },
+      { sign: 'ು', words: ['ಕುದುರೆ', 'ಹುಲಿ', 'ಪುಸ್ತಕ', 'ಮುಖ'] },
+      { sign: 'ೂ', words: ['ಹೂವು', 'ಸೂರ್ಯ', 'ಕೂದಲು', 'ಮೂಗು'] },
+      { sign: 'ೆ', words: ['ಮನೆ', 'ಆನೆ', 'ಬೆಕ್ಕು', 'ಎಲೆ'] },
+      { sign: 'ೇ', words: ['ಸೇಬು', 'ಜೇನು', 'ಮೇಕೆ'] },
+      { sign: 'ೊ', words: ['ಕೊಡೆ', 'ಬೊಂಬೆ', 'ತೊಟ್ಟಿಲು'] },
+      { sign: 'ೋ', words: ['ದೋಣಿ', 'ಕೋಳಿ', 'ಮೋಡ', 'ಕೋತಿ'] }
+    ]
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Placeholder a vowel sign is written on when shown on its own
+const DOTTED_CIRCLE = '◌';
+
+/**
+ * Settings for a worksheet language
+ * @param {string} code - Language code, e.g. "hi"; unknown codes give English
+ * @returns {Object} - Entry of LANGUAGES with its code
+ */
+function getLanguage(code) {
+  const key = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+  return { code: key, ...LANGUAGES[key] };
+}
+
+/**
+ * Whether a worksheet can be generated in a language
+ * @param {string} code - Language code
+ * @returns {boolean}
+ */
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+/**
+ * Letters of a language in teaching order: vowels, then consonants
+ * @param {string} code - Language code
+ * @returns {string[]}
+ */
+function getAlphabet(code) {
+  const { vowels, consonants } = getLanguage(code);
+  return vowels ? [...vowels, ...consonants] : ENGLISH_ALPHABET;
+}
+
+/**
+ * Letters that have words to go with them, for recognition worksheets
+ * @param {string} code - Language code other than English
+ * @returns {string[]}
+ */
+function getLettersWithWords(code) {
+  const { words = {} } = getLanguage(code);
+  return getAlphabet(code).filter(letter => words[letter]);
+}
+
+/**
+ * Words from a language's word bank that start with a letter
+ * @param {string} letter - Letter of the language's alphabet
+ * @param {number} count - Number of words wanted
+ * @param {string} code - Language code other than English
+ * @returns {string[]} - Up to count words
+ */
+function getLanguageWords(letter, count, code) {
+  const { words = {} } = getLanguage(code);
+  return (words[letter] || []).slice(0, count);
+}
+
+/**
+ * Vowel signs (matras) with words that use them, for phonics worksheets
+ * @param {string} code - Language code other than English
+ * @returns {Object[]} - [{ sign, display, words }]; display puts the sign on a dotted circle
+ */
+function getVowelSigns(code) {
+  const { vowelSigns = [] } = getLanguage(code);
+  return vowelSigns.map(({ sign, words }) => ({ sign, display: `${DOTTED_CIRCLE}${sign}`, words }));
+}
+
+/**
+ * Languages a worksheet can be generated in, for settings screens
+ * @returns {Object[]} - [{ code, name, nativeName }]
+ */
+function listLanguages() {
+  return Object.entries(LANGUAGES).map(([code, language]) => ({ code, name: language.name, nativeName: language.nativeName }));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  getLanguage,
+  isSupportedLanguage,
+  getAlphabet,
+  getLettersWithWords,
+  getLanguageWords,
+  getVowelSigns,
+  listLanguages
+};
@@ -0,0 +1,93 @@
+/**
+ * School locales
+ * Names and currency used in generated word problems. Schools pick a locale
+ * in their settings; Indian-curriculum worksheets always count in rupees.
+ */
+
+const CURRENCIES = {
+  INR: { code: 'INR', symbol: '₹', coins: [1, 2, 5, 10, 20], notes: [10, 20, 50, 100, 200, 500] },
+  USD: { code: 'USD', symbol: '$', coins: [1], notes: [1, 5, 10, 20] },
+  GBP: { code: 'GBP', symbol: '£', coins: [1, 2], notes: [5, 10, 20] },
+  AED: { code: 'AED', symbol: 'AED ', coins: [1], notes: [5, 10, 20, 50] }
+};
+
+// Children's names with the pronoun a story uses for them
+const LOCALES = {
+  'en-IN': {
+    name: 'India',
+    currency: 'INR',
+    names: [
+      ['Aarav', 'he'], ['Diya', 'she'], ['Ishaan', 'he'], ['Ananya', 'she'], ['Kabir', 'he'], ['Meera', 'she'],
+      ['Arjun', 'he'], ['Priya', 'she'], ['Rohan', 'he'], ['Saanvi', 'she'], ['Vihaan', 'he'], ['Kavya', 'she']
+    ]
+  },
+  'en-US': {
+    name: 'United States',
+    currency: 'USD',
+    names: [
+      ['Liam', 'he'], ['Emma', 'she'], ['Noah', 'he'], ['Olivia', 'she'], ['Mason', 'he'], ['Ava', 'she'],
+      ['Ethan', 'he'], ['Mia', 'she'], ['Lucas', 'he'], ['Sofia', 'she'], ['Mateo', 'he'], ['Zoe', 'she']
+    ]
+  },
+  'en-GB': {
+    name: 'United Kingdom',
+    currency: 'GBP',
+    names: [
+      ['Oliver', 'he'], ['Amelia', 'she'], ['Harry', 'he'], ['Isla', 'she'], ['George', 'he'], ['Freya', 'she'],
+      ['Jack', 'he'], ['Poppy', 'she'], ['Leo', 'he'], ['Grace', 'she'], ['Alfie', 'he'], ['Lily', 'she']
+    ]
+  },
+  'en-AE': {
+    name: 'United Arab Emirates',
+    currency: 'AED',
+    names: [
+      ['Omar', 'he'], ['Mariam', 'she'], ['Zayed', 'he'], ['Fatima', 'she'], ['Yusuf', 'he'], ['Aisha', 'she'],
+      ['Hamdan', 'he'], ['Noor', 'she'], ['Adam', 'he'], ['Sara', 'she'], ['Rayan', 'he'], ['Layla', 'she']
+    ]
+  }
+};
+
+const DEFAULT_LOCALE = 'en-IN';
+
+/**
+ * Names and currency for a school's worksheets
+ * @param {string} locale - School locale, e.g. "en-GB"
+ * @param {string} curriculum - Worksheet curriculum; INDIAN always uses rupees
+ * @returns {Object} - { locale, names: [{ name, pronoun }], currency }
+ */
+function getLocaleSettings(locale, curriculum) {
+  const code = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  const settings = LOCALES[code];
+  const currency = CURRENCIES[curriculum === 'INDIAN' ? 'INR' : settings.currency];
+
+  return {
+    locale: code,
+    names: settings.names.map(([name, pronoun]) => ({ name, pronoun })),
+    currency
+  };
+}
+
+/**
+ * Amount of money as printed on a worksheet, e.g. "₹25"
+ * @param {number} amount - Whole units of the currency
+ * @param {Object} currency - Entry of CURRENCIES
+ * @returns {string}
+ */
+function formatMoney(amount, currency) {
+  return `${currency.symbol}${amount}`;
+}
+
+/**
+ * Locales a school can choose from, for settings screens
+ * @returns {Object[]} - [{ code, name, currency }]
+ */
+function listLocales() {
+  return Object.entries(LOCALES).map(([code, settings]) => ({ code, name: settings.name, currency: settings.currency }));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  getLocaleSettings,
+  formatMoney,
+  listLocales
+};
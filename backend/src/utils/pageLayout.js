@@ -0,0 +1,128 @@
+/**
+ * PDF page layout
+ * Paper size, orientation, print size, columns and imposition of worksheet
+ * PDFs. Schools save defaults in their settings; each download can override them.
+ */
+
+// Paper in points (1/72 inch), portrait
+const PAPER_SIZES = {
+  A4: { width: 595.28, height: 841.89 },
+  A5: { width: 419.53, height: 595.28 },
+  Letter: { width: 612, height: 792 },
+  Legal: { width: 612, height: 1008 }
+};
+
+const ORIENTATIONS = ['portrait', 'landscape'];
+
+// Zoom of the whole sheet; 1.5 and 2 are large print
+const FONT_SCALES = [1, 1.25, 1.5, 2];
+
+const COLUMN_COUNTS = [1, 2];
+
+// none: one worksheet page per sheet; 2up: two half-size pages side by side
+// (a one-page worksheet is printed twice, to cut in half); booklet: half-size
+// pages in saddle-stitch order, to print double-sided and fold
+const IMPOSITIONS = ['none', '2up', 'booklet'];
+
+const DEFAULT_PAGE_LAYOUT = {
+  paperSize: 'A4',
+  orientation: 'portrait',
+  fontScale: 1,
+  columns: 1,
+  imposition: 'none'
+};
+
+const NUMERIC_FIELDS = ['fontScale', 'columns'];
+
+/**
+ * Layout fields of a request or saved settings; numbers arrive as strings
+ * from query strings, and blank values mean "use the default"
+ * @param {Object} input - Any object with layout fields
+ * @returns {Object} - Only the layout fields that are set
+ */
+function parsePageLayout(input = {}) {
+  return Object.keys(DEFAULT_PAGE_LAYOUT).reduce((layout, field) => {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') return layout;
+    layout[field] = NUMERIC_FIELDS.includes(field) ? Number(value) : value;
+    return layout;
+  }, {});
+}
+
+/**
+ * Validate a page layout
+ * @param {Object} layout - Fields from parsePageLayout
+ * @returns {string[]} - List of validation errors (empty when valid)
+ */
+function validatePageLayout(layout = {}) {
+  const errors = [];
+  const { paperSize, orientation, fontScale, columns, imposition } = layout;
+
+  if (paperSize !== undefined && !PAPER_SIZES[paperSize]) {
+    errors.push(`Paper size must be one of ${Object.keys(PAPER_SIZES).join(', ')}`);
+  }
+  if (orientation !== undefined && !ORIENTATIONS.includes(orientation)) {
+    errors.push(`Orientation must be one of ${ORIENTATIONS.join(', ')}`);
+  }
+  if (fontScale !== undefined && !FONT_SCALES.includes(fontScale)) {
+    errors.push(`Font scale must be one of ${FONT_SCALES.join(', ')}`);
+  }
+  if (columns !== undefined && !COLUMN_COUNTS.includes(columns)) {
+    errors.push(`Columns must be one of ${COLUMN_COUNTS.join(', ')}`);
+  }
+  if (imposition !== undefined && !IMPOSITIONS.includes(imposition)) {
+    errors.push(`Imposition must be one of ${IMPOSITIONS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Where worksheet pages go on the printed sheet. Without imposition the page
+ * is the sheet. With 2-up or booklet imposition each page is half a sheet:
+ * portrait halves side by side on a landscape sheet, or landscape halves
+ * stacked on a portrait sheet.
+ * @param {Object} layout - Complete page layout
+ * @returns {Object} - { page: { width, height }, sheet: { width, height } | null,
+ *   slots: [{ x, y }] } in points; slots are the lower-left corners of the two halves
+ */
+function pageGeometry(layout) {
+  const paper = PAPER_SIZES[layout.paperSize];
+  const landscape = layout.orientation === 'landscape';
+
+  if (layout.imposition === 'none') {
+    return {
+      page: landscape ? { width: paper.height, height: paper.width } : { ...paper },
+      sheet: null,
+      slots: []
+    };
+  }
+
+  if (!landscape) {
+    const page = { width: paper.height / 2, height: paper.width };
+    return {
+      page,
+      sheet: { width: paper.height, height: paper.width },
+      slots: [{ x: 0, y: 0 }, { x: page.width, y: 0 }]
+    };
+  }
+
+  const page = { width: paper.width, height: paper.height / 2 };
+  return {
+    page,
+    sheet: { ...paper },
+    slots: [{ x: 0, y: page.height }, { x: 0, y: 0 }]
+  };
+}
+
+module.exports = {
+  PAPER_SIZES,
+  ORIENTATIONS,
+  FONT_SCALES,
+  COLUMN_COUNTS,
+  IMPOSITIONS,
+  DEFAULT_PAGE_LAYOUT,
+  parsePageLayout,
+  validatePageLayout,
+  pageGeometry
+};
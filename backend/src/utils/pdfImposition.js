@@ -0,0 +1,55 @@
+/**
+ * PDF imposition
+ * Places rendered half-size worksheet pages two to a sheet, in reading order
+ * (2-up) or in saddle-stitch order for a folded booklet.
+ */
+
+const { PDFDocument } = require('pdf-lib');
+
+// Pages in order, two per sheet; a one-page worksheet fills both halves
+function twoUpOrder(count) {
+  if (count === 1) return [0, 0];
+  const order = Array.from({ length: count }, (_, i) => i);
+  if (count % 2 === 1) order.push(null);
+  return order;
+}
+
+// Saddle-stitch order: padded with blank pages to a multiple of four, each
+// sheet carries the outermost pages left on its front and the next two on its back
+function bookletOrder(count) {
+  const total = Math.ceil(count / 4) * 4;
+  const page = i => (i < count ? i : null);
+  const order = [];
+  for (let sheet = 0; sheet < total / 4; sheet++) {
+    order.push(page(total - 1 - 2 * sheet), page(2 * sheet), page(2 * sheet + 1), page(total - 2 - 2 * sheet));
+  }
+  return order;
+}
+
+/**
+ * Impose a PDF of half-size pages onto full sheets
+ * @param {Buffer} pdf - PDF rendered at geometry.page size
+ * @param {Object} geometry - From pageLayout.pageGeometry
+ * @param {string} imposition - '2up' or 'booklet'
+ * @returns {Promise<Buffer>} - Imposed PDF; blank halves are left empty
+ */
+async function imposePages(pdf, geometry, imposition) {
+  const source = await PDFDocument.load(pdf);
+  const output = await PDFDocument.create();
+  const pages = await output.embedPdf(source, source.getPageIndices());
+  const order = imposition === 'booklet' ? bookletOrder(pages.length) : twoUpOrder(pages.length);
+
+  for (let i = 0; i < order.length; i += 2) {
+    const sheet = output.addPage([geometry.sheet.width, geometry.sheet.height]);
+    order.slice(i, i + 2).forEach((index, slot) => {
+      if (index === null) return;
+      sheet.drawPage(pages[index], { ...geometry.slots[slot], ...geometry.page });
+    });
+  }
+
+  return Buffer.from(await output.save());
+}
+
+module.exports = {
+  imposePages
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+// Seeds are stored in a 32-bit Int column
+const MAX_SEED = 2147483647;
+
+const generateSeed = () => {
+  return crypto.randomInt(1, MAX_SEED);
+};
+
+const isValidSeed = (seed) => {
+  return Number.isInteger(seed) && seed >= 1 && seed <= MAX_SEED;
+};
+
+// Derive a stable child seed, e.g. for the Nth variant of a worksheet
+const deriveSeed = (seed, index) => {
+  return ((seed + Math.imul(index, 0x9E3779B1)) >>> 0) % MAX_SEED || 1;
+};
+
+// Stable seed from a string such as a worksheet id, for content that has no stored seed
+const seedFromString = (value) => {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash ^ value.charCodeAt(i), 16777619);
+  }
+  return (hash >>> 0) % MAX_SEED || 1;
+};
+
+// Mulberry32: small, fast PRNG that returns the same sequence for the same seed.
+// Returns a function with the same contract as Math.random().
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle driven by the given random function (does not mutate the input)
+const shuffle = (array, random) => {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+module.exports = {
+  MAX_SEED,
+  generateSeed,
+  isValidSeed,
+  deriveSeed,
+  seedFromString,
+  createRandom,
+  shuffle
+};
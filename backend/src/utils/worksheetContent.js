@@ -0,0 +1,381 @@
+/**
+ * Worksheet content shapes
+ * Describes the item structure of every worksheet type so edited content
+ * can be checked before it is saved.
+ */
+
+const { shuffle } = require('./random');
+const { isSupportedLanguage } = require('./languages');
+
+// Field types: 'string', 'number', 'string[]', 'number[]', 'scalar' (string or number).
+// A trailing '?' marks an optional field.
+const ITEM_SHAPES = {
+  counting: { count: 'number', item: 'string?', image: 'string?', display: 'string', answer: 'number' },
+  numberRecognition: { target: 'number', options: 'number[]', display: 'string' },
+  letterRecognition: { letter: 'string', words: 'string[]' },
+  phonics: { sound: 'string', words: 'string[]' },
+  addition: { a: 'number', b: 'number', answer: 'number' },
+  subtraction: { a: 'number', b: 'number', answer: 'number' },
+  multiplication: { a: 'number', b: 'number', answer: 'number' },
+  coloring: { color: 'string?', item: 'string', image: 'string?', instruction: 'string' },
+  tracing: { letter: 'string?', word: 'string?', style: 'string?' },
+  matching: { left: 'string', image: 'string?', right: 'string', answer: 'string?' },
+  patterns: { sequence: 'string[]', answer: 'string', rule: 'string?' },
+  shapes: { name: 'string', emoji: 'string' },
+  colors: { name: 'string', emoji: 'string' },
+  sentences: { words: 'string[]', sentence: 'string', shuffled: 'string[]' },
+  sightWords: { word: 'string' },
+  cvcWords: { word: 'string', letters: 'string[]', picture: 'string' },
+  wordProblems: { problem: 'string', answer: 'scalar', solution: 'string[]?' },
+  money: { coins: 'string', answer: 'string', solution: 'string[]?' },
+  grammar: { sentence: 'string', options: 'string[]', answer: 'string' },
+  clock: { hour: 'number', minute: 'number', mode: 'string?', question: 'string', answer: 'string' },
+  calendar: { question: 'string', answer: 'scalar', month: 'number?', year: 'number?' },
+  measurement: { kind: 'string', question: 'string', answer: 'string', unit: 'string?' },
+  placeValue: { number: 'number', format: 'string', question: 'string', answer: 'number', options: 'number[]?' },
+  numberLine: { start: 'number', jump: 'number', direction: 'string', question: 'string', answer: 'number' },
+  fractions: { numerator: 'number', denominator: 'number', shape: 'string', mode: 'string', question: 'string', answer: 'string' },
+  comparison: { left: 'scalar', right: 'scalar', answer: 'string' },
+  default: { question: 'string' }
+};
+
+// Items returned by n8n are normalized to this shape (no top-level type)
+const GENERATED_ITEM_SHAPE = { question: 'string', options: 'string[]?' };
+
+const CURRICULUM_QUESTION_TYPES = ['multiple-choice', 'fill-blank', 'short-answer', 'true-false'];
+
+const ARITHMETIC = {
+  addition: (a, b) => a + b,
+  subtraction: (a, b) => a - b,
+  multiplication: (a, b) => a * b
+};
+
+const COMPARISON_SIGNS = ['<', '>', '='];
+
+// Value of a number or a fraction written "3/4", or null when it is neither
+function numericValue(value) {
+  if (typeof value === 'number') return value;
+  const match = /^\s*(\d+)\s*(?:\/\s*(\d+)\s*)?$/.exec(String(value));
+  if (!match || match[2] === '0') return null;
+  return match[2] ? Number(match[1]) / Number(match[2]) : Number(match[1]);
+}
+
+// Bilingual worksheets print the second language in a column beside each
+// text, or on a line under it
+const BILINGUAL_LAYOUTS = ['columns', 'interleaved'];
+
+// Item fields holding the text a child reads, in order of preference. Only
+// these are translated; answers, options and words to read stay as they are.
+const TEXT_FIELDS = ['question', 'problem', 'instruction'];
+
+const MAX_ITEMS = 50;
+const MAX_SECTIONS = 6;
+
+function checkField(value, fieldType) {
+  if (fieldType.endsWith('?')) {
+    if (value === undefined || value === null) return true;
+    if (Array.isArray(value) && value.length === 0) return true;
+    return checkField(value, fieldType.slice(0, -1));
+  }
+
+  switch (fieldType) {
+    case 'string':
+      return typeof value === 'string' && value.trim().length > 0;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'scalar':
+      return (typeof value === 'string' && value.trim().length > 0) ||
+        (typeof value === 'number' && Number.isFinite(value));
+    case 'string[]':
+      return Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string');
+    case 'number[]':
+      return Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'number');
+    default:
+      return true;
+  }
+}
+
+function describeFieldType(fieldType) {
+  const base = fieldType.replace('?', '');
+  if (base === 'scalar') return 'a string or number';
+  if (base.endsWith('[]')) return `a list of ${base.slice(0, -2)}s`;
+  return `a ${base}`;
+}
+
+function validateItem(item, shape, index, errors) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    errors.push(`Item ${index + 1} must be an object`);
+    return;
+  }
+
+  for (const [field, fieldType] of Object.entries(shape)) {
+    if (!checkField(item[field], fieldType)) {
+      errors.push(`Item ${index + 1}: "${field}" must be ${describeFieldType(fieldType)}`);
+    }
+  }
+
+  if (item.locked !== undefined && typeof item.locked !== 'boolean') {
+    errors.push(`Item ${index + 1}: "locked" must be a boolean`);
+  }
+
+  validateTranslation(item, `Item ${index + 1}`, errors);
+}
+
+// Second-language text of an item, when it has one
+function validateTranslation(item, label, errors) {
+  if (item.translation !== undefined && !checkField(item.translation, 'string')) {
+    errors.push(`${label}: "translation" must be text`);
+  }
+}
+
+function validateCurriculumQuestion(question, index, errors) {
+  if (!question || typeof question !== 'object') {
+    errors.push(`Question ${index + 1} must be an object`);
+    return;
+  }
+
+  if (!checkField(question.question, 'string')) {
+    errors.push(`Question ${index + 1}: "question" text is required`);
+  }
+
+  validateTranslation(question, `Question ${index + 1}`, errors);
+
+  if (!CURRICULUM_QUESTION_TYPES.includes(question.type)) {
+    errors.push(`Question ${index + 1}: type must be one of ${CURRICULUM_QUESTION_TYPES.join(', ')}`);
+    return;
+  }
+
+  if (question.type === 'multiple-choice') {
+    if (!checkField(question.options, 'string[]') || question.options.length < 2) {
+      errors.push(`Question ${index + 1}: multiple-choice needs at least two options`);
+    } else if (!Number.isInteger(question.correctAnswer) ||
+      question.correctAnswer < 0 || question.correctAnswer >= question.options.length) {
+      errors.push(`Question ${index + 1}: "correctAnswer" must be the index of one of the options`);
+    }
+  }
+
+  if (question.type === 'true-false' && typeof question.correctAnswer !== 'boolean') {
+    errors.push(`Question ${index + 1}: "correctAnswer" must be true or false`);
+  }
+}
+
+/**
+ * Validate worksheet content against the item shape for its type
+ * @param {Object} content - Worksheet content JSON
+ * @returns {string[]} - List of validation errors (empty when valid)
+ */
+function validateContent(content) {
+  const errors = [];
+
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    return ['Content must be an object'];
+  }
+
+  if (content.instructions !== undefined && typeof content.instructions !== 'string') {
+    errors.push('"instructions" must be a string');
+  }
+
+  if (content.bilingual !== undefined && (!content.bilingual || !isSupportedLanguage(content.bilingual.language) ||
+    !BILINGUAL_LAYOUTS.includes(content.bilingual.layout))) {
+    errors.push(`"bilingual" must name a supported language and a layout (${BILINGUAL_LAYOUTS.join(' or ')})`);
+  }
+
+  if (content.translation !== undefined && (!content.translation || typeof content.translation !== 'object' ||
+    Object.values(content.translation).some(text => typeof text !== 'string'))) {
+    errors.push('"translation" must hold the translated title and instructions as text');
+  }
+
+  // Mixed worksheets hold one typed block of items per section
+  if (Array.isArray(content.sections)) {
+    if (content.sections.length === 0) errors.push('At least one section is required');
+    if (content.sections.length > MAX_SECTIONS) errors.push(`A worksheet can have at most ${MAX_SECTIONS} sections`);
+    if (getContentItems(content).length > MAX_ITEMS) errors.push(`A worksheet can have at most ${MAX_ITEMS} items`);
+    content.sections.forEach((section, i) => {
+      if (section && typeof section === 'object' && Array.isArray(section.sections)) {
+        errors.push(`Section ${i + 1}: sections cannot be nested`);
+        return;
+      }
+      validateContent(section).forEach(error => errors.push(`Section ${i + 1}: ${error}`));
+    });
+    return errors;
+  }
+
+  // Curriculum worksheets use a questions array instead of typed items
+  if (Array.isArray(content.questions)) {
+    if (content.questions.length === 0) errors.push('At least one question is required');
+    if (content.questions.length > MAX_ITEMS) errors.push(`A worksheet can have at most ${MAX_ITEMS} questions`);
+    content.questions.forEach((q, i) => validateCurriculumQuestion(q, i, errors));
+    return errors;
+  }
+
+  if (!Array.isArray(content.items)) {
+    return [...errors, 'Content must contain an items or questions array'];
+  }
+
+  if (content.items.length === 0) errors.push('At least one item is required');
+  if (content.items.length > MAX_ITEMS) errors.push(`A worksheet can have at most ${MAX_ITEMS} items`);
+
+  let shape;
+  if (content.type === undefined) {
+    shape = GENERATED_ITEM_SHAPE;
+  } else {
+    shape = ITEM_SHAPES[content.type];
+    if (!shape) {
+      return [...errors, `Unknown worksheet type "${content.type}"`];
+    }
+  }
+
+  content.items.forEach((item, i) => {
+    validateItem(item, shape, i, errors);
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return;
+
+    // Keep arithmetic answers consistent with the operands
+    const compute = ARITHMETIC[content.type];
+    if (compute && checkField(item.a, 'number') && checkField(item.b, 'number') &&
+      item.answer !== compute(item.a, item.b)) {
+      errors.push(`Item ${i + 1}: answer ${item.answer} does not match ${item.a} and ${item.b}`);
+    }
+
+    if (content.type === 'counting' && item.count !== item.answer) {
+      errors.push(`Item ${i + 1}: answer must equal count`);
+    }
+
+    if (content.type === 'numberRecognition' && Array.isArray(item.options) && !item.options.includes(item.target)) {
+      errors.push(`Item ${i + 1}: options must include the target number`);
+    }
+
+    if (content.type === 'grammar' && Array.isArray(item.options) && !item.options.includes(item.answer)) {
+      errors.push(`Item ${i + 1}: options must include the answer`);
+    }
+
+    if (content.type === 'numberLine' && checkField(item.start, 'number') && checkField(item.jump, 'number') &&
+      item.answer !== (item.direction === 'back' ? item.start - item.jump : item.start + item.jump)) {
+      errors.push(`Item ${i + 1}: answer ${item.answer} does not match the jump from ${item.start}`);
+    }
+
+    if (content.type === 'fractions' && checkField(item.numerator, 'number') && checkField(item.denominator, 'number') &&
+      (item.numerator < 0 || item.numerator > item.denominator || item.denominator < 1 || item.denominator > 12)) {
+      errors.push(`Item ${i + 1}: a shape can have 1 to 12 parts, with no more shaded than it has`);
+    }
+
+    if (content.type === 'comparison') {
+      const left = numericValue(item.left);
+      const right = numericValue(item.right);
+      if (!COMPARISON_SIGNS.includes(item.answer)) {
+        errors.push(`Item ${i + 1}: answer must be <, > or =`);
+      } else if (left !== null && right !== null && item.answer !== (left < right ? '<' : left > right ? '>' : '=')) {
+        errors.push(`Item ${i + 1}: ${item.left} ${item.answer} ${item.right} is not true`);
+      }
+    }
+
+    // Tracing rows trace a letter or a whole word
+    if (content.type === 'tracing' && !checkField(item.letter, 'string') && !checkField(item.word, 'string')) {
+      errors.push(`Item ${i + 1}: a letter or a word to trace is required`);
+    }
+
+    // Clock faces are drawn from hour and minute, so the written time must agree
+    if (content.type === 'clock' && checkField(item.hour, 'number') && checkField(item.minute, 'number')) {
+      if (!Number.isInteger(item.hour) || item.hour < 1 || item.hour > 12 ||
+        !Number.isInteger(item.minute) || item.minute < 0 || item.minute > 59) {
+        errors.push(`Item ${i + 1}: time must be between 1:00 and 12:59`);
+      } else if (item.answer !== `${item.hour}:${String(item.minute).padStart(2, '0')}`) {
+        errors.push(`Item ${i + 1}: answer ${item.answer} does not match the clock`);
+      }
+    }
+  });
+
+  // Each matching answer pairs with one entry of the right column
+  if (content.type === 'matching' && content.items.every(item => item && typeof item.answer === 'string')) {
+    const right = content.items.map(item => item.right).sort();
+    const answers = content.items.map(item => item.answer).sort();
+    if (answers.some((answer, i) => answer !== right[i])) {
+      errors.push('Matching answers must use each right-column entry exactly once');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Shuffle item order and answer option order, keeping answers pointing at the right option.
+ * Used to build variants of worksheets that can't be regenerated from a template.
+ * @param {Object} content - Worksheet content JSON
+ * @param {Function} random - Seeded random function
+ * @returns {Object} - New content object
+ */
+function shuffleContent(content, random) {
+  const shuffleOptions = (item) => {
+    if (!Array.isArray(item.options) || item.options.length < 2) return item;
+
+    const order = shuffle(item.options.map((_, i) => i), random);
+    const shuffled = { ...item, options: order.map(i => item.options[i]) };
+
+    // Curriculum multiple-choice answers are option indexes
+    if (Number.isInteger(item.correctAnswer)) {
+      shuffled.correctAnswer = order.indexOf(item.correctAnswer);
+    }
+    return shuffled;
+  };
+
+  if (Array.isArray(content.questions)) {
+    return { ...content, questions: shuffle(content.questions, random).map(shuffleOptions) };
+  }
+
+  // Sections keep their order; items are shuffled within each section
+  if (Array.isArray(content.sections)) {
+    return { ...content, sections: content.sections.map(section => shuffleContent(section, random)) };
+  }
+
+  // Matching items are pairs laid out side by side, so only the right column moves
+  if (content.type === 'matching') {
+    const right = shuffle(content.items.map(item => item.right), random);
+    return { ...content, items: content.items.map((item, i) => ({ ...item, right: right[i] })) };
+  }
+
+  return { ...content, items: shuffle(content.items || [], random).map(shuffleOptions) };
+}
+
+/**
+ * The right-column entry a matching item pairs with. Items saved before the
+ * answer was stored still carry it in their hint.
+ * @param {Object} item - Matching item
+ * @returns {string|null}
+ */
+function getMatchingAnswer(item) {
+  if (typeof item.answer === 'string') return item.answer;
+  const hint = /^Match: (.+)$/.exec(item.hint || '');
+  return hint ? hint[1] : null;
+}
+
+/**
+ * Get the list of items for any worksheet content (typed items, curriculum questions,
+ * or the items of every section in order)
+ */
+function getContentItems(content) {
+  if (!content) return [];
+  if (Array.isArray(content.questions)) return content.questions;
+  if (Array.isArray(content.sections)) return content.sections.flatMap(section => (section && section.items) || []);
+  return content.items || [];
+}
+
+/**
+ * The text a child reads for an item, e.g. its question or word problem
+ * @param {Object} item - Worksheet item
+ * @returns {{ field: string, text: string }|null} - null for items without text (letters, pictures)
+ */
+function getItemText(item) {
+  const field = TEXT_FIELDS.find(name => checkField(item?.[name], 'string'));
+  return field ? { field, text: item[field] } : null;
+}
+
+module.exports = {
+  ITEM_SHAPES,
+  MAX_ITEMS,
+  MAX_SECTIONS,
+  BILINGUAL_LAYOUTS,
+  validateContent,
+  shuffleContent,
+  getMatchingAnswer,
+  getContentItems,
+  getItemText
+};
@@ -0,0 +1,107 @@
+/**
+ * Template generators: the same seed must always produce the same items, so
+ * saved worksheets can be regenerated and class test variants rebuilt.
+ * Expected items are in fixtures/generatorOutput.json; when a template is
+ * changed on purpose, regenerate that entry and review the diff.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Generation never touches the database; stand in for it so the tests run
+// without a generated Prisma client
+require.cache[require.resolve('../src/config/database')] = {
+  id: 'database',
+  loaded: true,
+  exports: {}
+};
+
+const templateRegistry = require('../src/templates');
+const { generateWorksheetContent, getGeneratorOptions, buildVariants } = require('../src/services/worksheetGenerationService');
+const { createRandom } = require('../src/utils/random');
+const { resolveGeneratorOptions } = require('../src/utils/generatorOptions');
+const expectedItems = require('./fixtures/generatorOutput.json');
+
+const SEED = 20261018;
+
+test('createRandom returns the same sequence for the same seed', () => {
+  const random = createRandom(SEED);
+  assert.deepEqual(
+    Array.from({ length: 3 }, () => random()),
+    [0.6241667082067579, 0.7992063749115914, 0.4817302452865988]
+  );
+});
+
+test('every template has pinned output', () => {
+  const keys = templateRegistry.listTemplates().map(template => template.key);
+  assert.deepEqual(keys.sort(), Object.keys(expectedItems).sort());
+});
+
+templateRegistry.listTemplates().forEach(template => {
+  test(`${template.name} generates the pinned items for seed ${SEED}`, () => {
+    const content = generateWorksheetContent(template.name, 'INDIAN', 'Grade 1', 'Animals', SEED);
+    assert.equal(content.type, template.type);
+    assert.deepEqual(content.items, expectedItems[template.key]);
+  });
+});
+
+test('regenerating a saved worksheet with its seed gives the same items', () => {
+  const options = { difficulty: 'hard', questionCount: 5, language: 'en' };
+  const content = generateWorksheetContent('Addition', 'INDIAN', 'Grade 2', 'Animals', SEED, options);
+  const worksheet = {
+    skill: 'Addition',
+    curriculum: 'INDIAN',
+    grade: 'Grade 2',
+    theme: 'Animals',
+    seed: SEED,
+    difficulty: 'hard',
+    language: 'en',
+    generatorOptions: { questionCount: 5 },
+    content
+  };
+
+  const regenerated = generateWorksheetContent(
+    worksheet.skill, worksheet.curriculum, worksheet.grade, worksheet.theme, worksheet.seed, getGeneratorOptions(worksheet)
+  );
+  assert.deepEqual(regenerated, worksheet.content);
+
+  const newVariant = generateWorksheetContent(
+    worksheet.skill, worksheet.curriculum, worksheet.grade, worksheet.theme, SEED + 1, getGeneratorOptions(worksheet)
+  );
+  assert.notDeepEqual(newVariant.items, worksheet.content.items);
+});
+
+test('class test variants regenerate unedited worksheets and keep edited items', () => {
+  const content = generateWorksheetContent('Addition', 'INDIAN', 'Grade 2', 'Animals', SEED);
+  const worksheet = {
+    id: 'worksheet',
+    skill: 'Addition',
+    curriculum: 'INDIAN',
+    grade: 'Grade 2',
+    theme: 'Animals',
+    seed: SEED,
+    content
+  };
+
+  const [setA, setB] = buildVariants(worksheet, 2);
+  assert.equal(setA.content, content);
+  assert.deepEqual(setB.content, generateWorksheetContent('Addition', 'INDIAN', 'Grade 2', 'Animals', setB.seed));
+
+  // A teacher's edited and added questions appear in every set
+  const edited = { ...content, items: [{ a: 9, b: 9, answer: 18 }, ...content.items.slice(1), { a: 50, b: 50, answer: 100 }] };
+  const [, editedB] = buildVariants({ ...worksheet, content: edited }, 2);
+  const sortItems = items => items.map(item => JSON.stringify(item)).sort();
+  assert.deepEqual(sortItems(editedB.content.items), sortItems(edited.items));
+});
+
+test('worksheets without a difficulty keep the ranges of their grade', () => {
+  const counting = templateRegistry.getTemplate('counting');
+  assert.deepEqual(
+    [resolveGeneratorOptions(counting, 'Grade 1', {}), resolveGeneratorOptions(counting, 'Preschool', {})]
+      .map(({ min, max }) => [min, max]),
+    [[1, 50], [1, 10]]
+  );
+
+  const { min, max } = resolveGeneratorOptions(counting, 'Grade 1', { difficulty: 'hard' });
+  assert.deepEqual([min, max], [10, 50]);
+});
@@ -0,0 +1,26 @@
+/**
+ * Worksheet content validation: malformed drafts are reported as errors,
+ * never thrown, so the API answers them with a 400
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateContent } = require('../src/utils/worksheetContent');
+
+test('items that are not objects are reported, not thrown', () => {
+  const errors = validateContent({
+    type: 'addition',
+    items: [null, 7, [], { a: 1, b: 2, answer: 3 }]
+  });
+
+  assert.deepEqual(errors, [
+    'Item 1 must be an object',
+    'Item 2 must be an object',
+    'Item 3 must be an object'
+  ]);
+});
+
+test('sections and questions that are not objects are reported', () => {
+  assert.deepEqual(validateContent({ sections: [null] }), ['Section 1: Content must be an object']);
+  assert.deepEqual(validateContent({ questions: [null] }), ['Question 1 must be an object']);
+});
@@ -0,0 +1,86 @@
+/**
+ * Worksheet PDF HTML: teacher-edited text is printed as text, never as markup
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Rendering HTML never touches the database
+require.cache[require.resolve('../src/config/database')] = {
+  id: 'database',
+  loaded: true,
+  exports: {}
+};
+
+const templateRegistry = require('../src/templates');
+const { generateWorksheetContent } = require('../src/services/worksheetGenerationService');
+const { generateWorksheetHTML } = require('../src/services/worksheetPdfService');
+
+const MARKUP = '<img src=x onerror=alert(1)>';
+
+// Append markup to every string of the content except picture paths
+function withMarkup(value) {
+  if (typeof value === 'string') return value.startsWith('/clipart/') ? value : value + MARKUP;
+  if (Array.isArray(value)) return value.map(withMarkup);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, withMarkup(field)]));
+  }
+  return value;
+}
+
+function worksheetWith(content) {
+  return {
+    id: 'worksheet',
+    title: `Title ${MARKUP}`,
+    curriculum: 'INDIAN',
+    grade: 'Grade 1',
+    skill: 'Skill',
+    theme: `Animals ${MARKUP}`,
+    content,
+    school: { name: `School ${MARKUP}`, plan: 'FREE' }
+  };
+}
+
+templateRegistry.listTemplates().forEach(template => {
+  test(`${template.name} sheets and answer keys escape edited text`, () => {
+    const content = withMarkup(generateWorksheetContent(template.name, 'INDIAN', 'Grade 1', 'Animals', 7));
+    content.type = template.type;
+
+    const html = generateWorksheetHTML(worksheetWith(content), false, { document: 'bundle' });
+    assert.ok(!html.includes(MARKUP));
+  });
+});
+
+test('curriculum questions escape edited text', () => {
+  const html = generateWorksheetHTML(worksheetWith({
+    instructions: `Answer ${MARKUP}`,
+    questions: [
+      { type: 'multiple-choice', question: `Pick ${MARKUP}`, options: [MARKUP, 'b'], correctAnswer: 0 },
+      { type: 'fill-blank', question: 'Compare', answer: '3 < 5' }
+    ]
+  }), true);
+
+  assert.ok(!html.includes(MARKUP));
+  assert.ok(html.includes('3 &lt; 5'));
+});
+
+test('bilingual sheets escape translations', () => {
+  const html = generateWorksheetHTML(worksheetWith({
+    type: 'wordProblems',
+    instructions: 'Solve',
+    bilingual: { language: 'hi', layout: 'columns' },
+    translation: { title: `शीर्षक ${MARKUP}`, instructions: `हल करो ${MARKUP}` },
+    items: [{ problem: 'Is 2 < 3?', answer: 'yes', translation: `क्या ${MARKUP}` }]
+  }), false);
+
+  assert.ok(!html.includes(MARKUP));
+  assert.ok(html.includes('<span class="bilingual-columns"><span>Is 2 &lt; 3?</span>'));
+});
+
+test('sheets and answer keys do not print the render date', () => {
+  const content = generateWorksheetContent('Addition', 'INDIAN', 'Grade 1', 'Animals', 7);
+  const html = generateWorksheetHTML(worksheetWith(content), false, { document: 'bundle' });
+
+  // A cached PDF is served for days, so nothing on it may change with the date
+  assert.ok(!html.includes(new Date().toLocaleDateString()));
+});
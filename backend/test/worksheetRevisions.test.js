@@ -0,0 +1,42 @@
+/**
+ * Revision diffs: items are matched by content, so reordering a worksheet
+ * shows moved items rather than every item as changed
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Diffing never touches the database
+require.cache[require.resolve('../src/config/database')] = {
+  id: 'database',
+  loaded: true,
+  exports: {}
+};
+
+const { diffRevisions } = require('../src/services/worksheetRevisionService');
+
+const revision = (version, items) => ({ version, title: 'Sums', content: { type: 'addition', items } });
+const one = { a: 1, b: 1, answer: 2 };
+const two = { a: 2, b: 2, answer: 4 };
+const three = { a: 3, b: 3, answer: 6 };
+
+test('reordered items are unchanged and moved', () => {
+  const diff = diffRevisions(revision(1, [one, two, three]), revision(2, [three, one, two]));
+
+  assert.deepEqual(diff.summary, { unchanged: 3, changed: 0, added: 0, removed: 0, moved: 3 });
+  assert.deepEqual(diff.items.map(item => [item.fromIndex, item.toIndex]), [[2, 0], [0, 1], [1, 2]]);
+});
+
+test('items edited in place are changed, extra items added or removed', () => {
+  const edited = { a: 2, b: 5, answer: 7 };
+  const diff = diffRevisions(revision(1, [one, two, three]), revision(2, [one, edited]));
+
+  assert.deepEqual(diff.summary, { unchanged: 1, changed: 1, added: 0, removed: 1, moved: 0 });
+  assert.deepEqual(diff.items[1].changedFields, ['b', 'answer']);
+  assert.deepEqual(diff.items[2], {
+    index: 2, fromIndex: 2, toIndex: null, status: 'removed', moved: false, from: three, to: null, changedFields: []
+  });
+
+  const grown = diffRevisions(revision(2, [one]), revision(3, [two, one]));
+  assert.deepEqual(grown.summary, { unchanged: 1, changed: 0, added: 1, removed: 0, moved: 1 });
+});
@@ -24,6 +24,7 @@ import SuperAdminPlans from './pages/SuperAdminPlans';
 import SuperAdminTextbooks from './pages/SuperAdminTextbooks';
 import SuperAdminUsage from './pages/SuperAdminUsage';
 import SuperAdminAuditLogs from './pages/SuperAdminAuditLogs';
+import SuperAdminTemplates from './pages/SuperAdminTemplates';
 
 // Components
 import Layout from './components/Layout';
@@ -174,6 +175,11 @@ function AppRoutes() {
             <SuperAdminTextbooks />
           </SuperAdminRoute>
         } />
+        <Route path="super-admin/templates" element={
+          <SuperAdminRoute>
+            <SuperAdminTemplates />
+          </SuperAdminRoute>
+        } />
         <Route path="super-admin/usage" element={
           <SuperAdminRoute>
             <SuperAdminUsage />
@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const LANGUAGES = [
+  { value: 'en', label: 'English' },
+  { value: 'hi', label: 'हिन्दी (Hindi)' },
+  { value: 'ta', label: 'தமிழ் (Tamil)' },
+  { value: 'kn', label: 'ಕನ್ನಡ (Kannada)' }
+];
+
+const LAYOUTS = [
+  { value: 'interleaved', label: 'Translation under each line' },
+  { value: 'columns', label: 'Side by side (two columns)' }
+];
+
+const describeKey = (key) => {
+  const [field, index, sub] = key.split('.');
+  if (field === 'items') return `Question ${Number(index) + 1}`;
+  if (field === 'sections') return `Section ${String.fromCharCode(65 + Number(index))} ${sub}`;
+  return field.charAt(0).toUpperCase() + field.slice(1);
+};
+
+// Keyed translations ("sections.0.title", "items.3") in the shape the API expects
+const toOverrides = (values) => Object.entries(values).reduce((overrides, [key, value]) => {
+  const [field, index, sub] = key.split('.');
+  if (field === 'items') overrides.items[index] = value;
+  else if (field === 'sections') overrides.sections[index] = { ...overrides.sections[index], [sub]: value };
+  else overrides[field] = value;
+  return overrides;
+}, { items: [], sections: [] });
+
+const BilingualPanel = ({ worksheet, onSaved }) => {
+  const [texts, setTexts] = useState([]);
+  const [aiTranslation, setAiTranslation] = useState(false);
+  const [language, setLanguage] = useState('');
+  const [layout, setLayout] = useState('interleaved');
+  const [values, setValues] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchTranslation = useCallback(async () => {
+    try {
+      const response = await axios.get(`/worksheets/${worksheet.id}/translation`);
+      const { bilingual } = response.data;
+      setTexts(response.data.texts);
+      setAiTranslation(response.data.aiTranslation);
+      setLanguage(bilingual?.language || '');
+      setLayout(bilingual?.layout || 'interleaved');
+      setValues(Object.fromEntries(response.data.texts.map(text => [text.key, text.translation || ''])));
+    } catch (error) {
+      toast.error('Failed to load translations');
+    } finally {
+      setLoading(false);
+    }
+  }, [worksheet.id]);
+
+  useEffect(() => {
+    fetchTranslation();
+  }, [fetchTranslation, worksheet.content]);
+
+  const handleSave = async () => {
+    if (!language) {
+      toast.error('Choose a second language');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await axios.put(`/worksheets/${worksheet.id}/translation`, {
+        language,
+        layout,
+        translations: toOverrides(values)
+      });
+      toast.success(response.data.message);
+      onSaved(response.data.worksheet);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save translations');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove the second language? The bilingual version stays in the history.')) return;
+
+    try {
+      const response = await axios.delete(`/worksheets/${worksheet.id}/translation`);
+      toast.success(response.data.message);
+      onSaved(response.data.worksheet);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove translation');
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-400">Loading translations...</p>;
+  }
+
+  const ownLanguage = worksheet.language || 'en';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-3">
+        <select
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+          className="px-4 py-2 border-2 border-gray-300 rounded-xl"
+        >
+          <option value="">Second language...</option>
+          {LANGUAGES.filter(option => option.value !== ownLanguage).map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select
+          value={layout}
+          onChange={(e) => setLayout(e.target.value)}
+          className="px-4 py-2 border-2 border-gray-300 rounded-xl"
+        >
+          {LAYOUTS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <p className="text-sm text-gray-500">
+        {aiTranslation
+          ? 'Type your own translations, or leave them blank to translate with AI.'
+          : 'Type a translation for every line.'}
+      </p>
+
+      <div className="space-y-3">
+        {texts.map(text => (
+          <div key={text.key}>
+            <label className="block text-xs font-semibold text-gray-500 capitalize">{describeKey(text.key)}</label>
+            <p className="text-sm text-gray-700">{text.text}</p>
+            <input
+              type="text"
+              lang={language || undefined}
+              value={values[text.key] || ''}
+              onChange={(e) => setValues({ ...values, [text.key]: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2 bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold rounded-xl disabled:opacity-50"
+        >
+          {saving ? 'Translating...' : 'Save Bilingual Worksheet'}
+        </button>
+        {worksheet.content?.bilingual && (
+          <button
+            onClick={handleRemove}
+            className="px-6 py-2 bg-red-100 text-red-600 font-semibold rounded-xl hover:bg-red-200 transition-colors"
+          >
+            Remove Translation
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BilingualPanel;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const LAYOUT_LABELS = {
+  classic: 'Classic (logo beside the name)',
+  centered: 'Centered (logo above the name)',
+  banner: 'Banner (name on a colored band)'
+};
+
+const TEXT_FIELDS = [
+  { name: 'motto', label: 'Motto', placeholder: 'e.g. Learning with joy', maxLength: 120 },
+  { name: 'addressLine', label: 'Address line', placeholder: 'e.g. 12 Park Road, Bengaluru', maxLength: 160 },
+  { name: 'footerText', label: 'Footer text', placeholder: 'Printed at the bottom of every page', maxLength: 160 },
+  { name: 'watermark', label: 'Watermark', placeholder: 'e.g. Sample or your school name', maxLength: 40 }
+];
+
+const inputClass = 'w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100 disabled:bg-gray-50';
+
+// Colors, header, footer, student fields and watermark printed on the
+// school's worksheet PDFs. Saving needs a plan with custom branding.
+const BrandingSettings = () => {
+  const [branding, setBranding] = useState(null);
+  const [headerLayouts, setHeaderLayouts] = useState([]);
+  const [studentFields, setStudentFields] = useState({});
+  const [canCustomize, setCanCustomize] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchBranding = async () => {
+      try {
+        const response = await axios.get('/school/branding');
+        setBranding(response.data.branding);
+        setHeaderLayouts(response.data.headerLayouts);
+        setStudentFields(response.data.studentFields);
+        setCanCustomize(response.data.canCustomize);
+      } catch (error) {
+        toast.error('Failed to load branding');
+      }
+    };
+    fetchBranding();
+  }, []);
+
+  const toggleStudentField = (field) => {
+    const selected = branding.studentFields.includes(field)
+      ? branding.studentFields.filter(name => name !== field)
+      : [...branding.studentFields, field];
+    setBranding({ ...branding, studentFields: selected });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await axios.put('/school/branding', branding);
+      setBranding(response.data.branding);
+      toast.success('Branding updated!');
+    } catch (error) {
+      const errors = error.response?.data?.errors;
+      toast.error(errors?.[0] || error.response?.data?.message || 'Failed to update branding');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!branding) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg shadow-gray-100 p-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-2">PDF Branding</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Printed on every worksheet and answer key your school downloads.
+      </p>
+
+      {!canCustomize && (
+        <div className="bg-purple-50 border border-purple-100 rounded-xl p-4 text-sm text-purple-700 mb-6">
+          Upgrade to a plan with custom branding to print your own colors, header and watermark.
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <fieldset disabled={!canCustomize} className="space-y-6">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Primary color</label>
+              <input
+                type="color"
+                value={branding.primaryColor}
+                onChange={(e) => setBranding({ ...branding, primaryColor: e.target.value })}
+                className="w-full h-12 rounded-xl border border-gray-200 cursor-pointer"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Secondary color</label>
+              <input
+                type="color"
+                value={branding.secondaryColor}
+                onChange={(e) => setBranding({ ...branding, secondaryColor: e.target.value })}
+                className="w-full h-12 rounded-xl border border-gray-200 cursor-pointer"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Header layout</label>
+            <select
+              value={branding.headerLayout}
+              onChange={(e) => setBranding({ ...branding, headerLayout: e.target.value })}
+              className={inputClass}
+            >
+              {headerLayouts.map(layout => (
+                <option key={layout} value={layout}>{LAYOUT_LABELS[layout] || layout}</option>
+              ))}
+            </select>
+          </div>
+
+          {TEXT_FIELDS.map(field => (
+            <div key={field.name}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+              <input
+                type="text"
+                value={branding[field.name]}
+                onChange={(e) => setBranding({ ...branding, [field.name]: e.target.value })}
+                placeholder={field.placeholder}
+                maxLength={field.maxLength}
+                className={inputClass}
+              />
+            </div>
+          ))}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Student fields</label>
+            <div className="flex flex-wrap gap-4">
+              {Object.entries(studentFields).map(([field, label]) => (
+                <label key={field} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={branding.studentFields.includes(field)}
+                    onChange={() => toggleStudentField(field)}
+                    className="rounded text-purple-500"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">Write-in lines under the title of student copies.</p>
+          </div>
+        </fieldset>
+
+        {canCustomize && (
+          <button
+            type="submit"
+            disabled={saving}
+            className="w-full py-3 px-4 bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold rounded-xl shadow-lg shadow-purple-200 hover:shadow-xl transition-all disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Branding'}
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default BrandingSettings;
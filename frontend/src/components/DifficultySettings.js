@@ -0,0 +1,395 @@
+import React from 'react';
+
+const LEVELS = [
+  { value: '', label: 'Auto', description: 'Based on grade' },
+  { value: 'easy', label: 'Easy', description: 'Small numbers' },
+  { value: 'medium', label: 'Medium', description: 'On level' },
+  { value: 'hard', label: 'Hard', description: 'Stretch' }
+];
+
+// Explicit controls offered per template (matches the backend's TEMPLATE_OPTIONS)
+const TEMPLATE_CONTROLS = {
+  counting: ['range'],
+  addition: ['range', 'carrying'],
+  subtraction: ['range', 'borrowing', 'negatives'],
+  multiplication: ['range', 'tables'],
+  tracing: ['handwriting'],
+  lettertracing: ['handwriting'],
+  coloring: ['coloring'],
+  patterns: ['patterns'],
+  simplepatterns: ['patterns'],
+  numberpatterns: ['patterns'],
+  tellingtime: ['clock'],
+  clock: ['clock'],
+  time: ['clock'],
+  measurement: ['measurement'],
+  length: ['measurement'],
+  measuringlength: ['measurement'],
+  placevalue: ['placevalue'],
+  tensandones: ['placevalue'],
+  numberline: ['range', 'numberline'],
+  numberlines: ['range', 'numberline'],
+  fractions: ['fractions'],
+  fraction: ['fractions'],
+  comparingnumbers: ['range'],
+  comparenumbers: ['range']
+};
+
+const TABLES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+const PATTERN_RULES = [
+  { value: 'AB', label: 'AB' },
+  { value: 'ABB', label: 'ABB' },
+  { value: 'ABC', label: 'ABC' },
+  { value: 'AABB', label: 'AABB' },
+  { value: 'skipCount', label: 'Skip counting' },
+  { value: 'growing', label: 'Growing' }
+];
+
+const normalizeSkill = (skill) => skill.toLowerCase().replace(/\s+/g, '').replace(/[/]/g, '');
+
+const DifficultySettings = ({ skill, difficulty, options, onChange }) => {
+  const controls = TEMPLATE_CONTROLS[normalizeSkill(skill || '')] || [];
+
+  const setOption = (key, value) => {
+    const next = { ...options };
+    if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      delete next[key];
+    } else {
+      next[key] = value;
+    }
+    onChange(difficulty, next);
+  };
+
+  const toggleRule = (rule) => {
+    const current = options.rules || [];
+    const next = current.includes(rule)
+      ? current.filter(r => r !== rule)
+      : PATTERN_RULES.map(r => r.value).filter(r => r === rule || current.includes(r));
+    setOption('rules', next);
+  };
+
+  const toggleTable = (table) => {
+    const current = options.tables || [];
+    const next = current.includes(table) ? current.filter(t => t !== table) : [...current, table].sort((a, b) => a - b);
+    setOption('tables', next);
+  };
+
+  const toggleValue = (value) => (value === '' ? undefined : value === 'true');
+
+  const selectClass = 'w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100 transition-all';
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Difficulty</label>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+          {LEVELS.map(level => (
+            <button
+              key={level.value}
+              type="button"
+              onClick={() => onChange(level.value, options)}
+              className={`p-3 rounded-xl border-2 text-left transition-all ${
+                difficulty === level.value ? 'border-purple-500 bg-purple-50' : 'border-gray-200 hover:border-purple-300'
+              }`}
+            >
+              <p className="font-semibold text-gray-800">{level.label}</p>
+              <p className="text-xs text-gray-500">{level.description}</p>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {controls.includes('range') && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {controls.includes('tables') ? 'Multiply by (min)' : 'Smallest number'}
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={options.min ?? ''}
+              onChange={(e) => setOption('min', e.target.value === '' ? undefined : Number(e.target.value))}
+              className={selectClass}
+              placeholder="Preset"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {controls.includes('tables') ? 'Multiply by (max)' : 'Largest number'}
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={options.max ?? ''}
+              onChange={(e) => setOption('max', e.target.value === '' ? undefined : Number(e.target.value))}
+              className={selectClass}
+              placeholder="Preset"
+            />
+          </div>
+        </div>
+      )}
+
+      {controls.includes('carrying') && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Carrying</label>
+          <select
+            value={options.carrying === undefined ? '' : String(options.carrying)}
+            onChange={(e) => setOption('carrying', toggleValue(e.target.value))}
+            className={selectClass}
+          >
+            <option value="">Mixed</option>
+            <option value="true">Every problem carries</option>
+            <option value="false">No carrying</option>
+          </select>
+        </div>
+      )}
+
+      {controls.includes('borrowing') && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Borrowing</label>
+          <select
+            value={options.borrowing === undefined ? '' : String(options.borrowing)}
+            onChange={(e) => setOption('borrowing', toggleValue(e.target.value))}
+            className={selectClass}
+          >
+            <option value="">Mixed</option>
+            <option value="true">Every problem borrows</option>
+            <option value="false">No borrowing</option>
+          </select>
+        </div>
+      )}
+
+      {controls.includes('negatives') && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={options.noNegatives === false}
+            onChange={(e) => setOption('noNegatives', e.target.checked ? false : undefined)}
+            className="h-4 w-4 text-purple-600"
+          />
+          Allow negative answers
+        </label>
+      )}
+
+      {controls.includes('handwriting') && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Handwriting style</label>
+            <select
+              value={options.style || ''}
+              onChange={(e) => setOption('style', e.target.value)}
+              className={selectClass}
+            >
+              <option value="">Print</option>
+              <option value="cursive">Cursive</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Letter case</label>
+            <select
+              value={options.letterCase || ''}
+              onChange={(e) => setOption('letterCase', e.target.value)}
+              className={selectClass}
+            >
+              <option value="">Upper and lower case</option>
+              <option value="upper">Upper case only</option>
+              <option value="lower">Lower case only</option>
+            </select>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={options.words === true}
+              onChange={(e) => setOption('words', e.target.checked ? true : undefined)}
+              className="h-4 w-4 text-purple-600"
+            />
+            Trace theme words instead of letters
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={options.strokeOrder !== false}
+              onChange={(e) => setOption('strokeOrder', e.target.checked ? undefined : false)}
+              className="h-4 w-4 text-purple-600"
+            />
+            Number the strokes
+          </label>
+        </div>
+      )}
+
+      {controls.includes('coloring') && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Coloring style</label>
+            <select
+              value={options.mode || ''}
+              onChange={(e) => setOption('mode', e.target.value)}
+              className={selectClass}
+            >
+              <option value="">One color per picture</option>
+              <option value="colorByNumber">Color by number</option>
+            </select>
+          </div>
+          {options.mode === 'colorByNumber' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Region labels</label>
+              <select
+                value={options.labels || ''}
+                onChange={(e) => setOption('labels', e.target.value)}
+                className={selectClass}
+              >
+                <option value="">Numbers</option>
+                <option value="letters">Letters</option>
+              </select>
+            </div>
+          )}
+        </div>
+      )}
+
+      {controls.includes('patterns') && (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Pattern rules (leave empty for the preset)</label>
+            <div className="flex flex-wrap gap-2">
+              {PATTERN_RULES.map(rule => (
+                <button
+                  key={rule.value}
+                  type="button"
+                  onClick={() => toggleRule(rule.value)}
+                  className={`px-3 h-10 rounded-lg border-2 font-semibold ${
+                    options.rules?.includes(rule.value) ? 'border-purple-500 bg-purple-500 text-white' : 'border-gray-200 text-gray-600 hover:border-purple-300'
+                  }`}
+                >
+                  {rule.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Missing item</label>
+            <select
+              value={options.blank || ''}
+              onChange={(e) => setOption('blank', e.target.value)}
+              className={selectClass}
+            >
+              <option value="">Preset</option>
+              <option value="next">What comes next</option>
+              <option value="middle">Missing middle</option>
+              <option value="any">Anywhere</option>
+            </select>
+          </div>
+        </div>
+      )}
+
+      {controls.includes('clock') && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Clock activity</label>
+            <select
+              value={options.activity || ''}
+              onChange={(e) => setOption('activity', e.target.value)}
+              className={selectClass}
+            >
+              <option value="">Read the time</option>
+              <option value="drawHands">Draw the hands</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Times to the</label>
+            <select
+              value={options.granularity || ''}
+              onChange={(e) => setOption('granularity', e.target.value)}
+              className={selectClass}
+            >
+              <option value="">Preset</option>
+              <option value="hour">Hour</option>
+              <option value="halfHour">Half hour</option>
+              <option value="quarterHour">Quarter hour</option>
+            </select>
+          </div>
+        </div>
+      )}
+
+      {controls.includes('measurement') && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Unit</label>
+          <select
+            value={options.unit || ''}
+            onChange={(e) => setOption('unit', e.target.value)}
+            className={selectClass}
+          >
+            <option value="">Centimetres</option>
+            <option value="in">Inches</option>
+          </select>
+        </div>
+      )}
+
+      {controls.includes('placevalue') && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Numbers up to</label>
+          <select
+            value={options.places || ''}
+            onChange={(e) => setOption('places', e.target.value)}
+            className={selectClass}
+          >
+            <option value="">Preset</option>
+            <option value="tens">Tens (up to 99)</option>
+            <option value="hundreds">Hundreds (up to 999)</option>
+          </select>
+        </div>
+      )}
+
+      {controls.includes('numberline') && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={options.showJumps === false}
+            onChange={(e) => setOption('showJumps', e.target.checked ? false : undefined)}
+            className="h-4 w-4 text-purple-600"
+          />
+          Children draw the jumps themselves
+        </label>
+      )}
+
+      {controls.includes('fractions') && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Fraction activity</label>
+          <select
+            value={options.task || ''}
+            onChange={(e) => setOption('task', e.target.value)}
+            className={selectClass}
+          >
+            <option value="">Preset</option>
+            <option value="name">Name the shaded fraction</option>
+            <option value="shade">Shade the fraction</option>
+            <option value="mixed">Both</option>
+          </select>
+        </div>
+      )}
+
+      {controls.includes('tables') && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Times tables (leave empty for the preset)</label>
+          <div className="flex flex-wrap gap-2">
+            {TABLES.map(table => (
+              <button
+                key={table}
+                type="button"
+                onClick={() => toggleTable(table)}
+                className={`w-10 h-10 rounded-lg border-2 font-semibold ${
+                  options.tables?.includes(table) ? 'border-purple-500 bg-purple-500 text-white' : 'border-gray-200 text-gray-600 hover:border-purple-300'
+                }`}
+              >
+                {table}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DifficultySettings;
@@ -29,6 +29,7 @@ const Layout = () => {
     { path: '/super-admin/schools', label: 'Schools', icon: '🏫' },
     { path: '/super-admin/plans', label: 'Plans', icon: '📋' },
     { path: '/super-admin/textbooks', label: 'Textbooks', icon: '📚' },
+    { path: '/super-admin/templates', label: 'Templates', icon: '🧩' },
     { path: '/super-admin/usage', label: 'Usage', icon: '📈' },
     { path: '/super-admin/audit-logs', label: 'Audit Logs', icon: '📝' }
   ];
@@ -0,0 +1,73 @@
+import React from 'react';
+
+const FIELDS = [
+  {
+    name: 'paperSize',
+    label: 'Paper size',
+    options: [
+      { value: 'A4', label: 'A4' },
+      { value: 'Letter', label: 'US Letter' },
+      { value: 'Legal', label: 'US Legal' },
+      { value: 'A5', label: 'A5' }
+    ]
+  },
+  {
+    name: 'orientation',
+    label: 'Orientation',
+    options: [
+      { value: 'portrait', label: 'Portrait' },
+      { value: 'landscape', label: 'Landscape' }
+    ]
+  },
+  {
+    name: 'fontScale',
+    label: 'Print size',
+    options: [
+      { value: '1', label: 'Normal' },
+      { value: '1.25', label: 'Larger' },
+      { value: '1.5', label: 'Large print' },
+      { value: '2', label: 'Extra large print' }
+    ]
+  },
+  {
+    name: 'columns',
+    label: 'Columns',
+    options: [
+      { value: '1', label: 'One column' },
+      { value: '2', label: 'Two columns' }
+    ]
+  },
+  {
+    name: 'imposition',
+    label: 'Pages per sheet',
+    options: [
+      { value: 'none', label: 'One page per sheet' },
+      { value: '2up', label: 'Two half-size pages (2-up)' },
+      { value: 'booklet', label: 'Folded booklet' }
+    ]
+  }
+];
+
+// Paper size, orientation, print size, columns and imposition of PDFs. With
+// defaultLabel, each field can be left blank to use the school's setting.
+const PageLayoutFields = ({ value, onChange, defaultLabel, className }) => (
+  <>
+    {FIELDS.map(field => (
+      <select
+        key={field.name}
+        value={value[field.name] === undefined ? '' : String(value[field.name])}
+        onChange={(e) => onChange({ ...value, [field.name]: e.target.value })}
+        className={className}
+        title={field.label}
+        aria-label={field.label}
+      >
+        {defaultLabel && <option value="">{field.label}: {defaultLabel}</option>}
+        {field.options.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    ))}
+  </>
+);
+
+export default PageLayoutFields;
@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const ACTION_LABELS = {
+  CREATED: 'Created',
+  EDITED: 'Edited',
+  RESTORED: 'Restored',
+  REGENERATED: 'Regenerated',
+  TRANSLATED: 'Translated'
+};
+
+const STATUS_STYLES = {
+  unchanged: 'bg-gray-50 border-gray-100 text-gray-500',
+  changed: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+  added: 'bg-green-50 border-green-200 text-green-800',
+  removed: 'bg-red-50 border-red-200 text-red-800'
+};
+
+const describeItem = (item) => {
+  if (!item) return '';
+  return item.question || item.problem || item.sentence || item.display ||
+    (item.a !== undefined ? `${item.a} & ${item.b} → ${item.answer}` : JSON.stringify(item));
+};
+
+const RevisionHistory = ({ worksheetId, refreshKey, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [diff, setDiff] = useState(null);
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      const response = await axios.get(`/worksheets/${worksheetId}/revisions`);
+      setRevisions(response.data.revisions);
+    } catch (error) {
+      toast.error('Failed to load version history');
+    } finally {
+      setLoading(false);
+    }
+  }, [worksheetId]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions, refreshKey]);
+
+  const handleCompare = async (version) => {
+    const latest = revisions[0]?.version;
+    try {
+      const response = await axios.get(`/worksheets/${worksheetId}/revisions/diff`, {
+        params: { from: version, to: latest }
+      });
+      setDiff(response.data.diff);
+    } catch (error) {
+      toast.error('Failed to compare versions');
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version}? The current version stays in the history.`)) return;
+
+    try {
+      const response = await axios.post(`/worksheets/${worksheetId}/revisions/${version}/restore`);
+      toast.success(response.data.message);
+      setDiff(null);
+      onRestored(response.data.worksheet);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to restore version');
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-400">Loading history...</p>;
+  }
+
+  if (revisions.length === 0) {
+    return <p className="text-sm text-gray-400">No earlier versions yet. Edits will appear here.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+        {revisions.map((revision, index) => (
+          <li key={revision.id} className="flex items-center justify-between p-3">
+            <div>
+              <p className="font-medium text-gray-800">
+                Version {revision.version}
+                {index === 0 && <span className="ml-2 text-xs bg-purple-100 text-purple-600 px-2 py-0.5 rounded-full">Current</span>}
+              </p>
+              <p className="text-xs text-gray-500">
+                {ACTION_LABELS[revision.action] || revision.action}
+                {revision.restoredFrom ? ` from v${revision.restoredFrom}` : ''}
+                {' · '}{revision.createdBy?.name || 'System'}
+                {' · '}{new Date(revision.createdAt).toLocaleString()}
+                {' · '}{revision.itemCount} questions
+              </p>
+            </div>
+            {index > 0 && (
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleCompare(revision.version)}
+                  className="px-3 py-1 text-sm bg-white border border-gray-200 rounded-lg hover:bg-gray-50"
+                >
+                  Compare
+                </button>
+                <button
+                  onClick={() => handleRestore(revision.version)}
+                  className="px-3 py-1 text-sm bg-purple-50 border border-purple-200 text-purple-600 rounded-lg hover:bg-purple-100"
+                >
+                  Restore
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {diff && (
+        <div className="border border-gray-100 rounded-xl p-4">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="font-semibold text-gray-800">
+              Version {diff.from} → Version {diff.to}
+            </h3>
+            <button onClick={() => setDiff(null)} className="text-gray-400 hover:text-gray-600">×</button>
+          </div>
+          <p className="text-xs text-gray-500 mb-3">
+            {diff.summary.changed} changed · {diff.summary.added} added · {diff.summary.removed} removed · {diff.summary.moved} moved · {diff.summary.unchanged} unchanged
+          </p>
+          {diff.title && (
+            <p className="text-sm mb-2"><strong>Title:</strong> {diff.title.from} → {diff.title.to}</p>
+          )}
+          {diff.instructions && (
+            <p className="text-sm mb-2"><strong>Instructions:</strong> {diff.instructions.from} → {diff.instructions.to}</p>
+          )}
+          <div className="space-y-2">
+            {diff.items.map(item => (
+              <div key={`${item.fromIndex}-${item.toIndex}`} className={`p-2 rounded-lg border text-sm ${STATUS_STYLES[item.status]}`}>
+                <span className="font-bold mr-2">{item.index + 1}.</span>
+                <span className="uppercase text-xs font-semibold mr-2">{item.status}</span>
+                {item.moved && <span className="text-xs mr-2">(moved from {item.fromIndex + 1})</span>}
+                {item.status === 'changed' && (
+                  <span>
+                    <span className="line-through mr-2">{describeItem(item.from)}</span>
+                    {describeItem(item.to)}
+                    <span className="text-xs ml-2">({item.changedFields.join(', ')})</span>
+                  </span>
+                )}
+                {item.status === 'added' && <span>{describeItem(item.to)}</span>}
+                {(item.status === 'removed' || item.status === 'unchanged') && <span>{describeItem(item.from)}</span>}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const ASSET_URL = process.env.REACT_APP_API_URL?.replace('/api', '');
+
+// Theme pictures used on counting, matching and coloring worksheets.
+// Schools on plans with custom themes can add their own.
+const ThemePictures = () => {
+  const [themes, setThemes] = useState([]);
+  const [themeId, setThemeId] = useState('');
+  const [items, setItems] = useState([]);
+  const [canUpload, setCanUpload] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [file, setFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+
+  useEffect(() => {
+    const fetchThemes = async () => {
+      try {
+        const response = await axios.get('/themes');
+        setThemes(response.data.themes);
+        if (response.data.themes.length > 0) {
+          setThemeId(response.data.themes[0].id);
+        } else {
+          setLoading(false);
+        }
+      } catch (error) {
+        toast.error('Failed to load themes');
+        setLoading(false);
+      }
+    };
+    fetchThemes();
+  }, []);
+
+  const fetchItems = useCallback(async () => {
+    if (!themeId) return;
+    try {
+      setLoading(true);
+      const response = await axios.get(`/themes/${themeId}/items`);
+      setItems(response.data.items);
+      setCanUpload(response.data.canUpload);
+    } catch (error) {
+      toast.error('Failed to load theme pictures');
+    } finally {
+      setLoading(false);
+    }
+  }, [themeId]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file || !name.trim()) {
+      toast.error('Choose a picture and give it a name');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('name', name.trim());
+    formData.append('image', file);
+
+    setUploading(true);
+    try {
+      await axios.post(`/themes/${themeId}/items`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      toast.success('Picture added!');
+      setName('');
+      setFile(null);
+      e.target.reset();
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload picture');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Remove "${item.name}" from this theme?`)) return;
+
+    try {
+      await axios.delete(`/themes/${themeId}/items/${item.id}`);
+      toast.success('Picture removed');
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove picture');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg shadow-gray-100 p-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-2">Theme Pictures</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Pictures used on counting, matching and coloring worksheets.
+        A picture you add with the same name as a built-in one replaces it.
+      </p>
+
+      <div className="mb-6">
+        <label className="block text-sm font-medium text-gray-700 mb-2">Theme</label>
+        <select
+          value={themeId}
+          onChange={(e) => setThemeId(e.target.value)}
+          className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+        >
+          {themes.map(theme => (
+            <option key={theme.id} value={theme.id}>{theme.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-3 md:grid-cols-4 gap-4 mb-6">
+          {items.length === 0 && (
+            <p className="col-span-full text-sm text-gray-500">No pictures for this theme yet.</p>
+          )}
+          {items.map(item => (
+            <div key={item.id} className="p-3 rounded-xl border border-gray-100 text-center">
+              <img src={`${ASSET_URL}${item.imageUrl}`} alt={item.name} className="w-16 h-16 mx-auto object-contain" />
+              <p className="text-sm font-medium text-gray-700 mt-2">{item.name}</p>
+              {item.isCustom ? (
+                <button
+                  onClick={() => handleDelete(item)}
+                  className="text-xs text-red-500 hover:text-red-600 mt-1"
+                >
+                  Remove
+                </button>
+              ) : (
+                <p className="text-xs text-gray-400 mt-1">Built-in</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canUpload ? (
+        <form onSubmit={handleUpload} className="space-y-4 border-t border-gray-100 pt-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Picture name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Cow"
+              className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+            />
+          </div>
+          <div>
+            <input
+              type="file"
+              accept="image/png,image/jpeg,image/gif,image/webp"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="text-sm text-gray-600"
+            />
+            <p className="text-xs text-gray-500 mt-2">Max 2MB, JPG/PNG/GIF/WebP. Simple pictures on a white background print best.</p>
+          </div>
+          <button
+            type="submit"
+            disabled={uploading}
+            className="w-full py-3 px-4 bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold rounded-xl shadow-lg shadow-purple-200 hover:shadow-xl transition-all disabled:opacity-50"
+          >
+            {uploading ? 'Uploading...' : 'Add Picture'}
+          </button>
+        </form>
+      ) : (
+        <div className="bg-purple-50 border border-purple-100 rounded-xl p-4 text-sm text-purple-700">
+          Upgrade to a plan with custom themes to add your own pictures.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ThemePictures;
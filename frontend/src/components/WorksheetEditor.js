@@ -0,0 +1,329 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+// Fields that are managed by the editor itself and not shown as inputs
+const HIDDEN_FIELDS = ['id', 'locked'];
+
+const blankValue = (value) => {
+  if (Array.isArray(value)) return [];
+  if (typeof value === 'number') return 0;
+  if (typeof value === 'boolean') return false;
+  return '';
+};
+
+const WorksheetEditor = ({ worksheet, onSaved, onCancel }) => {
+  const [initialContent] = useState(() => JSON.parse(JSON.stringify(worksheet.content || {})));
+  const itemsKey = Array.isArray(initialContent.questions) ? 'questions' : 'items';
+  const canRegenerate = itemsKey === 'items';
+
+  const [title, setTitle] = useState(worksheet.title);
+  const [instructions, setInstructions] = useState(initialContent.instructions || '');
+  const isMixed = Array.isArray(initialContent.sections);
+  // Plain worksheets are edited as a single untitled section
+  const [sections, setSections] = useState(() => (
+    isMixed ? initialContent.sections : [{ items: initialContent[itemsKey] || [] }]
+  ));
+  const [saving, setSaving] = useState(false);
+  const [regenerating, setRegenerating] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const buildContent = (nextSections = sections) => (isMixed
+    ? { ...initialContent, instructions, sections: nextSections }
+    : { ...initialContent, instructions, [itemsKey]: nextSections[0].items });
+
+  const updateSection = (sectionIndex, changes) => {
+    setSections(sections.map((section, s) => (s === sectionIndex ? { ...section, ...changes } : section)));
+  };
+
+  const setItems = (sectionIndex, items) => updateSection(sectionIndex, { items });
+
+  const updateItem = (sectionIndex, index, changes) => {
+    const items = sections[sectionIndex].items;
+    setItems(sectionIndex, items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const updateField = (sectionIndex, index, field, rawValue) => {
+    const original = sections[sectionIndex].items[index][field];
+    let value = rawValue;
+
+    if (Array.isArray(original)) {
+      const numeric = original.length > 0 && original.every(v => typeof v === 'number');
+      value = rawValue.split(',').map(v => v.trim()).filter(v => v !== '');
+      if (numeric) value = value.map(Number);
+    } else if (typeof original === 'number') {
+      value = rawValue === '' ? '' : Number(rawValue);
+    }
+
+    updateItem(sectionIndex, index, { [field]: value });
+  };
+
+  const moveItem = (sectionIndex, index, direction) => {
+    const items = sections[sectionIndex].items;
+    const target = index + direction;
+    if (target < 0 || target >= items.length) return;
+    const next = [...items];
+    [next[index], next[target]] = [next[target], next[index]];
+    setItems(sectionIndex, next);
+  };
+
+  const deleteItem = (sectionIndex, index) => {
+    setItems(sectionIndex, sections[sectionIndex].items.filter((_, i) => i !== index));
+  };
+
+  const addItem = (sectionIndex) => {
+    const items = sections[sectionIndex].items;
+    const template = items[0] || { question: '', answer: '' };
+    const blank = Object.keys(template).reduce((acc, key) => {
+      if (!HIDDEN_FIELDS.includes(key)) acc[key] = blankValue(template[key]);
+      return acc;
+    }, {});
+    if (template.type) blank.type = template.type;
+    setItems(sectionIndex, [...items, blank]);
+  };
+
+  const toggleLock = (sectionIndex, index) => {
+    updateItem(sectionIndex, index, { locked: !sections[sectionIndex].items[index].locked });
+  };
+
+  const regenerate = async (sectionIndex, indices, key) => {
+    setRegenerating(key);
+    setErrors([]);
+    try {
+      const response = await axios.post(`/worksheets/${worksheet.id}/items/regenerate`, {
+        indices,
+        content: buildContent(),
+        ...(isMixed ? { section: sectionIndex } : {})
+      });
+      const content = response.data.content;
+      setSections(isMixed ? content.sections : [{ items: content[itemsKey] }]);
+      const count = response.data.regenerated.length;
+      toast.success(count === 1 ? `Question ${response.data.regenerated[0] + 1} regenerated` : `${count} questions regenerated`);
+    } catch (error) {
+      setErrors(error.response?.data?.errors || []);
+      toast.error(error.response?.data?.message || 'Failed to regenerate question');
+    } finally {
+      setRegenerating(null);
+    }
+  };
+
+  const unlockedIndices = (items) => items.map((item, i) => (item.locked ? null : i)).filter(i => i !== null);
+  const totalItems = sections.reduce((sum, section) => sum + section.items.length, 0);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setErrors([]);
+    try {
+      const response = await axios.put(`/worksheets/${worksheet.id}`, {
+        title,
+        content: buildContent()
+      });
+      toast.success('Worksheet saved');
+      onSaved(response.data.worksheet);
+    } catch (error) {
+      setErrors(error.response?.data?.errors || []);
+      toast.error(error.response?.data?.message || 'Failed to save worksheet');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderField = (sectionIndex, item, index, field) => {
+    const value = item[field];
+    const inputClass = 'w-full px-3 py-2 rounded-lg border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100 text-sm';
+
+    if (typeof value === 'boolean') {
+      return (
+        <input
+          type="checkbox"
+          checked={value}
+          onChange={(e) => updateItem(sectionIndex, index, { [field]: e.target.checked })}
+          className="h-4 w-4 text-purple-600"
+        />
+      );
+    }
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      return <span className="text-xs text-gray-400">Not editable</span>;
+    }
+
+    return (
+      <input
+        type={typeof value === 'number' ? 'number' : 'text'}
+        value={Array.isArray(value) ? value.join(', ') : value ?? ''}
+        onChange={(e) => updateField(sectionIndex, index, field, e.target.value)}
+        className={inputClass}
+      />
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Instructions</label>
+          <textarea
+            value={instructions}
+            onChange={(e) => setInstructions(e.target.value)}
+            rows={2}
+            className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+          />
+        </div>
+      </div>
+
+      {errors.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-4">
+          <p className="font-semibold text-red-700 mb-2">Please fix the following:</p>
+          <ul className="list-disc list-inside text-sm text-red-600 space-y-1">
+            {errors.map((err, i) => <li key={i}>{err}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div className="space-y-6">
+        <h2 className="text-lg font-bold text-gray-800">Questions ({totalItems})</h2>
+        {sections.map((section, sectionIndex) => {
+          const items = section.items;
+          const unlocked = unlockedIndices(items);
+          const sectionKey = (index) => `${sectionIndex}:${index}`;
+
+          return (
+            <div key={sectionIndex} className={`space-y-4 ${isMixed ? 'p-4 rounded-xl border border-purple-100' : ''}`}>
+              {isMixed && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-500 uppercase mb-1">
+                      Section {String.fromCharCode(65 + sectionIndex)} title
+                    </label>
+                    <input
+                      type="text"
+                      value={section.title || ''}
+                      onChange={(e) => updateSection(sectionIndex, { title: e.target.value })}
+                      className="w-full px-3 py-2 rounded-lg border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100 text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-500 uppercase mb-1">Section instructions</label>
+                    <input
+                      type="text"
+                      value={section.instructions || ''}
+                      onChange={(e) => updateSection(sectionIndex, { instructions: e.target.value })}
+                      className="w-full px-3 py-2 rounded-lg border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100 text-sm"
+                    />
+                  </div>
+                </div>
+              )}
+              {canRegenerate && (
+                <div className="flex justify-end">
+                  <button
+                    onClick={() => regenerate(sectionIndex, unlocked, sectionKey('all'))}
+                    disabled={regenerating !== null || unlocked.length === 0}
+                    className="px-4 py-2 text-sm bg-white border border-purple-200 text-purple-600 rounded-lg hover:bg-purple-50 disabled:opacity-40"
+                  >
+                    {regenerating === sectionKey('all') ? 'Regenerating...' : '🔄 Regenerate Unlocked'}
+                  </button>
+                </div>
+              )}
+              {items.map((item, index) => (
+                <div key={index} className={`p-4 rounded-lg border ${item.locked ? 'bg-purple-50 border-purple-200' : 'bg-gray-50 border-gray-100'}`}>
+                  <div className="flex items-start gap-3">
+                    <span className="flex-shrink-0 w-8 h-8 bg-purple-100 text-purple-600 rounded-full flex items-center justify-center font-bold text-sm">
+                      {index + 1}
+                    </span>
+                    <div className="flex-1 grid grid-cols-1 md:grid-cols-2 gap-3">
+                      {Object.keys(item).filter(field => !HIDDEN_FIELDS.includes(field)).map(field => (
+                        <div key={field}>
+                          <label className="block text-xs font-medium text-gray-500 uppercase mb-1">{field}</label>
+                          {renderField(sectionIndex, item, index, field)}
+                        </div>
+                      ))}
+                    </div>
+                    <div className="flex flex-col gap-1">
+                      <button
+                        onClick={() => moveItem(sectionIndex, index, -1)}
+                        disabled={index === 0}
+                        className="px-2 py-1 text-sm bg-white border border-gray-200 rounded hover:bg-gray-100 disabled:opacity-40"
+                        title="Move up"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        onClick={() => moveItem(sectionIndex, index, 1)}
+                        disabled={index === items.length - 1}
+                        className="px-2 py-1 text-sm bg-white border border-gray-200 rounded hover:bg-gray-100 disabled:opacity-40"
+                        title="Move down"
+                      >
+                        ↓
+                      </button>
+                      {canRegenerate && (
+                        <button
+                          onClick={() => toggleLock(sectionIndex, index)}
+                          className="px-2 py-1 text-sm bg-white border border-gray-200 rounded hover:bg-gray-100"
+                          title={item.locked ? 'Unlock (allow regeneration)' : 'Lock (keep when regenerating)'}
+                        >
+                          {item.locked ? '🔒' : '🔓'}
+                        </button>
+                      )}
+                      {canRegenerate && (
+                        <button
+                          onClick={() => regenerate(sectionIndex, [index], sectionKey(index))}
+                          disabled={regenerating !== null || item.locked}
+                          className="px-2 py-1 text-sm bg-white border border-purple-200 text-purple-600 rounded hover:bg-purple-50 disabled:opacity-40"
+                          title="Regenerate"
+                        >
+                          {regenerating === sectionKey(index) ? '…' : '🔄'}
+                        </button>
+                      )}
+                      <button
+                        onClick={() => deleteItem(sectionIndex, index)}
+                        className="px-2 py-1 text-sm bg-white border border-red-200 text-red-600 rounded hover:bg-red-50"
+                        title="Delete"
+                      >
+                        🗑️
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+
+              <button
+                onClick={() => addItem(sectionIndex)}
+                className="w-full py-3 border-2 border-dashed border-purple-300 text-purple-600 font-medium rounded-lg hover:bg-purple-50 transition-colors"
+              >
+                + Add Question
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-3 bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold rounded-xl shadow-lg hover:shadow-xl transition-all disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : '💾 Save Changes'}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          className="px-6 py-3 bg-white border border-gray-200 text-gray-600 font-semibold rounded-xl hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WorksheetEditor;
@@ -4,6 +4,8 @@ import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import toast from 'react-hot-toast';
 
+const ASSET_URL = process.env.REACT_APP_API_URL?.replace('/api', '');
+
 const Dashboard = () => {
   const { user, isAdmin } = useAuth();
   const [stats, setStats] = useState(null);
@@ -223,9 +225,18 @@ const Dashboard = () => {
               <div key={worksheet.id} className="p-4 hover:bg-gray-50 transition-colors">
                 <div className="flex items-center justify-between">
                   <div className="flex items-center gap-4">
-                    <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-purple-100 to-pink-100 flex items-center justify-center text-2xl">
-                      📝
-                    </div>
+                    {worksheet.thumbnail ? (
+                      <img
+                        src={`${ASSET_URL}${worksheet.thumbnail}`}
+                        alt=""
+                        loading="lazy"
+                        className="w-12 h-16 rounded-lg object-cover object-top bg-white border border-gray-100"
+                      />
+                    ) : (
+                      <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-purple-100 to-pink-100 flex items-center justify-center text-2xl">
+                        📝
+                      </div>
+                    )}
                     <div>
                       <h3 className="font-semibold text-gray-800">{worksheet.title}</h3>
                       <p className="text-sm text-gray-500">
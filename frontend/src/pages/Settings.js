@@ -2,10 +2,22 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import toast from 'react-hot-toast';
+import ThemePictures from '../components/ThemePictures';
+import PageLayoutFields from '../components/PageLayoutFields';
+import BrandingSettings from '../components/BrandingSettings';
+
+const DEFAULT_PRINT_SETTINGS = {
+  paperSize: 'A4',
+  orientation: 'portrait',
+  fontScale: '1',
+  columns: '1',
+  imposition: 'none'
+};
 
 const Settings = () => {
   const { user, isAdmin } = useAuth();
   const [school, setSchool] = useState(null);
+  const [locales, setLocales] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('profile');
   
@@ -18,7 +30,9 @@ const Settings = () => {
   const [schoolForm, setSchoolForm] = useState({
     name: '',
     phone: '',
-    address: ''
+    address: '',
+    locale: 'en-IN',
+    printSettings: DEFAULT_PRINT_SETTINGS
   });
   
   // Password form
@@ -38,10 +52,13 @@ const Settings = () => {
     try {
       const response = await axios.get('/school');
       setSchool(response.data.school);
+      setLocales(response.data.locales || []);
       setSchoolForm({
         name: response.data.school.name,
         phone: response.data.school.phone || '',
-        address: response.data.school.address || ''
+        address: response.data.school.address || '',
+        locale: response.data.school.locale || 'en-IN',
+        printSettings: { ...DEFAULT_PRINT_SETTINGS, ...response.data.school.printSettings }
       });
       setProfileForm({
         name: user?.name || ''
@@ -174,6 +191,30 @@ const Settings = () => {
             School
           </button>
         )}
+        {isAdmin && (
+          <button
+            onClick={() => setActiveTab('themes')}
+            className={`px-6 py-3 rounded-xl font-medium transition-colors ${
+              activeTab === 'themes'
+                ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white'
+                : 'bg-white text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            Theme Pictures
+          </button>
+        )}
+        {isAdmin && (
+          <button
+            onClick={() => setActiveTab('branding')}
+            className={`px-6 py-3 rounded-xl font-medium transition-colors ${
+              activeTab === 'branding'
+                ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white'
+                : 'bg-white text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            Branding
+          </button>
+        )}
         <button
           onClick={() => setActiveTab('password')}
           className={`px-6 py-3 rounded-xl font-medium transition-colors ${
@@ -316,6 +357,39 @@ const Settings = () => {
                   className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Region
+                </label>
+                <select
+                  value={schoolForm.locale}
+                  onChange={(e) => setSchoolForm({ ...schoolForm, locale: e.target.value })}
+                  className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+                >
+                  {locales.map(locale => (
+                    <option key={locale.code} value={locale.code}>{locale.name} ({locale.currency})</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-2">
+                  Sets the names and currency used in word problems. Indian curriculum worksheets always use rupees.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  PDF Page Layout
+                </label>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  <PageLayoutFields
+                    value={schoolForm.printSettings}
+                    onChange={(printSettings) => setSchoolForm({ ...schoolForm, printSettings })}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  Used for every PDF download unless a teacher picks something else. A folded booklet prints
+                  two half-size pages on each side; print it double-sided, flipping on the short edge.
+                </p>
+              </div>
               <button
                 type="submit"
                 disabled={submitting}
@@ -327,6 +401,12 @@ const Settings = () => {
           </div>
         )}
 
+        {/* Theme Pictures Tab */}
+        {activeTab === 'themes' && isAdmin && <ThemePictures />}
+
+        {/* Branding Tab */}
+        {activeTab === 'branding' && isAdmin && <BrandingSettings />}
+
         {/* Password Tab */}
         {activeTab === 'password' && (
           <div className="bg-white rounded-2xl shadow-lg shadow-gray-100 p-6">
@@ -19,6 +19,7 @@ const SuperAdminPlans = () => {
     hasTextbookAccess: false,
     hasMicrosoftForms: false,
     hasCustomThemes: false,
+    hasCustomBranding: false,
     isDefault: false
   });
   const [saving, setSaving] = useState(false);
@@ -55,6 +56,7 @@ const SuperAdminPlans = () => {
       hasTextbookAccess: false,
       hasMicrosoftForms: false,
       hasCustomThemes: false,
+      hasCustomBranding: false,
       isDefault: false
     });
     setShowModal(true);
@@ -74,6 +76,7 @@ const SuperAdminPlans = () => {
       hasTextbookAccess: plan.hasTextbookAccess,
       hasMicrosoftForms: plan.hasMicrosoftForms,
       hasCustomThemes: plan.hasCustomThemes,
+      hasCustomBranding: plan.hasCustomBranding,
       isDefault: plan.isDefault
     });
     setShowModal(true);
@@ -260,6 +263,14 @@ const SuperAdminPlans = () => {
                       <span className="text-gray-600">Microsoft Forms export</span>
                     </div>
                   )}
+                  {plan.hasCustomBranding && (
+                    <div className="flex items-center text-sm">
+                      <svg className="w-4 h-4 text-green-500 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                      </svg>
+                      <span className="text-gray-600">Custom PDF branding</span>
+                    </div>
+                  )}
                 </div>
 
                 <div className="text-sm text-gray-500 mb-4">
@@ -458,6 +469,16 @@ const SuperAdminPlans = () => {
                     />
                     <label className="ml-2 text-sm text-gray-700">Custom Themes</label>
                   </div>
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      name="hasCustomBranding"
+                      checked={formData.hasCustomBranding}
+                      onChange={handleFormChange}
+                      className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                    />
+                    <label className="ml-2 text-sm text-gray-700">Custom PDF Branding</label>
+                  </div>
                   <div className="flex items-center">
                     <input
                       type="checkbox"
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+const CURRICULA = [
+  { value: 'INDIAN', label: 'Indian' },
+  { value: 'IB', label: 'IB' },
+  { value: 'MONTESSORI', label: 'Montessori' }
+];
+
+const SuperAdminTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [unmatchedSkills, setUnmatchedSkills] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(null);
+  const [curriculum, setCurriculum] = useState('INDIAN');
+  const [grade, setGrade] = useState('');
+
+  useEffect(() => {
+    fetchTemplates();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/admin/templates');
+      setTemplates(response.data.templates);
+      setUnmatchedSkills(response.data.unmatchedSkills);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching templates:', err);
+      setError(err.response?.data?.message || 'Failed to load templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Grades that already have skills, offered as suggestions
+  const knownGrades = [...new Set(
+    templates.flatMap(t => t.skills).concat(unmatchedSkills)
+      .filter(skill => skill.curriculum === curriculum)
+      .map(skill => skill.grade)
+  )].sort();
+
+  // A template without a Skill row for the grade is available by default
+  const getStatus = (template) => {
+    const rows = template.skills.filter(skill => skill.curriculum === curriculum && skill.grade === grade);
+    if (rows.length === 0) return 'default';
+    return rows.some(skill => skill.isActive) ? 'enabled' : 'disabled';
+  };
+
+  const setAvailability = async (template, enabled) => {
+    try {
+      setSaving(template.key);
+      await api.put(`/admin/templates/${template.key}/availability`, { curriculum, grade, enabled });
+      await fetchTemplates();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update template');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const statusBadge = {
+    enabled: 'bg-green-100 text-green-800',
+    disabled: 'bg-red-100 text-red-800',
+    default: 'bg-gray-100 text-gray-600'
+  };
+
+  const statusLabel = {
+    enabled: 'Enabled',
+    disabled: 'Disabled',
+    default: 'Not listed'
+  };
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Worksheet Templates</h1>
+        <p className="text-gray-600 mt-1">Enable or disable templates per curriculum and grade</p>
+      </div>
+
+      {/* Grade picker */}
+      <div className="bg-white rounded-lg shadow p-4 mb-6">
+        <div className="flex flex-wrap gap-4">
+          <div className="w-48">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Curriculum</label>
+            <select
+              value={curriculum}
+              onChange={(e) => setCurriculum(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+            >
+              {CURRICULA.map(c => (
+                <option key={c.value} value={c.value}>{c.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="w-64">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Grade</label>
+            <input
+              type="text"
+              list="template-grades"
+              value={grade}
+              onChange={(e) => setGrade(e.target.value)}
+              placeholder="e.g. UKG"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+            />
+            <datalist id="template-grades">
+              {knownGrades.map(g => <option key={g} value={g} />)}
+            </datalist>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Template</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Also matches</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Options</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {templates.map(template => {
+                const status = grade ? getStatus(template) : null;
+                return (
+                  <tr key={template.key} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="font-medium text-gray-900">{template.name}</div>
+                      <div className="text-xs text-gray-500">{template.type}{template.formsMapping ? ' · Forms' : ''}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{template.aliases.join(', ') || '-'}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{Object.keys(template.params).join(', ') || '-'}</td>
+                    <td className="px-6 py-4">
+                      {status ? (
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusBadge[status]}`}>
+                          {statusLabel[status]}
+                        </span>
+                      ) : (
+                        <span className="text-xs text-gray-400">Pick a grade</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-right space-x-2">
+                      <button
+                        onClick={() => setAvailability(template, true)}
+                        disabled={!grade || saving !== null || status === 'enabled'}
+                        className="px-3 py-1 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-40"
+                      >
+                        Enable
+                      </button>
+                      <button
+                        onClick={() => setAvailability(template, false)}
+                        disabled={!grade || saving !== null || status === 'disabled'}
+                        className="px-3 py-1 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-40"
+                      >
+                        Disable
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {unmatchedSkills.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mt-6">
+          <p className="font-medium text-yellow-800 mb-2">Skills without a template (AI generation only)</p>
+          <p className="text-sm text-yellow-700">
+            {unmatchedSkills.map(skill => `${skill.name} (${skill.curriculum} ${skill.grade})`).join(', ')}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SuperAdminTemplates;
@@ -2,6 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import WorksheetEditor from '../components/WorksheetEditor';
+import RevisionHistory from '../components/RevisionHistory';
+import BilingualPanel from '../components/BilingualPanel';
+import PageLayoutFields from '../components/PageLayoutFields';
 
 const WorksheetView = () => {
   const { id } = useParams();
@@ -10,6 +14,16 @@ const WorksheetView = () => {
   const [loading, setLoading] = useState(true);
   const [showFormsModal, setShowFormsModal] = useState(false);
   const [formsExportData, setFormsExportData] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [revisionKey, setRevisionKey] = useState(0);
+  const [variantCount, setVariantCount] = useState(1);
+  const [pdfDocument, setPdfDocument] = useState('student');
+  const [showBilingual, setShowBilingual] = useState(false);
+  const [bilingualLayout, setBilingualLayout] = useState('');
+  const [formsLanguage, setFormsLanguage] = useState('');
+  const [showPageSetup, setShowPageSetup] = useState(false);
+  const [pageLayout, setPageLayout] = useState({});
 
   useEffect(() => {
     fetchWorksheet();
@@ -32,13 +46,21 @@ const WorksheetView = () => {
   const handleDownloadPDF = async () => {
     try {
       const response = await axios.get(`/worksheets/${id}/pdf`, {
+        params: {
+          ...(variantCount > 1 ? { variants: variantCount } : { document: pdfDocument }),
+          ...(bilingualLayout ? { bilingual: bilingualLayout } : {}),
+          // Blank fields use the school's print settings
+          ...Object.fromEntries(Object.entries(pageLayout).filter(([, value]) => value !== ''))
+        },
         responseType: 'blob'
       });
       
+      const documentSuffixes = { student: '', key: '_answer_key', bundle: '_with_answer_key' };
+      const suffix = variantCount > 1 ? `_${variantCount}_sets` : documentSuffixes[pdfDocument];
       const url = window.URL.createObjectURL(new Blob([response.data]));
       const link = document.createElement('a');
       link.href = url;
-      link.setAttribute('download', `${worksheet.title.replace(/\s+/g, '_')}.pdf`);
+      link.setAttribute('download', `${worksheet.title.replace(/\s+/g, '_')}${suffix}.pdf`);
       document.body.appendChild(link);
       link.click();
       link.remove();
@@ -50,9 +72,11 @@ const WorksheetView = () => {
     }
   };
 
-  const handleExportToMicrosoftForms = async () => {
+  const handleExportToMicrosoftForms = async (language = formsLanguage) => {
     try {
-      const response = await axios.get(`/worksheets/${id}/microsoft-forms`);
+      const response = await axios.get(`/worksheets/${id}/microsoft-forms`, {
+        params: language ? { language } : {}
+      });
       console.log('Microsoft Forms export:', response.data);
       setFormsExportData(response.data.data);
       setShowFormsModal(true);
@@ -65,6 +89,7 @@ const WorksheetView = () => {
   const handleDownloadCSV = async () => {
     try {
       const response = await axios.get(`/worksheets/${id}/microsoft-forms/csv`, {
+        params: formsLanguage ? { language: formsLanguage } : {},
         responseType: 'blob'
       });
       
@@ -90,6 +115,28 @@ const WorksheetView = () => {
     }
   };
 
+  const handleSaved = (updatedWorksheet) => {
+    setWorksheet(updatedWorksheet);
+    setEditing(false);
+    setRevisionKey(key => key + 1);
+  };
+
+  const handleRegenerate = async (newSeed) => {
+    const message = newSeed
+      ? 'Generate a new variant? Your current questions stay in the version history.'
+      : 'Rebuild this worksheet from its seed? Any edits stay in the version history.';
+    if (!window.confirm(message)) return;
+
+    try {
+      const response = await axios.post(`/worksheets/${id}/regenerate`, { newSeed });
+      toast.success(response.data.message);
+      setWorksheet(response.data.worksheet);
+      setRevisionKey(key => key + 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to regenerate worksheet');
+    }
+  };
+
   const handleDelete = async () => {
     if (!window.confirm('Are you sure you want to delete this worksheet?')) return;
     
@@ -131,7 +178,12 @@ const WorksheetView = () => {
       console.error('Failed to parse content:', e);
     }
   }
-  const items = content.items || content.questions || [];
+  // Mixed worksheets group their items into sections; others are a single list
+  const sections = Array.isArray(content.sections)
+    ? content.sections
+    : [{ items: content.items || content.questions || [] }];
+  const totalItems = sections.reduce((sum, section) => sum + (section.items || []).length, 0);
+  const bilingual = content.bilingual;
 
   return (
     <div className="p-8 max-w-4xl mx-auto">
@@ -154,10 +206,22 @@ const WorksheetView = () => {
             {worksheet.theme && (
               <span className="bg-white/20 px-3 py-1 rounded-full">{worksheet.theme}</span>
             )}
+            {worksheet.difficulty && (
+              <span className="bg-white/20 px-3 py-1 rounded-full capitalize">{worksheet.difficulty}</span>
+            )}
           </div>
         </div>
 
         {/* Content */}
+        {editing ? (
+          <div className="p-6">
+            <WorksheetEditor
+              worksheet={worksheet}
+              onSaved={handleSaved}
+              onCancel={() => setEditing(false)}
+            />
+          </div>
+        ) : (
         <div className="p-6">
           {/* Instructions */}
           {content.instructions && (
@@ -170,54 +234,96 @@ const WorksheetView = () => {
 
           {/* Questions */}
           <div className="space-y-4">
-            <h2 className="text-lg font-bold text-gray-800">Questions ({items.length})</h2>
-            {items.map((item, index) => (
-              <div key={index} className="p-4 bg-gray-50 rounded-lg border border-gray-100">
-                <div className="flex items-start gap-3">
-                  <span className="flex-shrink-0 w-8 h-8 bg-purple-100 text-purple-600 rounded-full flex items-center justify-center font-bold text-sm">
-                    {index + 1}
-                  </span>
-                  <div className="flex-1">
-                    <p className="text-gray-800 font-medium">
-                      {item.question || item.q || item.display || item.problem}
-                    </p>
+            <h2 className="text-lg font-bold text-gray-800">Questions ({totalItems})</h2>
+            {sections.map((section, sectionIndex) => (
+              <div key={sectionIndex} className="space-y-4">
+                {section.title && (
+                  <div className="pt-2">
+                    <h3 className="font-bold text-purple-700">
+                      Section {String.fromCharCode(65 + sectionIndex)}: {section.title}
+                    </h3>
+                    {section.instructions && <p className="text-sm text-gray-600">{section.instructions}</p>}
+                  </div>
+                )}
+                {(section.items || []).map((item, index) => (
+                  <div key={index} className="p-4 bg-gray-50 rounded-lg border border-gray-100">
+                    <div className="flex items-start gap-3">
+                      <span className="flex-shrink-0 w-8 h-8 bg-purple-100 text-purple-600 rounded-full flex items-center justify-center font-bold text-sm">
+                        {index + 1}
+                      </span>
+                      <div className="flex-1">
+                        <p className="text-gray-800 font-medium">
+                          {item.question || item.q || item.display || item.problem}
+                        </p>
+                        {item.translation && (
+                          <p className="text-purple-700" lang={bilingual?.language}>{item.translation}</p>
+                        )}
                     
-                    {/* Options */}
-                    {item.options && item.options.length > 0 && (
-                      <div className="mt-2 flex flex-wrap gap-2">
-                        {item.options.map((opt, i) => (
-                          <span 
-                            key={i}
-                            className={`px-3 py-1 rounded-full text-sm ${
-                              item.correctAnswer === opt || item.a === opt
-                                ? 'bg-green-100 text-green-700 border border-green-300'
-                                : 'bg-gray-100 text-gray-600'
-                            }`}
-                          >
-                            {String.fromCharCode(65 + i)}) {opt}
-                          </span>
-                        ))}
+                        {/* Options */}
+                        {item.options && item.options.length > 0 && (
+                          <div className="mt-2 flex flex-wrap gap-2">
+                            {item.options.map((opt, i) => (
+                              <span 
+                                key={i}
+                                className={`px-3 py-1 rounded-full text-sm ${
+                                  item.correctAnswer === opt || item.a === opt
+                                    ? 'bg-green-100 text-green-700 border border-green-300'
+                                    : 'bg-gray-100 text-gray-600'
+                                }`}
+                              >
+                                {String.fromCharCode(65 + i)}) {opt}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+
+                        {/* Answer */}
+                        {(item.answer || item.a) && !item.options && (
+                          <p className="mt-2 text-sm text-green-600">
+                            <strong>Answer:</strong> {item.answer || item.a}
+                          </p>
+                        )}
+
+                        {/* Theme picture, once per object when counting */}
+                        {item.image && (
+                          <div className="mt-2 flex flex-wrap gap-1">
+                            {Array.from({ length: item.count || 1 }, (_, i) => (
+                              <img
+                                key={i}
+                                src={`${process.env.REACT_APP_API_URL?.replace('/api', '')}${item.image}`}
+                                alt=""
+                                className="w-10 h-10 object-contain"
+                              />
+                            ))}
+                          </div>
+                        )}
+
+                        {/* Color-by-number key */}
+                        {Array.isArray(item.legend) && item.legend.length > 0 && (
+                          <div className="mt-2 flex flex-wrap gap-2">
+                            {item.legend.map(entry => (
+                              <span key={entry.label} className="flex items-center gap-1 px-3 py-1 rounded-full text-sm bg-gray-100 text-gray-600">
+                                <strong>{entry.label}</strong>
+                                <span className="w-4 h-3 rounded border border-gray-400" style={{ background: entry.colorCode }}></span>
+                                {entry.color}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+
+                        {/* Display for counting */}
+                        {item.display && !item.image && !item.question && !item.q && (
+                          <p className="text-2xl mt-2 tracking-widest">{item.display}</p>
+                        )}
+
+                        {/* Math problem */}
+                        {item.problem && (
+                          <p className="text-xl mt-2 font-mono">{item.problem} = ?</p>
+                        )}
                       </div>
-                    )}
-
-                    {/* Answer */}
-                    {(item.answer || item.a) && !item.options && (
-                      <p className="mt-2 text-sm text-green-600">
-                        <strong>Answer:</strong> {item.answer || item.a}
-                      </p>
-                    )}
-
-                    {/* Display for counting */}
-                    {item.display && !item.question && !item.q && (
-                      <p className="text-2xl mt-2 tracking-widest">{item.display}</p>
-                    )}
-
-                    {/* Math problem */}
-                    {item.problem && (
-                      <p className="text-xl mt-2 font-mono">{item.problem} = ?</p>
-                    )}
+                    </div>
                   </div>
-                </div>
+                ))}
               </div>
             ))}
           </div>
@@ -231,10 +337,15 @@ const WorksheetView = () => {
               hour: '2-digit',
               minute: '2-digit'
             }) : 'N/A'}</p>
+            {worksheet.seed && (
+              <p>Seed: <span className="font-mono">{worksheet.seed}</span> (use it to reproduce this exact sheet)</p>
+            )}
           </div>
         </div>
+        )}
 
         {/* Actions */}
+        {!editing && (
         <div className="p-6 bg-gray-50 border-t border-gray-100">
           <div className="flex flex-wrap gap-3">
             <button
@@ -243,9 +354,96 @@ const WorksheetView = () => {
             >
               📄 Download PDF
             </button>
+
+            <select
+              value={variantCount}
+              onChange={(e) => setVariantCount(Number(e.target.value))}
+              className="px-4 py-3 bg-white border-2 border-gray-300 text-gray-600 font-semibold rounded-xl"
+              title="Print several versions for class tests, each with its own answer key"
+            >
+              <option value={1}>Single sheet</option>
+              {[2, 3, 4, 5, 6].map(n => (
+                <option key={n} value={n}>{n} sets (A–{String.fromCharCode(64 + n)}) + keys</option>
+              ))}
+            </select>
+
+            {variantCount === 1 && (
+              <select
+                value={pdfDocument}
+                onChange={(e) => setPdfDocument(e.target.value)}
+                className="px-4 py-3 bg-white border-2 border-gray-300 text-gray-600 font-semibold rounded-xl"
+                title="Answer keys print on labelled teacher-copy pages with working and marks"
+              >
+                <option value="student">Student copy</option>
+                <option value="key">Answer key only</option>
+                <option value="bundle">Student copy + answer key</option>
+              </select>
+            )}
+
+            {bilingual && (
+              <select
+                value={bilingualLayout}
+                onChange={(e) => setBilingualLayout(e.target.value)}
+                className="px-4 py-3 bg-white border-2 border-gray-300 text-gray-600 font-semibold rounded-xl"
+                title="How the second language is printed"
+              >
+                <option value="">Saved layout</option>
+                <option value="interleaved">Translation under each line</option>
+                <option value="columns">Side by side</option>
+                <option value="off">One language only</option>
+              </select>
+            )}
+            
+            <button
+              onClick={() => setShowPageSetup(!showPageSetup)}
+              className="px-4 py-3 bg-white border-2 border-gray-300 text-gray-600 font-semibold rounded-xl hover:bg-gray-100 transition-colors"
+              title="Paper size, orientation, large print, columns and booklets"
+            >
+              📐 Page Setup
+            </button>
             
             <button
-              onClick={handleExportToMicrosoftForms}
+              onClick={() => setEditing(true)}
+              className="px-6 py-3 bg-white border-2 border-purple-500 text-purple-600 font-semibold rounded-xl hover:bg-purple-50 transition-colors"
+            >
+              ✏️ Edit Questions
+            </button>
+
+            {content.type && (
+              <>
+                {worksheet.seed && (
+                  <button
+                    onClick={() => handleRegenerate(false)}
+                    className="px-6 py-3 bg-white border-2 border-gray-300 text-gray-600 font-semibold rounded-xl hover:bg-gray-100 transition-colors"
+                  >
+                    🔁 Regenerate (Same Seed)
+                  </button>
+                )}
+                <button
+                  onClick={() => handleRegenerate(true)}
+                  className="px-6 py-3 bg-white border-2 border-gray-300 text-gray-600 font-semibold rounded-xl hover:bg-gray-100 transition-colors"
+                >
+                  🎲 New Variant
+                </button>
+              </>
+            )}
+
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className="px-6 py-3 bg-white border-2 border-gray-300 text-gray-600 font-semibold rounded-xl hover:bg-gray-100 transition-colors"
+            >
+              🕘 {showHistory ? 'Hide History' : 'Version History'}
+            </button>
+
+            <button
+              onClick={() => setShowBilingual(!showBilingual)}
+              className="px-6 py-3 bg-white border-2 border-gray-300 text-gray-600 font-semibold rounded-xl hover:bg-gray-100 transition-colors"
+            >
+              🌐 {bilingual ? 'Edit Translation' : 'Make Bilingual'}
+            </button>
+
+            <button
+              onClick={() => handleExportToMicrosoftForms()}
               className="px-6 py-3 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-semibold rounded-xl shadow-lg hover:shadow-xl transition-all"
             >
               📋 Export to Microsoft Forms
@@ -258,9 +456,41 @@ const WorksheetView = () => {
               🗑️ Delete
             </button>
           </div>
+
+          {showPageSetup && (
+            <div className="mt-4 flex flex-wrap gap-3">
+              <PageLayoutFields
+                value={pageLayout}
+                onChange={setPageLayout}
+                defaultLabel="school default"
+                className="px-4 py-2 bg-white border-2 border-gray-300 text-gray-600 rounded-xl"
+              />
+            </div>
+          )}
         </div>
+        )}
       </div>
 
+      {/* Bilingual */}
+      {showBilingual && !editing && (
+        <div className="mt-6 bg-white rounded-2xl shadow-lg p-6">
+          <h2 className="text-lg font-bold text-gray-800 mb-4">Bilingual Worksheet</h2>
+          <BilingualPanel worksheet={worksheet} onSaved={handleSaved} />
+        </div>
+      )}
+
+      {/* Version History */}
+      {showHistory && !editing && (
+        <div className="mt-6 bg-white rounded-2xl shadow-lg p-6">
+          <h2 className="text-lg font-bold text-gray-800 mb-4">Version History</h2>
+          <RevisionHistory
+            worksheetId={id}
+            refreshKey={revisionKey}
+            onRestored={handleSaved}
+          />
+        </div>
+      )}
+
       {/* Microsoft Forms Modal */}
       {showFormsModal && formsExportData && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -278,6 +508,22 @@ const WorksheetView = () => {
             </div>
 
             <div className="p-6">
+              {bilingual && (
+                <div className="mb-4 flex items-center gap-3">
+                  <label className="text-sm font-semibold text-gray-700">Questions in</label>
+                  <select
+                    value={formsLanguage}
+                    onChange={(e) => {
+                      setFormsLanguage(e.target.value);
+                      handleExportToMicrosoftForms(e.target.value);
+                    }}
+                    className="px-3 py-2 border-2 border-gray-300 rounded-xl"
+                  >
+                    <option value="">Worksheet language</option>
+                    <option value={bilingual.language}>Translation ({bilingual.language})</option>
+                  </select>
+                </div>
+              )}
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
                 <button
                   onClick={() => window.open('https://forms.office.com/Pages/DesignPage.aspx', '_blank')}
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import DifficultySettings from '../components/DifficultySettings';
 
 const WorksheetWizard = () => {
   const navigate = useNavigate();
@@ -19,7 +20,13 @@ const WorksheetWizard = () => {
     ageGroup: '',
     skill: '',
     theme: '',
-    title: ''
+    title: '',
+    seed: '',
+    difficulty: '',
+    language: 'en',
+    generatorOptions: {},
+    questionCount: '',
+    sections: []
   });
 
   const curricula = [
@@ -28,6 +35,14 @@ const WorksheetWizard = () => {
     { value: 'MONTESSORI', label: 'Montessori', description: 'Montessori Method', icon: 'puzzle' }
   ];
 
+  // Letter, phonics and tracing worksheets are generated in the chosen script
+  const languages = [
+    { value: 'en', label: 'English' },
+    { value: 'hi', label: 'हिन्दी (Hindi)' },
+    { value: 'ta', label: 'தமிழ் (Tamil)' },
+    { value: 'kn', label: 'ಕನ್ನಡ (Kannada)' }
+  ];
+
   const grades = {
     INDIAN: [
       { value: 'Preschool', label: 'Preschool', ageGroup: '3-4 years', description: 'Nursery' },
@@ -87,14 +102,34 @@ const WorksheetWizard = () => {
       { name: 'Subtraction', description: 'Subtract numbers within 20' },
       { name: 'Sentences', description: 'Build simple sentences' },
       { name: 'Number Patterns', description: 'Skip counting, number sequences' },
-      { name: 'Word Problems', description: 'Simple math word problems' }
+      { name: 'Word Problems', description: 'Simple math word problems' },
+      { name: 'Telling Time', description: 'Read clocks to the hour and half hour' }
     ],
     'INDIAN-Grade 2': [
       { name: 'Addition', description: 'Add numbers within 100' },
       { name: 'Subtraction', description: 'Subtract numbers within 100' },
       { name: 'Multiplication Tables', description: 'Learn 2, 5, 10 times tables' },
       { name: 'Grammar', description: 'Nouns, verbs, adjectives' },
-      { name: 'Money', description: 'Identify and count money' }
+      { name: 'Money', description: 'Identify and count money' },
+      { name: 'Calendar', description: 'Days of the week and months of the year' },
+      { name: 'Measurement', description: 'Measure length with a ruler' },
+      { name: 'Place Value', description: 'Tens and ones with base-ten blocks' },
+      { name: 'Number Line', description: 'Add and subtract with jumps on a number line' },
+      { name: 'Comparing Numbers', description: 'Compare numbers using <, > and =' }
+    ],
+    'INDIAN-Grade 3': [
+      { name: 'Telling Time', description: 'Quarter past and quarter to' },
+      { name: 'Calendar', description: 'Read dates and count days on a calendar' },
+      { name: 'Measurement', description: 'Measure and compare lengths' },
+      { name: 'Place Value', description: 'Hundreds, tens and ones' },
+      { name: 'Fractions', description: 'Halves, thirds and quarters of shapes' },
+      { name: 'Comparing Numbers', description: 'Compare 3-digit numbers and fractions' }
+    ],
+    'INDIAN-Grade 4': [
+      { name: 'Fractions', description: 'Name and shade fractions' }
+    ],
+    'INDIAN-Grade 5': [
+      { name: 'Fractions', description: 'Fractions of pies and bars' }
     ],
     'IB-Early Years 1': [
       { name: 'Letter Recognition', description: 'Identify letters of the alphabet' },
@@ -110,6 +145,21 @@ const WorksheetWizard = () => {
       { name: 'Sorting', description: 'Sort by color, size, shape' },
       { name: 'Pre-writing', description: 'Letter formation practice' }
     ],
+    'IB-PYP Grade 1': [
+      { name: 'Telling Time', description: 'Time to the hour and half hour' },
+      { name: 'Measurement', description: 'Compare and order lengths' }
+    ],
+    'IB-PYP Grade 2': [
+      { name: 'Telling Time', description: 'Time to the quarter hour' },
+      { name: 'Calendar', description: 'Days, weeks and months' },
+      { name: 'Measurement', description: 'Measure with standard units' },
+      { name: 'Place Value', description: 'Base-ten place value' },
+      { name: 'Number Line', description: 'Number line strategies' }
+    ],
+    'IB-PYP Grade 3': [
+      { name: 'Fractions', description: 'Fractions as equal parts' },
+      { name: 'Comparing Numbers', description: 'Compare and order numbers' }
+    ],
     'MONTESSORI-Primary 1': [
       { name: 'Practical Life', description: 'Pouring, spooning, transferring' },
       { name: 'Sensorial', description: 'Color tablets, geometric solids' },
@@ -121,6 +171,13 @@ const WorksheetWizard = () => {
       { name: 'Golden Beads', description: 'Introduction to decimal system' },
       { name: 'Metal Insets', description: 'Pre-writing shapes' },
       { name: 'Sorting', description: 'Classify objects by attributes' }
+    ],
+    'MONTESSORI-Elementary 1': [
+      { name: 'Telling Time', description: 'Clock work to the quarter hour' },
+      { name: 'Calendar', description: 'Calendar and days of the week' },
+      { name: 'Measurement', description: 'Measuring length with a ruler' },
+      { name: 'Place Value', description: 'Golden bead place value' },
+      { name: 'Fractions', description: 'Fraction circles' }
     ]
   };
 
@@ -145,11 +202,14 @@ const WorksheetWizard = () => {
   const fetchSkills = async () => {
     try {
       const response = await axios.get('/skills');
-      if (response.data.skills && Object.keys(response.data.skills).length > 0) {
-        setSkills(response.data.skills);
-      } else {
-        setSkills(defaultSkills);
-      }
+      // The API lists skills; group them like defaultSkills, which still
+      // cover grades that have no skills in the database
+      const grouped = (response.data.skills || []).reduce((acc, skill) => {
+        const key = `${skill.curriculum}-${skill.grade}`;
+        acc[key] = [...(acc[key] || []), skill];
+        return acc;
+      }, {});
+      setSkills({ ...defaultSkills, ...grouped });
     } catch (error) {
       console.error('Failed to fetch skills, using defaults:', error);
       setSkills(defaultSkills);
@@ -171,17 +231,17 @@ const WorksheetWizard = () => {
   };
 
   const handleCurriculumSelect = (curriculum) => {
-    setFormData({ ...formData, curriculum, grade: '', skill: '' });
+    setFormData({ ...formData, curriculum, grade: '', skill: '', sections: [] });
     setStep(2);
   };
 
   const handleGradeSelect = (grade, ageGroup) => {
-    setFormData({ ...formData, grade, ageGroup, skill: '' });
+    setFormData({ ...formData, grade, ageGroup, skill: '', sections: [] });
     setStep(3);
   };
 
   const handleSkillSelect = (skill) => {
-    setFormData({ ...formData, skill });
+    setFormData({ ...formData, skill, generatorOptions: {} });
     setStep(4);
   };
 
@@ -190,13 +250,52 @@ const WorksheetWizard = () => {
     setStep(5);
   };
 
+  // Only send the optional settings the teacher actually chose
+  const buildWorksheetRequest = () => {
+    const { seed, difficulty, generatorOptions, questionCount, sections, skill, ...details } = formData;
+    const mixed = sections.length > 0;
+    return {
+      ...details,
+      // Mixed worksheets take their skill name from the sections
+      ...(mixed ? {
+        sections: sections.map(section => ({
+          skill: section.skill,
+          questionCount: Number(section.questionCount),
+          ...(section.instructions ? { instructions: section.instructions } : {})
+        }))
+      } : { skill }),
+      ...(!mixed && questionCount ? { questionCount: Number(questionCount) } : {}),
+      ...(seed ? { seed: Number(seed) } : {}),
+      ...(difficulty ? { difficulty } : {}),
+      ...(Object.keys(generatorOptions).length > 0 ? { generatorOptions } : {}),
+      title: formData.title || `${mixed ? 'Mixed Practice' : skill} - ${formData.grade}`
+    };
+  };
+
+  const updateSection = (index, changes) => {
+    setFormData({
+      ...formData,
+      sections: formData.sections.map((section, i) => (i === index ? { ...section, ...changes } : section))
+    });
+  };
+
+  const addSection = () => {
+    // The first section starts from the skill picked in step 3
+    const skill = formData.sections.length === 0 ? formData.skill : (getAvailableSkills()[0]?.name || formData.skill);
+    setFormData({
+      ...formData,
+      sections: [...formData.sections, { skill, questionCount: 5, instructions: '' }]
+    });
+  };
+
+  const removeSection = (index) => {
+    setFormData({ ...formData, sections: formData.sections.filter((_, i) => i !== index) });
+  };
+
   const handleGenerate = async () => {
     setLoading(true);
     try {
-      const response = await axios.post('/worksheets', {
-        ...formData,
-        title: formData.title || `${formData.skill} - ${formData.grade}`
-      });
+      const response = await axios.post('/worksheets', buildWorksheetRequest());
       
       setPreviewData(response.data.worksheet);
       setStep(6);
@@ -211,10 +310,14 @@ const WorksheetWizard = () => {
   const handleRegenerate = async () => {
     setLoading(true);
     try {
-      const response = await axios.post('/worksheets', {
-        ...formData,
-        title: formData.title || `${formData.skill} - ${formData.grade}`
-      });
+      let response;
+      if (previewData.seed) {
+        // Template worksheets get a new variant in place instead of a new worksheet
+        response = await axios.post(`/worksheets/${previewData.id}/regenerate`, { newSeed: true });
+      } else {
+        const { seed, ...request } = buildWorksheetRequest();
+        response = await axios.post('/worksheets', request);
+      }
       
       setPreviewData(response.data.worksheet);
       toast.success('New version generated!');
@@ -450,7 +553,15 @@ const WorksheetWizard = () => {
                   onClick={() => handleThemeSelect(t.name)}
                   className="p-4 bg-white rounded-xl shadow-lg shadow-gray-100 border-2 border-transparent hover:border-purple-400 transition-all text-center"
                 >
-                  <span className="text-3xl block mb-2">{t.icon || '🎨'}</span>
+                  {t.iconUrl ? (
+                    <img
+                      src={`${process.env.REACT_APP_API_URL?.replace('/api', '')}${t.iconUrl}`}
+                      alt=""
+                      className="w-9 h-9 mx-auto mb-2 object-contain"
+                    />
+                  ) : (
+                    <span className="text-3xl block mb-2">{t.icon || '🎨'}</span>
+                  )}
                   <p className="text-sm font-medium text-gray-600">{t.name}</p>
                 </button>
               ))}
@@ -506,6 +617,123 @@ const WorksheetWizard = () => {
                   placeholder={`${formData.skill} - ${formData.grade}`}
                 />
               </div>
+
+              <div className="mt-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Language
+                </label>
+                <select
+                  value={formData.language}
+                  onChange={(e) => setFormData({ ...formData, language: e.target.value })}
+                  className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100 transition-all"
+                >
+                  {languages.map(language => (
+                    <option key={language.value} value={language.value}>{language.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Used by letter, phonics and tracing worksheets</p>
+              </div>
+
+              <div className="mt-4">
+                <DifficultySettings
+                  skill={formData.skill}
+                  difficulty={formData.difficulty}
+                  options={formData.generatorOptions}
+                  onChange={(difficulty, generatorOptions) => setFormData({ ...formData, difficulty, generatorOptions })}
+                />
+              </div>
+
+              {formData.sections.length === 0 && (
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Number of Questions (Optional)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="30"
+                    value={formData.questionCount}
+                    onChange={(e) => setFormData({ ...formData, questionCount: e.target.value })}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100 transition-all"
+                    placeholder="Template default"
+                  />
+                </div>
+              )}
+
+              <div className="mt-4">
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Mixed Sections (Optional)
+                  </label>
+                  {formData.sections.length < 6 && (
+                    <button
+                      type="button"
+                      onClick={addSection}
+                      className="text-sm text-purple-600 hover:text-purple-700 font-medium"
+                    >
+                      + Add Section
+                    </button>
+                  )}
+                </div>
+                {formData.sections.length === 0 ? (
+                  <p className="text-sm text-gray-500">Combine several skills on one sheet, e.g. counting then addition.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {formData.sections.map((section, index) => (
+                      <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+                        <span className="md:col-span-1 font-bold text-purple-600">{String.fromCharCode(65 + index)}</span>
+                        <select
+                          value={section.skill}
+                          onChange={(e) => updateSection(index, { skill: e.target.value })}
+                          className="md:col-span-4 px-3 py-2 rounded-lg border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+                        >
+                          {getAvailableSkills().map((s) => (
+                            <option key={s.name} value={s.name}>{s.name}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          min="1"
+                          max="30"
+                          value={section.questionCount}
+                          onChange={(e) => updateSection(index, { questionCount: e.target.value })}
+                          className="md:col-span-2 px-3 py-2 rounded-lg border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+                          title="Number of questions"
+                        />
+                        <input
+                          type="text"
+                          value={section.instructions}
+                          onChange={(e) => updateSection(index, { instructions: e.target.value })}
+                          className="md:col-span-4 px-3 py-2 rounded-lg border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+                          placeholder="Section instructions (optional)"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeSection(index)}
+                          className="md:col-span-1 text-red-500 hover:text-red-600"
+                          title="Remove section"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="mt-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Seed (Optional)
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.seed}
+                  onChange={(e) => setFormData({ ...formData, seed: e.target.value })}
+                  className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100 transition-all"
+                  placeholder="Enter a colleague's seed to get the exact same sheet"
+                />
+              </div>
             </div>
 
             <div className="flex gap-4">
@@ -544,7 +772,10 @@ const WorksheetWizard = () => {
               {/* Preview Header */}
               <div className="bg-gradient-to-r from-purple-500 to-pink-500 p-4 text-white">
                 <h3 className="text-xl font-bold">{previewData.title}</h3>
-                <p className="text-purple-100 text-sm">{previewData.curriculum} • {previewData.grade} • {previewData.skill}</p>
+                <p className="text-purple-100 text-sm">
+                  {previewData.curriculum} • {previewData.grade} • {previewData.skill}
+                  {previewData.seed && ` • Seed ${previewData.seed}`}
+                </p>
               </div>
               
               {/* Preview Content */}
@@ -568,7 +799,10 @@ const WorksheetWizard = () => {
                   )}
                   
                   <div className="space-y-3">
-                    {previewData.content?.items?.slice(0, 5).map((item, i) => (
+                    {(previewData.content?.sections
+                      ? previewData.content.sections.flatMap(section => section.items || [])
+                      : previewData.content?.items || []
+                    ).slice(0, 5).map((item, i) => (
                       <div key={i} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
                         <span className="w-6 h-6 bg-purple-100 text-purple-600 rounded-full flex items-center justify-center text-sm font-bold">
                           {i + 1}
@@ -601,7 +835,7 @@ const WorksheetWizard = () => {
                 disabled={loading}
                 className="px-6 py-3 bg-white border-2 border-purple-500 text-purple-600 font-semibold rounded-xl hover:bg-purple-50 transition-colors disabled:opacity-50"
               >
-                {loading ? 'Regenerating...' : '🔄 Regenerate'}
+                {loading ? 'Regenerating...' : '🎲 New Variant'}
               </button>
               
               <button
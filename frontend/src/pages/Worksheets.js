@@ -3,6 +3,21 @@ import { Link } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
+const EXPORT_POLL_MS = 2000;
+const ASSET_URL = process.env.REACT_APP_API_URL?.replace('/api', '');
+
+// Save a downloaded blob under the given file name
+const saveBlob = (data, fileName) => {
+  const url = window.URL.createObjectURL(new Blob([data]));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', fileName);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
 const Worksheets = () => {
   const [worksheets, setWorksheets] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -17,6 +32,14 @@ const Worksheets = () => {
     total: 0,
     pages: 0
   });
+  const [selected, setSelected] = useState([]);
+  const [exportOptions, setExportOptions] = useState({
+    format: 'zip',
+    document: 'student',
+    variants: 1,
+    paperSize: ''
+  });
+  const [exportJob, setExportJob] = useState(null);
 
   useEffect(() => {
     fetchWorksheets();
@@ -45,6 +68,54 @@ const Worksheets = () => {
     }
   };
 
+  // Poll a running batch export, then download it once it is ready
+  useEffect(() => {
+    if (!exportJob || !['QUEUED', 'RUNNING'].includes(exportJob.status)) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`/worksheets/exports/${exportJob.id}`);
+        const { job } = response.data;
+
+        if (job.status === 'COMPLETED') {
+          const file = await axios.get(`/worksheets/exports/${job.id}/download`, { responseType: 'blob' });
+          saveBlob(file.data, job.fileName);
+          toast.success(`Exported ${job.total} worksheet${job.total === 1 ? '' : 's'}!`);
+          setSelected([]);
+        } else if (job.status === 'FAILED') {
+          toast.error(job.error || 'Export failed');
+        }
+        setExportJob(job);
+      } catch (error) {
+        toast.error('Failed to check export');
+        setExportJob(null);
+      }
+    }, EXPORT_POLL_MS);
+
+    return () => clearTimeout(timer);
+  }, [exportJob]);
+
+  const toggleSelected = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]));
+  };
+
+  const handleExport = async () => {
+    try {
+      const { format, ...options } = exportOptions;
+      const response = await axios.post('/worksheets/exports', {
+        worksheetIds: selected,
+        format,
+        options
+      });
+      setExportJob(response.data.job);
+      toast.success('Export started');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start export');
+    }
+  };
+
+  const exporting = exportJob && ['QUEUED', 'RUNNING'].includes(exportJob.status);
+
   const handleDelete = async (id) => {
     if (!window.confirm('Are you sure you want to delete this worksheet?')) return;
     
@@ -63,14 +134,7 @@ const Worksheets = () => {
         responseType: 'blob'
       });
       
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', `${title.replace(/\s+/g, '_')}.pdf`);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-      window.URL.revokeObjectURL(url);
+      saveBlob(response.data, `${title.replace(/\s+/g, '_')}.pdf`);
       
       toast.success('PDF downloaded!');
     } catch (error) {
@@ -141,6 +205,66 @@ const Worksheets = () => {
         </div>
       </div>
 
+      {/* Batch export */}
+      {selected.length > 0 && (
+        <div className="bg-white rounded-2xl shadow-lg shadow-gray-100 p-4 mb-6 flex flex-wrap items-center gap-3">
+          <span className="font-semibold text-gray-700">
+            {selected.length} selected
+          </span>
+          <select
+            value={exportOptions.format}
+            onChange={(e) => setExportOptions({ ...exportOptions, format: e.target.value })}
+            className="px-4 py-2 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+          >
+            <option value="zip">ZIP (one PDF each)</option>
+            <option value="pdf">One combined PDF</option>
+          </select>
+          <select
+            value={exportOptions.document}
+            onChange={(e) => setExportOptions({ ...exportOptions, document: e.target.value })}
+            className="px-4 py-2 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+          >
+            <option value="student">Student copy</option>
+            <option value="key">Answer key</option>
+            <option value="bundle">Student copy + key</option>
+          </select>
+          <select
+            value={exportOptions.variants}
+            onChange={(e) => setExportOptions({ ...exportOptions, variants: Number(e.target.value) })}
+            className="px-4 py-2 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+          >
+            <option value={1}>1 set</option>
+            {[2, 3, 4, 5, 6].map(count => (
+              <option key={count} value={count}>{count} sets (A–{String.fromCharCode(64 + count)})</option>
+            ))}
+          </select>
+          <select
+            value={exportOptions.paperSize}
+            onChange={(e) => setExportOptions({ ...exportOptions, paperSize: e.target.value })}
+            className="px-4 py-2 rounded-xl border border-gray-200 focus:border-purple-400 focus:ring-2 focus:ring-purple-100"
+          >
+            <option value="">School paper size</option>
+            <option value="A4">A4</option>
+            <option value="Letter">US Letter</option>
+            <option value="Legal">US Legal</option>
+            <option value="A5">A5</option>
+          </select>
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="px-6 py-2 bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold rounded-xl disabled:opacity-50"
+          >
+            {exporting ? `Exporting ${exportJob.progress}/${exportJob.total}...` : 'Export'}
+          </button>
+          <button
+            onClick={() => setSelected([])}
+            className="px-4 py-2 text-gray-500 hover:text-gray-700"
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
       {/* Worksheets Grid */}
       {loading ? (
         <div className="flex items-center justify-center h-64">
@@ -164,10 +288,27 @@ const Worksheets = () => {
             {worksheets.map((worksheet) => (
               <div
                 key={worksheet.id}
-                className="bg-white rounded-2xl shadow-lg shadow-gray-100 overflow-hidden card-hover"
+                className={`bg-white rounded-2xl shadow-lg shadow-gray-100 overflow-hidden card-hover ${selected.includes(worksheet.id) ? 'ring-2 ring-purple-400' : ''}`}
               >
-                <div className="h-32 bg-gradient-to-br from-purple-100 to-pink-100 flex items-center justify-center">
-                  <span className="text-5xl">📝</span>
+                <div className="relative h-40 bg-gradient-to-br from-purple-100 to-pink-100 flex items-center justify-center">
+                  {/* First-page preview, rendered in the background after each save */}
+                  {worksheet.thumbnail ? (
+                    <img
+                      src={`${ASSET_URL}${worksheet.thumbnail}`}
+                      alt=""
+                      loading="lazy"
+                      className="absolute inset-0 w-full h-full object-cover object-top bg-white"
+                    />
+                  ) : (
+                    <span className="text-5xl">📝</span>
+                  )}
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(worksheet.id)}
+                    onChange={() => toggleSelected(worksheet.id)}
+                    aria-label={`Select ${worksheet.title}`}
+                    className="absolute top-3 left-3 w-5 h-5 accent-purple-500"
+                  />
                 </div>
                 <div className="p-4">
                   <h3 className="font-bold text-gray-800 mb-1 truncate">{worksheet.title}</h3>